@@ -0,0 +1,108 @@
+import { css } from '@linaria/core';
+import clsx from 'clsx';
+
+import { getLeafColumns } from './utils/columnUtils';
+import type { Column, ColumnOrColumnGroup } from './types';
+
+const columnChooser = css`
+  @layer rdg.ColumnChooser {
+    margin: 0;
+    padding: 0;
+    list-style: none;
+
+    & & {
+      padding-inline-start: 20px;
+    }
+  }
+`;
+
+const columnChooserClassname = `rdg-column-chooser ${columnChooser}`;
+
+const columnChooserLabel = css`
+  @layer rdg.ColumnChooser {
+    display: flex;
+    gap: 6px;
+    align-items: center;
+    padding-block: 2px;
+    cursor: pointer;
+
+    &:has(:disabled) {
+      cursor: default;
+    }
+  }
+`;
+
+export interface ColumnChooserProps<R, SR = unknown> {
+  /** The columns passed to the grid, columns that are not hideable are omitted */
+  columns: readonly ColumnOrColumnGroup<R, SR>[];
+  hiddenColumnKeys: ReadonlySet<string>;
+  onHiddenColumnKeysChange: (hiddenColumnKeys: Set<string>) => void;
+  className?: string | undefined;
+  'aria-label'?: string | undefined;
+}
+
+export default function ColumnChooser<R, SR = unknown>({
+  columns,
+  hiddenColumnKeys,
+  onHiddenColumnKeysChange,
+  className,
+  'aria-label': ariaLabel = 'Columns'
+}: ColumnChooserProps<R, SR>) {
+  function getHideableColumns(columns: readonly ColumnOrColumnGroup<R, SR>[]) {
+    return getLeafColumns(columns).filter(({ hideable }) => hideable !== false);
+  }
+
+  function getVisibleCount(columns: readonly Column<R, SR>[]) {
+    return columns.filter(({ key }) => !hiddenColumnKeys.has(key)).length;
+  }
+
+  const visibleColumnsCount = getVisibleCount(getHideableColumns(columns));
+
+  function setColumnsVisibility(columns: readonly Column<R, SR>[], isVisible: boolean) {
+    const newHiddenColumnKeys = new Set(hiddenColumnKeys);
+    for (const { key } of columns) {
+      if (isVisible) {
+        newHiddenColumnKeys.delete(key);
+      } else {
+        newHiddenColumnKeys.add(key);
+      }
+    }
+    onHiddenColumnKeysChange(newHiddenColumnKeys);
+  }
+
+  function renderItems(columns: readonly ColumnOrColumnGroup<R, SR>[]) {
+    return columns.map((column, index) => {
+      const hideableColumns = getHideableColumns([column]);
+      if (hideableColumns.length === 0) return null;
+      const visibleCount = getVisibleCount(hideableColumns);
+      const isChecked = visibleCount === hideableColumns.length;
+      const isGroup = 'children' in column;
+
+      return (
+        <li key={isGroup ? index : column.key}>
+          <label className={columnChooserLabel}>
+            <input
+              type="checkbox"
+              ref={(input) => {
+                // a group with some visible columns is shown as indeterminate
+                if (input) input.indeterminate = visibleCount > 0 && !isChecked;
+              }}
+              checked={isChecked}
+              // the last visible columns cannot be hidden
+              disabled={isChecked && visibleCount === visibleColumnsCount}
+              onChange={(event) => setColumnsVisibility(hideableColumns, event.target.checked)}
+            />
+            {column.name}
+          </label>
+          {isGroup && <ul className={columnChooser}>{renderItems(column.children)}</ul>}
+        </li>
+      );
+    });
+  }
+
+  return (
+    <ul aria-label={ariaLabel} className={clsx(columnChooserClassname, className)}>
+      {renderItems(columns)}
+    </ul>
+  );
+}
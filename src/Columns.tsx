@@ -1,8 +1,21 @@
+import { css } from '@linaria/core';
+
 import { useHeaderRowSelection, useRowSelection } from './hooks/useRowSelection';
 import type { Column, RenderCellProps, RenderGroupCellProps, RenderHeaderCellProps } from './types';
 import { SelectCellFormatter } from './cellRenderers';
 
 export const SELECT_COLUMN_KEY = 'rdg-select-column';
+export const ROW_NUMBER_COLUMN_KEY = 'rdg-row-number-column';
+
+const rowNumberCell = css`
+  @layer rdg.Cell {
+    text-align: end;
+    font-variant-numeric: tabular-nums;
+    cursor: default;
+  }
+`;
+
+const rowNumberCellClassname = `rdg-row-number-cell ${rowNumberCell}`;
 
 function HeaderRenderer(props: RenderHeaderCellProps<unknown>) {
   const { isIndeterminate, isRowSelected, onRowSelectionChange } = useHeaderRowSelection();
@@ -61,6 +74,9 @@ export const SelectColumn: Column<any, any> = {
   resizable: false,
   sortable: false,
   frozen: true,
+  draggable: false,
+  hideable: false,
+  freezable: false,
   renderHeaderCell(props) {
     return <HeaderRenderer {...props} />;
   },
@@ -71,3 +87,26 @@ export const SelectColumn: Column<any, any> = {
     return <SelectGroupFormatter {...props} />;
   }
 };
+
+/**
+ * Gutter column displaying the row numbers,
+ * in range selection mode clicking a row number selects the whole row
+ * and clicking the header selects all the cells
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export const RowNumberColumn: Column<any, any> = {
+  key: ROW_NUMBER_COLUMN_KEY,
+  name: '',
+  width: 50,
+  minWidth: 50,
+  resizable: false,
+  sortable: false,
+  frozen: true,
+  draggable: false,
+  hideable: false,
+  freezable: false,
+  cellClass: rowNumberCellClassname,
+  renderCell({ rowIdx }) {
+    return rowIdx + 1;
+  }
+};
@@ -7,7 +7,7 @@ import {
   useRef,
   useState
 } from 'react';
-import type { Key, KeyboardEvent } from 'react';
+import type { Key, KeyboardEvent, ReactElement } from 'react';
 import { flushSync } from 'react-dom';
 import clsx from 'clsx';
 
@@ -15,10 +15,15 @@ import {
   HeaderRowSelectionChangeContext,
   HeaderRowSelectionContext,
   RowSelectionChangeContext,
+  useAutoScroll,
   useCalculatedColumns,
+  useChangeTracking,
   useColumnWidths,
   useGridDimensions,
+  useInvalidCells,
   useLatestFunc,
+  usePinnedRows,
+  useRowsHistory,
   useViewportColumns,
   useViewportRows,
   type HeaderRowSelectionContextValue
@@ -27,16 +32,35 @@ import {
   abs,
   assertIsValidKeyGetter,
   canExitGrid,
+  canMoveColumn,
   createCellEvent,
+  detectFillSeries,
   getColSpan,
+  getCopiedIndexes,
+  getDataEdgeIdx,
+  getFillTargetRange,
+  getLeafColumns,
   getLeftRightKey,
   getNextSelectedCellPosition,
+  getNormalizedRange,
+  getPasteRange,
+  isCellEditableUtil,
+  isClearCellsKey,
   isCtrlKeyHeldDown,
   isDefaultCellInput,
+  isEditableElement,
+  isRedoKey,
+  isSelectAllKey,
   isSelectedCellEditable,
+  isUndoKey,
   isValueInBetween,
+  max,
+  min,
+  moveColumn,
+  parseClipboardData,
   renderMeasuringCells,
   scrollIntoView,
+  serializeRange,
   sign
 } from './utils';
 import type {
@@ -44,6 +68,7 @@ import type {
   CellClickArgs,
   CellClipboardEvent,
   CellCopyEvent,
+  CellEvent,
   CellKeyboardEvent,
   CellKeyDownArgs,
   CellMouseEvent,
@@ -51,31 +76,49 @@ import type {
   CellPasteEvent,
   CellSelectArgs,
   CellsRange,
+  CellValidationError,
+  ClipboardOptions,
   Column,
+  ColumnAutosizeMode,
+  ColumnDropPosition,
   ColumnOrColumnGroup,
   ColumnWidths,
   Direction,
+  EditMode,
   FillEvent,
+  FillSeriesDetector,
+  Filters,
+  FilterValue,
+  HeaderMenuItem,
   Maybe,
   MultiCopyEvent,
   MultiPasteEvent,
   Position,
+  RenderEditCellProps,
   Renderers,
+  RenderRowProps,
   RowsChangeData,
+  RowsChanges,
   SelectHeaderRowEvent,
   SelectRowEvent,
-  SortColumn
+  SortColumn,
+  ValidationErrorEvent
 } from './types';
 import { defaultRenderCell } from './Cell';
 import { renderCheckbox as defaultRenderCheckbox } from './cellRenderers';
+import { ROW_NUMBER_COLUMN_KEY } from './Columns';
 import {
   DataGridDefaultRenderersContext,
   useDefaultRenderers
 } from './DataGridDefaultRenderersContext';
 import DragHandle from './DragHandle';
 import EditCell from './EditCell';
+import FilterRow from './FilterRow';
+import FreezeDivider from './FreezeDivider';
 import GroupedColumnHeaderRow from './GroupedColumnHeaderRow';
+import HeaderMenu from './HeaderMenu';
 import HeaderRow from './HeaderRow';
+import RangeOverlay from './RangeOverlay';
 import { defaultRenderRow } from './Row';
 import type { PartialPosition } from './ScrollToCell';
 import ScrollToCell from './ScrollToCell';
@@ -97,6 +140,11 @@ interface EditCellState<R> extends Position {
   readonly mode: 'EDIT';
   readonly row: R;
   readonly originalRow: R;
+  /** Invalid cells of the latest validation of the edited row */
+  readonly validationErrors?: readonly CellValidationError[] | undefined;
+  readonly isValidating?: boolean | undefined;
+  /** Errors of the text the editors cannot parse, by column key */
+  readonly inputErrors?: ReadonlyMap<string, string> | undefined;
 }
 
 export type DefaultColumnOptions<R, SR> = Pick<
@@ -108,6 +156,7 @@ export type DefaultColumnOptions<R, SR> = Pick<
   | 'maxWidth'
   | 'resizable'
   | 'sortable'
+  | 'sortCycle'
   | 'draggable'
 >;
 
@@ -117,10 +166,48 @@ const initialSelectedRange: CellsRange = {
   endRowIdx: -1,
   endColumnIdx: -1
 };
+
+interface EditedCell<R, SR> {
+  column: CalculatedColumn<R, SR>;
+  rowIdx: number;
+  row: R;
+}
+
+export interface UpdatedCell<R, SR> {
+  rowIdx: number;
+  column: CalculatedColumn<R, SR>;
+}
+
+const noSelectedCellsRanges: RenderRowProps<unknown>['selectedCellsRanges'] = [];
+
 export interface DataGridHandle {
   element: HTMLDivElement | null;
   scrollToCell: (position: PartialPosition) => void;
   selectCell: (position: Position, enableEditor?: Maybe<boolean>) => void;
+  /** Reverts the latest rows change, requires `enableUndoRedo` */
+  undo: () => void;
+  /** Reapplies the latest undone rows change, requires `enableUndoRedo` */
+  redo: () => void;
+  /**
+   * Autosizes the columns with the given keys, or all the resizable columns, following `columnAutosizeMode`.
+   * The columns outside the viewport are measured from the rows. `onColumnResize` is not called
+   */
+  autosizeColumns: (columnKeys?: Maybe<readonly string[]>) => void;
+  /**
+   * Returns the cells of the open editors that fail the validation of their column,
+   * and the cells whose values were left out of a range edit, a paste or a fill, until a valid value is committed to them
+   */
+  getInvalidCells: () => CellValidationError[];
+  /** Returns the changes of the rows since they were loaded or accepted, requires `enableChangeTracking` */
+  getChanges: () => RowsChanges<unknown>;
+  /** Restores the original value of the cell, requires `enableChangeTracking` */
+  revertCell: (rowKey: Key, columnKey: string) => void;
+  /** Restores the original values of all the updated cells, added and deleted rows are left as is, requires `enableChangeTracking` */
+  revertAllCells: () => void;
+  /** Uses the current rows as the original rows, after the changes are saved for example */
+  acceptChanges: () => void;
+  canUndo: boolean;
+  canRedo: boolean;
 }
 
 type SharedDivProps = Pick<
@@ -150,8 +237,14 @@ export interface DataGridProps<R, SR = unknown, K extends Key = Key> extends Sha
   bottomSummaryRows?: Maybe<readonly SR[]>;
   /** Function to return a unique key/identifier for each row */
   rowKeyGetter?: Maybe<(row: NoInfer<R>) => K>;
+  /** Keys of the rows pinned at the top of the scrolling body, requires `rowKeyGetter` */
+  topPinnedRowKeys?: Maybe<ReadonlySet<K>>;
+  /** Keys of the rows pinned at the bottom of the scrolling body, requires `rowKeyGetter` */
+  bottomPinnedRowKeys?: Maybe<ReadonlySet<K>>;
   /** Callback triggered when rows are changed */
   onRowsChange?: Maybe<(rows: NoInfer<R>[], data: RowsChangeData<NoInfer<R>, NoInfer<SR>>) => void>;
+  /** Callback triggered when the changes of an editor, or the values written to a selected range, pasted or filled, fail the validation of the column, once per invalid cell, see `Column.validate` */
+  onValidationError?: Maybe<(event: ValidationErrorEvent<NoInfer<R>, NoInfer<SR>>) => void>;
 
   /**
    * Dimensions props
@@ -175,6 +268,13 @@ export interface DataGridProps<R, SR = unknown, K extends Key = Key> extends Sha
   columnWidths?: Maybe<ColumnWidths>;
   /** Callback triggered when column widths change */
   onColumnWidthsChange?: Maybe<(columnWidths: ColumnWidths) => void>;
+  /**
+   * How the columns are autosized from the resize handle, the header menu or `DataGridHandle.autosizeColumns`
+   * @default 'viewport'
+   */
+  columnAutosizeMode?: Maybe<ColumnAutosizeMode>;
+  /** @default false, set true to autosize the resizable columns once the grid is rendered with rows */
+  autosizeColumnsOnLoad?: Maybe<boolean>;
 
   /**
    * Feature props
@@ -189,13 +289,53 @@ export interface DataGridProps<R, SR = unknown, K extends Key = Key> extends Sha
   sortColumns?: Maybe<readonly SortColumn[]>;
   /** Callback triggered when sorting changes */
   onSortColumnsChange?: Maybe<(sortColumns: SortColumn[]) => void>;
+  /** A set of hidden column keys, the columns that are not `hideable` are always visible */
+  hiddenColumnKeys?: Maybe<ReadonlySet<string>>;
+  /** Callback triggered when a column is hidden from the header menu */
+  onHiddenColumnKeysChange?: Maybe<(hiddenColumnKeys: Set<string>) => void>;
+  /** Maximum number of sorted columns, the oldest sort columns are removed when the limit is exceeded */
+  maxSortColumns?: Maybe<number>;
+  /**
+   * Modifier key held down when clicking on a header cell to sort on multiple columns
+   * @default 'ctrl'
+   */
+  multiSortKey?: Maybe<'ctrl' | 'shift'>;
+  /** Filter values by column key, the rows matching the filters can be computed with `filterRows` */
+  filters?: Maybe<Filters>;
+  /** Callback triggered when a filter is changed from the filter row */
+  onFiltersChange?: Maybe<(filters: Filters) => void>;
   /** Default options applied to all columns */
   defaultColumnOptions?: Maybe<DefaultColumnOptions<NoInfer<R>, NoInfer<SR>>>;
   onFill?: Maybe<(event: FillEvent<NoInfer<R>>) => NoInfer<R>>;
-  onMultiPaste?: Maybe<(event: MultiPasteEvent) => void>;
-  onMultiCopy?: Maybe<(event: MultiCopyEvent<NoInfer<R>>) => void>;
+  /**
+   * Function continuing the series of the source values when filling a range
+   * @default detectFillSeries
+   */
+  fillSeriesDetector?: Maybe<FillSeriesDetector>;
+  /**
+   * Callback triggered when the clipboard is pasted into the selected range.
+   * Call `event.preventGridDefault()` to prevent the grid from updating the rows
+   */
+  onMultiPaste?: Maybe<(args: MultiPasteEvent, event: CellEvent<CellClipboardEvent>) => void>;
+  /** Callback triggered with the positions of the readonly cells skipped when pasting a range */
+  onPasteSkippedCells?: Maybe<(positions: Position[]) => void>;
+  /**
+   * Callback triggered when a range is copied.
+   * Call `event.preventGridDefault()` to prevent the grid from writing the range to the clipboard
+   */
+  onMultiCopy?: Maybe<
+    (args: MultiCopyEvent<NoInfer<R>>, event: CellEvent<CellClipboardEvent>) => void
+  >;
+  /** Options used to serialize and parse the clipboard data when a range is copied or pasted */
+  clipboardOptions?: Maybe<ClipboardOptions>;
   rangeLeftBoundaryColIdx?: Maybe<number>;
   onSelectedRangeChange?: Maybe<(selectedRange: CellsRange) => void>;
+  /**
+   * Selected ranges, Ctrl/Cmd+click and Ctrl/Cmd+drag add a range to the selection.
+   * The last range is the active range, it is extended with Shift+Arrow keys and used as the paste target
+   */
+  selectedRanges?: Maybe<readonly CellsRange[]>;
+  onSelectedRangesChange?: Maybe<(selectedRanges: CellsRange[]) => void>;
 
   /**
    * Event props
@@ -230,8 +370,19 @@ export interface DataGridProps<R, SR = unknown, K extends Key = Key> extends Sha
   onScroll?: Maybe<(event: React.UIEvent<HTMLDivElement>) => void>;
   /** Callback triggered when column is resized */
   onColumnResize?: Maybe<(column: CalculatedColumn<R, SR>, width: number) => void>;
-  /** Callback triggered when columns are reordered */
-  onColumnsReorder?: Maybe<(sourceColumnKey: string, targetColumnKey: string) => void>;
+  /**
+   * Keys of the columns in display order, the columns missing from it are placed after the others in their original order.
+   * Column groups are ordered by their first column so their children stay together.
+   */
+  columnOrder?: Maybe<readonly string[]>;
+  /** Callback triggered when a draggable column is moved by dragging its header cell or with Ctrl+Shift+ArrowLeft/ArrowRight */
+  onColumnOrderChange?: Maybe<(columnOrder: string[]) => void>;
+  /** A set of frozen column keys, it overrides `Column.frozen` for the freezable columns */
+  frozenColumnKeys?: Maybe<ReadonlySet<string>>;
+  /** Callback triggered when a freezable column is frozen or unfrozen by dragging it, from the freeze divider or from the header menu */
+  onFrozenColumnKeysChange?: Maybe<(frozenColumnKeys: Set<string>) => void>;
+  /** Function returning custom items added at the end of the header menu of the column */
+  headerMenuItems?: Maybe<(column: CalculatedColumn<R, SR>) => readonly HeaderMenuItem[]>;
 
   /**
    * Toggles and modes
@@ -240,6 +391,22 @@ export interface DataGridProps<R, SR = unknown, K extends Key = Key> extends Sha
   enableVirtualization?: Maybe<boolean>;
   /** @default false, set true to enable range selection with copy and paste through clipboard */
   enableRangeSelection?: Maybe<boolean>;
+  /** @default false, set true to record rows changes and undo/redo them with Ctrl+Z and Ctrl+Shift+Z */
+  enableUndoRedo?: Maybe<boolean>;
+  /** @default false, set true to track the changes of the rows since they were loaded, requires `rowKeyGetter` */
+  enableChangeTracking?: Maybe<boolean>;
+  /** @default false, set true to render a row of filters below the header row, see `Column.filter` */
+  enableFilterRow?: Maybe<boolean>;
+  /** @default false, set true to render a menu button in the header cells, the menu can also be opened with Alt+ArrowDown */
+  enableHeaderMenu?: Maybe<boolean>;
+  /** @default false, set true to render a divider after the frozen columns that can be dragged to freeze or unfreeze the freezable columns */
+  enableFreezeDivider?: Maybe<boolean>;
+  /**
+   * Whether the editor is opened for the selected cell or for all the editable cells of its row.
+   * With `'row'`, Tab moves between the editors, Enter and Escape commit or discard the changes of the whole row
+   * @default 'cell'
+   */
+  editMode?: Maybe<EditMode>;
 
   /**
    * Miscellaneous
@@ -271,23 +438,34 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     ref,
     // Grid and data Props
     columns: rawColumns,
-    rows,
+    rows: rawRows,
     topSummaryRows,
     bottomSummaryRows,
     rowKeyGetter,
+    topPinnedRowKeys,
+    bottomPinnedRowKeys,
     onRowsChange,
+    onValidationError,
     // Dimensions props
     rowHeight: rawRowHeight,
     headerRowHeight: rawHeaderRowHeight,
     summaryRowHeight: rawSummaryRowHeight,
     columnWidths: columnWidthsRaw,
     onColumnWidthsChange: onColumnWidthsChangeRaw,
+    columnAutosizeMode: rawColumnAutosizeMode,
+    autosizeColumnsOnLoad: rawAutosizeColumnsOnLoad,
     // Feature props
     selectedRows,
     isRowSelectionDisabled,
     onSelectedRowsChange,
     sortColumns,
     onSortColumnsChange,
+    maxSortColumns,
+    multiSortKey: rawMultiSortKey,
+    hiddenColumnKeys: hiddenColumnKeysRaw,
+    onHiddenColumnKeysChange,
+    filters: filtersRaw,
+    onFiltersChange,
     defaultColumnOptions,
     // Event props
     onCellClick,
@@ -297,18 +475,33 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     onSelectedCellChange,
     onScroll,
     onColumnResize,
-    onColumnsReorder,
+    columnOrder: columnOrderRaw,
+    onColumnOrderChange,
+    frozenColumnKeys: frozenColumnKeysRaw,
+    onFrozenColumnKeysChange,
+    headerMenuItems,
     onFill,
+    fillSeriesDetector: rawFillSeriesDetector,
     onCellCopy,
     onCellPaste,
     onMultiPaste,
+    onPasteSkippedCells,
     onMultiCopy,
+    clipboardOptions,
     rangeLeftBoundaryColIdx,
     onSelectedRangeChange,
+    selectedRanges: selectedRangesRaw,
+    onSelectedRangesChange,
 
     // Toggles and modes
     enableVirtualization: rawEnableVirtualization,
     enableRangeSelection: rawEnableRangeSelection,
+    enableUndoRedo: rawEnableUndoRedo,
+    enableChangeTracking: rawEnableChangeTracking,
+    enableFilterRow: rawEnableFilterRow,
+    enableHeaderMenu: rawEnableHeaderMenu,
+    enableFreezeDivider: rawEnableFreezeDivider,
+    editMode: rawEditMode,
     // Miscellaneous
     renderers,
     className,
@@ -344,8 +537,46 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
   const noRowsFallback = renderers?.noRowsFallback ?? defaultRenderers?.noRowsFallback;
   const enableVirtualization = rawEnableVirtualization ?? true;
   const enableRangeSelection = rawEnableRangeSelection ?? false;
+  const enableUndoRedo = rawEnableUndoRedo ?? false;
+  const enableChangeTracking = rawEnableChangeTracking ?? false;
+  const enableFilterRow = rawEnableFilterRow ?? false;
+  const enableHeaderMenu = rawEnableHeaderMenu ?? false;
+  const enableFreezeDivider = rawEnableFreezeDivider ?? false;
+  const editMode = rawEditMode ?? 'cell';
+  const columnAutosizeMode = rawColumnAutosizeMode ?? 'viewport';
+  const autosizeColumnsOnLoad = rawAutosizeColumnsOnLoad ?? false;
+  const fillSeriesDetector = rawFillSeriesDetector ?? detectFillSeries;
+  const multiSortKey = rawMultiSortKey ?? 'ctrl';
   const direction = rawDirection ?? 'ltr';
 
+  // the history records the changes of the `rows` prop, with the indexes passed to `onRowsChange`
+  const {
+    handleRowsChange: handleHistoryRowsChange,
+    undo,
+    redo,
+    canUndo,
+    canRedo
+  } = useRowsHistory({
+    rows: rawRows,
+    rowKeyGetter,
+    onRowsChange,
+    enableUndoRedo
+  });
+
+  // pinned rows are moved to the start and end of the rows, row indexes follow the displayed order
+  const {
+    rows,
+    topPinnedRowsCount,
+    bottomPinnedRowsCount,
+    onRowsChange: handleRowsChange
+  } = usePinnedRows({
+    rows: rawRows,
+    rowKeyGetter,
+    topPinnedRowKeys,
+    bottomPinnedRowKeys,
+    onRowsChange: handleHistoryRowsChange
+  });
+
   /**
    * states
    */
@@ -357,9 +588,22 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
   const [isColumnResizing, setColumnResizing] = useState(false);
   const [isDragging, setDragging] = useState(false);
   const [draggedOverRowIdx, setOverRowIdx] = useState<number | undefined>(undefined);
+  const [draggedOverColumnIdx, setOverColumnIdx] = useState<number | undefined>(undefined);
   const [scrollToPosition, setScrollToPosition] = useState<PartialPosition | null>(null);
   const [shouldFocusCell, setShouldFocusCell] = useState(false);
   const [previousRowIdx, setPreviousRowIdx] = useState(-1);
+  const [filtersInternal, setFiltersInternal] = useState((): Filters => new Map());
+  const [columnOrderInternal, setColumnOrderInternal] = useState((): readonly string[] => []);
+  const [reorderedSelectedColumnKey, setReorderedSelectedColumnKey] = useState<string>();
+  const [hiddenColumnKeysInternal, setHiddenColumnKeysInternal] = useState(
+    (): ReadonlySet<string> => new Set()
+  );
+  // the frozen columns are defined by `Column.frozen` until they are frozen or unfrozen
+  const [frozenColumnKeysInternal, setFrozenColumnKeysInternal] = useState<ReadonlySet<string>>();
+  const [headerMenu, setHeaderMenu] = useState<{
+    readonly columnKey: string;
+    readonly anchor: HTMLElement;
+  } | null>(null);
 
   const isColumnWidthsControlled =
     columnWidthsRaw != null && onColumnWidthsChangeRaw != null && !isColumnResizing;
@@ -371,6 +615,9 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
         onColumnWidthsChangeRaw(columnWidths);
       }
     : setColumnWidthsInternal;
+  const columnOrder = columnOrderRaw ?? columnOrderInternal;
+  const hiddenColumnKeys = hiddenColumnKeysRaw ?? hiddenColumnKeysInternal;
+  const frozenColumnKeys = frozenColumnKeysRaw ?? frozenColumnKeysInternal;
 
   const getColumnWidth = useCallback(
     (column: CalculatedColumn<R, SR>) => {
@@ -381,18 +628,24 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
 
   const [gridRef, gridWidth, gridHeight, horizontalScrollbarHeight] = useGridDimensions();
   const {
+    orderedColumns,
     columns,
     colSpanColumns,
     lastFrozenColumnIndex,
-    headerRowsCount,
+    firstEndFrozenColumnIndex,
+    headerRowsCount: columnHeaderRowsCount,
     colOverscanStartIdx,
     colOverscanEndIdx,
     templateColumns,
     layoutCssVars,
-    totalFrozenColumnWidth
+    totalFrozenColumnWidth,
+    totalEndFrozenColumnWidth
   } = useCalculatedColumns({
     rawColumns,
     defaultColumnOptions,
+    columnOrder,
+    hiddenColumnKeys,
+    frozenColumnKeys,
     getColumnWidth,
     scrollLeft,
     viewportWidth: gridWidth,
@@ -402,17 +655,22 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
   const topSummaryRowsCount = topSummaryRows?.length ?? 0;
   const bottomSummaryRowsCount = bottomSummaryRows?.length ?? 0;
   const summaryRowsCount = topSummaryRowsCount + bottomSummaryRowsCount;
+  // the filter row is rendered below the main header row
+  const headerRowsCount = columnHeaderRowsCount + (enableFilterRow ? 1 : 0);
   const headerAndTopSummaryRowsCount = headerRowsCount + topSummaryRowsCount;
-  const groupedColumnHeaderRowsCount = headerRowsCount - 1;
+  const groupedColumnHeaderRowsCount = columnHeaderRowsCount - 1;
   const minRowIdx = -headerAndTopSummaryRowsCount;
   const mainHeaderRowIdx = minRowIdx + groupedColumnHeaderRowsCount;
+  const filterRowIdx = mainHeaderRowIdx + 1;
   const maxRowIdx = rows.length + bottomSummaryRowsCount - 1;
 
   const [selectedPosition, setSelectedPosition] = useState(
     (): SelectCellState | EditCellState<R> => ({ idx: -1, rowIdx: minRowIdx - 1, mode: 'SELECT' })
   );
 
-  const [selectedRange, setSelectedRange] = useState<CellsRange>(initialSelectedRange);
+  const [selectedRangesInternal, setSelectedRangesInternal] = useState(
+    (): readonly CellsRange[] => [initialSelectedRange]
+  );
   const [copiedRange, setCopiedRange] = useState<CellsRange | null>(null);
   const [isMouseRangeSelectionMode, setIsMouseRangeSelectionMode] = useState<boolean>(false);
 
@@ -420,7 +678,14 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
    * refs
    */
   const latestDraggedOverRowIdx = useRef(draggedOverRowIdx);
+  const latestDraggedOverColumnIdx = useRef(draggedOverColumnIdx);
+  // how the next selected cell updates the selected ranges, set on Ctrl/Cmd+click and Shift+click
+  const pendingRangeAction = useRef<'add' | 'extend'>(undefined);
+  const latestCopiedData = useRef<{ readonly text: string; readonly values: unknown[][] }>(
+    undefined
+  );
   const focusSinkRef = useRef<HTMLDivElement>(null);
+  const hasAutosizedColumnsOnLoad = useRef(false);
 
   /**
    * computed values
@@ -436,6 +701,15 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     typeof rangeLeftBoundaryColIdx === 'undefined' || rangeLeftBoundaryColIdx == null
       ? -1
       : rangeLeftBoundaryColIdx;
+  const selectedRanges = selectedRangesRaw ?? selectedRangesInternal;
+  const filters = filtersRaw ?? filtersInternal;
+  // the active range is the last selected range
+  const selectedRange = selectedRanges.at(-1) ?? initialSelectedRange;
+  // a single selected cell opens its editor on Delete/Backspace instead of being cleared
+  const isMultiCellSelection =
+    selectedRanges.length > 1 ||
+    selectedRange.startRowIdx !== selectedRange.endRowIdx ||
+    selectedRange.startColumnIdx !== selectedRange.endColumnIdx;
 
   const defaultGridComponents = useMemo(
     () => ({
@@ -469,6 +743,15 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     };
   }, [rows, selectedRows, rowKeyGetter]);
 
+  function setSelectedRanges(ranges: CellsRange[]) {
+    setSelectedRangesInternal(ranges);
+    onSelectedRangesChange?.(ranges);
+  }
+
+  function setSelectedRange(range: CellsRange) {
+    setSelectedRanges([...selectedRanges.slice(0, -1), range]);
+  }
+
   const setSelectedRangeWithBoundary = (value: CellsRange) => {
     const boundValue = {
       ...value
@@ -484,6 +767,8 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
   const {
     rowOverscanStartIdx,
     rowOverscanEndIdx,
+    topPinnedRowsHeight,
+    bottomPinnedRowsHeight,
     totalRowHeight,
     gridTemplateRows,
     getRowTop,
@@ -494,7 +779,9 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     rowHeight,
     clientHeight,
     scrollTop,
-    enableVirtualization
+    enableVirtualization,
+    topPinnedRowsCount,
+    bottomPinnedRowsCount
   });
 
   const viewportColumns = useViewportColumns({
@@ -503,24 +790,65 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     colOverscanStartIdx,
     colOverscanEndIdx,
     lastFrozenColumnIndex,
+    firstEndFrozenColumnIndex,
     rowOverscanStartIdx,
     rowOverscanEndIdx,
+    topPinnedRowsCount,
+    bottomPinnedRowsCount,
     rows,
     topSummaryRows,
     bottomSummaryRows
   });
 
-  const { gridTemplateColumns, handleColumnResize } = useColumnWidths(
+  const { gridTemplateColumns, handleColumnResize, handleColumnsResize, autosizeColumns } =
+    useColumnWidths(
+      columns,
+      viewportColumns,
+      templateColumns,
+      gridRef,
+      gridWidth,
+      columnWidths,
+      onColumnWidthsChange,
+      onColumnResize,
+      setColumnResizing,
+      rows,
+      columnAutosizeMode
+    );
+
+  const { modifiedCells, addedRowKeys, getChanges, revertCell, revertAllCells, acceptChanges } =
+    useChangeTracking({
+      rows,
+      rawColumns,
+      columns,
+      rowKeyGetter,
+      enableChangeTracking,
+      onRowsChange: handleRowsChange
+    });
+
+  const { updateInvalidCells, getInvalidCells: getCommittedInvalidCells } = useInvalidCells({
+    rows,
     columns,
-    viewportColumns,
-    templateColumns,
-    gridRef,
-    gridWidth,
-    columnWidths,
-    onColumnWidthsChange,
-    onColumnResize,
-    setColumnResizing
-  );
+    rowKeyGetter
+  });
+
+  const isMouseRangeSelecting = enableRangeSelection && isMouseRangeSelectionMode;
+  // values are filled from the active range, the drag handle is anchored at its bottom end corner
+  const fillSourceRange: CellsRange = enableRangeSelection
+    ? getNormalizedRange(selectedRange)
+    : {
+        startRowIdx: selectedPosition.rowIdx,
+        startColumnIdx: selectedPosition.idx,
+        endRowIdx: selectedPosition.rowIdx,
+        endColumnIdx: selectedPosition.idx
+      };
+  const fillTargetRange =
+    draggedOverRowIdx === undefined
+      ? undefined
+      : getFillTargetRange(
+          fillSourceRange,
+          draggedOverRowIdx,
+          draggedOverColumnIdx ?? fillSourceRange.endColumnIdx
+        );
 
   const minColIdx = isTreeGrid ? -1 : 0;
   const maxColIdx = columns.length - 1;
@@ -534,15 +862,21 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
    */
   const handleColumnResizeLatest = useLatestFunc(handleColumnResize);
   const handleColumnResizeEndLatest = useLatestFunc(handleColumnResizeEnd);
-  const onColumnsReorderLastest = useLatestFunc(onColumnsReorder);
+  const handleColumnsReorderLatest = useLatestFunc(handleColumnsReorder);
   const onSortColumnsChangeLatest = useLatestFunc(onSortColumnsChange);
+  const handleFilterChangeLatest = useLatestFunc(handleFilterChange);
+  const toggleHeaderMenuLatest = useLatestFunc(toggleHeaderMenu);
   const onCellClickLatest = useLatestFunc(onCellClick);
   const onCellDoubleClickLatest = useLatestFunc(onCellDoubleClick);
   const onCellContextMenuLatest = useLatestFunc(onCellContextMenu);
   const selectHeaderRowLatest = useLatestFunc(selectHeaderRow);
   const selectRowLatest = useLatestFunc(selectRow);
   const handleFormatterRowChangeLatest = useLatestFunc(updateRow);
+  const handleAsyncValidationLatest = useLatestFunc(handleAsyncValidation);
+  const commitValidatedCellsLatest = useLatestFunc(commitValidatedCells);
   const selectCellLatest = useLatestFunc(selectCell);
+  const selectColumnLatest = useLatestFunc(selectColumn);
+  const endMouseRangeSelectionLatest = useLatestFunc(endMouseRangeSelection);
   const selectHeaderCellLatest = useLatestFunc(({ idx, rowIdx }: Position) => {
     selectCell({ rowIdx: minRowIdx + rowIdx - 1, idx });
   });
@@ -555,11 +889,18 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     latestDraggedOverRowIdx.current = rowIdx;
   }, []);
 
+  const setDraggedOverColumnIdx = useCallback((idx?: number) => {
+    setOverColumnIdx(idx);
+    latestDraggedOverColumnIdx.current = idx;
+  }, []);
+
   const focusCellOrCellContent = useCallback(() => {
     const cell = getCellToScroll(gridRef.current!);
     if (cell === null) return;
 
     scrollIntoView(cell);
+    // Keep the focus on the cell content that was clicked, like the second input of a filter range
+    if (cell !== document.activeElement && cell.contains(document.activeElement)) return;
     // Focus cell content when available instead of the cell itself
     const elementToFocus = cell.querySelector<Element & HTMLOrSVGElement>('[tabindex="0"]') ?? cell;
     elementToFocus.focus({ preventScroll: true });
@@ -579,6 +920,22 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     }
   }, [selectedCellIsWithinSelectionBounds, selectedPosition]);
 
+  useLayoutEffect(() => {
+    if (reorderedSelectedColumnKey === undefined) return;
+    setReorderedSelectedColumnKey(undefined);
+    // keep the selected cell on the same column after the columns are reordered
+    const column = columns.find(({ key }) => key === reorderedSelectedColumnKey);
+    if (column !== undefined) {
+      setSelectedPosition((position) => ({ ...position, idx: column.idx }));
+    }
+  }, [reorderedSelectedColumnKey, columns]);
+
+  useLayoutEffect(() => {
+    if (!autosizeColumnsOnLoad || hasAutosizedColumnsOnLoad.current || rows.length === 0) return;
+    hasAutosizedColumnsOnLoad.current = true;
+    autosizeColumns(columns.filter(({ resizable }) => resizable));
+  });
+
   useLayoutEffect(() => {
     if (shouldFocusCell) {
       setShouldFocusCell(false);
@@ -590,7 +947,9 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     element: gridRef.current,
     scrollToCell({ idx, rowIdx }) {
       const scrollToIdx =
-        idx !== undefined && idx > lastFrozenColumnIndex && idx < columns.length ? idx : undefined;
+        idx !== undefined && idx > lastFrozenColumnIndex && idx < firstEndFrozenColumnIndex
+          ? idx
+          : undefined;
       const scrollToRowIdx =
         rowIdx !== undefined && isRowIdxWithinViewportBounds(rowIdx) ? rowIdx : undefined;
 
@@ -598,13 +957,65 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
         setScrollToPosition({ idx: scrollToIdx, rowIdx: scrollToRowIdx });
       }
     },
-    selectCell
+    selectCell,
+    undo,
+    redo,
+    autosizeColumns(columnKeys) {
+      const columnsToAutosize =
+        columnKeys == null
+          ? columns.filter(({ resizable }) => resizable)
+          : columns.filter(({ key }) => columnKeys.includes(key));
+      if (columnsToAutosize.length > 0) {
+        // the update is not flushed synchronously so the method can be called from effects
+        autosizeColumns(columnsToAutosize);
+      }
+    },
+    getInvalidCells() {
+      const editorErrors =
+        selectedPosition.mode === 'EDIT' ? (selectedPosition.validationErrors ?? []) : [];
+      // the errors of the open editors replace the errors of the committed changes
+      return [
+        ...getCommittedInvalidCells().filter(
+          (cell) =>
+            !editorErrors.some(({ idx, rowIdx }) => idx === cell.idx && rowIdx === cell.rowIdx)
+        ),
+        ...editorErrors
+      ];
+    },
+    getChanges,
+    revertCell,
+    revertAllCells,
+    acceptChanges,
+    canUndo,
+    canRedo
   }));
 
   useEffect(() => {
     onSelectedRangeChange?.(selectedRange);
   }, [selectedRange, onSelectedRangeChange]);
 
+  useAutoScroll({
+    gridRef,
+    isEnabled: isMouseRangeSelecting || isDragging,
+    insetBlockStart:
+      headerRowsHeight + topSummaryRowsCount * summaryRowHeight + topPinnedRowsHeight,
+    insetBlockEnd:
+      bottomSummaryRowsCount * summaryRowHeight +
+      bottomPinnedRowsHeight +
+      horizontalScrollbarHeight,
+    direction,
+    onAutoScroll: handleAutoScroll
+  });
+
+  useEffect(() => {
+    if (!isMouseRangeSelecting) return;
+    // end the selection when the mouse button is released outside the cells
+    window.addEventListener('mouseup', endMouseRangeSelectionLatest);
+    return () => {
+      window.removeEventListener('mouseup', endMouseRangeSelectionLatest);
+    };
+  }, [isMouseRangeSelecting, endMouseRangeSelectionLatest]);
+
   /**
    * event handlers
    */
@@ -626,6 +1037,102 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     onSelectedRowsChange(newSelectedRows);
   }
 
+  function handleFilterChange(columnKey: string, value: FilterValue | undefined) {
+    const newFilters = new Map(filters);
+    if (value === undefined) {
+      newFilters.delete(columnKey);
+    } else {
+      newFilters.set(columnKey, value);
+    }
+    setFiltersInternal(newFilters);
+    onFiltersChange?.(newFilters);
+  }
+
+  function handleColumnsReorder(
+    sourceColumn: CalculatedColumn<R, SR>,
+    targetIdx: number,
+    position: ColumnDropPosition
+  ) {
+    if (targetIdx < 0 || targetIdx >= columns.length) return;
+    const targetColumn = columns[targetIdx];
+    if (!canMoveColumn(sourceColumn, targetColumn)) return;
+
+    const { columnOrder: newColumnOrder, movedColumnKeys } = moveColumn(
+      orderedColumns,
+      sourceColumn.key,
+      targetColumn.key,
+      position
+    );
+    setColumnOrderInternal(newColumnOrder);
+    onColumnOrderChange?.(newColumnOrder);
+    // dropping a column across the frozen boundary pins or unpins it
+    if (sourceColumn.frozenSide !== targetColumn.frozenSide) {
+      const freezableColumnKeys = new Set(
+        getLeafColumns(rawColumns)
+          .filter(({ freezable }) => freezable !== false)
+          .map(({ key }) => key)
+      );
+      handleColumnsFrozenChange(
+        movedColumnKeys
+          .filter((key) => freezableColumnKeys.has(key))
+          .map((key) => [key, targetColumn.frozen])
+      );
+    }
+    if (selectedPosition.idx >= 0) {
+      setReorderedSelectedColumnKey(columns[selectedPosition.idx].key);
+    }
+  }
+
+  function handleHiddenColumnKeysChange(newHiddenColumnKeys: Set<string>) {
+    setHiddenColumnKeysInternal(newHiddenColumnKeys);
+    onHiddenColumnKeysChange?.(newHiddenColumnKeys);
+  }
+
+  function handleColumnsFrozenChange(changes: Iterable<readonly [key: string, frozen: boolean]>) {
+    const newFrozenColumnKeys = new Set(
+      frozenColumnKeys ??
+        getLeafColumns(rawColumns)
+          .filter(({ frozen }) => frozen === true)
+          .map(({ key }) => key)
+    );
+    for (const [key, frozen] of changes) {
+      if (frozen) {
+        newFrozenColumnKeys.add(key);
+      } else {
+        newFrozenColumnKeys.delete(key);
+      }
+    }
+    setFrozenColumnKeysInternal(newFrozenColumnKeys);
+    onFrozenColumnKeysChange?.(newFrozenColumnKeys);
+  }
+
+  function handleFrozenColumnsCountChange(frozenColumnsCount: number) {
+    // the frozen columns that are not freezable stay frozen
+    const minFrozenColumnsCount =
+      columns.findLastIndex(
+        (column) => column.frozenSide === 'start' && column.freezable === false
+      ) + 1;
+    const newFrozenColumnsCount = max(frozenColumnsCount, minFrozenColumnsCount);
+    if (newFrozenColumnsCount === lastFrozenColumnIndex + 1) return;
+
+    handleColumnsFrozenChange(
+      columns
+        .filter((column) => column.freezable !== false && column.frozenSide !== 'end')
+        .map((column) => [column.key, column.idx < newFrozenColumnsCount])
+    );
+  }
+
+  function toggleHeaderMenu(column: CalculatedColumn<R, SR>, anchor: HTMLElement) {
+    setHeaderMenu(headerMenu?.columnKey === column.key ? null : { columnKey: column.key, anchor });
+  }
+
+  function closeHeaderMenu(shouldFocusAnchor: boolean) {
+    if (shouldFocusAnchor) {
+      headerMenu?.anchor.focus({ preventScroll: true });
+    }
+    setHeaderMenu(null);
+  }
+
   function selectRow(args: SelectRowEvent<R>) {
     if (!onSelectedRowsChange) return;
 
@@ -688,44 +1195,44 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     const isCellEvent = event.target.closest('.rdg-cell') !== null;
     const isRowEvent = isTreeGrid && event.target === focusSinkRef.current;
     if (!isCellEvent && !isRowEvent) return;
+    // the inputs of the filter row and of the cells keep their own shortcuts
+    const isGridShortcutTarget =
+      isRowIdxWithinViewportBounds(rowIdx) && !isEditableElement(event.target);
 
-    if (event.shiftKey) {
-      switch (event.key) {
-        case 'ArrowUp':
-          if (selectedRange.endRowIdx > 0) {
-            setSelectedRangeWithBoundary({
-              ...selectedRange,
-              endRowIdx: selectedRange.endRowIdx - 1
-            });
-          }
-          break;
-        case 'ArrowDown':
-          if (selectedRange.endRowIdx < rows.length - 1) {
-            setSelectedRangeWithBoundary({
-              ...selectedRange,
-              endRowIdx: selectedRange.endRowIdx + 1
-            });
-          }
-          break;
-        case 'ArrowRight':
-          if (selectedRange.endColumnIdx < columns.length - 1) {
-            setSelectedRangeWithBoundary({
-              ...selectedRange,
-              endColumnIdx: selectedRange.endColumnIdx + 1
-            });
-          }
-          break;
-        case 'ArrowLeft':
-          if (selectedRange.endColumnIdx > 0) {
-            setSelectedRangeWithBoundary({
-              ...selectedRange,
-              endColumnIdx: selectedRange.endColumnIdx - 1
-            });
-          }
-          break;
-        default:
-          break;
+    if (enableUndoRedo && isGridShortcutTarget && (isUndoKey(event) || isRedoKey(event))) {
+      if (isUndoKey(event)) {
+        undo();
+      } else {
+        redo();
+      }
+      // prevent the browser from undoing unrelated changes
+      event.preventDefault();
+      return;
+    }
+
+    if (
+      enableRangeSelection &&
+      isGridShortcutTarget &&
+      isClearCellsKey(event) &&
+      isMultiCellSelection
+    ) {
+      clearSelectedCells();
+      // prevent the browser from navigating back
+      event.preventDefault();
+      return;
+    }
+
+    if (enableRangeSelection && isGridShortcutTarget && isSelectAllKey(event)) {
+      if (rows.length > 0) {
+        setSelectedRanges([getRowsRange(0, rows.length - 1)]);
       }
+      // prevent the browser from selecting the page text
+      event.preventDefault();
+      return;
+    }
+
+    if (event.shiftKey) {
+      extendSelectedRange(event);
     } else {
       switch (event.key) {
         case 'ArrowUp':
@@ -739,6 +1246,9 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
         case 'PageDown':
           navigate(event);
           break;
+        case 'Escape':
+          setCopiedRange(null);
+          break;
         default:
           handleCellInput(event);
           break;
@@ -756,34 +1266,236 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     onScroll?.(event);
   }
 
-  function updateRow(column: CalculatedColumn<R, SR>, rowIdx: number, row: R) {
+  function updateRow(
+    column: CalculatedColumn<R, SR>,
+    rowIdx: number,
+    row: R,
+    updatedColumns?: CalculatedColumn<R, SR>[]
+  ) {
     if (typeof onRowsChange !== 'function') return;
     if (row === rows[rowIdx]) return;
     const updatedRows = [...rows];
     updatedRows[rowIdx] = row;
-    onRowsChange(updatedRows, {
-      indexes: [rowIdx],
-      column
+    handleRowsChange(
+      updatedRows,
+      updatedColumns === undefined
+        ? { indexes: [rowIdx], column }
+        : { indexes: [rowIdx], column, columns: updatedColumns }
+    );
+  }
+
+  /**
+   * Commits the changes of the editors when they pass the validation of the edited columns.
+   * Returns `false` when the editors must stay open, an async validation closes the editors once it succeeds.
+   * With `commitToRange`, the edited value is written to all the editable cells of the selected ranges
+   */
+  function commitEditorChanges(row?: R, shouldFocusCell = true, commitToRange = false): boolean {
+    if (selectedPosition.mode !== 'EDIT') return true;
+    const { rowIdx, isValidating, inputErrors } = selectedPosition;
+    row ??= selectedPosition.row;
+    if (isValidating && row === selectedPosition.row) return false;
+
+    const editedColumns = getEditedColumns(selectedPosition);
+    // the row holds the last valid value of an editor with an input error
+    const errors = editedColumns.map(
+      (column) => inputErrors?.get(column.key) ?? column.validate?.(row[column.key as keyof R], row)
+    );
+    if (errors.every((error): error is Maybe<string> => !(error instanceof Promise))) {
+      return commitValidatedRow(editedColumns, errors, rowIdx, row, commitToRange);
+    }
+
+    setSelectedPosition((position) => ({
+      ...position,
+      row,
+      isValidating: true
+    }));
+    Promise.all(errors.map(getValidationResult)).then((results) => {
+      handleAsyncValidationLatest(
+        editedColumns,
+        results,
+        rowIdx,
+        row,
+        shouldFocusCell,
+        commitToRange
+      );
     });
+    return false;
   }
 
-  function commitEditorChanges() {
-    if (selectedPosition.mode !== 'EDIT') return;
-    updateRow(columns[selectedPosition.idx], selectedPosition.rowIdx, selectedPosition.row);
+  function commitValidatedRow(
+    editedColumns: readonly CalculatedColumn<R, SR>[],
+    errors: readonly Maybe<string>[],
+    rowIdx: number,
+    row: R,
+    commitToRange: boolean
+  ): boolean {
+    const validationErrors: CellValidationError[] = [];
+    for (const [index, column] of editedColumns.entries()) {
+      const error = errors[index];
+      if (error != null) {
+        validationErrors.push({ idx: column.idx, rowIdx, error });
+        onValidationError?.({ row, rowIdx, column, error });
+      }
+    }
+
+    if (validationErrors.length > 0) {
+      // the editor of the first invalid cell becomes the active editor
+      setSelectedPosition((position) => ({
+        ...position,
+        idx: validationErrors[0].idx,
+        row,
+        validationErrors,
+        isValidating: false
+      }));
+      return false;
+    }
+
+    // the committed values replace the values left out of earlier changes
+    updateInvalidCells(
+      editedColumns.map((column) => ({ previousRow: rows[rowIdx], row, column, error: undefined }))
+    );
+
+    if (editMode === 'cell') {
+      const [column] = editedColumns;
+      if (commitToRange) {
+        const value = row[column.key as keyof R];
+        updateSelectedCells(() => value, { column, rowIdx, row });
+      } else {
+        updateRow(column, rowIdx, row);
+      }
+    } else {
+      const updatedColumns = editedColumns.filter(
+        ({ key }) => !Object.is(row[key as keyof R], rows[rowIdx][key as keyof R])
+      );
+      updateRow(updatedColumns[0] ?? columns[selectedPosition.idx], rowIdx, row, updatedColumns);
+    }
+    return true;
+  }
+
+  function handleAsyncValidation(
+    editedColumns: readonly CalculatedColumn<R, SR>[],
+    errors: readonly Maybe<string>[],
+    rowIdx: number,
+    row: R,
+    shouldFocusCell: boolean,
+    commitToRange: boolean
+  ) {
+    // the editor was closed or its row has changed during the validation
+    if (
+      selectedPosition.mode !== 'EDIT' ||
+      selectedPosition.rowIdx !== rowIdx ||
+      selectedPosition.row !== row ||
+      !editedColumns.some(({ idx }) => idx === selectedPosition.idx)
+    ) {
+      return;
+    }
+
+    if (commitValidatedRow(editedColumns, errors, rowIdx, row, commitToRange)) {
+      closeEditor(shouldFocusCell);
+    }
+  }
+
+  /**
+   * Returns the columns edited together, all the editable cells of the row when `editMode` is `'row'`
+   */
+  function getEditedColumns({ idx, originalRow }: EditCellState<R>) {
+    if (editMode === 'cell') return [columns[idx]];
+    return columns.filter((column) => isCellEditableUtil(column, originalRow));
+  }
+
+  function closeEditor(shouldFocusCell: boolean) {
+    setShouldFocusCell(shouldFocusCell);
+    setSelectedPosition(({ idx, rowIdx }) => ({ idx, rowIdx, mode: 'SELECT' }));
+  }
+
+  function handleEditorRowChange(row: R, commitChanges: boolean, shouldFocusCell: boolean) {
+    if (commitChanges) {
+      // Prevents two issues when editor is closed by clicking on a different cell
+      //
+      // Otherwise commitEditorChanges may be called before the cell state is changed to
+      // SELECT and this results in onRowChange getting called twice.
+      flushSync(() => {
+        if (commitEditorChanges(row, shouldFocusCell)) {
+          closeEditor(shouldFocusCell);
+        }
+      });
+    } else {
+      // an async validation of the previous row is outdated
+      setSelectedPosition((position) => ({ ...position, row, isValidating: false }));
+    }
+  }
+
+  function handleEditorInputErrorChange(
+    column: CalculatedColumn<R, SR>,
+    error: string | undefined
+  ) {
+    setSelectedPosition((position) => {
+      if (position.mode !== 'EDIT' || position.inputErrors?.get(column.key) === error) {
+        return position;
+      }
+      const inputErrors = new Map(position.inputErrors);
+      if (error === undefined) {
+        inputErrors.delete(column.key);
+      } else {
+        inputErrors.set(column.key, error);
+      }
+      return { ...position, inputErrors };
+    });
+  }
+
+  function commitEditorChangesToRange(row: R) {
+    flushSync(() => {
+      if (commitEditorChanges(row, true, true)) {
+        closeEditor(true);
+      }
+    });
+  }
+
+  function activateEditCell(idx: number) {
+    setSelectedPosition((position) => ({ ...position, idx }));
   }
 
   function handleCellCopy(event: CellClipboardEvent) {
     if (enableRangeSelection) {
+      // let the editor handle its own copy
+      if (selectedPosition.mode === 'EDIT') return;
+      const range = getNormalizedRange(selectedRange);
+      if (!isRowIdxWithinViewportBounds(range.startRowIdx) || range.startColumnIdx < 0) return;
+
       setCopiedRange(selectedRange);
-      const sourceRows = rows.slice(selectedRange.startRowIdx, selectedRange.endRowIdx + 1);
-      const sourceColumnKeys = columns
-        .slice(selectedRange.startColumnIdx, selectedRange.endColumnIdx + 1)
-        .map((c) => c.key);
-      onMultiCopy?.({
-        cellsRange: selectedRange,
-        sourceRows,
-        sourceColumnKeys
+      const { rowIdxs, columnIdxs } = getCopiedIndexes(selectedRanges);
+      const sourceRows = rowIdxs.map((rowIdx) => rows[rowIdx]);
+      const sourceColumns = columnIdxs.map((columnIdx) => columns[columnIdx]);
+      const { text, html } = serializeRange({
+        rows: sourceRows,
+        columns: sourceColumns,
+        options: clipboardOptions
       });
+
+      if (onMultiCopy) {
+        const cellEvent = createCellEvent(event);
+        onMultiCopy(
+          {
+            cellsRange: selectedRange,
+            cellsRanges: [...selectedRanges],
+            sourceRows,
+            sourceColumnKeys: sourceColumns.map((c) => c.key),
+            text,
+            html
+          },
+          cellEvent
+        );
+        if (cellEvent.isGridDefaultPrevented()) return;
+      }
+
+      latestCopiedData.current = {
+        text,
+        values: sourceRows.map((row) => sourceColumns.map((column) => row[column.key as keyof R]))
+      };
+      event.clipboardData.setData('text/plain', text);
+      event.clipboardData.setData('text/html', html);
+      // prevent the browser from copying the selected text instead
+      event.preventDefault();
     } else {
       if (!selectedCellIsWithinViewportBounds) return;
       const { idx, rowIdx } = selectedPosition;
@@ -793,14 +1505,43 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
 
   function handleCellPaste(event: CellClipboardEvent) {
     if (enableRangeSelection) {
-      if (!onMultiPaste || !onRowsChange || copiedRange === null) {
+      // let the editor handle its own paste
+      if (!onRowsChange || selectedPosition.mode === 'EDIT') return;
+      const targetRange = getNormalizedRange(selectedRange);
+      if (
+        !isRowIdxWithinViewportBounds(targetRange.startRowIdx) ||
+        targetRange.startColumnIdx < 0
+      ) {
         return;
       }
 
-      onMultiPaste({
-        copiedRange,
-        targetRange: selectedRange
-      });
+      const values = parseClipboardData(event.clipboardData, clipboardOptions);
+      if (values.length === 0) return;
+      // the copied range is only relevant if the clipboard still holds what the grid copied
+      const copiedData = latestCopiedData.current;
+      const isCopiedFromGrid =
+        copiedRange !== null && copiedData?.text === event.clipboardData.getData('text/plain');
+
+      if (onMultiPaste) {
+        const cellEvent = createCellEvent(event);
+        onMultiPaste(
+          {
+            copiedRange: isCopiedFromGrid ? copiedRange : null,
+            targetRange,
+            values
+          },
+          cellEvent
+        );
+        if (cellEvent.isGridDefaultPrevented()) return;
+      }
+
+      event.preventDefault();
+      if (isCopiedFromGrid) {
+        // paste the original values instead of their text representation
+        pasteValues(copiedData.values, targetRange, false);
+      } else {
+        pasteValues(values, targetRange, true);
+      }
     } else {
       if (!onCellPaste || !onRowsChange || !isCellEditable(selectedPosition)) {
         return;
@@ -813,6 +1554,177 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     }
   }
 
+  function pasteValues(
+    values: readonly (readonly unknown[])[],
+    targetRange: CellsRange,
+    shouldParseValues: boolean
+  ) {
+    const sourceRowsCount = values.length;
+    // spreading the lines of a large paste into max() would overflow the call stack
+    const sourceColumnsCount = values.reduce((count, line) => max(count, line.length), 0);
+    const pasteRange = getPasteRange(targetRange, sourceRowsCount, sourceColumnsCount);
+    const { startRowIdx, startColumnIdx } = pasteRange;
+    const endRowIdx = min(pasteRange.endRowIdx, rows.length - 1);
+    const endColumnIdx = min(pasteRange.endColumnIdx, maxColIdx);
+    const updatedRows = [...rows];
+    const updatedCells: UpdatedCell<R, SR>[] = [];
+    const skippedCells: Position[] = [];
+
+    for (let rowIdx = startRowIdx; rowIdx <= endRowIdx; rowIdx++) {
+      const line = values[(rowIdx - startRowIdx) % sourceRowsCount];
+      let row = rows[rowIdx];
+
+      for (let idx = startColumnIdx; idx <= endColumnIdx; idx++) {
+        const valueIdx = (idx - startColumnIdx) % sourceColumnsCount;
+        // lines can have fewer values than the widest line
+        if (valueIdx >= line.length) continue;
+        if (!isCellEditable({ rowIdx, idx })) {
+          skippedCells.push({ rowIdx, idx });
+          continue;
+        }
+        const column = columns[idx];
+        const value = line[valueIdx];
+        row = {
+          ...row,
+          [column.key]:
+            shouldParseValues && column.parseValue ? column.parseValue(value as string, row) : value
+        };
+        updatedCells.push({ rowIdx, column });
+      }
+      updatedRows[rowIdx] = row;
+    }
+
+    // select the pasted cells
+    setSelectedRangeWithBoundary({ startRowIdx, startColumnIdx, endRowIdx, endColumnIdx });
+
+    if (skippedCells.length > 0) {
+      onPasteSkippedCells?.(skippedCells);
+    }
+
+    if (updatedCells.length > 0) {
+      validateUpdatedCells(updatedRows, updatedCells);
+    }
+  }
+
+  /**
+   * Sets the editable cells of the selected ranges to the value returned by `getValue`.
+   * The values that fail the validation of their column are left out and reported with `onValidationError`,
+   * the other changes are emitted with a single `onRowsChange` call
+   */
+  function updateSelectedCells(
+    getValue: (column: CalculatedColumn<R, SR>, row: R) => unknown,
+    editedCell?: EditedCell<R, SR>
+  ) {
+    if (typeof onRowsChange !== 'function') return;
+    const updatedRows = [...rows];
+    const updatedCells: UpdatedCell<R, SR>[] = [];
+
+    for (const range of selectedRanges) {
+      const { startRowIdx, startColumnIdx, endRowIdx, endColumnIdx } = getNormalizedRange(range);
+      for (let rowIdx = max(startRowIdx, 0); rowIdx <= min(endRowIdx, rows.length - 1); rowIdx++) {
+        for (let idx = max(startColumnIdx, 0); idx <= min(endColumnIdx, maxColIdx); idx++) {
+          // the edited value is only written to the cells of the edited column
+          if (
+            editedCell !== undefined &&
+            (idx !== editedCell.column.idx || rowIdx === editedCell.rowIdx)
+          ) {
+            continue;
+          }
+          if (!isCellEditable({ rowIdx, idx })) continue;
+          const column = columns[idx];
+          const row = updatedRows[rowIdx];
+          const value = getValue(column, rows[rowIdx]);
+          if (Object.is(row[column.key as keyof R], value)) continue;
+          updatedRows[rowIdx] = { ...row, [column.key]: value };
+          updatedCells.push({ rowIdx, column });
+        }
+      }
+    }
+
+    validateUpdatedCells(updatedRows, updatedCells, editedCell);
+  }
+
+  /**
+   * Runs the validation of the columns of the cells written by a range edit, a paste or a fill.
+   * The values that fail the validation of their column are left out and reported with `onValidationError`,
+   * the other changes are emitted with a single `onRowsChange` call
+   */
+  function validateUpdatedCells(
+    updatedRows: readonly R[],
+    updatedCells: readonly UpdatedCell<R, SR>[],
+    editedCell?: EditedCell<R, SR>
+  ) {
+    const errors = updatedCells.map(({ rowIdx, column }) => {
+      const row = updatedRows[rowIdx];
+      return column.validate?.(row[column.key as keyof R], row);
+    });
+    if (errors.every((error): error is Maybe<string> => !(error instanceof Promise))) {
+      commitValidatedCells(updatedRows, updatedCells, errors, editedCell);
+      return;
+    }
+
+    Promise.all(errors.map(getValidationResult)).then((results) => {
+      commitValidatedCellsLatest(updatedRows, updatedCells, results, editedCell);
+    });
+  }
+
+  function commitValidatedCells(
+    updatedRows: readonly R[],
+    updatedCells: readonly UpdatedCell<R, SR>[],
+    errors: readonly Maybe<string>[],
+    editedCell: EditedCell<R, SR> | undefined
+  ) {
+    if (typeof onRowsChange !== 'function') return;
+    // the rows may have changed during an async validation
+    const committedRows = [...rows];
+    const indexes = new Set<number>();
+    const updatedColumns = new Set<CalculatedColumn<R, SR>>();
+
+    if (editedCell !== undefined && editedCell.row !== rows[editedCell.rowIdx]) {
+      committedRows[editedCell.rowIdx] = editedCell.row;
+      indexes.add(editedCell.rowIdx);
+      updatedColumns.add(editedCell.column);
+    }
+
+    for (let index = 0; index < updatedCells.length; index++) {
+      const { rowIdx, column } = updatedCells[index];
+      const row = updatedRows[rowIdx];
+      const error = errors[index];
+      if (error != null) {
+        onValidationError?.({ row, rowIdx, column, error });
+        continue;
+      }
+      committedRows[rowIdx] = {
+        ...committedRows[rowIdx],
+        [column.key]: row[column.key as keyof R]
+      };
+      indexes.add(rowIdx);
+      updatedColumns.add(column);
+    }
+
+    updateInvalidCells(
+      updatedCells.map(({ rowIdx, column }, index) => ({
+        previousRow: rows[rowIdx],
+        row: committedRows[rowIdx],
+        column,
+        error: errors[index]
+      }))
+    );
+
+    if (indexes.size > 0) {
+      const [column] = updatedColumns;
+      handleRowsChange(committedRows, {
+        indexes: [...indexes].sort((a, b) => a - b),
+        column,
+        columns: [...updatedColumns]
+      });
+    }
+  }
+
+  function clearSelectedCells() {
+    updateSelectedCells((column, row) => (column.clearValue ? column.clearValue(row) : null));
+  }
+
   function handleCellInput(event: KeyboardEvent<HTMLDivElement>) {
     if (!selectedCellIsWithinViewportBounds) return;
     const row = rows[selectedPosition.rowIdx];
@@ -878,8 +1790,10 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
   }
 
   function selectCell(position: Position, enableEditor?: Maybe<boolean>): void {
+    const rangeAction = pendingRangeAction.current;
+    pendingRangeAction.current = undefined;
     if (!isCellWithinSelectionBounds(position)) return;
-    commitEditorChanges();
+    if (!commitEditorChanges()) return;
 
     const samePosition = isSamePosition(selectedPosition, position);
 
@@ -892,12 +1806,20 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     } else {
       setShouldFocusCell(true);
       setSelectedPosition({ ...position, mode: 'SELECT' });
-      setSelectedRange({
+      let range: CellsRange = {
         startColumnIdx: position.idx,
         startRowIdx: position.rowIdx,
         endColumnIdx: position.idx,
         endRowIdx: position.rowIdx
-      });
+      };
+      if (isRowNumberCell(position)) {
+        const startRowIdx =
+          rangeAction === 'extend' && isRowIdxWithinViewportBounds(selectedRange.startRowIdx)
+            ? selectedRange.startRowIdx
+            : position.rowIdx;
+        range = getRowsRange(startRowIdx, position.rowIdx);
+      }
+      setSelectedRanges(rangeAction === 'add' ? [...selectedRanges, range] : [range]);
     }
 
     if (onSelectedCellChange && !samePosition) {
@@ -909,6 +1831,180 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     }
   }
 
+  function isRowNumberCell({ idx, rowIdx }: Position) {
+    return (
+      enableRangeSelection &&
+      isRowIdxWithinViewportBounds(rowIdx) &&
+      idx >= 0 &&
+      idx <= maxColIdx &&
+      columns[idx].key === ROW_NUMBER_COLUMN_KEY
+    );
+  }
+
+  /**
+   * Gets the range including all the cells of the given rows,
+   * the row number column and the columns on the left of the range boundary are excluded
+   */
+  function getRowsRange(startRowIdx: number, endRowIdx: number): CellsRange {
+    const rowNumberColumnIdx = columns.findIndex((column) => column.key === ROW_NUMBER_COLUMN_KEY);
+    return {
+      startRowIdx,
+      startColumnIdx: max(rowNumberColumnIdx, rangeLeftBoundary) + 1,
+      endRowIdx,
+      endColumnIdx: maxColIdx
+    };
+  }
+
+  function selectColumn(column: CalculatedColumn<R, SR>, isShiftClick: boolean) {
+    if (rows.length === 0) return;
+
+    if (column.key === ROW_NUMBER_COLUMN_KEY) {
+      setSelectedRanges([getRowsRange(0, rows.length - 1)]);
+      return;
+    }
+
+    if (column.idx <= rangeLeftBoundary) return;
+    const startColumnIdx =
+      isShiftClick && selectedRange.startColumnIdx > rangeLeftBoundary
+        ? selectedRange.startColumnIdx
+        : column.idx;
+    setSelectedRanges([
+      {
+        startRowIdx: 0,
+        startColumnIdx,
+        endRowIdx: rows.length - 1,
+        endColumnIdx: column.idx
+      }
+    ]);
+  }
+
+  function endMouseRangeSelection() {
+    setIsMouseRangeSelectionMode(false);
+
+    // Once the ranges are decided, re-evaluate start and end;
+    if (
+      selectedRange.startRowIdx > selectedRange.endRowIdx ||
+      selectedRange.startColumnIdx > selectedRange.endColumnIdx
+    ) {
+      setSelectedRange(getNormalizedRange(selectedRange));
+    }
+  }
+
+  function extendMouseRangeSelection(rowIdx: number, idx: number) {
+    if (!isMouseRangeSelectionMode || !enableRangeSelection) return;
+    // keep selecting whole rows when dragging from the row numbers
+    const endColumnIdx = isRowNumberCell(selectedPosition) ? maxColIdx : idx;
+    if (selectedRange.endRowIdx === rowIdx && selectedRange.endColumnIdx === endColumnIdx) return;
+
+    setSelectedRangeWithBoundary({
+      ...selectedRange,
+      endRowIdx: rowIdx,
+      endColumnIdx
+    });
+  }
+
+  function handleAutoScroll(clientX: number, clientY: number) {
+    const cell = document.elementFromPoint(clientX, clientY)?.closest('[role="gridcell"]');
+    if (cell == null || !gridRef.current!.contains(cell)) return;
+    // aria-rowindex and aria-colindex are 1 based
+    const rowIdx =
+      Number(cell.parentElement!.getAttribute('aria-rowindex')) - headerAndTopSummaryRowsCount - 1;
+    const idx = Number(cell.getAttribute('aria-colindex')) - 1;
+    if (!isRowIdxWithinViewportBounds(rowIdx)) return;
+
+    if (isDragging) {
+      setDraggedOverRowIdx(rowIdx);
+      setDraggedOverColumnIdx(idx);
+    } else {
+      extendMouseRangeSelection(rowIdx, idx);
+    }
+  }
+
+  function getPageUpRowIdx(rowIdx: number) {
+    const nextRowY = getRowTop(rowIdx) + getRowHeight(rowIdx) - clientHeight;
+    return nextRowY > 0 ? findRowIdx(nextRowY) : 0;
+  }
+
+  function getPageDownRowIdx(rowIdx: number) {
+    const nextRowY = getRowTop(rowIdx) + clientHeight;
+    return nextRowY < totalRowHeight ? findRowIdx(nextRowY) : rows.length - 1;
+  }
+
+  function isCellEmpty(rowIdx: number, idx: number) {
+    const value = rows[rowIdx][columns[idx].key as keyof R];
+    return value == null || value === '';
+  }
+
+  function extendSelectedRange(event: KeyboardEvent<HTMLDivElement>) {
+    const { startRowIdx, startColumnIdx, endRowIdx, endColumnIdx } = selectedRange;
+    if (!enableRangeSelection || !isRowIdxWithinViewportBounds(startRowIdx) || startColumnIdx < 0) {
+      return;
+    }
+
+    const ctrlKey = isCtrlKeyHeldDown(event);
+    const lastRowIdx = rows.length - 1;
+    const minColumnIdx = rangeLeftBoundary + 1;
+    let nextEndRowIdx = endRowIdx;
+    let nextEndColumnIdx = endColumnIdx;
+
+    switch (event.key) {
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        const step = event.key === 'ArrowUp' ? -1 : 1;
+        nextEndRowIdx = ctrlKey
+          ? getDataEdgeIdx(endRowIdx, step, 0, lastRowIdx, (rowIdx) =>
+              isCellEmpty(rowIdx, endColumnIdx)
+            )
+          : min(max(endRowIdx + step, 0), lastRowIdx);
+        break;
+      }
+      case leftKey:
+      case rightKey: {
+        const step = event.key === leftKey ? -1 : 1;
+        nextEndColumnIdx = ctrlKey
+          ? getDataEdgeIdx(endColumnIdx, step, minColumnIdx, maxColIdx, (idx) =>
+              isCellEmpty(endRowIdx, idx)
+            )
+          : min(max(endColumnIdx + step, minColumnIdx), maxColIdx);
+        break;
+      }
+      case 'Home':
+        nextEndColumnIdx = minColumnIdx;
+        if (ctrlKey) nextEndRowIdx = 0;
+        break;
+      case 'End':
+        nextEndColumnIdx = maxColIdx;
+        if (ctrlKey) nextEndRowIdx = lastRowIdx;
+        break;
+      case 'PageUp':
+        nextEndRowIdx = getPageUpRowIdx(endRowIdx);
+        break;
+      case 'PageDown':
+        nextEndRowIdx = getPageDownRowIdx(endRowIdx);
+        break;
+      default:
+        return;
+    }
+
+    // prevent scrolling
+    event.preventDefault();
+    if (nextEndRowIdx === endRowIdx && nextEndColumnIdx === endColumnIdx) return;
+
+    setSelectedRangeWithBoundary({
+      ...selectedRange,
+      endRowIdx: nextEndRowIdx,
+      endColumnIdx: nextEndColumnIdx
+    });
+    // keep the moving edge of the range visible
+    setScrollToPosition({
+      idx:
+        nextEndColumnIdx > lastFrozenColumnIndex && nextEndColumnIdx < firstEndFrozenColumnIndex
+          ? nextEndColumnIdx
+          : undefined,
+      rowIdx: nextEndRowIdx
+    });
+  }
+
   function getNextPosition(key: string, ctrlKey: boolean, shiftKey: boolean): Position {
     const { idx, rowIdx } = selectedPosition;
     const isRowSelected = selectedCellIsWithinSelectionBounds && idx === -1;
@@ -932,16 +2028,12 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
         // If row is selected then move focus to the last row.
         if (isRowSelected) return { idx, rowIdx: maxRowIdx };
         return { idx: maxColIdx, rowIdx: ctrlKey ? maxRowIdx : rowIdx };
-      case 'PageUp': {
+      case 'PageUp':
         if (selectedPosition.rowIdx === minRowIdx) return selectedPosition;
-        const nextRowY = getRowTop(rowIdx) + getRowHeight(rowIdx) - clientHeight;
-        return { idx, rowIdx: nextRowY > 0 ? findRowIdx(nextRowY) : 0 };
-      }
-      case 'PageDown': {
+        return { idx, rowIdx: getPageUpRowIdx(rowIdx) };
+      case 'PageDown':
         if (selectedPosition.rowIdx >= rows.length) return selectedPosition;
-        const nextRowY = getRowTop(rowIdx) + clientHeight;
-        return { idx, rowIdx: nextRowY < totalRowHeight ? findRowIdx(nextRowY) : rows.length - 1 };
-      }
+        return { idx, rowIdx: getPageDownRowIdx(rowIdx) };
       default:
         return selectedPosition;
     }
@@ -951,6 +2043,17 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     const { key, shiftKey } = event;
     let cellNavigationMode: CellNavigationMode = 'NONE';
     if (key === 'Tab') {
+      // Tab moves between the editors of the edited row without committing the changes
+      if (selectedPosition.mode === 'EDIT' && editMode === 'row') {
+        event.preventDefault();
+        const editedColumns = getEditedColumns(selectedPosition);
+        const index = editedColumns.findIndex(({ idx }) => idx === selectedPosition.idx);
+        const nextIndex =
+          (index + (shiftKey ? -1 : 1) + editedColumns.length) % editedColumns.length;
+        activateEditCell(editedColumns[nextIndex].idx);
+        return;
+      }
+
       if (
         canExitGrid({
           shiftKey,
@@ -960,8 +2063,10 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
           selectedPosition
         })
       ) {
-        commitEditorChanges();
         // Allow focus to leave the grid so the next control in the tab order can be focused
+        if (!commitEditorChanges()) {
+          event.preventDefault();
+        }
         return;
       }
 
@@ -987,6 +2092,7 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
       mainHeaderRowIdx,
       maxRowIdx,
       lastFrozenColumnIndex,
+      firstEndFrozenColumnIndex,
       cellNavigationMode,
       currentPosition: selectedPosition,
       nextPosition,
@@ -996,16 +2102,30 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     selectCell(nextSelectedCellPosition);
   }
 
-  function getDraggedOverCellIdx(currentRowIdx: number): number | undefined {
-    if (draggedOverRowIdx === undefined) return;
-    const { rowIdx } = selectedPosition;
+  function getDraggedOverCellsRange(
+    rowIdx: number
+  ): RenderRowProps<R, SR>['draggedOverCellsRange'] {
+    if (
+      fillTargetRange === undefined ||
+      !isValueInBetween(rowIdx, fillTargetRange.startRowIdx, fillTargetRange.endRowIdx)
+    ) {
+      return;
+    }
+
+    return { startIdx: fillTargetRange.startColumnIdx, endIdx: fillTargetRange.endColumnIdx };
+  }
+
+  function getSelectedCellsRanges(rowIdx: number): RenderRowProps<R, SR>['selectedCellsRanges'] {
+    if (!enableRangeSelection) return noSelectedCellsRanges;
+    const cellsRanges = [];
 
-    const isDraggedOver =
-      rowIdx < draggedOverRowIdx
-        ? rowIdx < currentRowIdx && currentRowIdx <= draggedOverRowIdx
-        : rowIdx > currentRowIdx && currentRowIdx >= draggedOverRowIdx;
+    for (const range of selectedRanges) {
+      if (isValueInBetween(rowIdx, range.startRowIdx, range.endRowIdx)) {
+        cellsRanges.push({ startIdx: range.startColumnIdx, endIdx: range.endColumnIdx });
+      }
+    }
 
-    return isDraggedOver ? selectedPosition.idx : undefined;
+    return cellsRanges.length === 0 ? noSelectedCellsRanges : cellsRanges;
   }
 
   function renderDragHandle() {
@@ -1017,7 +2137,8 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
       return;
     }
 
-    const { idx, rowIdx } = selectedPosition;
+    const { endColumnIdx: idx, endRowIdx: rowIdx } = fillSourceRange;
+    if (!isCellWithinViewportBounds({ idx, rowIdx })) return;
     const column = columns[idx];
     if (column.renderEditCell == null || column.editable === false) {
       return;
@@ -1030,17 +2151,84 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
         gridRowStart={headerAndTopSummaryRowsCount + rowIdx + 1}
         rows={rows}
         column={column}
+        columns={columns}
         columnWidth={columnWidth}
         maxColIdx={maxColIdx}
         isLastRow={rowIdx === maxRowIdx}
-        selectedPosition={selectedPosition}
+        sourceRange={fillSourceRange}
         isCellEditable={isCellEditable}
         latestDraggedOverRowIdx={latestDraggedOverRowIdx}
-        onRowsChange={onRowsChange}
+        latestDraggedOverColumnIdx={latestDraggedOverColumnIdx}
+        onCellsChange={onRowsChange == null ? undefined : validateUpdatedCells}
         onClick={focusCellOrCellContent}
         onFill={onFill}
+        fillSeriesDetector={fillSeriesDetector}
+        selectRange={enableRangeSelection ? setSelectedRangeWithBoundary : undefined}
         setDragging={setDragging}
         setDraggedOverRowIdx={setDraggedOverRowIdx}
+        setDraggedOverColumnIdx={setDraggedOverColumnIdx}
+      />
+    );
+  }
+
+  function renderFreezeDivider() {
+    if (!enableFreezeDivider || columns.length === 0) return;
+
+    return (
+      <FreezeDivider
+        columnsCount={columns.length}
+        lastFrozenColumnIndex={lastFrozenColumnIndex}
+        totalFrozenColumnWidth={totalFrozenColumnWidth}
+        columnHeaderRowsCount={columnHeaderRowsCount}
+        direction={direction}
+        onFrozenColumnsCountChange={handleFrozenColumnsCountChange}
+      />
+    );
+  }
+
+  function renderHeaderMenu() {
+    if (!enableHeaderMenu || headerMenu === null) return;
+    const column = columns.find((column) => column.key === headerMenu.columnKey);
+    if (column === undefined) return;
+
+    return (
+      <HeaderMenu
+        key={column.key}
+        column={column}
+        columns={columns}
+        anchor={headerMenu.anchor}
+        direction={direction}
+        sortColumns={sortColumns}
+        onSortColumnsChange={onSortColumnsChange}
+        maxSortColumns={maxSortColumns}
+        onColumnFrozenChange={(column, frozen) => handleColumnsFrozenChange([[column.key, frozen]])}
+        hiddenColumnKeys={hiddenColumnKeys}
+        onHiddenColumnKeysChange={handleHiddenColumnKeysChange}
+        onColumnsResize={handleColumnsResize}
+        headerMenuItems={headerMenuItems}
+        onClose={closeHeaderMenu}
+      />
+    );
+  }
+
+  function renderRangeOverlay(key: Key, range: CellsRange, isCopied: boolean) {
+    const { startRowIdx, startColumnIdx, endRowIdx, endColumnIdx } = getNormalizedRange(range);
+    if (!isRowIdxWithinViewportBounds(startRowIdx) || startColumnIdx < 0) return;
+
+    return (
+      <RangeOverlay
+        key={key}
+        range={{
+          startRowIdx,
+          startColumnIdx,
+          // the range can be out of bounds if rows or columns were removed
+          endRowIdx: min(endRowIdx, rows.length - 1),
+          endColumnIdx: min(endColumnIdx, maxColIdx)
+        }}
+        rowOffset={headerAndTopSummaryRowsCount}
+        lastFrozenColumnIndex={lastFrozenColumnIndex}
+        firstEndFrozenColumnIndex={firstEndFrozenColumnIndex}
+        isCopied={isCopied}
       />
     );
   }
@@ -1048,31 +2236,9 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
   function getCellEditor(rowIdx: number) {
     if (selectedPosition.rowIdx !== rowIdx || selectedPosition.mode === 'SELECT') return;
 
-    const { idx, row } = selectedPosition;
-    const column = columns[idx];
-    const colSpan = getColSpan(column, lastFrozenColumnIndex, { type: 'ROW', row });
+    const column = columns[selectedPosition.idx];
     const closeOnExternalRowChange = column.editorOptions?.closeOnExternalRowChange ?? true;
 
-    const closeEditor = (shouldFocusCell: boolean) => {
-      setShouldFocusCell(shouldFocusCell);
-      setSelectedPosition(({ idx, rowIdx }) => ({ idx, rowIdx, mode: 'SELECT' }));
-    };
-
-    const onRowChange = (row: R, commitChanges: boolean, shouldFocusCell: boolean) => {
-      if (commitChanges) {
-        // Prevents two issues when editor is closed by clicking on a different cell
-        //
-        // Otherwise commitEditorChanges may be called before the cell state is changed to
-        // SELECT and this results in onRowChange getting called twice.
-        flushSync(() => {
-          updateRow(column, selectedPosition.rowIdx, row);
-          closeEditor(shouldFocusCell);
-        });
-      } else {
-        setSelectedPosition((position) => ({ ...position, row }));
-      }
-    };
-
     if (
       closeOnExternalRowChange &&
       rows[selectedPosition.rowIdx] !== selectedPosition.originalRow
@@ -1081,6 +2247,37 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
       closeEditor(false);
     }
 
+    return renderEditCell(column, selectedPosition);
+  }
+
+  function getEditCells(rowIdx: number, rowColumns: readonly CalculatedColumn<R, SR>[]) {
+    if (
+      editMode === 'cell' ||
+      selectedPosition.rowIdx !== rowIdx ||
+      selectedPosition.mode === 'SELECT'
+    ) {
+      return;
+    }
+
+    const editCells = new Map<number, ReactElement<RenderEditCellProps<R, SR>>>();
+    for (const column of rowColumns) {
+      if (
+        column.idx !== selectedPosition.idx &&
+        isCellEditableUtil(column, selectedPosition.originalRow)
+      ) {
+        editCells.set(column.idx, renderEditCell(column, selectedPosition));
+      }
+    }
+    return editCells;
+  }
+
+  function renderEditCell(column: CalculatedColumn<R, SR>, position: EditCellState<R>) {
+    const { idx, rowIdx, row, validationErrors } = position;
+    const colSpan = getColSpan(column, lastFrozenColumnIndex, firstEndFrozenColumnIndex, {
+      type: 'ROW',
+      row
+    });
+
     return (
       <EditCell
         key={column.key}
@@ -1088,8 +2285,22 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
         colSpan={colSpan}
         row={row}
         rowIdx={rowIdx}
-        onRowChange={onRowChange}
+        editMode={editMode}
+        isActive={column.idx === idx}
+        validationError={validationErrors?.find((error) => error.idx === column.idx)?.error}
+        isValidating={position.isValidating ?? false}
+        direction={direction}
+        onRowChange={handleEditorRowChange}
+        onInputErrorChange={(error) => {
+          handleEditorInputErrorChange(column, error);
+        }}
+        commitChangesToRange={
+          enableRangeSelection && editMode === 'cell' ? commitEditorChangesToRange : undefined
+        }
         closeEditor={closeEditor}
+        activate={() => {
+          activateEditCell(column.idx);
+        }}
         onKeyDown={onCellKeyDown}
         navigate={navigate}
       />
@@ -1105,13 +2316,15 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
       !viewportColumns.includes(selectedColumn)
     ) {
       // Add the selected column to viewport columns if the cell is not within the viewport
-      return selectedPosition.idx > colOverscanEndIdx
-        ? [...viewportColumns, selectedColumn]
-        : [
-            ...viewportColumns.slice(0, lastFrozenColumnIndex + 1),
-            selectedColumn,
-            ...viewportColumns.slice(lastFrozenColumnIndex + 1)
-          ];
+      const insertIndex =
+        selectedPosition.idx > colOverscanEndIdx
+          ? viewportColumns.length - (columns.length - firstEndFrozenColumnIndex)
+          : lastFrozenColumnIndex + 1;
+      return [
+        ...viewportColumns.slice(0, insertIndex),
+        selectedColumn,
+        ...viewportColumns.slice(insertIndex)
+      ];
     }
     return viewportColumns;
   }
@@ -1120,19 +2333,39 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     const rowElements: React.ReactNode[] = [];
 
     const { idx: selectedIdx, rowIdx: selectedRowIdx } = selectedPosition;
+    const firstBottomPinnedRowIdx = rows.length - bottomPinnedRowsCount;
+    // pinned rows are always rendered
+    const isSelectedRowScrollable =
+      selectedCellIsWithinViewportBounds &&
+      selectedRowIdx >= topPinnedRowsCount &&
+      selectedRowIdx < firstBottomPinnedRowIdx;
 
     const startRowIdx =
-      selectedCellIsWithinViewportBounds && selectedRowIdx < rowOverscanStartIdx
+      isSelectedRowScrollable && selectedRowIdx < rowOverscanStartIdx
         ? rowOverscanStartIdx - 1
         : rowOverscanStartIdx;
     const endRowIdx =
-      selectedCellIsWithinViewportBounds && selectedRowIdx > rowOverscanEndIdx
+      isSelectedRowScrollable && selectedRowIdx > rowOverscanEndIdx
         ? rowOverscanEndIdx + 1
         : rowOverscanEndIdx;
 
-    for (let viewportRowIdx = startRowIdx; viewportRowIdx <= endRowIdx; viewportRowIdx++) {
+    const viewportRowIdxs: number[] = [];
+    for (let rowIdx = 0; rowIdx < topPinnedRowsCount; rowIdx++) {
+      viewportRowIdxs.push(rowIdx);
+    }
+    for (let rowIdx = startRowIdx; rowIdx <= endRowIdx; rowIdx++) {
+      viewportRowIdxs.push(rowIdx);
+    }
+    for (let rowIdx = firstBottomPinnedRowIdx; rowIdx < rows.length; rowIdx++) {
+      viewportRowIdxs.push(rowIdx);
+    }
+
+    for (const viewportRowIdx of viewportRowIdxs) {
+      const isRowPinned =
+        viewportRowIdx < topPinnedRowsCount || viewportRowIdx >= firstBottomPinnedRowIdx;
       const isRowOutsideViewport =
-        viewportRowIdx === rowOverscanStartIdx - 1 || viewportRowIdx === rowOverscanEndIdx + 1;
+        !isRowPinned &&
+        (viewportRowIdx === rowOverscanStartIdx - 1 || viewportRowIdx === rowOverscanEndIdx + 1);
       const rowIdx = isRowOutsideViewport ? selectedRowIdx : viewportRowIdx;
 
       let rowColumns = viewportColumns;
@@ -1151,9 +2384,13 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
       const gridRowStart = headerAndTopSummaryRowsCount + rowIdx + 1;
       let key: K | number = rowIdx;
       let isRowSelected = false;
+      let modifiedColumnKeys: ReadonlySet<string> | undefined;
+      let isRowAdded = false;
       if (typeof rowKeyGetter === 'function') {
         key = rowKeyGetter(row);
         isRowSelected = selectedRows?.has(key) ?? false;
+        modifiedColumnKeys = modifiedCells.get(key);
+        isRowAdded = addedRowKeys.has(key);
       }
 
       rowElements.push(
@@ -1171,42 +2408,46 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
           onCellContextMenu: onCellContextMenuLatest,
           rowClass,
           gridRowStart,
+          pinnedTop:
+            rowIdx < topPinnedRowsCount
+              ? headerRowsHeight + topSummaryRowsCount * summaryRowHeight + getRowTop(rowIdx)
+              : undefined,
+          pinnedBottom:
+            rowIdx >= firstBottomPinnedRowIdx
+              ? bottomSummaryRowsCount * summaryRowHeight +
+                totalRowHeight -
+                getRowTop(rowIdx) -
+                getRowHeight(rowIdx)
+              : undefined,
+          modifiedColumnKeys,
+          isRowAdded,
           selectedCellIdx: selectedRowIdx === rowIdx ? selectedIdx : undefined,
-          selectedCellsRange:
-            enableRangeSelection &&
-            isValueInBetween(rowIdx, selectedRange.startRowIdx, selectedRange.endRowIdx)
-              ? {
-                  startIdx: selectedRange.startColumnIdx,
-                  endIdx: selectedRange.endColumnIdx
-                }
-              : { startIdx: -1, endIdx: -1 },
-          draggedOverCellIdx: getDraggedOverCellIdx(rowIdx),
+          selectedCellsRanges: getSelectedCellsRanges(rowIdx),
+          draggedOverCellsRange: getDraggedOverCellsRange(rowIdx),
           setDraggedOverRowIdx: isDragging ? setDraggedOverRowIdx : undefined,
           lastFrozenColumnIndex,
+          firstEndFrozenColumnIndex,
           onRowChange: handleFormatterRowChangeLatest,
           selectCell: selectCellLatest,
           selectedCellEditor: getCellEditor(rowIdx),
+          editCells: getEditCells(rowIdx, rowColumns),
           rangeSelectionMode: enableRangeSelection,
-          onCellMouseDown: () => setIsMouseRangeSelectionMode(true),
-          onCellMouseUp() {
-            setIsMouseRangeSelectionMode(false);
-
-            // Once the ranges are decided, re-evaluate start and end;
-            setSelectedRange((boundValue) => ({
-              startColumnIdx: Math.min(boundValue.startColumnIdx, boundValue.endColumnIdx),
-              endColumnIdx: Math.max(boundValue.startColumnIdx, boundValue.endColumnIdx),
-              startRowIdx: Math.min(boundValue.startRowIdx, boundValue.endRowIdx),
-              endRowIdx: Math.max(boundValue.startRowIdx, boundValue.endRowIdx)
-            }));
+          onCellMouseDown(_args, event) {
+            setIsMouseRangeSelectionMode(true);
+            if (!enableRangeSelection) return;
+            // add a range instead of replacing the selection on Ctrl/Cmd+click
+            if (event.ctrlKey || event.metaKey) {
+              pendingRangeAction.current = 'add';
+            } else if (event.shiftKey) {
+              pendingRangeAction.current = 'extend';
+            }
           },
+          onCellMouseUp: endMouseRangeSelection,
           onCellMouseEnter({ column }) {
-            if (isMouseRangeSelectionMode && enableRangeSelection) {
-              setSelectedRangeWithBoundary({
-                ...selectedRange,
-                endRowIdx: rowIdx,
-                endColumnIdx: column.idx
-              });
+            if (isDragging) {
+              setDraggedOverColumnIdx(column.idx);
             }
+            extendMouseRangeSelection(rowIdx, column.idx);
           }
         })
       );
@@ -1219,6 +2460,7 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
   if (selectedPosition.idx > maxColIdx || selectedPosition.rowIdx > maxRowIdx) {
     setSelectedPosition({ idx: -1, rowIdx: minRowIdx - 1, mode: 'SELECT' });
     setDraggedOverRowIdx(undefined);
+    setDraggedOverColumnIdx(undefined);
   }
 
   // Keep the state and prop in sync
@@ -1237,6 +2479,15 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
     templateRows += ` repeat(${bottomSummaryRowsCount}, ${summaryRowHeight}px)`;
   }
 
+  // pinned rows are sticky so they only offset the scroll padding of the scrollable rows
+  const isSelectedRowPinned =
+    scrollToPosition?.rowIdx === undefined &&
+    isRowIdxWithinViewportBounds(selectedPosition.rowIdx) &&
+    (selectedPosition.rowIdx < topPinnedRowsCount ||
+      selectedPosition.rowIdx >= rows.length - bottomPinnedRowsCount);
+  const scrollPaddingTopPinnedRowsHeight = isSelectedRowPinned ? 0 : topPinnedRowsHeight;
+  const scrollPaddingBottomPinnedRowsHeight = isSelectedRowPinned ? 0 : bottomPinnedRowsHeight;
+
   const isGroupRowFocused =
     selectedPosition.idx === -1 && selectedPosition.rowIdx !== minRowIdx - 1;
 
@@ -1266,11 +2517,15 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
             selectedPosition.idx > lastFrozenColumnIndex || scrollToPosition?.idx !== undefined
               ? `${totalFrozenColumnWidth}px`
               : undefined,
+          scrollPaddingInlineEnd:
+            selectedPosition.idx < firstEndFrozenColumnIndex || scrollToPosition?.idx !== undefined
+              ? `${totalEndFrozenColumnWidth}px`
+              : undefined,
           scrollPaddingBlock:
             isRowIdxWithinViewportBounds(selectedPosition.rowIdx) ||
             scrollToPosition?.rowIdx !== undefined
-              ? `${headerRowsHeight + topSummaryRowsCount * summaryRowHeight}px ${
-                  bottomSummaryRowsCount * summaryRowHeight
+              ? `${headerRowsHeight + topSummaryRowsCount * summaryRowHeight + scrollPaddingTopPinnedRowsHeight}px ${
+                  bottomSummaryRowsCount * summaryRowHeight + scrollPaddingBottomPinnedRowsHeight
                 }px`
               : undefined,
           gridTemplateColumns,
@@ -1306,21 +2561,42 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
             ))}
             <HeaderRow
               headerRowClass={headerRowClass}
-              rowIdx={headerRowsCount}
+              rowIdx={columnHeaderRowsCount}
               columns={getRowViewportColumns(mainHeaderRowIdx)}
               onColumnResize={handleColumnResizeLatest}
               onColumnResizeEnd={handleColumnResizeEndLatest}
-              onColumnsReorder={onColumnsReorderLastest}
+              onColumnsReorder={handleColumnsReorderLatest}
               sortColumns={sortColumns}
               onSortColumnsChange={onSortColumnsChangeLatest}
+              maxSortColumns={maxSortColumns}
+              multiSortKey={multiSortKey}
               lastFrozenColumnIndex={lastFrozenColumnIndex}
+              firstEndFrozenColumnIndex={firstEndFrozenColumnIndex}
               selectedCellIdx={
                 selectedPosition.rowIdx === mainHeaderRowIdx ? selectedPosition.idx : undefined
               }
               selectCell={selectHeaderCellLatest}
+              selectColumn={enableRangeSelection ? selectColumnLatest : undefined}
+              headerMenuColumnKey={headerMenu?.columnKey}
+              toggleHeaderMenu={enableHeaderMenu ? toggleHeaderMenuLatest : undefined}
               shouldFocusGrid={!selectedCellIsWithinSelectionBounds}
               direction={direction}
             />
+            {enableFilterRow && (
+              <FilterRow
+                aria-rowindex={headerRowsCount}
+                rowIdx={filterRowIdx}
+                columns={getRowViewportColumns(filterRowIdx)}
+                filters={filters}
+                onFilterChange={handleFilterChangeLatest}
+                selectCell={selectCellLatest}
+                lastFrozenColumnIndex={lastFrozenColumnIndex}
+                firstEndFrozenColumnIndex={firstEndFrozenColumnIndex}
+                selectedCellIdx={
+                  selectedPosition.rowIdx === filterRowIdx ? selectedPosition.idx : undefined
+                }
+              />
+            )}
           </HeaderRowSelectionContext>
         </HeaderRowSelectionChangeContext>
         {rows.length === 0 && noRowsFallback ? (
@@ -1329,7 +2605,7 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
           <>
             {topSummaryRows?.map((row, rowIdx) => {
               const gridRowStart = headerRowsCount + 1 + rowIdx;
-              const summaryRowIdx = mainHeaderRowIdx + 1 + rowIdx;
+              const summaryRowIdx = minRowIdx + headerRowsCount + rowIdx;
               const isSummaryRowSelected = selectedPosition.rowIdx === summaryRowIdx;
               const top = headerRowsHeight + summaryRowHeight * rowIdx;
 
@@ -1344,6 +2620,7 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
                   bottom={undefined}
                   viewportColumns={getRowViewportColumns(summaryRowIdx)}
                   lastFrozenColumnIndex={lastFrozenColumnIndex}
+                  firstEndFrozenColumnIndex={firstEndFrozenColumnIndex}
                   selectedCellIdx={isSummaryRowSelected ? selectedPosition.idx : undefined}
                   isTop
                   selectCell={selectCellLatest}
@@ -1377,6 +2654,7 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
                   bottom={bottom}
                   viewportColumns={getRowViewportColumns(summaryRowIdx)}
                   lastFrozenColumnIndex={lastFrozenColumnIndex}
+                  firstEndFrozenColumnIndex={firstEndFrozenColumnIndex}
                   selectedCellIdx={isSummaryRowSelected ? selectedPosition.idx : undefined}
                   isTop={false}
                   selectCell={selectCellLatest}
@@ -1387,8 +2665,19 @@ export function DataGrid<R, SR = unknown, K extends Key = Key>(props: DataGridPr
         )}
       </DataGridDefaultRenderersContext>
 
+      {enableRangeSelection && (
+        <>
+          {selectedRanges.map((range, index) => renderRangeOverlay(index, range, false))}
+          {copiedRange !== null && renderRangeOverlay('copied', copiedRange, true)}
+        </>
+      )}
+
       {renderDragHandle()}
 
+      {renderFreezeDivider()}
+
+      {renderHeaderMenu()}
+
       {/* render empty cells that span only 1 column so we can safely measure column widths, regardless of colSpan */}
       {renderMeasuringCells(viewportColumns)}
 
@@ -1425,6 +2714,15 @@ function getCellToScroll(gridEl: HTMLDivElement) {
   return gridEl.querySelector<HTMLDivElement>(':scope > [role="row"] > [tabindex="0"]');
 }
 
+/**
+ * A rejected validation is an invalid value, its message is the validation error
+ */
+function getValidationResult(error: Maybe<string> | Promise<Maybe<string>>) {
+  return Promise.resolve(error).catch((reason: unknown) =>
+    reason instanceof Error ? reason.message : String(reason)
+  );
+}
+
 function isSamePosition(p1: Position, p2: Position) {
   return p1.idx === p2.idx && p1.rowIdx === p2.rowIdx;
 }
@@ -1,9 +1,15 @@
 import { css } from '@linaria/core';
 import clsx from 'clsx';
 
-import { getCellStyle } from './utils';
-import type { CalculatedColumn, FillEvent, Position } from './types';
-import type { DataGridProps, SelectCellState } from './DataGrid';
+import { getCellStyle, getFillTargetRange, max, min } from './utils';
+import type {
+  CalculatedColumn,
+  CellsRange,
+  FillEvent,
+  FillSeriesDetector,
+  Position
+} from './types';
+import type { DataGridProps, UpdatedCell } from './DataGrid';
 
 const cellDragHandle = css`
   @layer rdg.DragHandle {
@@ -32,38 +38,52 @@ const cellDragHandleFrozenClassname = css`
 
 const cellDragHandleClassname = `rdg-cell-drag-handle ${cellDragHandle}`;
 
-interface Props<R, SR> extends Pick<DataGridProps<R, SR>, 'rows' | 'onRowsChange'> {
+interface Props<R, SR> extends Pick<DataGridProps<R, SR>, 'rows'> {
   gridRowStart: number;
+  /** Column of the bottom end corner of the source range where the handle is anchored */
   column: CalculatedColumn<R, SR>;
+  columns: readonly CalculatedColumn<R, SR>[];
   columnWidth: number | string;
   maxColIdx: number;
   isLastRow: boolean;
-  selectedPosition: SelectCellState;
+  /** The normalized range the values are filled from */
+  sourceRange: CellsRange;
   latestDraggedOverRowIdx: React.RefObject<number | undefined>;
+  latestDraggedOverColumnIdx: React.RefObject<number | undefined>;
   isCellEditable: (position: Position) => boolean;
+  /** Validates the filled cells and commits the valid ones */
+  onCellsChange: ((updatedRows: R[], updatedCells: UpdatedCell<R, SR>[]) => void) | undefined;
   onClick: () => void;
   onFill: (event: FillEvent<R>) => R;
+  fillSeriesDetector: FillSeriesDetector;
+  selectRange: ((range: CellsRange) => void) | undefined;
   setDragging: (isDragging: boolean) => void;
   setDraggedOverRowIdx: (overRowIdx: number | undefined) => void;
+  setDraggedOverColumnIdx: (overColumnIdx: number | undefined) => void;
 }
 
 export default function DragHandle<R, SR>({
   gridRowStart,
   rows,
   column,
+  columns,
   columnWidth,
   maxColIdx,
   isLastRow,
-  selectedPosition,
+  sourceRange,
   latestDraggedOverRowIdx,
+  latestDraggedOverColumnIdx,
   isCellEditable,
-  onRowsChange,
+  onCellsChange,
   onFill,
+  fillSeriesDetector,
   onClick,
+  selectRange,
   setDragging,
-  setDraggedOverRowIdx
+  setDraggedOverRowIdx,
+  setDraggedOverColumnIdx
 }: Props<R, SR>) {
-  const { idx, rowIdx } = selectedPosition;
+  const { endRowIdx } = sourceRange;
 
   function handleMouseDown(event: React.MouseEvent<HTMLDivElement>) {
     // keep the focus on the cell
@@ -92,39 +112,84 @@ export default function DragHandle<R, SR>({
     const overRowIdx = latestDraggedOverRowIdx.current;
     if (overRowIdx === undefined) return;
 
-    const startRowIndex = rowIdx < overRowIdx ? rowIdx + 1 : overRowIdx;
-    const endRowIndex = rowIdx < overRowIdx ? overRowIdx + 1 : rowIdx;
-    updateRows(startRowIndex, endRowIndex);
+    const overColumnIdx = latestDraggedOverColumnIdx.current ?? sourceRange.endColumnIdx;
+    const targetRange = getFillTargetRange(sourceRange, overRowIdx, overColumnIdx);
+    if (targetRange !== undefined) {
+      fillRange(targetRange);
+    }
     setDraggedOverRowIdx(undefined);
+    setDraggedOverColumnIdx(undefined);
   }
 
   function handleDoubleClick(event: React.MouseEvent<HTMLDivElement>) {
     event.stopPropagation();
-    updateRows(rowIdx + 1, rows.length);
+    if (endRowIdx < rows.length - 1) {
+      fillRange({ ...sourceRange, startRowIdx: endRowIdx + 1, endRowIdx: rows.length - 1 });
+    }
   }
 
-  function updateRows(startRowIdx: number, endRowIdx: number) {
-    const sourceRow = rows[rowIdx];
+  function fillRange(targetRange: CellsRange) {
+    // the target range is adjacent to the source range, above, below, or on either side of it
+    const isVertical = targetRange.startColumnIdx === sourceRange.startColumnIdx;
+    const startKey = isVertical ? 'startRowIdx' : 'startColumnIdx';
+    const endKey = isVertical ? 'endRowIdx' : 'endColumnIdx';
+    const isBackward = targetRange[startKey] < sourceRange[startKey];
+    // order the indexes in the fill direction
+    const sourceIdxs = getIndexes(sourceRange[startKey], sourceRange[endKey], isBackward);
+    const targetIdxs = getIndexes(targetRange[startKey], targetRange[endKey], isBackward);
+    const lineIdxs = isVertical
+      ? getIndexes(sourceRange.startColumnIdx, sourceRange.endColumnIdx, false)
+      : getIndexes(sourceRange.startRowIdx, sourceRange.endRowIdx, false);
     const updatedRows = [...rows];
-    const indexes: number[] = [];
-    for (let i = startRowIdx; i < endRowIdx; i++) {
-      if (isCellEditable({ rowIdx: i, idx })) {
-        const updatedRow = onFill({ columnKey: column.key, sourceRow, targetRow: rows[i] });
-        if (updatedRow !== rows[i]) {
-          updatedRows[i] = updatedRow;
-          indexes.push(i);
+    const updatedCells: UpdatedCell<R, SR>[] = [];
+
+    // each column is filled independently when filling vertically, and each row horizontally
+    for (const lineIdx of lineIdxs) {
+      const getPosition = (idx: number): Position =>
+        isVertical ? { rowIdx: idx, idx: lineIdx } : { rowIdx: lineIdx, idx };
+      const values = sourceIdxs.map((idx) => {
+        const position = getPosition(idx);
+        return rows[position.rowIdx][columns[position.idx].key as keyof R];
+      });
+      const series = fillSeriesDetector(values, targetIdxs.length);
+
+      for (let i = 0; i < targetIdxs.length; i++) {
+        const position = getPosition(targetIdxs[i]);
+        if (!isCellEditable(position)) continue;
+        const { rowIdx } = position;
+        const column = columns[position.idx];
+        const sourcePosition = getPosition(sourceIdxs[i % sourceIdxs.length]);
+        const targetRow = updatedRows[rowIdx];
+        const updatedRow = onFill({
+          columnKey: column.key,
+          sourceRow: rows[sourcePosition.rowIdx],
+          targetRow,
+          value: series[i],
+          sourceRange,
+          targetRange
+        });
+        if (updatedRow !== targetRow) {
+          updatedRows[rowIdx] = updatedRow;
+          updatedCells.push({ rowIdx, column });
         }
       }
     }
 
-    if (indexes.length > 0) {
-      onRowsChange?.(updatedRows, { indexes, column });
+    selectRange?.({
+      startRowIdx: min(sourceRange.startRowIdx, targetRange.startRowIdx),
+      startColumnIdx: min(sourceRange.startColumnIdx, targetRange.startColumnIdx),
+      endRowIdx: max(sourceRange.endRowIdx, targetRange.endRowIdx),
+      endColumnIdx: max(sourceRange.endColumnIdx, targetRange.endColumnIdx)
+    });
+
+    if (updatedCells.length > 0) {
+      onCellsChange?.(updatedRows, updatedCells);
     }
   }
 
   function getStyle(): React.CSSProperties {
-    const colSpan = column.colSpan?.({ type: 'ROW', row: rows[rowIdx] }) ?? 1;
-    const { insetInlineStart, ...style } = getCellStyle(column, colSpan);
+    const colSpan = column.colSpan?.({ type: 'ROW', row: rows[endRowIdx] }) ?? 1;
+    const { insetInlineStart, insetInlineEnd, ...style } = getCellStyle(column, colSpan);
     const marginEnd = 'calc(var(--rdg-drag-handle-size) * -0.5 + 1px)';
     const isLastColumn = column.idx + colSpan - 1 === maxColIdx;
 
@@ -135,7 +200,10 @@ export default function DragHandle<R, SR>({
       marginBlockEnd: isLastRow ? undefined : marginEnd,
       insetInlineStart: insetInlineStart
         ? `calc(${insetInlineStart} + ${columnWidth}px + var(--rdg-drag-handle-size) * -0.5 - 1px)`
-        : undefined
+        : undefined,
+      // the handle overflows the end of the cell unless it is in the last column
+      insetInlineEnd:
+        insetInlineEnd && !isLastColumn ? `calc(${insetInlineEnd} + ${marginEnd})` : insetInlineEnd
     };
   }
 
@@ -149,3 +217,8 @@ export default function DragHandle<R, SR>({
     />
   );
 }
+
+function getIndexes(startIdx: number, endIdx: number, isReversed: boolean) {
+  const indexes = Array.from({ length: endIdx - startIdx + 1 }, (_, i) => startIdx + i);
+  return isReversed ? indexes.reverse() : indexes;
+}
@@ -1,16 +1,25 @@
-import { useEffect, useRef } from 'react';
+import { useEffect, useId, useLayoutEffect, useRef } from 'react';
 import { css } from '@linaria/core';
 
 import { useLatestFunc } from './hooks';
-import { createCellEvent, getCellClassname, getCellStyle, onEditorNavigation } from './utils';
+import {
+  createCellEvent,
+  getCellClassname,
+  getCellStyle,
+  isCommitToRangeKey,
+  onEditorNavigation
+} from './utils';
 import type {
   CellKeyboardEvent,
   CellRendererProps,
+  Direction,
   EditCellKeyDownArgs,
+  EditMode,
   Maybe,
   Omit,
   RenderEditCellProps
 } from './types';
+import ValidationTooltip from './ValidationTooltip';
 
 /*
  * To check for outside `mousedown` events, we listen to all `mousedown` events at their birth,
@@ -34,14 +43,32 @@ const cellEditing = css`
   }
 `;
 
+const cellInvalid = css`
+  @layer rdg.EditCell {
+    outline-color: var(--rdg-invalid-color);
+  }
+`;
+
+const cellInvalidClassname = `rdg-cell-invalid ${cellInvalid}`;
+
 type SharedCellRendererProps<R, SR> = Pick<CellRendererProps<R, SR>, 'colSpan'>;
 
 interface EditCellProps<R, SR>
   extends Omit<RenderEditCellProps<R, SR>, 'onRowChange' | 'onClose'>,
     SharedCellRendererProps<R, SR> {
   rowIdx: number;
+  editMode: EditMode;
+  /** Whether the editor is the one of the selected cell, the other editors of the row are inactive */
+  isActive: boolean;
+  /** Error message of the latest validation of the edited value */
+  validationError: string | undefined;
+  isValidating: boolean;
+  direction: Direction;
   onRowChange: (row: R, commitChanges: boolean, shouldFocusCell: boolean) => void;
+  /** Commits the edited value to all the editable cells of the selected ranges on Ctrl/Cmd+Enter */
+  commitChangesToRange: ((row: R) => void) | undefined;
   closeEditor: (shouldFocusCell: boolean) => void;
+  activate: () => void;
   navigate: (event: React.KeyboardEvent<HTMLDivElement>) => void;
   onKeyDown: Maybe<(args: EditCellKeyDownArgs<R, SR>, event: CellKeyboardEvent) => void>;
 }
@@ -51,12 +78,22 @@ export default function EditCell<R, SR>({
   colSpan,
   row,
   rowIdx,
+  editMode,
+  isActive,
+  validationError,
+  isValidating,
+  direction,
   onRowChange,
+  onInputErrorChange,
+  commitChangesToRange,
   closeEditor,
+  activate,
   onKeyDown,
   navigate
 }: EditCellProps<R, SR>) {
+  const cellRef = useRef<HTMLDivElement>(null);
   const frameRequestRef = useRef<number>(undefined);
+  const validationErrorId = useId();
   const commitOnOutsideClick = column.editorOptions?.commitOnOutsideClick ?? true;
 
   // We need to prevent the `useEffect` from cleaning up between re-renders,
@@ -67,9 +104,18 @@ export default function EditCell<R, SR>({
   });
 
   useEffect(() => {
-    if (!commitOnOutsideClick) return;
-
-    function onWindowCaptureMouseDown() {
+    // only the active editor of the row commits the changes
+    if (!commitOnOutsideClick || !isActive) return;
+
+    function onWindowCaptureMouseDown(event: MouseEvent) {
+      // the other editors of the row are not outside
+      if (
+        event.target instanceof Element &&
+        event.target.closest('.rdg-editor-container')?.parentElement ===
+          cellRef.current!.parentElement
+      ) {
+        return;
+      }
       frameRequestRef.current = requestAnimationFrame(commitOnOutsideMouseDown);
     }
 
@@ -79,7 +125,16 @@ export default function EditCell<R, SR>({
       removeEventListener('mousedown', onWindowCaptureMouseDown, { capture: true });
       cancelFrameRequest();
     };
-  }, [commitOnOutsideClick, commitOnOutsideMouseDown]);
+  }, [commitOnOutsideClick, isActive, commitOnOutsideMouseDown]);
+
+  useLayoutEffect(() => {
+    if (editMode !== 'row' || !isActive) return;
+    // all the editors of the row are focused when they mount, and Tab activates another editor
+    const cell = cellRef.current!;
+    if (!cell.contains(document.activeElement)) {
+      cell.querySelector<HTMLElement>('input, textarea, select, button')?.focus();
+    }
+  }, [editMode, isActive]);
 
   function cancelFrameRequest() {
     cancelAnimationFrame(frameRequestRef.current!);
@@ -107,6 +162,8 @@ export default function EditCell<R, SR>({
     if (event.key === 'Escape') {
       // Discard changes
       onClose();
+    } else if (commitChangesToRange !== undefined && isCommitToRangeKey(event)) {
+      commitChangesToRange(row);
     } else if (event.key === 'Enter') {
       onClose(true);
     } else if (onEditorNavigation(event)) {
@@ -122,6 +179,13 @@ export default function EditCell<R, SR>({
     }
   }
 
+  function onEditorClose(commitChanges = false, shouldFocusCell = true) {
+    // editors commit their changes when they are blurred, but the focus moves
+    // between the editors of the row which are committed together instead
+    if (editMode === 'row' && commitChanges && !shouldFocusCell) return;
+    onClose(commitChanges, shouldFocusCell);
+  }
+
   function onEditorRowChange(row: R, commitChangesAndFocus = false) {
     onRowChange(row, commitChangesAndFocus, commitChangesAndFocus);
   }
@@ -131,19 +195,25 @@ export default function EditCell<R, SR>({
     column,
     'rdg-editor-container',
     !column.editorOptions?.displayCellContent && cellEditing,
+    validationError !== undefined && cellInvalidClassname,
     typeof cellClass === 'function' ? cellClass(row) : cellClass
   );
 
   return (
     <div
+      ref={cellRef}
       role="gridcell"
       aria-colindex={column.idx + 1} // aria-colindex is 1-based
       aria-colspan={colSpan}
       aria-selected
+      aria-invalid={validationError !== undefined}
+      aria-describedby={validationError === undefined ? undefined : validationErrorId}
+      aria-busy={isValidating}
       className={className}
       style={getCellStyle(column, colSpan)}
       onKeyDown={handleKeyDown}
       onMouseDownCapture={cancelFrameRequest}
+      onFocus={isActive ? undefined : activate}
     >
       {column.renderEditCell != null && (
         <>
@@ -152,7 +222,8 @@ export default function EditCell<R, SR>({
             row,
             rowIdx,
             onRowChange: onEditorRowChange,
-            onClose
+            onClose: onEditorClose,
+            onInputErrorChange
           })}
           {column.editorOptions?.displayCellContent &&
             column.renderCell({
@@ -165,6 +236,14 @@ export default function EditCell<R, SR>({
             })}
         </>
       )}
+      {validationError !== undefined && (
+        <ValidationTooltip
+          id={validationErrorId}
+          anchorRef={cellRef}
+          error={validationError}
+          direction={direction}
+        />
+      )}
     </div>
   );
 }
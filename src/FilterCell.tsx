@@ -0,0 +1,71 @@
+import { memo } from 'react';
+import { css } from '@linaria/core';
+
+import { useRovingTabIndex } from './hooks';
+import { getCellClassname, getCellStyle } from './utils';
+import type { CellRendererProps, FilterValue } from './types';
+import renderFilterCell from './renderFilterCell';
+
+const filterCell = css`
+  @layer rdg.FilterCell {
+    inset-block-start: var(--rdg-filter-row-top);
+    padding-inline: 4px;
+  }
+`;
+
+const filterCellClassname = `rdg-filter-cell ${filterCell}`;
+
+type SharedCellRendererProps<R, SR> = Pick<
+  CellRendererProps<R, SR>,
+  'rowIdx' | 'column' | 'colSpan' | 'isCellSelected' | 'selectCell'
+>;
+
+interface FilterCellProps<R, SR> extends SharedCellRendererProps<R, SR> {
+  value: FilterValue | undefined;
+  onFilterChange: (columnKey: string, value: FilterValue | undefined) => void;
+}
+
+function FilterCell<R, SR>({
+  column,
+  colSpan,
+  rowIdx,
+  value,
+  isCellSelected,
+  selectCell,
+  onFilterChange
+}: FilterCellProps<R, SR>) {
+  const { tabIndex, childTabIndex, onFocus } = useRovingTabIndex(isCellSelected);
+  const { filter } = column;
+  const renderContent = column.renderFilterCell ?? renderFilterCell;
+
+  function onClick() {
+    selectCell({ rowIdx, idx: column.idx });
+  }
+
+  return (
+    <div
+      role="gridcell"
+      aria-colindex={column.idx + 1}
+      aria-colspan={colSpan}
+      aria-selected={isCellSelected}
+      tabIndex={tabIndex}
+      className={getCellClassname(column, filterCellClassname)}
+      style={getCellStyle(column, colSpan)}
+      onClick={onClick}
+      onFocus={onFocus}
+    >
+      {filter != null &&
+        renderContent({
+          column,
+          filter,
+          value,
+          onChange(value) {
+            onFilterChange(column.key, value);
+          },
+          tabIndex: childTabIndex
+        })}
+    </div>
+  );
+}
+
+export default memo(FilterCell) as <R, SR>(props: FilterCellProps<R, SR>) => React.JSX.Element;
@@ -0,0 +1,98 @@
+import { memo } from 'react';
+import { css } from '@linaria/core';
+import clsx from 'clsx';
+
+import { getColSpan, getRowStyle } from './utils';
+import type { CalculatedColumn, Filters, FilterValue, Position } from './types';
+import FilterCell from './FilterCell';
+import { cell, cellFrozen, cellFrozenEnd } from './style/cell';
+import { rowSelectedClassname } from './style/row';
+
+interface FilterRowProps<R, SR> {
+  /** aria-rowindex of the row, it is also the grid row of the row */
+  'aria-rowindex': number;
+  rowIdx: number;
+  columns: readonly CalculatedColumn<R, SR>[];
+  filters: Filters;
+  onFilterChange: (columnKey: string, value: FilterValue | undefined) => void;
+  selectCell: (position: Position) => void;
+  lastFrozenColumnIndex: number;
+  firstEndFrozenColumnIndex: number;
+  selectedCellIdx: number | undefined;
+}
+
+const filterRow = css`
+  @layer rdg.FilterRow {
+    display: contents;
+    background-color: var(--rdg-header-background-color);
+
+    & > .${cell} {
+      /* Should have the same value as header cells */
+      z-index: 2;
+      position: sticky;
+    }
+
+    & > .${cellFrozen}, & > .${cellFrozenEnd} {
+      z-index: 3;
+    }
+  }
+`;
+
+const filterRowClassname = `rdg-filter-row ${filterRow}`;
+
+function FilterRow<R, SR>({
+  'aria-rowindex': ariaRowIndex,
+  rowIdx,
+  columns,
+  filters,
+  onFilterChange,
+  selectCell,
+  lastFrozenColumnIndex,
+  firstEndFrozenColumnIndex,
+  selectedCellIdx
+}: FilterRowProps<R, SR>) {
+  const cells = [];
+  for (let index = 0; index < columns.length; index++) {
+    const column = columns[index];
+    // the filter row has the same layout as the header row
+    const colSpan = getColSpan(column, lastFrozenColumnIndex, firstEndFrozenColumnIndex, {
+      type: 'HEADER'
+    });
+    if (colSpan !== undefined) {
+      index += colSpan - 1;
+    }
+
+    cells.push(
+      <FilterCell<R, SR>
+        key={column.key}
+        column={column}
+        colSpan={colSpan}
+        rowIdx={rowIdx}
+        value={filters.get(column.key)}
+        isCellSelected={selectedCellIdx === column.idx}
+        selectCell={selectCell}
+        onFilterChange={onFilterChange}
+      />
+    );
+  }
+
+  return (
+    <div
+      role="row"
+      aria-rowindex={ariaRowIndex}
+      className={clsx(filterRowClassname, {
+        [rowSelectedClassname]: selectedCellIdx === -1
+      })}
+      style={
+        {
+          ...getRowStyle(ariaRowIndex),
+          '--rdg-filter-row-top': `calc(${ariaRowIndex - 1} * var(--rdg-header-row-height))`
+        } as unknown as React.CSSProperties
+      }
+    >
+      {cells}
+    </div>
+  );
+}
+
+export default memo(FilterRow) as <R, SR>(props: FilterRowProps<R, SR>) => React.JSX.Element;
@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { css } from '@linaria/core';
+import clsx from 'clsx';
+
+import type { Direction } from './types';
+
+const freezeDivider = css`
+  @layer rdg.FreezeDivider {
+    position: sticky;
+    inset-block-start: 0;
+    z-index: 4;
+    inline-size: 4px;
+    background-color: var(--rdg-border-color);
+    cursor: col-resize;
+    touch-action: none;
+
+    &:hover {
+      background-color: var(--rdg-selection-color);
+    }
+  }
+`;
+
+const freezeDividerClassname = `rdg-freeze-divider ${freezeDivider}`;
+
+const freezeDividerDragging = css`
+  @layer rdg.FreezeDivider {
+    background-color: var(--rdg-selection-color);
+  }
+`;
+
+interface FreezeDividerProps {
+  columnsCount: number;
+  lastFrozenColumnIndex: number;
+  totalFrozenColumnWidth: number;
+  /** The divider spans the column header rows */
+  columnHeaderRowsCount: number;
+  direction: Direction;
+  onFrozenColumnsCountChange: (frozenColumnsCount: number) => void;
+}
+
+export default function FreezeDivider({
+  columnsCount,
+  lastFrozenColumnIndex,
+  totalFrozenColumnWidth,
+  columnHeaderRowsCount,
+  direction,
+  onFrozenColumnsCountChange
+}: FreezeDividerProps) {
+  const [isDragging, setDragging] = useState(false);
+  // the divider is rendered at the start of the first non-frozen column, or at the end of the last column
+  const isAfterLastColumn = lastFrozenColumnIndex === columnsCount - 1;
+
+  function onPointerDown(event: React.PointerEvent<HTMLDivElement>) {
+    if (event.pointerType === 'mouse' && event.buttons !== 1) {
+      return;
+    }
+
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDragging(true);
+  }
+
+  function onPointerMove(event: React.PointerEvent<HTMLDivElement>) {
+    if (!isDragging) return;
+    // the header cells of the main header row are at the bottom of the divider
+    const { bottom } = event.currentTarget.getBoundingClientRect();
+    const headerCell = document
+      .elementFromPoint(event.clientX, bottom - 1)
+      ?.closest('[role="columnheader"]');
+    if (headerCell == null) return;
+
+    const idx = Number(headerCell.getAttribute('aria-colindex')) - 1;
+    const colSpan = Number(headerCell.getAttribute('aria-colspan') ?? 1);
+    const { left, width } = headerCell.getBoundingClientRect();
+    const isStartHalf = event.clientX < left + width / 2 === (direction === 'ltr');
+    onFrozenColumnsCountChange(isStartHalf ? idx : idx + colSpan);
+  }
+
+  function onLostPointerCapture() {
+    setDragging(false);
+  }
+
+  return (
+    <div
+      role="separator"
+      aria-orientation="vertical"
+      aria-label="Frozen columns divider"
+      className={clsx(freezeDividerClassname, isDragging && freezeDividerDragging)}
+      style={{
+        gridRowStart: 1,
+        gridRowEnd: columnHeaderRowsCount + 1,
+        gridColumnStart: isAfterLastColumn ? columnsCount : lastFrozenColumnIndex + 2,
+        justifySelf: isAfterLastColumn ? 'end' : 'start',
+        insetInlineStart: isAfterLastColumn ? undefined : totalFrozenColumnWidth
+      }}
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onLostPointerCapture={onLostPointerCapture}
+    />
+  );
+}
@@ -3,16 +3,19 @@ import { css } from '@linaria/core';
 
 import { useRovingTabIndex } from './hooks';
 import {
+  canMoveColumn,
   clampColumnWidth,
   getCellClassname,
   getCellStyle,
   getHeaderCellRowSpan,
   getHeaderCellStyle,
   getLeftRightKey,
+  isClearSortKey,
   isCtrlKeyHeldDown,
   stopPropagation
 } from './utils';
-import type { CalculatedColumn, SortColumn } from './types';
+import type { CalculatedColumn, ColumnDropPosition, SortColumn, SortCycle } from './types';
+import { ROW_NUMBER_COLUMN_KEY, SELECT_COLUMN_KEY } from './Columns';
 import type { HeaderRowProps } from './HeaderRow';
 
 const cellSortableClassname = css`
@@ -40,6 +43,42 @@ export const resizeHandleClassname = css`
   }
 `;
 
+const ascendingSortCycle: SortCycle = ['ASC', 'DESC', null];
+const descendingSortCycle: SortCycle = ['DESC', 'ASC', null];
+
+const cellWithHeaderMenu = css`
+  @layer rdg.HeaderCell {
+    padding-inline-end: 32px;
+  }
+`;
+
+const headerMenuButton = css`
+  @layer rdg.HeaderCell {
+    position: absolute;
+    inset-block: 0;
+    inset-inline-end: 8px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    inline-size: 20px;
+    block-size: 20px;
+    margin-block: auto;
+    padding: 0;
+    border: none;
+    border-radius: 2px;
+    color: inherit;
+    background: none;
+    cursor: pointer;
+
+    &:hover,
+    &[aria-expanded='true'] {
+      background-color: var(--rdg-header-draggable-background-color);
+    }
+  }
+`;
+
+const headerMenuButtonClassname = `rdg-header-menu-button ${headerMenuButton}`;
+
 const cellDraggableClassname = 'rdg-cell-draggable';
 
 const cellDragging = css`
@@ -54,11 +93,41 @@ const cellOver = css`
 
 const cellOverClassname = `rdg-cell-drag-over ${cellOver}`;
 
+const cellDropIndicator = css`
+  &::after {
+    content: '';
+    position: absolute;
+    inset-block: 0;
+    inline-size: 2px;
+    background-color: var(--rdg-selection-color);
+  }
+`;
+
+const cellDropBefore = css`
+  &::after {
+    inset-inline-start: 0;
+  }
+`;
+
+const cellDropBeforeClassname = `rdg-cell-drop-before ${cellDropIndicator} ${cellDropBefore}`;
+
+const cellDropAfter = css`
+  &::after {
+    inset-inline-end: 0;
+  }
+`;
+
+const cellDropAfterClassname = `rdg-cell-drop-after ${cellDropIndicator} ${cellDropAfter}`;
+
 type SharedHeaderRowProps<R, SR> = Pick<
   HeaderRowProps<R, SR, React.Key>,
   | 'sortColumns'
   | 'onSortColumnsChange'
+  | 'maxSortColumns'
+  | 'multiSortKey'
   | 'selectCell'
+  | 'selectColumn'
+  | 'toggleHeaderMenu'
   | 'onColumnResize'
   | 'onColumnResizeEnd'
   | 'shouldFocusGrid'
@@ -71,7 +140,11 @@ export interface HeaderCellProps<R, SR> extends SharedHeaderRowProps<R, SR> {
   colSpan: number | undefined;
   rowIdx: number;
   isCellSelected: boolean;
+  isHeaderMenuOpen: boolean;
   dragDropKey: string;
+  /** The column whose header cell is being dragged */
+  draggedColumn: CalculatedColumn<R, SR> | undefined;
+  setDraggedColumn: (column: CalculatedColumn<R, SR> | undefined) => void;
 }
 
 export default function HeaderCell<R, SR>({
@@ -84,13 +157,20 @@ export default function HeaderCell<R, SR>({
   onColumnsReorder,
   sortColumns,
   onSortColumnsChange,
+  maxSortColumns,
+  multiSortKey,
   selectCell,
+  selectColumn,
+  isHeaderMenuOpen,
+  toggleHeaderMenu,
   shouldFocusGrid,
   direction,
-  dragDropKey
+  dragDropKey,
+  draggedColumn,
+  setDraggedColumn
 }: HeaderCellProps<R, SR>) {
-  const [isDragging, setIsDragging] = useState(false);
-  const [isOver, setIsOver] = useState(false);
+  const [dropPosition, setDropPosition] = useState<ColumnDropPosition>();
+  const headerMenuButtonRef = useRef<HTMLButtonElement>(null);
   const rowSpan = getHeaderCellRowSpan(column, rowIdx);
   const { tabIndex, childTabIndex, onFocus } = useRovingTabIndex(isCellSelected);
   const sortIndex = sortColumns?.findIndex((sort) => sort.columnKey === column.key);
@@ -101,60 +181,78 @@ export default function HeaderCell<R, SR>({
   const ariaSort =
     sortDirection && !priority ? (sortDirection === 'ASC' ? 'ascending' : 'descending') : undefined;
   const { sortable, resizable, draggable } = column;
+  const isDragging = draggedColumn?.key === column.key;
+  // the built-in columns do not have a header menu
+  const hasHeaderMenu =
+    toggleHeaderMenu !== undefined &&
+    column.key !== SELECT_COLUMN_KEY &&
+    column.key !== ROW_NUMBER_COLUMN_KEY;
 
   const className = getCellClassname(column, column.headerCellClass, {
     [cellSortableClassname]: sortable,
     [cellResizableClassname]: resizable,
+    [cellWithHeaderMenu]: hasHeaderMenu,
     [cellDraggableClassname]: draggable,
     [cellDraggingClassname]: isDragging,
-    [cellOverClassname]: isOver
+    [cellOverClassname]: dropPosition !== undefined,
+    [cellDropBeforeClassname]: dropPosition === 'before',
+    [cellDropAfterClassname]: dropPosition === 'after'
   });
 
-  function onSort(ctrlClick: boolean) {
+  function onSort(isMultiSort: boolean) {
     if (onSortColumnsChange == null) return;
-    const { sortDescendingFirst } = column;
-    if (sortColumn === undefined) {
-      // not currently sorted
-      const nextSort: SortColumn = {
-        columnKey: column.key,
-        direction: sortDescendingFirst ? 'DESC' : 'ASC'
-      };
-      onSortColumnsChange(sortColumns && ctrlClick ? [...sortColumns, nextSort] : [nextSort]);
+    const sortCycle =
+      column.sortCycle ?? (column.sortDescendingFirst ? descendingSortCycle : ascendingSortCycle);
+    // the cycle starts from its first direction when the current direction is not part of it
+    const sortCycleIdx = sortCycle.indexOf(sortDirection ?? null);
+    const nextDirection = sortCycle[(sortCycleIdx + 1) % sortCycle.length] ?? null;
+    const nextSortColumn: SortColumn | undefined =
+      nextDirection === null ? undefined : { columnKey: column.key, direction: nextDirection };
+
+    let nextSortColumns: SortColumn[];
+    if (!isMultiSort || sortColumns == null) {
+      nextSortColumns = nextSortColumn ? [nextSortColumn] : [];
+    } else if (sortColumn === undefined) {
+      nextSortColumns = nextSortColumn ? [...sortColumns, nextSortColumn] : [...sortColumns];
     } else {
-      let nextSortColumn: SortColumn | undefined;
-      if (
-        (sortDescendingFirst === true && sortDirection === 'DESC') ||
-        (sortDescendingFirst !== true && sortDirection === 'ASC')
-      ) {
-        nextSortColumn = {
-          columnKey: column.key,
-          direction: sortDirection === 'ASC' ? 'DESC' : 'ASC'
-        };
-      }
-      if (ctrlClick) {
-        const nextSortColumns = [...sortColumns!];
-        if (nextSortColumn) {
-          // swap direction
-          nextSortColumns[sortIndex!] = nextSortColumn;
-        } else {
-          // remove sort
-          nextSortColumns.splice(sortIndex!, 1);
-        }
-        onSortColumnsChange(nextSortColumns);
+      nextSortColumns = [...sortColumns];
+      if (nextSortColumn) {
+        // swap direction
+        nextSortColumns[sortIndex!] = nextSortColumn;
       } else {
-        onSortColumnsChange(nextSortColumn ? [nextSortColumn] : []);
+        // remove sort
+        nextSortColumns.splice(sortIndex!, 1);
       }
     }
+
+    if (maxSortColumns != null && nextSortColumns.length > maxSortColumns) {
+      // keep the most recently added sort columns
+      nextSortColumns = nextSortColumns.slice(nextSortColumns.length - maxSortColumns);
+    }
+    onSortColumnsChange(nextSortColumns);
+  }
+
+  function isMultiSortEvent(event: React.MouseEvent | React.KeyboardEvent) {
+    return multiSortKey === 'shift' ? event.shiftKey : event.ctrlKey || event.metaKey;
   }
 
   function onClick(event: React.MouseEvent<HTMLSpanElement>) {
     selectCell({ idx: column.idx, rowIdx });
+    // shift is used to sort on multiple columns instead of extending the column selection
+    selectColumn?.(column, event.shiftKey && !(sortable && multiSortKey === 'shift'));
 
     if (sortable) {
-      onSort(event.ctrlKey || event.metaKey);
+      onSort(isMultiSortEvent(event));
     }
   }
 
+  function onHeaderMenuButtonClick(event: React.MouseEvent<HTMLButtonElement>) {
+    // do not sort the column
+    event.stopPropagation();
+    selectCell({ idx: column.idx, rowIdx });
+    toggleHeaderMenu!(column, event.currentTarget);
+  }
+
   function handleFocus(event: React.FocusEvent<HTMLDivElement>) {
     onFocus?.(event);
     if (shouldFocusGrid) {
@@ -165,10 +263,35 @@ export default function HeaderCell<R, SR>({
 
   function onKeyDown(event: React.KeyboardEvent<HTMLSpanElement>) {
     const { key } = event;
-    if (sortable && (key === ' ' || key === 'Enter')) {
+    if (hasHeaderMenu && event.altKey && key === 'ArrowDown') {
+      // prevent navigation
+      event.preventDefault();
+      event.stopPropagation();
+      toggleHeaderMenu(column, headerMenuButtonRef.current!);
+    } else if (sortable && (key === ' ' || key === 'Enter')) {
       // prevent scrolling
       event.preventDefault();
-      onSort(event.ctrlKey || event.metaKey);
+      onSort(isMultiSortEvent(event));
+    } else if (sortable && isClearSortKey(event)) {
+      event.preventDefault();
+      if (onSortColumnsChange != null && sortColumns != null && sortColumns.length > 0) {
+        onSortColumnsChange([]);
+      }
+    } else if (
+      draggable &&
+      isCtrlKeyHeldDown(event) &&
+      event.shiftKey &&
+      (key === 'ArrowLeft' || key === 'ArrowRight')
+    ) {
+      // prevent navigation and range selection
+      event.preventDefault();
+      event.stopPropagation();
+      const { leftKey } = getLeftRightKey(direction);
+      if (key === leftKey) {
+        onColumnsReorder(column, column.idx - 1, 'before');
+      } else {
+        onColumnsReorder(column, column.idx + 1, 'after');
+      }
     } else if (
       resizable &&
       isCtrlKeyHeldDown(event) &&
@@ -190,44 +313,46 @@ export default function HeaderCell<R, SR>({
   function onDragStart(event: React.DragEvent<HTMLDivElement>) {
     event.dataTransfer.setData(dragDropKey, column.key);
     event.dataTransfer.dropEffect = 'move';
-    setIsDragging(true);
+    setDraggedColumn(column);
   }
 
   function onDragEnd() {
-    setIsDragging(false);
+    setDraggedColumn(undefined);
+  }
+
+  function getDropPosition(event: React.DragEvent<HTMLDivElement>): ColumnDropPosition {
+    const { left, width } = event.currentTarget.getBoundingClientRect();
+    const isLeftHalf = event.clientX < left + width / 2;
+    return isLeftHalf === (direction === 'ltr') ? 'before' : 'after';
   }
 
   function onDragOver(event: React.DragEvent<HTMLDivElement>) {
-    // prevent default to allow drop
+    // the drop is not allowed unless the default is prevented
+    if (draggedColumn === undefined || !canMoveColumn(draggedColumn, column)) return;
     event.preventDefault();
     event.dataTransfer.dropEffect = 'move';
+    setDropPosition(getDropPosition(event));
   }
 
   function onDrop(event: React.DragEvent<HTMLDivElement>) {
-    setIsOver(false);
+    setDropPosition(undefined);
     // The dragDropKey is derived from the useId() hook, which can sometimes generate keys with uppercase letters.
     // When setting data using event.dataTransfer.setData(), the key is automatically converted to lowercase in some browsers.
     // To ensure consistent comparison, we normalize the dragDropKey to lowercase before checking its presence in the event's dataTransfer types.
     // https://html.spec.whatwg.org/multipage/dnd.html#the-datatransfer-interface
-    if (event.dataTransfer.types.includes(dragDropKey.toLowerCase())) {
-      const sourceKey = event.dataTransfer.getData(dragDropKey.toLowerCase());
-      if (sourceKey !== column.key) {
-        // prevent the browser from redirecting in some cases
-        event.preventDefault();
-        onColumnsReorder?.(sourceKey, column.key);
-      }
-    }
-  }
-
-  function onDragEnter(event: React.DragEvent<HTMLDivElement>) {
-    if (isEventPertinent(event)) {
-      setIsOver(true);
+    if (
+      event.dataTransfer.types.includes(dragDropKey.toLowerCase()) &&
+      draggedColumn !== undefined
+    ) {
+      // prevent the browser from redirecting in some cases
+      event.preventDefault();
+      onColumnsReorder(draggedColumn, column.idx, getDropPosition(event));
     }
   }
 
   function onDragLeave(event: React.DragEvent<HTMLDivElement>) {
     if (isEventPertinent(event)) {
-      setIsOver(false);
+      setDropPosition(undefined);
     }
   }
 
@@ -240,7 +365,6 @@ export default function HeaderCell<R, SR>({
       onDragEnd,
       /* events fired on the drop targets */
       onDragOver,
-      onDragEnter,
       onDragLeave,
       onDrop
     };
@@ -273,6 +397,27 @@ export default function HeaderCell<R, SR>({
         tabIndex: childTabIndex
       })}
 
+      {hasHeaderMenu && (
+        <button
+          ref={headerMenuButtonRef}
+          type="button"
+          // the menu is opened with Alt+ArrowDown when the header cell is focused
+          tabIndex={-1}
+          className={headerMenuButtonClassname}
+          aria-label={`${typeof column.name === 'string' ? column.name : column.key} column menu`}
+          aria-haspopup="menu"
+          aria-expanded={isHeaderMenuOpen}
+          aria-keyshortcuts="Alt+ArrowDown"
+          onClick={onHeaderMenuButtonClick}
+        >
+          <svg viewBox="0 0 4 16" width="4" height="16" fill="currentColor" aria-hidden>
+            <circle cx="2" cy="2" r="1.5" />
+            <circle cx="2" cy="8" r="1.5" />
+            <circle cx="2" cy="14" r="1.5" />
+          </svg>
+        </button>
+      )}
+
       {resizable && (
         <ResizeHandle
           direction={direction}
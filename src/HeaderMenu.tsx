@@ -0,0 +1,298 @@
+import { Fragment, useEffect, useLayoutEffect, useRef } from 'react';
+import { css } from '@linaria/core';
+
+import { useLatestFunc } from './hooks';
+import type {
+  CalculatedColumn,
+  Direction,
+  HeaderMenuItem,
+  ResizedWidth,
+  SortColumn,
+  SortDirection
+} from './types';
+import type { DataGridProps } from './DataGrid';
+
+const headerMenu = css`
+  @layer rdg.HeaderMenu {
+    position: fixed;
+    inset: auto;
+    margin: 0;
+    box-sizing: border-box;
+    min-inline-size: 160px;
+    padding-block: 4px;
+    padding-inline: 0;
+    border: 1px solid var(--rdg-border-color);
+    border-radius: 4px;
+    color: var(--rdg-color);
+    background-color: var(--rdg-background-color);
+    box-shadow: 0 2px 8px rgb(0 0 0 / 15%);
+    font-size: var(--rdg-font-size);
+    font-weight: normal;
+  }
+`;
+
+const headerMenuClassname = `rdg-header-menu ${headerMenu}`;
+
+const headerMenuItem = css`
+  @layer rdg.HeaderMenu {
+    display: block;
+    inline-size: 100%;
+    padding-block: 6px;
+    padding-inline: 12px;
+    border: none;
+    color: inherit;
+    background: none;
+    font: inherit;
+    text-align: start;
+    white-space: nowrap;
+    cursor: pointer;
+
+    &:hover,
+    &:focus {
+      outline: none;
+      background-color: var(--rdg-row-hover-background-color);
+    }
+
+    &:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+  }
+`;
+
+const headerMenuItemClassname = `rdg-header-menu-item ${headerMenuItem}`;
+
+const headerMenuSeparator = css`
+  @layer rdg.HeaderMenu {
+    margin-block: 4px;
+    border-block-start: 1px solid var(--rdg-border-color);
+  }
+`;
+
+type SharedDataGridProps<R, SR> = Pick<
+  DataGridProps<R, SR>,
+  'sortColumns' | 'onSortColumnsChange' | 'maxSortColumns' | 'headerMenuItems'
+>;
+
+interface HeaderMenuProps<R, SR> extends SharedDataGridProps<R, SR> {
+  column: CalculatedColumn<R, SR>;
+  columns: readonly CalculatedColumn<R, SR>[];
+  /** The menu button the menu is positioned against */
+  anchor: HTMLElement;
+  direction: Direction;
+  hiddenColumnKeys: ReadonlySet<string>;
+  onHiddenColumnKeysChange: (hiddenColumnKeys: Set<string>) => void;
+  onColumnFrozenChange: (column: CalculatedColumn<R, SR>, frozen: boolean) => void;
+  onColumnsResize: (columns: readonly CalculatedColumn<R, SR>[], width: ResizedWidth) => void;
+  onClose: (shouldFocusAnchor: boolean) => void;
+}
+
+export default function HeaderMenu<R, SR>({
+  column,
+  columns,
+  anchor,
+  direction,
+  sortColumns,
+  onSortColumnsChange,
+  maxSortColumns,
+  onColumnFrozenChange,
+  hiddenColumnKeys,
+  onHiddenColumnKeysChange,
+  onColumnsResize,
+  headerMenuItems,
+  onClose
+}: HeaderMenuProps<R, SR>) {
+  const menuRef = useRef<HTMLDivElement>(null);
+  const label = typeof column.name === 'string' ? column.name : column.key;
+
+  const closeOnOutsidePointerDown = useLatestFunc((event: PointerEvent) => {
+    const target = event.target as Node;
+    // the menu button toggles the menu itself
+    if (!menuRef.current!.contains(target) && !anchor.contains(target)) {
+      onClose(false);
+    }
+  });
+
+  useLayoutEffect(() => {
+    const menu = menuRef.current!;
+    // the menu is shown in the top layer so it is not clipped by the grid
+    menu.showPopover();
+    const { bottom, left, right } = anchor.getBoundingClientRect();
+    const { offsetWidth } = menu;
+    // align the menu with the inline end of the button
+    const menuLeft = direction === 'rtl' ? left : right - offsetWidth;
+    const maxLeft = document.documentElement.clientWidth - offsetWidth;
+    menu.style.top = `${bottom}px`;
+    menu.style.left = `${Math.max(0, Math.min(menuLeft, maxLeft))}px`;
+  }, [anchor, direction]);
+
+  useEffect(() => {
+    // focus the first item after the grid has focused the selected header cell
+    menuRef.current!.querySelector<HTMLElement>('[role="menuitem"]:not(:disabled)')?.focus();
+  }, []);
+
+  useEffect(() => {
+    addEventListener('pointerdown', closeOnOutsidePointerDown, { capture: true });
+    return () => {
+      removeEventListener('pointerdown', closeOnOutsidePointerDown, { capture: true });
+    };
+  }, [closeOnOutsidePointerDown]);
+
+  const sortItems: HeaderMenuItem[] = [];
+  if (column.sortable && onSortColumnsChange != null) {
+    const sortIndex = sortColumns?.findIndex((sort) => sort.columnKey === column.key) ?? -1;
+    const sortDirection = sortIndex === -1 ? undefined : sortColumns![sortIndex].direction;
+
+    const sortColumn = (nextDirection: SortDirection | undefined) => {
+      if (nextDirection === undefined) {
+        onSortColumnsChange(sortColumns!.filter((sort) => sort.columnKey !== column.key));
+      } else if (sortIndex === -1) {
+        // the column is added to the sort columns like a multi-sort click on its header cell
+        let nextSortColumns: SortColumn[] = [
+          ...(sortColumns ?? []),
+          { columnKey: column.key, direction: nextDirection }
+        ];
+        if (maxSortColumns != null && nextSortColumns.length > maxSortColumns) {
+          // keep the most recently added sort columns
+          nextSortColumns = nextSortColumns.slice(nextSortColumns.length - maxSortColumns);
+        }
+        onSortColumnsChange(nextSortColumns);
+      } else {
+        // keep the priority of the column when sorting on multiple columns
+        const nextSortColumns: SortColumn[] = [...sortColumns!];
+        nextSortColumns[sortIndex] = { columnKey: column.key, direction: nextDirection };
+        onSortColumnsChange(nextSortColumns);
+      }
+    };
+
+    sortItems.push(
+      {
+        key: 'sort-asc',
+        label: 'Sort ascending',
+        disabled: sortDirection === 'ASC',
+        onSelect: () => sortColumn('ASC')
+      },
+      {
+        key: 'sort-desc',
+        label: 'Sort descending',
+        disabled: sortDirection === 'DESC',
+        onSelect: () => sortColumn('DESC')
+      }
+    );
+    if (sortDirection !== undefined) {
+      sortItems.push({
+        key: 'clear-sort',
+        label: 'Clear sort',
+        onSelect: () => sortColumn(undefined)
+      });
+    }
+  }
+
+  const columnItems: HeaderMenuItem[] = [];
+  // columns frozen at the end stay frozen
+  if (column.freezable !== false && column.frozenSide !== 'end') {
+    columnItems.push({
+      key: 'freeze',
+      label: column.frozen ? 'Unfreeze column' : 'Freeze column',
+      onSelect: () => onColumnFrozenChange(column, !column.frozen)
+    });
+  }
+  if (column.hideable !== false) {
+    columnItems.push({
+      key: 'hide',
+      label: 'Hide column',
+      // the last visible hideable column cannot be hidden
+      disabled: columns.filter(({ hideable }) => hideable !== false).length === 1,
+      onSelect: () => onHiddenColumnKeysChange(new Set(hiddenColumnKeys).add(column.key))
+    });
+  }
+
+  const resizeItems: HeaderMenuItem[] = [];
+  if (column.resizable) {
+    resizeItems.push({
+      key: 'autosize',
+      label: 'Autosize column',
+      onSelect: () => onColumnsResize([column], 'max-content')
+    });
+  }
+  const resizableColumns = columns.filter(({ resizable }) => resizable);
+  if (resizableColumns.length > 0) {
+    resizeItems.push({
+      key: 'autosize-all',
+      label: 'Autosize all columns',
+      onSelect: () => onColumnsResize(resizableColumns, 'max-content')
+    });
+  }
+
+  const itemGroups = [sortItems, columnItems, resizeItems, headerMenuItems?.(column) ?? []].filter(
+    (items) => items.length > 0
+  );
+
+  function onKeyDown(event: React.KeyboardEvent<HTMLDivElement>) {
+    // the grid should not handle the keys of the menu
+    event.stopPropagation();
+    const items = Array.from(
+      event.currentTarget.querySelectorAll<HTMLElement>('[role="menuitem"]:not(:disabled)')
+    );
+    const index = items.indexOf(document.activeElement as HTMLElement);
+    let nextItem: HTMLElement | undefined;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        nextItem = items[(index + 1) % items.length];
+        break;
+      case 'ArrowUp':
+        nextItem = index <= 0 ? items.at(-1) : items[index - 1];
+        break;
+      case 'Home':
+        nextItem = items[0];
+        break;
+      case 'End':
+        nextItem = items.at(-1);
+        break;
+      case 'Escape':
+      case 'Tab':
+        event.preventDefault();
+        onClose(true);
+        return;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    nextItem?.focus();
+  }
+
+  return (
+    <div
+      ref={menuRef}
+      popover="manual"
+      role="menu"
+      aria-label={`${label} column menu`}
+      className={headerMenuClassname}
+      onKeyDown={onKeyDown}
+    >
+      {itemGroups.map((items, index) => (
+        <Fragment key={index}>
+          {index > 0 && <div role="separator" className={headerMenuSeparator} />}
+          {items.map((item) => (
+            <button
+              key={item.key}
+              type="button"
+              role="menuitem"
+              tabIndex={-1}
+              className={headerMenuItemClassname}
+              disabled={item.disabled ?? false}
+              onClick={() => {
+                onClose(true);
+                item.onSelect();
+              }}
+            >
+              {item.label}
+            </button>
+          ))}
+        </Fragment>
+      ))}
+    </div>
+  );
+}
@@ -1,17 +1,24 @@
-import { memo, useId } from 'react';
+import { memo, useId, useState } from 'react';
 import { css } from '@linaria/core';
 import clsx from 'clsx';
 
 import { getColSpan } from './utils';
-import type { CalculatedColumn, Direction, Maybe, Position, ResizedWidth } from './types';
+import type {
+  CalculatedColumn,
+  ColumnDropPosition,
+  Direction,
+  Maybe,
+  Position,
+  ResizedWidth
+} from './types';
 import type { DataGridProps } from './DataGrid';
 import HeaderCell from './HeaderCell';
-import { cell, cellFrozen } from './style/cell';
+import { cell, cellFrozen, cellFrozenEnd } from './style/cell';
 import { rowSelectedClassname } from './style/row';
 
 type SharedDataGridProps<R, SR, K extends React.Key> = Pick<
   DataGridProps<R, SR, K>,
-  'sortColumns' | 'onSortColumnsChange' | 'onColumnsReorder'
+  'sortColumns' | 'onSortColumnsChange' | 'maxSortColumns'
 >;
 
 export interface HeaderRowProps<R, SR, K extends React.Key> extends SharedDataGridProps<R, SR, K> {
@@ -19,12 +26,26 @@ export interface HeaderRowProps<R, SR, K extends React.Key> extends SharedDataGr
   columns: readonly CalculatedColumn<R, SR>[];
   onColumnResize: (column: CalculatedColumn<R, SR>, width: ResizedWidth) => void;
   onColumnResizeEnd: () => void;
+  /** Moves the column before or after the column at `targetIdx`, if the columns can be reordered */
+  onColumnsReorder: (
+    sourceColumn: CalculatedColumn<R, SR>,
+    targetIdx: number,
+    position: ColumnDropPosition
+  ) => void;
   selectCell: (position: Position) => void;
+  /** Selects all the cells of the column, only provided in range selection mode */
+  selectColumn: ((column: CalculatedColumn<R, SR>, isShiftClick: boolean) => void) | undefined;
   lastFrozenColumnIndex: number;
+  firstEndFrozenColumnIndex: number;
   selectedCellIdx: number | undefined;
   shouldFocusGrid: boolean;
   direction: Direction;
   headerRowClass: Maybe<string>;
+  multiSortKey: 'ctrl' | 'shift';
+  /** Key of the column whose header menu is open */
+  headerMenuColumnKey: string | undefined;
+  /** Opens or closes the header menu of the column, only provided when the header menu is enabled */
+  toggleHeaderMenu: ((column: CalculatedColumn<R, SR>, anchor: HTMLElement) => void) | undefined;
 }
 
 const headerRow = css`
@@ -39,7 +60,7 @@ const headerRow = css`
       position: sticky;
     }
 
-    & > .${cellFrozen} {
+    & > .${cellFrozen}, & > .${cellFrozenEnd} {
       z-index: 3;
     }
   }
@@ -56,18 +77,27 @@ function HeaderRow<R, SR, K extends React.Key>({
   onColumnsReorder,
   sortColumns,
   onSortColumnsChange,
+  maxSortColumns,
+  multiSortKey,
   lastFrozenColumnIndex,
+  firstEndFrozenColumnIndex,
   selectedCellIdx,
   selectCell,
+  selectColumn,
+  headerMenuColumnKey,
+  toggleHeaderMenu,
   shouldFocusGrid,
   direction
 }: HeaderRowProps<R, SR, K>) {
   const dragDropKey = useId();
+  const [draggedColumn, setDraggedColumn] = useState<CalculatedColumn<R, SR>>();
 
   const cells = [];
   for (let index = 0; index < columns.length; index++) {
     const column = columns[index];
-    const colSpan = getColSpan(column, lastFrozenColumnIndex, { type: 'HEADER' });
+    const colSpan = getColSpan(column, lastFrozenColumnIndex, firstEndFrozenColumnIndex, {
+      type: 'HEADER'
+    });
     if (colSpan !== undefined) {
       index += colSpan - 1;
     }
@@ -84,10 +114,17 @@ function HeaderRow<R, SR, K extends React.Key>({
         onColumnsReorder={onColumnsReorder}
         onSortColumnsChange={onSortColumnsChange}
         sortColumns={sortColumns}
+        maxSortColumns={maxSortColumns}
+        multiSortKey={multiSortKey}
         selectCell={selectCell}
+        selectColumn={selectColumn}
+        isHeaderMenuOpen={headerMenuColumnKey === column.key}
+        toggleHeaderMenu={toggleHeaderMenu}
         shouldFocusGrid={shouldFocusGrid && index === 0}
         direction={direction}
         dragDropKey={dragDropKey}
+        draggedColumn={draggedColumn}
+        setDraggedColumn={setDraggedColumn}
       />
     );
   }
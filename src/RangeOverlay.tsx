@@ -0,0 +1,158 @@
+import { css } from '@linaria/core';
+import clsx from 'clsx';
+
+import { max, min } from './utils';
+import type { CellsRange } from './types';
+
+const rangeOverlay = css`
+  @layer rdg.RangeOverlay {
+    --rdg-range-overlay-border-width: 2px;
+    --rdg-range-overlay-border-start-width: var(--rdg-range-overlay-border-width);
+    --rdg-range-overlay-border-end-width: var(--rdg-range-overlay-border-width);
+    /* Should be rendered above unfrozen cells, and below frozen cells */
+    z-index: 0;
+    pointer-events: none;
+    border-block: var(--rdg-range-overlay-border-width) solid var(--rdg-selection-color);
+    border-inline-start: var(--rdg-range-overlay-border-start-width) solid
+      var(--rdg-selection-color);
+    border-inline-end: var(--rdg-range-overlay-border-end-width) solid var(--rdg-selection-color);
+  }
+`;
+
+const rangeOverlayClassname = `rdg-range-overlay ${rangeOverlay}`;
+
+const rangeOverlayFrozen = css`
+  @layer rdg.RangeOverlay {
+    /* Should have the same value as frozen cells to show up above them */
+    z-index: 1;
+    position: sticky;
+  }
+`;
+
+// the border is drawn with gradients as dashed borders cannot be animated,
+// the gaps are opaque so the dashes remain visible above the selected range border
+const rangeOverlayCopied = css`
+  @layer rdg.RangeOverlay {
+    --rdg-range-overlay-dash-size: 8px;
+    border-color: transparent;
+    background-image:
+      linear-gradient(to right, var(--rdg-selection-color) 50%, var(--rdg-background-color) 50%),
+      linear-gradient(to right, var(--rdg-selection-color) 50%, var(--rdg-background-color) 50%),
+      linear-gradient(to bottom, var(--rdg-selection-color) 50%, var(--rdg-background-color) 50%),
+      linear-gradient(to bottom, var(--rdg-selection-color) 50%, var(--rdg-background-color) 50%);
+    background-origin: border-box;
+    background-repeat: repeat-x, repeat-x, repeat-y, repeat-y;
+    background-size:
+      var(--rdg-range-overlay-dash-size) var(--rdg-range-overlay-border-width),
+      var(--rdg-range-overlay-dash-size) var(--rdg-range-overlay-border-width),
+      var(--rdg-range-overlay-border-start-width) var(--rdg-range-overlay-dash-size),
+      var(--rdg-range-overlay-border-end-width) var(--rdg-range-overlay-dash-size);
+    background-position:
+      0 0,
+      0 100%,
+      0 0,
+      100% 0;
+    animation: rdg-range-overlay-marching-ants 400ms linear infinite;
+
+    &:dir(rtl) {
+      background-size:
+        var(--rdg-range-overlay-dash-size) var(--rdg-range-overlay-border-width),
+        var(--rdg-range-overlay-dash-size) var(--rdg-range-overlay-border-width),
+        var(--rdg-range-overlay-border-end-width) var(--rdg-range-overlay-dash-size),
+        var(--rdg-range-overlay-border-start-width) var(--rdg-range-overlay-dash-size);
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      animation: none;
+    }
+  }
+
+  @keyframes rdg-range-overlay-marching-ants {
+    to {
+      background-position:
+        var(--rdg-range-overlay-dash-size) 0,
+        calc(var(--rdg-range-overlay-dash-size) * -1) 100%,
+        0 calc(var(--rdg-range-overlay-dash-size) * -1),
+        100% var(--rdg-range-overlay-dash-size);
+    }
+  }
+`;
+
+const rangeOverlayCopiedClassname = `rdg-range-overlay-copied ${rangeOverlayCopied}`;
+
+// the frozen and the scrollable parts of a range are drawn as a single rectangle
+const rangeOverlayOpenStart = css`
+  @layer rdg.RangeOverlay {
+    --rdg-range-overlay-border-start-width: 0px;
+  }
+`;
+
+const rangeOverlayOpenEnd = css`
+  @layer rdg.RangeOverlay {
+    --rdg-range-overlay-border-end-width: 0px;
+  }
+`;
+
+interface Props {
+  /** The normalized range to draw */
+  range: CellsRange;
+  /** Number of grid rows rendered before the first row, i.e. header and top summary rows */
+  rowOffset: number;
+  lastFrozenColumnIndex: number;
+  firstEndFrozenColumnIndex: number;
+  isCopied: boolean;
+}
+
+/**
+ * Draws the border around a range of cells.
+ * The overlay spans grid tracks so it is positioned correctly even when
+ * the rows or columns of the range are not rendered due to virtualization.
+ */
+export default function RangeOverlay({
+  range,
+  rowOffset,
+  lastFrozenColumnIndex,
+  firstEndFrozenColumnIndex,
+  isCopied
+}: Props) {
+  const { startRowIdx, startColumnIdx, endRowIdx, endColumnIdx } = range;
+  const hasFrozenPart = startColumnIdx <= lastFrozenColumnIndex;
+  const hasEndFrozenPart = endColumnIdx >= firstEndFrozenColumnIndex;
+  const hasScrollablePart =
+    endColumnIdx > lastFrozenColumnIndex && startColumnIdx < firstEndFrozenColumnIndex;
+
+  function renderPart(startIdx: number, endIdx: number, frozen: boolean | 'end') {
+    return (
+      <div
+        className={clsx(rangeOverlayClassname, {
+          [rangeOverlayFrozen]: frozen !== false,
+          [rangeOverlayCopiedClassname]: isCopied,
+          [rangeOverlayOpenStart]: startIdx > startColumnIdx,
+          [rangeOverlayOpenEnd]: endIdx < endColumnIdx
+        })}
+        style={{
+          gridRowStart: rowOffset + startRowIdx + 1,
+          gridRowEnd: rowOffset + endRowIdx + 2,
+          gridColumnStart: startIdx + 1,
+          gridColumnEnd: endIdx + 2,
+          insetInlineStart: frozen === true ? `var(--rdg-frozen-left-${startIdx})` : undefined,
+          insetInlineEnd: frozen === 'end' ? `var(--rdg-frozen-right-${endIdx})` : undefined
+        }}
+      />
+    );
+  }
+
+  return (
+    <>
+      {hasFrozenPart && renderPart(startColumnIdx, min(endColumnIdx, lastFrozenColumnIndex), true)}
+      {hasScrollablePart &&
+        renderPart(
+          max(startColumnIdx, lastFrozenColumnIndex + 1),
+          min(endColumnIdx, firstEndFrozenColumnIndex - 1),
+          false
+        )}
+      {hasEndFrozenPart &&
+        renderPart(max(startColumnIdx, firstEndFrozenColumnIndex), endColumnIdx, 'end')}
+    </>
+  );
+}
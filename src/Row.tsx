@@ -5,7 +5,17 @@ import { RowSelectionContext, useLatestFunc, type RowSelectionContextValue } fro
 import { getColSpan, getRowStyle, isValueInBetween } from './utils';
 import type { CalculatedColumn, RenderRowProps } from './types';
 import { useDefaultRenderers } from './DataGridDefaultRenderersContext';
-import { rowClassname, rowSelectedClassname } from './style/row';
+import {
+  cellModifiedClassname,
+  cellRangeActiveClassname,
+  cellRangeSelectedClassname
+} from './style/cell';
+import {
+  pinnedRowClassname,
+  rowAddedClassname,
+  rowClassname,
+  rowSelectedClassname
+} from './style/row';
 
 function Row<R, SR>({
   className,
@@ -14,11 +24,17 @@ function Row<R, SR>({
   selectedCellIdx,
   isRowSelectionDisabled,
   isRowSelected,
-  draggedOverCellIdx,
+  draggedOverCellsRange,
   lastFrozenColumnIndex,
+  firstEndFrozenColumnIndex,
+  pinnedTop,
+  pinnedBottom,
+  modifiedColumnKeys,
+  isRowAdded,
   row,
   viewportColumns,
   selectedCellEditor,
+  editCells,
   onCellClick,
   onCellDoubleClick,
   onCellContextMenu,
@@ -31,7 +47,7 @@ function Row<R, SR>({
   onCellMouseUp,
   onCellMouseEnter,
   rangeSelectionMode,
-  selectedCellsRange,
+  selectedCellsRanges,
   ...props
 }: RenderRowProps<R, SR>) {
   const renderCell = useDefaultRenderers<R, SR>()!.renderCell!;
@@ -49,7 +65,9 @@ function Row<R, SR>({
     rowClassname,
     `rdg-row-${rowIdx % 2 === 0 ? 'even' : 'odd'}`,
     {
-      [rowSelectedClassname]: selectedCellIdx === -1
+      [rowSelectedClassname]: selectedCellIdx === -1,
+      [pinnedRowClassname]: pinnedTop !== undefined || pinnedBottom !== undefined,
+      [rowAddedClassname]: isRowAdded
     },
     rowClass?.(row, rowIdx),
     className
@@ -60,18 +78,24 @@ function Row<R, SR>({
   for (let index = 0; index < viewportColumns.length; index++) {
     const column = viewportColumns[index];
     const { idx } = column;
-    const colSpan = getColSpan(column, lastFrozenColumnIndex, { type: 'ROW', row });
+    const colSpan = getColSpan(column, lastFrozenColumnIndex, firstEndFrozenColumnIndex, {
+      type: 'ROW',
+      row
+    });
     if (colSpan !== undefined) {
       index += colSpan - 1;
     }
 
-    const isCellSelected =
-      selectedCellIdx === idx ||
-      (rangeSelectionMode &&
-        isValueInBetween(idx, selectedCellsRange.startIdx, selectedCellsRange.endIdx));
+    const isCellInRange =
+      rangeSelectionMode &&
+      selectedCellsRanges.some(({ startIdx, endIdx }) => isValueInBetween(idx, startIdx, endIdx));
+    const isCellActive = selectedCellIdx === idx;
+    const isCellSelected = isCellActive || isCellInRange;
 
-    if (isCellSelected && selectedCellEditor) {
-      cells.push(selectedCellEditor);
+    const cellEditor = isCellActive ? selectedCellEditor : editCells?.get(idx);
+
+    if (cellEditor) {
+      cells.push(cellEditor);
     } else {
       cells.push(
         renderCell(column.key, {
@@ -79,8 +103,18 @@ function Row<R, SR>({
           colSpan,
           row,
           rowIdx,
-          isDraggedOver: draggedOverCellIdx === idx,
+          isDraggedOver:
+            draggedOverCellsRange !== undefined &&
+            isValueInBetween(idx, draggedOverCellsRange.startIdx, draggedOverCellsRange.endIdx),
           isCellSelected,
+          className:
+            isCellInRange || modifiedColumnKeys?.has(column.key)
+              ? clsx({
+                  [cellRangeSelectedClassname]: isCellInRange,
+                  [cellRangeActiveClassname]: isCellInRange && isCellActive,
+                  [cellModifiedClassname]: modifiedColumnKeys?.has(column.key)
+                })
+              : undefined,
           onClick: onCellClick,
           onDoubleClick: onCellDoubleClick,
           onContextMenu: onCellContextMenu,
@@ -106,7 +140,13 @@ function Row<R, SR>({
         role="row"
         className={className}
         onMouseEnter={handleDragEnter}
-        style={getRowStyle(gridRowStart)}
+        style={
+          {
+            ...getRowStyle(gridRowStart),
+            '--rdg-pinned-row-top': pinnedTop !== undefined ? `${pinnedTop}px` : undefined,
+            '--rdg-pinned-row-bottom': pinnedBottom !== undefined ? `${pinnedBottom}px` : undefined
+          } as unknown as React.CSSProperties
+        }
         {...props}
       >
         {cells}
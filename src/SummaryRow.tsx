@@ -4,7 +4,7 @@ import clsx from 'clsx';
 
 import { getColSpan, getRowStyle } from './utils';
 import type { RenderRowProps } from './types';
-import { cell, cellFrozen } from './style/cell';
+import { cell, cellFrozen, cellFrozenEnd } from './style/cell';
 import {
   bottomSummaryRowClassname,
   rowClassname,
@@ -24,6 +24,7 @@ interface SummaryRowProps<R, SR> extends SharedRenderRowProps<R, SR> {
   top: number | undefined;
   bottom: number | undefined;
   lastFrozenColumnIndex: number;
+  firstEndFrozenColumnIndex: number;
   selectedCellIdx: number | undefined;
   isTop: boolean;
 }
@@ -42,7 +43,7 @@ const topSummaryRow = css`
       z-index: 2;
     }
 
-    > .${cellFrozen} {
+    > .${cellFrozen}, > .${cellFrozenEnd} {
       z-index: 3;
     }
   }
@@ -58,6 +59,7 @@ function SummaryRow<R, SR>({
   top,
   bottom,
   lastFrozenColumnIndex,
+  firstEndFrozenColumnIndex,
   selectedCellIdx,
   isTop,
   selectCell,
@@ -66,7 +68,10 @@ function SummaryRow<R, SR>({
   const cells = [];
   for (let index = 0; index < viewportColumns.length; index++) {
     const column = viewportColumns[index];
-    const colSpan = getColSpan(column, lastFrozenColumnIndex, { type: 'SUMMARY', row });
+    const colSpan = getColSpan(column, lastFrozenColumnIndex, firstEndFrozenColumnIndex, {
+      type: 'SUMMARY',
+      row
+    });
     if (colSpan !== undefined) {
       index += colSpan - 1;
     }
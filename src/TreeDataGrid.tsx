@@ -28,7 +28,15 @@ import { defaultRenderRow } from './Row';
 export interface TreeDataGridProps<R, SR = unknown, K extends Key = Key>
   extends Omit<
     DataGridProps<R, SR, K>,
-    'columns' | 'role' | 'aria-rowcount' | 'rowHeight' | 'onFill' | 'isRowSelectionDisabled'
+    | 'columns'
+    | 'role'
+    | 'aria-rowcount'
+    | 'rowHeight'
+    | 'onFill'
+    | 'isRowSelectionDisabled'
+    | 'topPinnedRowKeys'
+    | 'bottomPinnedRowKeys'
+    | 'enableChangeTracking'
   > {
   columns: readonly Column<NoInfer<R>, NoInfer<SR>>[];
   rowHeight?: Maybe<number | ((args: RowHeightArgs<NoInfer<R>>) => number)>;
@@ -72,7 +80,9 @@ export function TreeDataGrid<R, SR = unknown, K extends Key = Key>({
 }: TreeDataGridProps<R, SR, K>) {
   const defaultRenderers = useDefaultRenderers<R, SR>();
   const rawRenderRow = renderers?.renderRow ?? defaultRenderers?.renderRow ?? defaultRenderRow;
-  const headerAndTopSummaryRowsCount = 1 + (props.topSummaryRows?.length ?? 0);
+  // the header row, the filter row and the top summary rows
+  const headerAndTopSummaryRowsCount =
+    (props.enableFilterRow === true ? 2 : 1) + (props.topSummaryRows?.length ?? 0);
   const { leftKey, rightKey } = getLeftRightKey(props.direction);
   const toggleGroupLatest = useLatestFunc(toggleGroup);
   const groupIdGetter = rawGroupIdGetter ?? defaultGroupIdGetter;
@@ -103,6 +113,10 @@ export function TreeDataGrid<R, SR = unknown, K extends Key = Key>({
         columns[index] = {
           ...column,
           frozen: true,
+          // grouped columns stay frozen and visible to render the group cells
+          draggable: false,
+          hideable: false,
+          freezable: false,
           renderCell: () => null,
           renderGroupCell: column.renderGroupCell ?? renderToggleGroup,
           editable: false
@@ -203,6 +217,29 @@ export function TreeDataGrid<R, SR = unknown, K extends Key = Key>({
     return rawRowHeight;
   }, [isGroupRow, rawRowHeight]);
 
+  // autosizing measures the text of the rows: the group rows are measured with their group key
+  // in the grouped column of their level, the other group cells are rendered with `renderGroupCell`
+  // the latest function keeps the columns stable when the groups are expanded or collapsed
+  const isGroupRowLatest = useLatestFunc(isGroupRow);
+  const autosizedColumns = useMemo((): readonly Column<R, SR>[] => {
+    return columns.map((column) => {
+      const groupByIndex = groupBy.indexOf(column.key);
+      const { autosizeValue } = column;
+
+      return {
+        ...column,
+        autosizeValue(row: R | GroupRow<R>) {
+          if (isGroupRowLatest(row)) {
+            return row.level === groupByIndex ? row.groupKey : undefined;
+          }
+          // the grouped columns do not render the cells of the rows
+          if (groupByIndex !== -1) return undefined;
+          return autosizeValue ? autosizeValue(row) : row[column.key as keyof R];
+        }
+      };
+    });
+  }, [columns, groupBy, isGroupRowLatest]);
+
   const getParentRowAndIndex = useCallback(
     (row: R | GroupRow<R>) => {
       const rowIdx = rows.indexOf(row);
@@ -344,18 +381,18 @@ export function TreeDataGrid<R, SR = unknown, K extends Key = Key>({
     return isGroupRow(row) ? row : rawOnCellPaste!({ row, column }, event);
   }
 
-  function handleRowsChange(updatedRows: R[], { indexes, column }: RowsChangeData<R, SR>) {
+  function handleRowsChange(updatedRows: R[], data: RowsChangeData<R, SR>) {
     if (!onRowsChange) return;
     const updatedRawRows = [...rawRows];
     const rawIndexes: number[] = [];
-    for (const index of indexes) {
+    for (const index of data.indexes) {
       const rawIndex = rawRows.indexOf(rows[index] as R);
       updatedRawRows[rawIndex] = updatedRows[index];
       rawIndexes.push(rawIndex);
     }
     onRowsChange(updatedRawRows, {
-      indexes: rawIndexes,
-      column
+      ...data,
+      indexes: rawIndexes
     });
   }
 
@@ -379,9 +416,15 @@ export function TreeDataGrid<R, SR = unknown, K extends Key = Key>({
       onCellContextMenu,
       onRowChange,
       lastFrozenColumnIndex,
-      draggedOverCellIdx,
+      firstEndFrozenColumnIndex,
+      pinnedTop,
+      pinnedBottom,
+      modifiedColumnKeys,
+      isRowAdded,
+      draggedOverCellsRange,
       setDraggedOverRowIdx,
       selectedCellEditor,
+      editCells,
       ...rowProps
     }: RenderRowProps<R, SR>
   ) {
@@ -417,9 +460,15 @@ export function TreeDataGrid<R, SR = unknown, K extends Key = Key>({
       onCellContextMenu,
       onRowChange,
       lastFrozenColumnIndex,
-      draggedOverCellIdx,
+      firstEndFrozenColumnIndex,
+      pinnedTop,
+      pinnedBottom,
+      modifiedColumnKeys,
+      isRowAdded,
+      draggedOverCellsRange,
       setDraggedOverRowIdx,
-      selectedCellEditor
+      selectedCellEditor,
+      editCells
     });
   }
 
@@ -430,7 +479,7 @@ export function TreeDataGrid<R, SR = unknown, K extends Key = Key>({
       aria-rowcount={
         rowsCount + 1 + (props.topSummaryRows?.length ?? 0) + (props.bottomSummaryRows?.length ?? 0)
       }
-      columns={columns}
+      columns={autosizedColumns}
       rows={rows as R[]} // TODO: check types
       rowHeight={rowHeight}
       rowKeyGetter={rowKeyGetter}
@@ -0,0 +1,81 @@
+import { useLayoutEffect, useRef } from 'react';
+import { css } from '@linaria/core';
+
+import type { Direction } from './types';
+
+const validationTooltip = css`
+  @layer rdg.ValidationTooltip {
+    position: fixed;
+    inset: auto;
+    margin: 0;
+    box-sizing: border-box;
+    max-inline-size: 300px;
+    padding-block: 4px;
+    padding-inline: 8px;
+    border: none;
+    border-radius: 4px;
+    color: #fff;
+    background-color: var(--rdg-invalid-color);
+    box-shadow: 0 2px 8px rgb(0 0 0 / 15%);
+    font-size: var(--rdg-font-size);
+    font-weight: normal;
+    white-space: normal;
+  }
+`;
+
+const validationTooltipClassname = `rdg-validation-tooltip ${validationTooltip}`;
+
+interface ValidationTooltipProps {
+  id: string;
+  /** The cell the tooltip is positioned against */
+  anchorRef: React.RefObject<HTMLDivElement | null>;
+  error: string;
+  direction: Direction;
+}
+
+export default function ValidationTooltip({
+  id,
+  anchorRef,
+  error,
+  direction
+}: ValidationTooltipProps) {
+  const tooltipRef = useRef<HTMLDivElement>(null);
+
+  useLayoutEffect(() => {
+    const tooltip = tooltipRef.current!;
+    // the tooltip is shown in the top layer so it is not clipped by the cell
+    tooltip.showPopover();
+
+    function updatePosition() {
+      const { bottom, left, right } = anchorRef.current!.getBoundingClientRect();
+      const { offsetWidth } = tooltip;
+      // align the tooltip with the inline start of the cell
+      const tooltipLeft = direction === 'rtl' ? right - offsetWidth : left;
+      const maxLeft = document.documentElement.clientWidth - offsetWidth;
+      tooltip.style.top = `${bottom}px`;
+      tooltip.style.left = `${Math.max(0, Math.min(tooltipLeft, maxLeft))}px`;
+    }
+
+    updatePosition();
+    // the cell moves when the grid or any of its scrollable ancestors is scrolled
+    addEventListener('scroll', updatePosition, { capture: true, passive: true });
+    addEventListener('resize', updatePosition);
+
+    return () => {
+      removeEventListener('scroll', updatePosition, { capture: true });
+      removeEventListener('resize', updatePosition);
+    };
+  }, [anchorRef, error, direction]);
+
+  return (
+    <div
+      ref={tooltipRef}
+      id={id}
+      popover="manual"
+      role="tooltip"
+      className={validationTooltipClassname}
+    >
+      {error}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import { css } from '@linaria/core';
+
+import type { RenderEditCellProps } from '../types';
+import { autoFocus } from './textEditor';
+
+const checkboxEditorInternalClassname = css`
+  @layer rdg.TextEditor {
+    display: block;
+    margin-block: 0;
+    margin-inline: auto;
+    block-size: 100%;
+    cursor: pointer;
+
+    &:focus {
+      outline: none;
+    }
+  }
+`;
+
+export const checkboxEditorClassname = `rdg-checkbox-editor ${checkboxEditorInternalClassname}`;
+
+/**
+ * Editor for boolean values, the value is toggled by clicking the checkbox or pressing Space
+ */
+export default function checkboxEditor<TRow, TSummaryRow>({
+  row,
+  column,
+  onRowChange,
+  onClose
+}: RenderEditCellProps<TRow, TSummaryRow>) {
+  return (
+    <input
+      type="checkbox"
+      className={checkboxEditorClassname}
+      ref={autoFocus}
+      checked={row[column.key as keyof TRow] === true}
+      onChange={(event) => onRowChange({ ...row, [column.key]: event.target.checked })}
+      onBlur={() => onClose(true, false)}
+    />
+  );
+}
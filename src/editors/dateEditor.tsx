@@ -0,0 +1,106 @@
+import { toDate, toIsoDate } from '../utils';
+import type { Maybe, RenderEditCellProps } from '../types';
+import { autoFocus, textEditorClassname } from './textEditor';
+
+type DateEditorType = 'date' | 'time' | 'timestamp';
+
+export interface DateEditorOptions {
+  /**
+   * - date: `yyyy-mm-dd`
+   * - time: `hh:mm` or `hh:mm:ss`
+   * - timestamp: `yyyy-mm-ddThh:mm` or `yyyy-mm-ddThh:mm:ss`
+   * @default 'date'
+   */
+  readonly type?: Maybe<DateEditorType>;
+}
+
+const inputTypes = {
+  date: 'date',
+  time: 'time',
+  timestamp: 'datetime-local'
+} as const;
+
+const isoTimeRegex = /^\d{2}:\d{2}(:\d{2})?/;
+const isoTimestampRegex = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2})?/;
+
+function toIsoTime(date: Date) {
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  const seconds = date.getSeconds();
+  return seconds === 0
+    ? `${hours}:${minutes}`
+    : `${hours}:${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+function toInputValue(value: unknown, type: DateEditorType): string {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return '';
+    if (type === 'date') return toIsoDate(value);
+    if (type === 'time') return toIsoTime(value);
+    return `${toIsoDate(value)}T${toIsoTime(value)}`;
+  }
+
+  if (typeof value !== 'string') return '';
+  if (type === 'date') {
+    const date = toDate(value.slice(0, 10));
+    return date === undefined ? '' : toIsoDate(date);
+  }
+  if (type === 'time') {
+    return isoTimeRegex.exec(value)?.[0] ?? '';
+  }
+  return isoTimestampRegex.exec(value)?.[0].replace(' ', 'T') ?? '';
+}
+
+/**
+ * Dates are stored as dates, other values are stored as ISO strings.
+ * An empty input is stored as `null`
+ */
+function fromInputValue(inputValue: string, previousValue: unknown, type: DateEditorType): unknown {
+  if (inputValue === '') return null;
+  if (!(previousValue instanceof Date)) return inputValue;
+
+  if (type === 'date') return toDate(inputValue) ?? null;
+  if (type === 'time') {
+    const [hours, minutes, seconds = 0] = inputValue.split(':').map(Number);
+    const date = Number.isNaN(previousValue.getTime()) ? new Date() : new Date(previousValue);
+    date.setHours(hours, minutes, seconds, 0);
+    return date;
+  }
+  // date-time strings without a time zone offset are parsed as local time
+  return new Date(inputValue);
+}
+
+/**
+ * Creates an editor for dates, times and timestamps using the native date and time inputs
+ */
+export default function createDateEditor<TRow, TSummaryRow = unknown>({
+  type
+}: DateEditorOptions = {}) {
+  const editorType = type ?? 'date';
+
+  return function dateEditor({
+    row,
+    column,
+    onRowChange,
+    onClose
+  }: RenderEditCellProps<TRow, TSummaryRow>) {
+    const value = row[column.key as keyof TRow];
+
+    return (
+      <input
+        type={inputTypes[editorType]}
+        className={textEditorClassname}
+        ref={autoFocus}
+        step={editorType === 'date' ? undefined : 1}
+        value={toInputValue(value, editorType)}
+        onChange={(event) =>
+          onRowChange({
+            ...row,
+            [column.key]: fromInputValue(event.target.value, value, editorType)
+          })
+        }
+        onBlur={() => onClose(true, false)}
+      />
+    );
+  };
+}
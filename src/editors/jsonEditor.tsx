@@ -0,0 +1,68 @@
+import { useState } from 'react';
+
+import type { RenderEditCellProps } from '../types';
+import { multilineEditorClassname, onMultilineEditorKeyDown } from './multilineEditor';
+import { autoFocusAndSelect } from './textEditor';
+
+function stringifyJson(value: unknown) {
+  return value === undefined ? '' : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Returns `undefined` when the text is not valid JSON, an empty text is parsed as `null`
+ */
+function parseJson(text: string): { value: unknown } | undefined {
+  if (text.trim() === '') return { value: null };
+  try {
+    return { value: JSON.parse(text) };
+  } catch {
+    return undefined;
+  }
+}
+
+function JsonEditor<TRow, TSummaryRow>({
+  row,
+  column,
+  onRowChange,
+  onClose,
+  onInputErrorChange
+}: RenderEditCellProps<TRow, TSummaryRow>) {
+  const [text, setText] = useState(() => stringifyJson(row[column.key as keyof TRow]));
+  const isInvalid = parseJson(text) === undefined;
+
+  function handleChange(event: React.ChangeEvent<HTMLTextAreaElement>) {
+    const text = event.target.value;
+    setText(text);
+
+    // invalid JSON is not written to the row and keeps the editor open
+    const result = parseJson(text);
+    if (result === undefined) {
+      onInputErrorChange('Invalid JSON');
+    } else {
+      onInputErrorChange(undefined);
+      onRowChange({ ...row, [column.key]: result.value });
+    }
+  }
+
+  return (
+    <textarea
+      className={multilineEditorClassname}
+      ref={autoFocusAndSelect}
+      spellCheck={false}
+      value={text}
+      aria-invalid={isInvalid}
+      onChange={handleChange}
+      onKeyDown={onMultilineEditorKeyDown}
+      onBlur={() => onClose(true, false)}
+    />
+  );
+}
+
+/**
+ * Editor for JSON values, the value is stored as parsed JSON
+ */
+export default function jsonEditor<TRow, TSummaryRow>(
+  props: RenderEditCellProps<TRow, TSummaryRow>
+) {
+  return <JsonEditor {...props} />;
+}
@@ -0,0 +1,51 @@
+import { css } from '@linaria/core';
+import clsx from 'clsx';
+
+import type { RenderEditCellProps } from '../types';
+import { autoFocusAndSelect, textEditorClassname } from './textEditor';
+
+const multilineEditorInternalClassname = css`
+  @layer rdg.TextEditor {
+    display: block;
+    padding-block: 4px;
+    resize: none;
+  }
+`;
+
+export const multilineEditorClassname = clsx(
+  'rdg-multiline-editor',
+  textEditorClassname,
+  multilineEditorInternalClassname
+);
+
+/**
+ * Enter still commits the changes, Shift+Enter inserts a new line
+ */
+export function onMultilineEditorKeyDown(event: React.KeyboardEvent<HTMLTextAreaElement>) {
+  if (event.key === 'Enter' && event.shiftKey) {
+    event.stopPropagation();
+  }
+}
+
+/**
+ * Editor for text spanning multiple lines
+ */
+export default function multilineEditor<TRow, TSummaryRow>({
+  row,
+  column,
+  onRowChange,
+  onClose
+}: RenderEditCellProps<TRow, TSummaryRow>) {
+  const value = row[column.key as keyof TRow];
+
+  return (
+    <textarea
+      className={multilineEditorClassname}
+      ref={autoFocusAndSelect}
+      value={value == null ? '' : String(value)}
+      onChange={(event) => onRowChange({ ...row, [column.key]: event.target.value })}
+      onKeyDown={onMultilineEditorKeyDown}
+      onBlur={() => onClose(true, false)}
+    />
+  );
+}
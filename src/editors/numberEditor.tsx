@@ -0,0 +1,98 @@
+import { useState } from 'react';
+
+import type { Maybe, RenderEditCellProps } from '../types';
+import { autoFocusAndSelect, textEditorClassname } from './textEditor';
+
+export interface NumberEditorOptions {
+  /** Locale used to format and parse the numbers, the locale of the browser is used by default */
+  readonly locale?: Maybe<string>;
+  /** The values are clamped to `min` and `max` */
+  readonly min?: Maybe<number>;
+  readonly max?: Maybe<number>;
+}
+
+interface NumberEditorProps<TRow, TSummaryRow> extends RenderEditCellProps<TRow, TSummaryRow> {
+  options: NumberEditorOptions;
+}
+
+const numberRegex = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+function formatNumber(value: unknown, locale: Maybe<string>) {
+  if (typeof value !== 'number' || Number.isNaN(value)) return '';
+  return new Intl.NumberFormat(locale ?? undefined, {
+    useGrouping: false,
+    maximumFractionDigits: 20
+  }).format(value);
+}
+
+/**
+ * Parses numbers formatted with the group and decimal separators of the locale,
+ * `null` is returned for an empty text and `NaN` for an invalid number
+ */
+function parseNumber(text: string, locale: Maybe<string>): number | null {
+  const parts = new Intl.NumberFormat(locale ?? undefined).formatToParts(12345.6);
+  const groupSeparator = parts.find(({ type }) => type === 'group')?.value ?? ',';
+  const decimalSeparator = parts.find(({ type }) => type === 'decimal')?.value ?? '.';
+  const normalizedText = text
+    .replaceAll(groupSeparator, '')
+    .replaceAll(/\s/g, '')
+    .replace(decimalSeparator, '.');
+
+  if (normalizedText === '') return null;
+  if (!numberRegex.test(normalizedText)) return Number.NaN;
+  return Number(normalizedText);
+}
+
+function NumberEditor<TRow, TSummaryRow>({
+  row,
+  column,
+  onRowChange,
+  onClose,
+  onInputErrorChange,
+  options: { locale, min, max }
+}: NumberEditorProps<TRow, TSummaryRow>) {
+  const [text, setText] = useState(() => formatNumber(row[column.key as keyof TRow], locale));
+  const isInvalid = Number.isNaN(parseNumber(text, locale));
+
+  function handleChange(event: React.ChangeEvent<HTMLInputElement>) {
+    const text = event.target.value;
+    setText(text);
+
+    let value = parseNumber(text, locale);
+    // invalid numbers are not written to the row and keep the editor open
+    if (Number.isNaN(value)) {
+      onInputErrorChange('Invalid number');
+      return;
+    }
+    onInputErrorChange(undefined);
+    if (value !== null) {
+      if (min != null) value = Math.max(value, min);
+      if (max != null) value = Math.min(value, max);
+    }
+    onRowChange({ ...row, [column.key]: value });
+  }
+
+  return (
+    <input
+      className={textEditorClassname}
+      ref={autoFocusAndSelect}
+      inputMode="decimal"
+      value={text}
+      aria-invalid={isInvalid}
+      onChange={handleChange}
+      onBlur={() => onClose(true, false)}
+    />
+  );
+}
+
+/**
+ * Creates an editor for numeric values, the text is parsed with the separators of the locale.
+ * An empty text is stored as `null`
+ */
+export default function createNumberEditor<TRow, TSummaryRow = unknown>(
+  options: NumberEditorOptions = {}
+) {
+  return function numberEditor(props: RenderEditCellProps<TRow, TSummaryRow>) {
+    return <NumberEditor {...props} options={options} />;
+  };
+}
@@ -0,0 +1,110 @@
+import { useEffect, useId, useState } from 'react';
+
+import type { Maybe, RenderEditCellProps } from '../types';
+import { autoFocus, autoFocusAndSelect, textEditorClassname } from './textEditor';
+
+export interface SelectEditorOptions<TRow> {
+  /** The options of the editor, or a function loading them when the editor is opened */
+  readonly options: readonly string[] | ((row: TRow) => Promise<readonly string[]>);
+  /**
+   * Render a combobox accepting values that are not in the options, instead of a select
+   * @default false
+   */
+  readonly allowCustomValue?: Maybe<boolean>;
+}
+
+interface SelectEditorProps<TRow, TSummaryRow> extends RenderEditCellProps<TRow, TSummaryRow> {
+  options: SelectEditorOptions<TRow>;
+}
+
+function SelectEditor<TRow, TSummaryRow>({
+  row,
+  column,
+  onRowChange,
+  onClose,
+  options: { options: rawOptions, allowCustomValue }
+}: SelectEditorProps<TRow, TSummaryRow>) {
+  const listId = useId();
+  // the options are loaded once, for the row being edited when the editor was opened
+  const [initialRow] = useState(row);
+  const [loadedOptions, setLoadedOptions] = useState<readonly string[]>();
+  const options = typeof rawOptions === 'function' ? loadedOptions : rawOptions;
+  const isLoading = options === undefined;
+  const rawValue = row[column.key as keyof TRow];
+  const value = rawValue == null ? '' : String(rawValue);
+
+  useEffect(() => {
+    if (typeof rawOptions !== 'function') return;
+    let ignore = false;
+
+    rawOptions(initialRow).then(
+      (options) => {
+        if (!ignore) setLoadedOptions(options);
+      },
+      () => {
+        if (!ignore) setLoadedOptions([]);
+      }
+    );
+
+    return () => {
+      ignore = true;
+    };
+  }, [rawOptions, initialRow]);
+
+  function handleChange(event: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) {
+    onRowChange({ ...row, [column.key]: event.target.value });
+  }
+
+  if (allowCustomValue) {
+    return (
+      <>
+        <input
+          className={textEditorClassname}
+          ref={autoFocusAndSelect}
+          list={listId}
+          value={value}
+          aria-busy={isLoading}
+          onChange={handleChange}
+          onBlur={() => onClose(true, false)}
+        />
+        <datalist id={listId}>
+          {options?.map((option) => <option key={option} value={option} />)}
+        </datalist>
+      </>
+    );
+  }
+
+  return (
+    <select
+      className={textEditorClassname}
+      ref={autoFocus}
+      value={value}
+      aria-busy={isLoading}
+      onChange={handleChange}
+      onBlur={() => onClose(true, false)}
+    >
+      {/* keep the current value selectable when it is not one of the options */}
+      {!options?.includes(value) && <option value={value}>{value}</option>}
+      {isLoading ? (
+        <option disabled>Loading…</option>
+      ) : (
+        options.map((option) => (
+          <option key={option} value={option}>
+            {option}
+          </option>
+        ))
+      )}
+    </select>
+  );
+}
+
+/**
+ * Creates an editor selecting the value from a list of options, the options can be loaded asynchronously
+ */
+export default function createSelectEditor<TRow, TSummaryRow = unknown>(
+  options: SelectEditorOptions<TRow>
+) {
+  return function selectEditor(props: RenderEditCellProps<TRow, TSummaryRow>) {
+    return <SelectEditor {...props} options={options} />;
+  };
+}
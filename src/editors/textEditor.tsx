@@ -24,6 +24,10 @@ const textEditorInternalClassname = css`
       outline: none;
     }
 
+    &[aria-invalid='true'] {
+      border-color: var(--rdg-invalid-color);
+    }
+
     &::placeholder {
       color: #999;
       opacity: 1;
@@ -33,7 +37,11 @@ const textEditorInternalClassname = css`
 
 export const textEditorClassname = `rdg-text-editor ${textEditorInternalClassname}`;
 
-function autoFocusAndSelect(input: HTMLInputElement | null) {
+export function autoFocus(element: HTMLInputElement | HTMLSelectElement | null) {
+  element?.focus();
+}
+
+export function autoFocusAndSelect(input: HTMLInputElement | HTMLTextAreaElement | null) {
   input?.focus();
   input?.select();
 }
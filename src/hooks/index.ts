@@ -1,8 +1,14 @@
+export * from './useAutoScroll';
 export * from './useCalculatedColumns';
+export * from './useChangeTracking';
 export * from './useColumnWidths';
 export * from './useGridDimensions';
+export * from './useInvalidCells';
 export * from './useLatestFunc';
+export * from './usePinnedRows';
 export * from './useRovingTabIndex';
 export * from './useRowSelection';
+export * from './useRowsHistory';
+export * from './useSortedRows';
 export * from './useViewportColumns';
 export * from './useViewportRows';
@@ -0,0 +1,94 @@
+import { useEffect } from 'react';
+
+import type { Direction } from '../types';
+import { useLatestFunc } from './useLatestFunc';
+
+// distance from the viewport edges where auto-scrolling starts, in pixels
+const edgeSize = 40;
+const speedFactor = 0.3;
+const maxSpeed = 50;
+
+interface AutoScrollArgs {
+  gridRef: React.RefObject<HTMLDivElement | null>;
+  isEnabled: boolean;
+  /** Height of the sticky header and top summary rows */
+  insetBlockStart: number;
+  /** Height of the sticky bottom summary rows and horizontal scrollbar */
+  insetBlockEnd: number;
+  direction: Direction;
+  /** Called with the pointer position clamped to the scrollable viewport, before each scroll step */
+  onAutoScroll: (clientX: number, clientY: number) => void;
+}
+
+function getScrollDelta(position: number, start: number, end: number) {
+  if (position < start + edgeSize) {
+    return Math.max(-maxSpeed, (position - start - edgeSize) * speedFactor);
+  }
+  if (position > end - edgeSize) {
+    return Math.min(maxSpeed, (position - end + edgeSize) * speedFactor);
+  }
+  return 0;
+}
+
+function clamp(value: number, min: number, max: number) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Scrolls the grid while the pointer is close to or past the edges of the viewport,
+ * the scroll speed is proportional to the distance between the pointer and the edge
+ */
+export function useAutoScroll({
+  gridRef,
+  isEnabled,
+  insetBlockStart,
+  insetBlockEnd,
+  direction,
+  onAutoScroll
+}: AutoScrollArgs) {
+  const onAutoScrollLatest = useLatestFunc(onAutoScroll);
+
+  useEffect(() => {
+    const grid = gridRef.current;
+    if (!isEnabled || grid === null) return;
+
+    let pointer: { readonly clientX: number; readonly clientY: number } | undefined;
+    let frameId = requestAnimationFrame(() => {
+      scrollStep(grid);
+    });
+
+    function onMouseMove({ clientX, clientY }: MouseEvent) {
+      pointer = { clientX, clientY };
+    }
+
+    function scrollStep(grid: HTMLDivElement) {
+      frameId = requestAnimationFrame(() => {
+        scrollStep(grid);
+      });
+      if (pointer === undefined) return;
+
+      const rect = grid.getBoundingClientRect();
+      const verticalScrollbarWidth = grid.offsetWidth - grid.clientWidth;
+      const top = rect.top + insetBlockStart;
+      const bottom = rect.bottom - insetBlockEnd;
+      const left = direction === 'rtl' ? rect.left + verticalScrollbarWidth : rect.left;
+      const right = direction === 'rtl' ? rect.right : rect.right - verticalScrollbarWidth;
+      const deltaX = getScrollDelta(pointer.clientX, left, right);
+      const deltaY = getScrollDelta(pointer.clientY, top, bottom);
+      if (deltaX === 0 && deltaY === 0) return;
+
+      onAutoScrollLatest(
+        clamp(pointer.clientX, left + 1, right - 1),
+        clamp(pointer.clientY, top + 1, bottom - 1)
+      );
+      grid.scrollBy(deltaX, deltaY);
+    }
+
+    window.addEventListener('mousemove', onMouseMove);
+
+    return () => {
+      cancelAnimationFrame(frameId);
+      window.removeEventListener('mousemove', onMouseMove);
+    };
+  }, [gridRef, isEnabled, insetBlockStart, insetBlockEnd, direction, onAutoScrollLatest]);
+}
@@ -1,6 +1,6 @@
 import { useMemo } from 'react';
 
-import { clampColumnWidth, max, min } from '../utils';
+import { clampColumnWidth, max, min, orderColumns } from '../utils';
 import type { CalculatedColumn, CalculatedColumnParent, ColumnOrColumnGroup, Omit } from '../types';
 import { renderValue } from '../cellRenderers';
 import { SELECT_COLUMN_KEY } from '../Columns';
@@ -31,6 +31,9 @@ const DEFAULT_COLUMN_MIN_WIDTH = 50;
 interface CalculatedColumnsArgs<R, SR> {
   rawColumns: readonly ColumnOrColumnGroup<R, SR>[];
   defaultColumnOptions: DataGridProps<R, SR>['defaultColumnOptions'];
+  columnOrder: readonly string[];
+  frozenColumnKeys: ReadonlySet<string> | undefined;
+  hiddenColumnKeys: ReadonlySet<string>;
   viewportWidth: number;
   scrollLeft: number;
   getColumnWidth: (column: CalculatedColumn<R, SR>) => string | number;
@@ -40,6 +43,9 @@ interface CalculatedColumnsArgs<R, SR> {
 export function useCalculatedColumns<R, SR>({
   rawColumns,
   defaultColumnOptions,
+  columnOrder,
+  frozenColumnKeys,
+  hiddenColumnKeys,
   getColumnWidth,
   viewportWidth,
   scrollLeft,
@@ -51,20 +57,34 @@ export function useCalculatedColumns<R, SR>({
   const defaultRenderCell = defaultColumnOptions?.renderCell ?? renderValue;
   const defaultRenderHeaderCell = defaultColumnOptions?.renderHeaderCell ?? renderHeaderCell;
   const defaultSortable = defaultColumnOptions?.sortable ?? false;
+  const defaultSortCycle = defaultColumnOptions?.sortCycle;
   const defaultResizable = defaultColumnOptions?.resizable ?? false;
   const defaultDraggable = defaultColumnOptions?.draggable ?? false;
 
-  const { columns, colSpanColumns, lastFrozenColumnIndex, headerRowsCount } = useMemo((): {
+  const orderedColumns = useMemo(
+    () => orderColumns(rawColumns, columnOrder),
+    [rawColumns, columnOrder]
+  );
+
+  const {
+    columns,
+    colSpanColumns,
+    lastFrozenColumnIndex,
+    firstEndFrozenColumnIndex,
+    headerRowsCount
+  } = useMemo((): {
     readonly columns: readonly CalculatedColumn<R, SR>[];
     readonly colSpanColumns: readonly CalculatedColumn<R, SR>[];
     readonly lastFrozenColumnIndex: number;
+    readonly firstEndFrozenColumnIndex: number;
     readonly headerRowsCount: number;
   } => {
     let lastFrozenColumnIndex = -1;
+    let endFrozenColumnsCount = 0;
     let headerRowsCount = 1;
     const columns: MutableCalculatedColumn<R, SR>[] = [];
 
-    collectColumns(rawColumns, 1);
+    collectColumns(orderedColumns, 1);
 
     function collectColumns(
       rawColumns: readonly ColumnOrColumnGroup<R, SR>[],
@@ -86,27 +106,42 @@ export function useCalculatedColumns<R, SR>({
           continue;
         }
 
-        const frozen = rawColumn.frozen ?? false;
+        // hidden columns are skipped so the indexes, frozen columns and group spans only count visible columns
+        if (rawColumn.hideable !== false && hiddenColumnKeys.has(rawColumn.key)) continue;
+
+        const draggable = rawColumn.draggable ?? defaultDraggable;
+        // columns frozen at the end stay frozen at the end
+        const isFrozenAtStart =
+          rawColumn.frozen !== 'end' &&
+          (rawColumn.freezable !== false && frozenColumnKeys !== undefined
+            ? frozenColumnKeys.has(rawColumn.key)
+            : rawColumn.frozen === true);
+        const frozenSide =
+          rawColumn.frozen === 'end' ? 'end' : isFrozenAtStart ? 'start' : undefined;
 
         const column: MutableCalculatedColumn<R, SR> = {
           ...rawColumn,
           parent,
           idx: 0,
           level: 0,
-          frozen,
+          frozen: frozenSide !== undefined,
+          frozenSide,
           width: rawColumn.width ?? defaultWidth,
           minWidth: rawColumn.minWidth ?? defaultMinWidth,
           maxWidth: rawColumn.maxWidth ?? defaultMaxWidth,
           sortable: rawColumn.sortable ?? defaultSortable,
+          sortCycle: rawColumn.sortCycle ?? defaultSortCycle,
           resizable: rawColumn.resizable ?? defaultResizable,
-          draggable: rawColumn.draggable ?? defaultDraggable,
+          draggable,
           renderCell: rawColumn.renderCell ?? defaultRenderCell,
           renderHeaderCell: rawColumn.renderHeaderCell ?? defaultRenderHeaderCell
         };
 
         columns.push(column);
 
-        if (frozen) {
+        if (frozenSide === 'end') {
+          endFrozenColumnsCount++;
+        } else if (frozenSide === 'start') {
           lastFrozenColumnIndex++;
         }
 
@@ -116,17 +151,15 @@ export function useCalculatedColumns<R, SR>({
       }
     }
 
-    columns.sort(({ key: aKey, frozen: frozenA }, { key: bKey, frozen: frozenB }) => {
+    columns.sort(({ key: aKey, frozenSide: sideA }, { key: bKey, frozenSide: sideB }) => {
       // Sort select column first:
       if (aKey === SELECT_COLUMN_KEY) return -1;
       if (bKey === SELECT_COLUMN_KEY) return 1;
 
-      // Sort frozen columns second:
-      if (frozenA) {
-        if (frozenB) return 0;
-        return -1;
-      }
-      if (frozenB) return 1;
+      // Sort frozen columns second and columns frozen at the end last:
+      const sectionA = getFrozenSection(sideA);
+      const sectionB = getFrozenSection(sideB);
+      if (sectionA !== sectionB) return sectionA - sectionB;
 
       // TODO: sort columns to keep them grouped if they have a parent
 
@@ -148,10 +181,13 @@ export function useCalculatedColumns<R, SR>({
       columns,
       colSpanColumns,
       lastFrozenColumnIndex,
+      firstEndFrozenColumnIndex: columns.length - endFrozenColumnsCount,
       headerRowsCount
     };
   }, [
-    rawColumns,
+    orderedColumns,
+    frozenColumnKeys,
+    hiddenColumnKeys,
     defaultWidth,
     defaultMinWidth,
     defaultMaxWidth,
@@ -159,18 +195,27 @@ export function useCalculatedColumns<R, SR>({
     defaultRenderHeaderCell,
     defaultResizable,
     defaultSortable,
+    defaultSortCycle,
     defaultDraggable
   ]);
 
-  const { templateColumns, layoutCssVars, totalFrozenColumnWidth, columnMetrics } = useMemo((): {
+  const {
+    templateColumns,
+    layoutCssVars,
+    totalFrozenColumnWidth,
+    totalEndFrozenColumnWidth,
+    columnMetrics
+  } = useMemo((): {
     templateColumns: readonly string[];
     layoutCssVars: Readonly<Record<string, string>>;
     totalFrozenColumnWidth: number;
+    totalEndFrozenColumnWidth: number;
     columnMetrics: ReadonlyMap<CalculatedColumn<R, SR>, ColumnMetric>;
   } => {
     const columnMetrics = new Map<CalculatedColumn<R, SR>, ColumnMetric>();
     let left = 0;
     let totalFrozenColumnWidth = 0;
+    let totalEndFrozenColumnWidth = 0;
     const templateColumns: string[] = [];
 
     for (const column of columns) {
@@ -200,8 +245,21 @@ export function useCalculatedColumns<R, SR>({
       layoutCssVars[`--rdg-frozen-left-${column.idx}`] = `${columnMetrics.get(column)!.left}px`;
     }
 
-    return { templateColumns, layoutCssVars, totalFrozenColumnWidth, columnMetrics };
-  }, [getColumnWidth, columns, lastFrozenColumnIndex]);
+    // columns frozen at the end are offset by the width of the columns after them
+    for (let i = columns.length - 1; i >= firstEndFrozenColumnIndex; i--) {
+      const column = columns[i];
+      layoutCssVars[`--rdg-frozen-right-${column.idx}`] = `${totalEndFrozenColumnWidth}px`;
+      totalEndFrozenColumnWidth += columnMetrics.get(column)!.width;
+    }
+
+    return {
+      templateColumns,
+      layoutCssVars,
+      totalFrozenColumnWidth,
+      totalEndFrozenColumnWidth,
+      columnMetrics
+    };
+  }, [getColumnWidth, columns, lastFrozenColumnIndex, firstEndFrozenColumnIndex]);
 
   const [colOverscanStartIdx, colOverscanEndIdx] = useMemo((): [number, number] => {
     if (!enableVirtualization) {
@@ -209,9 +267,9 @@ export function useCalculatedColumns<R, SR>({
     }
     // get the viewport's left side and right side positions for non-frozen columns
     const viewportLeft = scrollLeft + totalFrozenColumnWidth;
-    const viewportRight = scrollLeft + viewportWidth;
+    const viewportRight = scrollLeft + viewportWidth - totalEndFrozenColumnWidth;
     // get first and last non-frozen column indexes
-    const lastColIdx = columns.length - 1;
+    const lastColIdx = firstEndFrozenColumnIndex - 1;
     const firstUnfrozenColumnIdx = min(lastFrozenColumnIndex + 1, lastColIdx);
 
     // skip rendering non-frozen columns if the frozen columns cover the entire viewport
@@ -251,13 +309,16 @@ export function useCalculatedColumns<R, SR>({
     columnMetrics,
     columns,
     lastFrozenColumnIndex,
+    firstEndFrozenColumnIndex,
     scrollLeft,
     totalFrozenColumnWidth,
+    totalEndFrozenColumnWidth,
     viewportWidth,
     enableVirtualization
   ]);
 
   return {
+    orderedColumns,
     columns,
     colSpanColumns,
     colOverscanStartIdx,
@@ -266,10 +327,17 @@ export function useCalculatedColumns<R, SR>({
     layoutCssVars,
     headerRowsCount,
     lastFrozenColumnIndex,
-    totalFrozenColumnWidth
+    firstEndFrozenColumnIndex,
+    totalFrozenColumnWidth,
+    totalEndFrozenColumnWidth
   };
 }
 
+function getFrozenSection(frozenSide: 'start' | 'end' | undefined) {
+  if (frozenSide === 'end') return 2;
+  return frozenSide === 'start' ? 0 : 1;
+}
+
 function updateColumnParent<R, SR>(
   column: MutableCalculatedColumn<R, SR> | MutableCalculatedColumnParent<R, SR>,
   index: number,
@@ -0,0 +1,196 @@
+import { useLayoutEffect, useMemo, useState } from 'react';
+
+import { assertIsValidKeyGetter, getLeafColumns } from '../utils';
+import type {
+  CalculatedColumn,
+  CellChange,
+  ColumnOrColumnGroup,
+  Maybe,
+  RowsChangeData,
+  RowsChanges
+} from '../types';
+
+interface ChangeTrackingArgs<R, SR, K extends React.Key> {
+  rows: readonly R[];
+  rawColumns: readonly ColumnOrColumnGroup<R, SR>[];
+  columns: readonly CalculatedColumn<R, SR>[];
+  rowKeyGetter: Maybe<(row: R) => K>;
+  enableChangeTracking: boolean;
+  onRowsChange: Maybe<(rows: R[], data: RowsChangeData<R, SR>) => void>;
+}
+
+const noModifiedCells = new Map<never, ReadonlySet<string>>();
+const noAddedRowKeys = new Set<never>();
+
+function getRowsByKey<R, K extends React.Key>(rows: readonly R[], rowKeyGetter: (row: R) => K) {
+  return new Map(rows.map((row) => [rowKeyGetter(row), row]));
+}
+
+/**
+ * Compares the rows with the original rows, taken from the first non-empty rows
+ * and every time the changes are accepted, by row key and column key.
+ * Changes from every `onRowsChange` path, and from outside the grid, are tracked alike,
+ * hidden columns included.
+ */
+export function useChangeTracking<R, SR, K extends React.Key>({
+  rows,
+  rawColumns,
+  columns,
+  rowKeyGetter,
+  enableChangeTracking,
+  onRowsChange
+}: ChangeTrackingArgs<R, SR, K>) {
+  if (enableChangeTracking) {
+    assertIsValidKeyGetter<R, K>(rowKeyGetter, 'change tracking');
+  }
+
+  const [originalRows, setOriginalRows] = useState((): ReadonlyMap<K, R> | null =>
+    enableChangeTracking && rows.length > 0 ? getRowsByKey(rows, rowKeyGetter!) : null
+  );
+
+  // the effect resets the original rows once change tracking is disabled
+  const trackedRows = enableChangeTracking ? originalRows : null;
+  const columnKeys = useMemo(
+    () => getLeafColumns(rawColumns).map(({ key }) => key as keyof R & string),
+    [rawColumns]
+  );
+
+  useLayoutEffect(() => {
+    if (!enableChangeTracking) {
+      setOriginalRows(null);
+    } else if (originalRows === null && rows.length > 0) {
+      // the rows may be loaded after the grid is rendered
+      setOriginalRows(getRowsByKey(rows, rowKeyGetter!));
+    }
+  }, [enableChangeTracking, originalRows, rows, rowKeyGetter]);
+
+  const { modifiedCells, addedRowKeys } = useMemo((): {
+    modifiedCells: ReadonlyMap<K, ReadonlySet<string>>;
+    addedRowKeys: ReadonlySet<K>;
+  } => {
+    if (trackedRows === null) {
+      return { modifiedCells: noModifiedCells, addedRowKeys: noAddedRowKeys };
+    }
+
+    const modifiedCells = new Map<K, ReadonlySet<string>>();
+    const addedRowKeys = new Set<K>();
+
+    for (const row of rows) {
+      const key = rowKeyGetter!(row);
+      if (!trackedRows.has(key)) {
+        addedRowKeys.add(key);
+        continue;
+      }
+      const originalRow = trackedRows.get(key)!;
+      if (originalRow === row) continue;
+
+      const modifiedColumnKeys = new Set<string>();
+      for (const columnKey of columnKeys) {
+        if (!Object.is(originalRow[columnKey], row[columnKey])) {
+          modifiedColumnKeys.add(columnKey);
+        }
+      }
+      if (modifiedColumnKeys.size > 0) {
+        modifiedCells.set(key, modifiedColumnKeys);
+      }
+    }
+
+    return { modifiedCells, addedRowKeys };
+  }, [trackedRows, rows, columnKeys, rowKeyGetter]);
+
+  function getChanges(): RowsChanges<R> {
+    if (trackedRows === null) {
+      return { addedRows: [], deletedRows: [], updatedCells: [] };
+    }
+
+    const addedRows: R[] = [];
+    const updatedCells: CellChange<R>[] = [];
+    const rowKeys = new Set<K>();
+
+    for (const row of rows) {
+      const key = rowKeyGetter!(row);
+      rowKeys.add(key);
+      if (addedRowKeys.has(key)) {
+        addedRows.push(row);
+        continue;
+      }
+
+      const columnKeys = modifiedCells.get(key);
+      if (columnKeys === undefined) continue;
+      const originalRow = trackedRows.get(key)!;
+      for (const columnKey of columnKeys) {
+        updatedCells.push({
+          row,
+          rowKey: key,
+          columnKey,
+          originalValue: originalRow[columnKey as keyof R],
+          value: row[columnKey as keyof R]
+        });
+      }
+    }
+
+    const deletedRows: R[] = [];
+    for (const [key, row] of trackedRows) {
+      if (!rowKeys.has(key)) {
+        deletedRows.push(row);
+      }
+    }
+
+    return { addedRows, deletedRows, updatedCells };
+  }
+
+  function revertCells(shouldRevertCell: (rowKey: K, columnKey: string) => boolean) {
+    if (trackedRows === null || typeof onRowsChange !== 'function') return;
+    const updatedRows = [...rows];
+    const indexes: number[] = [];
+    const updatedColumnKeys = new Set<string>();
+
+    for (let rowIdx = 0; rowIdx < rows.length; rowIdx++) {
+      const key = rowKeyGetter!(rows[rowIdx]);
+      const modifiedColumnKeys = modifiedCells.get(key);
+      if (modifiedColumnKeys === undefined) continue;
+      const originalRow = trackedRows.get(key)!;
+      let updatedRow = rows[rowIdx];
+
+      for (const columnKey of modifiedColumnKeys) {
+        if (!shouldRevertCell(key, columnKey)) continue;
+        updatedRow = { ...updatedRow, [columnKey]: originalRow[columnKey as keyof R] };
+        updatedColumnKeys.add(columnKey);
+      }
+
+      if (updatedRow !== rows[rowIdx]) {
+        updatedRows[rowIdx] = updatedRow;
+        indexes.push(rowIdx);
+      }
+    }
+
+    if (indexes.length > 0) {
+      // hidden columns have no calculated column to report
+      const updatedColumns = columns.filter(({ key }) => updatedColumnKeys.has(key));
+      const [column = columns[0]] = updatedColumns;
+      onRowsChange(updatedRows, { indexes, column, columns: updatedColumns });
+    }
+  }
+
+  function revertCell(rowKey: React.Key, columnKey: string) {
+    revertCells((key, cellColumnKey) => key === rowKey && cellColumnKey === columnKey);
+  }
+
+  function revertAllCells() {
+    revertCells(() => true);
+  }
+
+  function acceptChanges() {
+    if (trackedRows === null) return;
+    setOriginalRows(getRowsByKey(rows, rowKeyGetter!));
+  }
+
+  return {
+    modifiedCells,
+    addedRowKeys,
+    getChanges,
+    revertCell,
+    revertAllCells,
+    acceptChanges
+  };
+}
@@ -1,7 +1,8 @@
 import { useLayoutEffect, useState } from 'react';
 import { flushSync } from 'react-dom';
 
-import type { CalculatedColumn, ColumnWidths, ResizedWidth } from '../types';
+import { clampColumnWidth, measureColumnsContentWidth } from '../utils';
+import type { CalculatedColumn, ColumnAutosizeMode, ColumnWidths, ResizedWidth } from '../types';
 import type { DataGridProps } from '../DataGrid';
 
 export function useColumnWidths<R, SR>(
@@ -13,12 +14,14 @@ export function useColumnWidths<R, SR>(
   columnWidths: ColumnWidths,
   onColumnWidthsChange: (columnWidths: ColumnWidths) => void,
   onColumnResize: DataGridProps<R, SR>['onColumnResize'],
-  setColumnResizing: (isColumnResizing: boolean) => void
+  setColumnResizing: (isColumnResizing: boolean) => void,
+  rows: readonly R[],
+  columnAutosizeMode: ColumnAutosizeMode
 ) {
-  const [columnToAutoResize, setColumnToAutoResize] = useState<{
-    readonly key: string;
-    readonly width: ResizedWidth;
-  } | null>(null);
+  const [columnsToAutoResize, setColumnsToAutoResize] = useState<ReadonlyMap<
+    string,
+    ResizedWidth
+  > | null>(null);
   const [columnsToMeasureOnResize, setColumnsToMeasureOnResize] =
     useState<ReadonlySet<string> | null>(null);
   const [prevGridWidth, setPreviousGridWidth] = useState(gridWidth);
@@ -33,11 +36,10 @@ export function useColumnWidths<R, SR>(
 
   for (const { key, idx, width } of viewportColumns) {
     const columnWidth = columnWidths.get(key);
-    if (key === columnToAutoResize?.key) {
+    const autoResizeWidth = columnsToAutoResize?.get(key);
+    if (autoResizeWidth !== undefined) {
       newTemplateColumns[idx] =
-        columnToAutoResize.width === 'max-content'
-          ? columnToAutoResize.width
-          : `${columnToAutoResize.width}px`;
+        autoResizeWidth === 'max-content' ? autoResizeWidth : `${autoResizeWidth}px`;
       columnsToMeasure.push(key);
     } else if (
       typeof width === 'string' &&
@@ -73,18 +75,23 @@ export function useColumnWidths<R, SR>(
       }
     }
 
-    if (columnToAutoResize !== null) {
-      const resizingKey = columnToAutoResize.key;
-      const oldWidth = columnWidths.get(resizingKey)?.width;
-      const newWidth = measureColumnWidth(gridRef, resizingKey);
-      if (newWidth !== undefined && oldWidth !== newWidth) {
-        hasChanges = true;
-        newColumnWidths.set(resizingKey, {
-          type: 'resized',
-          width: newWidth
-        });
+    if (columnsToAutoResize !== null) {
+      for (const [resizingKey, autoResizeWidth] of columnsToAutoResize) {
+        const oldWidth = columnWidths.get(resizingKey)?.width;
+        // columns outside the viewport are not rendered so they cannot be measured
+        const newWidth =
+          measureColumnWidth(gridRef, resizingKey) ??
+          (typeof autoResizeWidth === 'number' ? autoResizeWidth : undefined);
+        if (newWidth !== undefined && oldWidth !== newWidth) {
+          hasChanges = true;
+          newColumnWidths.set(resizingKey, {
+            type: 'resized',
+            width: newWidth
+          });
+        }
       }
-      setColumnToAutoResize(null);
+      setColumnsToAutoResize(null);
+      setColumnsToMeasureOnResize(null);
     }
 
     if (hasChanges) {
@@ -93,48 +100,95 @@ export function useColumnWidths<R, SR>(
   }
 
   function handleColumnResize(column: CalculatedColumn<R, SR>, nextWidth: ResizedWidth) {
-    const { key: resizingKey } = column;
+    handleColumnsResize([column], nextWidth);
+  }
 
-    flushSync(() => {
-      if (columnsCanFlex) {
-        // remeasure all the columns that can flex and are not resized by the user
-        const columnsToRemeasure = new Set<string>();
-        for (const { key, width } of viewportColumns) {
-          if (
-            resizingKey !== key &&
-            typeof width === 'string' &&
-            columnWidths.get(key)?.type !== 'resized'
-          ) {
-            columnsToRemeasure.add(key);
-          }
-        }
+  function getResizedWidths(
+    resizingColumns: readonly CalculatedColumn<R, SR>[],
+    nextWidth: ResizedWidth
+  ): ReadonlyMap<string, ResizedWidth> {
+    if (nextWidth !== 'max-content' || gridRef.current === null) {
+      return new Map(resizingColumns.map((column) => [column.key, nextWidth]));
+    }
+
+    // columns outside the viewport are not rendered, so their rows are measured instead
+    const measuredColumns =
+      columnAutosizeMode === 'rows'
+        ? resizingColumns
+        : resizingColumns.filter((column) => !viewportColumns.includes(column));
+    const contentWidths =
+      measuredColumns.length === 0
+        ? new Map<string, number>()
+        : measureColumnsContentWidth(gridRef.current, measuredColumns, rows);
+    return new Map(
+      resizingColumns.map((column) => [
+        column.key,
+        measuredColumns.includes(column)
+          ? clampColumnWidth(contentWidths.get(column.key) ?? 0, column)
+          : 'max-content'
+      ])
+    );
+  }
 
-        setColumnsToMeasureOnResize(columnsToRemeasure);
+  function resizeColumns(resizedWidths: ReadonlyMap<string, ResizedWidth>, isResizing: boolean) {
+    if (columnsCanFlex) {
+      // remeasure all the columns that can flex and are not resized by the user
+      const columnsToRemeasure = new Set<string>();
+      for (const { key, width } of viewportColumns) {
+        if (
+          !resizedWidths.has(key) &&
+          typeof width === 'string' &&
+          columnWidths.get(key)?.type !== 'resized'
+        ) {
+          columnsToRemeasure.add(key);
+        }
       }
 
-      setColumnToAutoResize({
-        key: resizingKey,
-        width: nextWidth
-      });
+      setColumnsToMeasureOnResize(columnsToRemeasure);
+    }
+
+    setColumnsToAutoResize(resizedWidths);
+    setColumnResizing(isResizing);
+  }
+
+  /**
+   * Autosizes the columns without calling `onColumnResize`,
+   * it can be called from effects as the update is not flushed synchronously
+   */
+  function autosizeColumns(resizingColumns: readonly CalculatedColumn<R, SR>[]) {
+    resizeColumns(getResizedWidths(resizingColumns, 'max-content'), false);
+  }
+
+  function handleColumnsResize(
+    resizingColumns: readonly CalculatedColumn<R, SR>[],
+    nextWidth: ResizedWidth
+  ) {
+    const resizedWidths = getResizedWidths(resizingColumns, nextWidth);
 
-      setColumnResizing(typeof nextWidth === 'number');
+    flushSync(() => {
+      resizeColumns(resizedWidths, typeof nextWidth === 'number');
     });
 
     setColumnsToMeasureOnResize(null);
 
     if (onColumnResize) {
-      const previousWidth = columnWidths.get(resizingKey)?.width;
-      const newWidth =
-        typeof nextWidth === 'number' ? nextWidth : measureColumnWidth(gridRef, resizingKey);
-      if (newWidth !== undefined && newWidth !== previousWidth) {
-        onColumnResize(column, newWidth);
+      for (const column of resizingColumns) {
+        const previousWidth = columnWidths.get(column.key)?.width;
+        const resizedWidth = resizedWidths.get(column.key);
+        const newWidth =
+          typeof resizedWidth === 'number' ? resizedWidth : measureColumnWidth(gridRef, column.key);
+        if (newWidth !== undefined && newWidth !== previousWidth) {
+          onColumnResize(column, newWidth);
+        }
       }
     }
   }
 
   return {
     gridTemplateColumns,
-    handleColumnResize
+    handleColumnResize,
+    handleColumnsResize,
+    autosizeColumns
   } as const;
 }
 
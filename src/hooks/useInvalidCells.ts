@@ -0,0 +1,95 @@
+import { useState } from 'react';
+
+import type { CalculatedColumn, CellValidationError, Maybe } from '../types';
+
+interface InvalidCellsArgs<R, SR, K extends React.Key> {
+  rows: readonly R[];
+  columns: readonly CalculatedColumn<R, SR>[];
+  rowKeyGetter: Maybe<(row: R) => K>;
+}
+
+export interface ValidatedCell<R, SR> {
+  /** The row before the change was committed */
+  readonly previousRow: R;
+  /** The committed row */
+  readonly row: R;
+  readonly column: CalculatedColumn<R, SR>;
+  /** The error of the value that was left out, `undefined` when the value was committed */
+  readonly error: Maybe<string>;
+}
+
+const noInvalidCells = new Map<never, ReadonlyMap<string, string>>();
+
+/**
+ * Keeps the errors of the values left out of the committed changes, by row and column key,
+ * until a valid value is committed to the same cell.
+ * The rows are found with `rowKeyGetter`, or by identity without it.
+ */
+export function useInvalidCells<R, SR, K extends React.Key>({
+  rows,
+  columns,
+  rowKeyGetter
+}: InvalidCellsArgs<R, SR, K>) {
+  const [invalidCells, setInvalidCells] =
+    useState<ReadonlyMap<unknown, ReadonlyMap<string, string>>>(noInvalidCells);
+
+  function getRowId(row: R): unknown {
+    return rowKeyGetter ? rowKeyGetter(row) : row;
+  }
+
+  function updateInvalidCells(cells: readonly ValidatedCell<R, SR>[]) {
+    if (cells.length === 0) return;
+
+    setInvalidCells((invalidCells) => {
+      if (invalidCells.size === 0 && cells.every(({ error }) => error == null)) {
+        return invalidCells;
+      }
+      const updatedInvalidCells = new Map(invalidCells);
+
+      for (const { previousRow, row, column, error } of cells) {
+        const previousRowId = getRowId(previousRow);
+        const rowId = getRowId(row);
+        // the errors of the other cells follow the committed row
+        const rowErrors = new Map(
+          updatedInvalidCells.get(rowId) ?? updatedInvalidCells.get(previousRowId)
+        );
+        updatedInvalidCells.delete(previousRowId);
+
+        if (error == null) {
+          rowErrors.delete(column.key);
+        } else {
+          rowErrors.set(column.key, error);
+        }
+
+        if (rowErrors.size === 0) {
+          updatedInvalidCells.delete(rowId);
+        } else {
+          updatedInvalidCells.set(rowId, rowErrors);
+        }
+      }
+
+      return updatedInvalidCells;
+    });
+  }
+
+  function getInvalidCells(): CellValidationError[] {
+    if (invalidCells.size === 0) return [];
+    const cells: CellValidationError[] = [];
+
+    for (let rowIdx = 0; rowIdx < rows.length; rowIdx++) {
+      const rowErrors = invalidCells.get(getRowId(rows[rowIdx]));
+      if (rowErrors === undefined) continue;
+      // the cells of the hidden columns have no position
+      for (const { idx, key } of columns) {
+        const error = rowErrors.get(key);
+        if (error !== undefined) {
+          cells.push({ idx, rowIdx, error });
+        }
+      }
+    }
+
+    return cells;
+  }
+
+  return { updateInvalidCells, getInvalidCells };
+}
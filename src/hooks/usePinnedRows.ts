@@ -0,0 +1,88 @@
+import { useMemo } from 'react';
+
+import { assertIsValidKeyGetter } from '../utils';
+import type { Maybe, RowsChangeData } from '../types';
+
+interface PinnedRowsArgs<R, SR, K extends React.Key> {
+  rows: readonly R[];
+  rowKeyGetter: Maybe<(row: R) => K>;
+  topPinnedRowKeys: Maybe<ReadonlySet<K>>;
+  bottomPinnedRowKeys: Maybe<ReadonlySet<K>>;
+  onRowsChange: (rows: R[], data: RowsChangeData<R, SR>) => void;
+}
+
+/**
+ * Moves the pinned rows to the start and end of the rows, keeping their relative order.
+ * Row indexes in `onRowsChange` are mapped back to the indexes of the original rows.
+ */
+export function usePinnedRows<R, SR, K extends React.Key>({
+  rows: rawRows,
+  rowKeyGetter,
+  topPinnedRowKeys,
+  bottomPinnedRowKeys,
+  onRowsChange
+}: PinnedRowsArgs<R, SR, K>) {
+  const hasPinnedRows =
+    (topPinnedRowKeys != null && topPinnedRowKeys.size > 0) ||
+    (bottomPinnedRowKeys != null && bottomPinnedRowKeys.size > 0);
+
+  const { rows, rawRowIndexes, topPinnedRowsCount, bottomPinnedRowsCount } = useMemo(() => {
+    if (!hasPinnedRows) {
+      return {
+        rows: rawRows,
+        rawRowIndexes: undefined,
+        topPinnedRowsCount: 0,
+        bottomPinnedRowsCount: 0
+      };
+    }
+
+    assertIsValidKeyGetter<R, K>(rowKeyGetter, 'pinned rows');
+
+    const topIndexes: number[] = [];
+    const unpinnedIndexes: number[] = [];
+    const bottomIndexes: number[] = [];
+
+    for (let rowIdx = 0; rowIdx < rawRows.length; rowIdx++) {
+      const key = rowKeyGetter(rawRows[rowIdx]);
+      if (topPinnedRowKeys?.has(key)) {
+        topIndexes.push(rowIdx);
+      } else if (bottomPinnedRowKeys?.has(key)) {
+        bottomIndexes.push(rowIdx);
+      } else {
+        unpinnedIndexes.push(rowIdx);
+      }
+    }
+
+    const rawRowIndexes = [...topIndexes, ...unpinnedIndexes, ...bottomIndexes];
+
+    return {
+      rows: rawRowIndexes.map((rowIdx) => rawRows[rowIdx]),
+      rawRowIndexes,
+      topPinnedRowsCount: topIndexes.length,
+      bottomPinnedRowsCount: bottomIndexes.length
+    };
+  }, [hasPinnedRows, rawRows, rowKeyGetter, topPinnedRowKeys, bottomPinnedRowKeys]);
+
+  function handleRowsChange(updatedRows: R[], data: RowsChangeData<R, SR>) {
+    if (rawRowIndexes === undefined) {
+      onRowsChange(updatedRows, data);
+      return;
+    }
+
+    const updatedRawRows = [...rawRows];
+    for (const rowIdx of data.indexes) {
+      updatedRawRows[rawRowIndexes[rowIdx]] = updatedRows[rowIdx];
+    }
+    onRowsChange(updatedRawRows, {
+      ...data,
+      indexes: data.indexes.map((rowIdx) => rawRowIndexes[rowIdx])
+    });
+  }
+
+  return {
+    rows,
+    topPinnedRowsCount,
+    bottomPinnedRowsCount,
+    onRowsChange: handleRowsChange
+  };
+}
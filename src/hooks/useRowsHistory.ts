@@ -0,0 +1,98 @@
+import { useState } from 'react';
+
+import type { Maybe, RowsChangeData } from '../types';
+
+const maxHistoryLength = 100;
+
+interface HistoryEntry<R, SR> {
+  /** The changed rows are found by key, or by identity without `rowKeyGetter`, when the entry is applied, not by index */
+  readonly previousRows: readonly R[];
+  readonly nextRows: readonly R[];
+  readonly data: RowsChangeData<R, SR>;
+}
+
+interface RowsHistory<R, SR> {
+  readonly undoStack: readonly HistoryEntry<R, SR>[];
+  readonly redoStack: readonly HistoryEntry<R, SR>[];
+}
+
+interface RowsHistoryArgs<R, SR, K extends React.Key> {
+  rows: readonly R[];
+  rowKeyGetter: Maybe<(row: R) => K>;
+  onRowsChange: Maybe<(rows: R[], data: RowsChangeData<R, SR>) => void>;
+  enableUndoRedo: boolean;
+}
+
+/**
+ * Records every `onRowsChange` batch as a single history step,
+ * so all the cells updated by a paste or a fill are undone together.
+ */
+export function useRowsHistory<R, SR, K extends React.Key>({
+  rows,
+  rowKeyGetter,
+  onRowsChange,
+  enableUndoRedo
+}: RowsHistoryArgs<R, SR, K>) {
+  const [{ undoStack, redoStack }, setHistory] = useState(
+    (): RowsHistory<R, SR> => ({ undoStack: [], redoStack: [] })
+  );
+
+  function handleRowsChange(updatedRows: R[], data: RowsChangeData<R, SR>) {
+    if (enableUndoRedo) {
+      const entry: HistoryEntry<R, SR> = {
+        previousRows: data.indexes.map((index) => rows[index]),
+        nextRows: data.indexes.map((index) => updatedRows[index]),
+        data
+      };
+      setHistory({
+        undoStack: [...undoStack.slice(1 - maxHistoryLength), entry],
+        redoStack: []
+      });
+    }
+    onRowsChange?.(updatedRows, data);
+  }
+
+  function getRowId(row: R): unknown {
+    return rowKeyGetter ? rowKeyGetter(row) : row;
+  }
+
+  function applyEntry({ data }: HistoryEntry<R, SR>, fromRows: readonly R[], toRows: readonly R[]) {
+    // the rows may have been sorted, filtered or pinned since the change was recorded
+    const rowIndexes = new Map(rows.map((row, rowIdx) => [getRowId(row), rowIdx]));
+    const updatedRows = [...rows];
+    const indexes: number[] = [];
+
+    for (let i = 0; i < fromRows.length; i++) {
+      const rowIdx = rowIndexes.get(getRowId(fromRows[i]));
+      if (rowIdx === undefined) continue;
+      updatedRows[rowIdx] = toRows[i];
+      indexes.push(rowIdx);
+    }
+
+    if (indexes.length > 0) {
+      onRowsChange?.(updatedRows, { ...data, indexes: indexes.sort((a, b) => a - b) });
+    }
+  }
+
+  function undo() {
+    if (!enableUndoRedo || undoStack.length === 0) return;
+    const entry = undoStack.at(-1)!;
+    setHistory({ undoStack: undoStack.slice(0, -1), redoStack: [...redoStack, entry] });
+    applyEntry(entry, entry.nextRows, entry.previousRows);
+  }
+
+  function redo() {
+    if (!enableUndoRedo || redoStack.length === 0) return;
+    const entry = redoStack.at(-1)!;
+    setHistory({ undoStack: [...undoStack, entry], redoStack: redoStack.slice(0, -1) });
+    applyEntry(entry, entry.previousRows, entry.nextRows);
+  }
+
+  return {
+    handleRowsChange,
+    undo,
+    redo,
+    canUndo: enableUndoRedo && undoStack.length > 0,
+    canRedo: enableUndoRedo && redoStack.length > 0
+  };
+}
@@ -0,0 +1,28 @@
+import { useMemo } from 'react';
+
+import { sortRows } from '../utils';
+import type { ColumnOrColumnGroup, SortColumn, SortRowsOptions } from '../types';
+
+interface SortedRowsArgs<R, SR> extends SortRowsOptions {
+  rows: readonly R[];
+  columns: readonly ColumnOrColumnGroup<R, SR>[];
+  sortColumns: readonly SortColumn[];
+}
+
+/**
+ * Sorts the rows with the column comparators, the sorted rows are memoized.
+ * The `collator` and `groupBy` options should be memoized as well
+ */
+export function useSortedRows<R, SR>({
+  rows,
+  columns,
+  sortColumns,
+  collator,
+  nullsPosition,
+  groupBy
+}: SortedRowsArgs<R, SR>): readonly R[] {
+  return useMemo(
+    () => sortRows(rows, columns, sortColumns, { collator, nullsPosition, groupBy }),
+    [rows, columns, sortColumns, collator, nullsPosition, groupBy]
+  );
+}
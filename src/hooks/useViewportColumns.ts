@@ -12,8 +12,11 @@ interface ViewportColumnsArgs<R, SR> {
   colOverscanStartIdx: number;
   colOverscanEndIdx: number;
   lastFrozenColumnIndex: number;
+  firstEndFrozenColumnIndex: number;
   rowOverscanStartIdx: number;
   rowOverscanEndIdx: number;
+  topPinnedRowsCount: number;
+  bottomPinnedRowsCount: number;
 }
 
 export function useViewportColumns<R, SR>({
@@ -25,8 +28,11 @@ export function useViewportColumns<R, SR>({
   colOverscanStartIdx,
   colOverscanEndIdx,
   lastFrozenColumnIndex,
+  firstEndFrozenColumnIndex,
   rowOverscanStartIdx,
-  rowOverscanEndIdx
+  rowOverscanEndIdx,
+  topPinnedRowsCount,
+  bottomPinnedRowsCount
 }: ViewportColumnsArgs<R, SR>) {
   // find the column that spans over a column within the visible columns range and adjust colOverscanStartIdx
   const startIdx = useMemo(() => {
@@ -47,15 +53,37 @@ export function useViewportColumns<R, SR>({
       // check header row
       const colIdx = column.idx;
       if (colIdx >= startIdx) break;
-      if (updateStartIdx(colIdx, getColSpan(column, lastFrozenColumnIndex, { type: 'HEADER' }))) {
+      if (
+        updateStartIdx(
+          colIdx,
+          getColSpan(column, lastFrozenColumnIndex, firstEndFrozenColumnIndex, { type: 'HEADER' })
+        )
+      ) {
         break;
       }
 
-      // check viewport rows
-      for (let rowIdx = rowOverscanStartIdx; rowIdx <= rowOverscanEndIdx; rowIdx++) {
+      // check viewport rows and pinned rows
+      const firstBottomPinnedRowIdx = rows.length - bottomPinnedRowsCount;
+      for (let rowIdx = 0; rowIdx < rows.length; rowIdx++) {
+        // skip the scrollable rows outside the viewport
+        if (rowIdx >= topPinnedRowsCount && rowIdx < rowOverscanStartIdx) {
+          rowIdx = rowOverscanStartIdx - 1;
+          continue;
+        }
+        if (rowIdx > rowOverscanEndIdx && rowIdx < firstBottomPinnedRowIdx) {
+          rowIdx = firstBottomPinnedRowIdx - 1;
+          continue;
+        }
+
         const row = rows[rowIdx];
         if (
-          updateStartIdx(colIdx, getColSpan(column, lastFrozenColumnIndex, { type: 'ROW', row }))
+          updateStartIdx(
+            colIdx,
+            getColSpan(column, lastFrozenColumnIndex, firstEndFrozenColumnIndex, {
+              type: 'ROW',
+              row
+            })
+          )
         ) {
           break;
         }
@@ -67,7 +95,10 @@ export function useViewportColumns<R, SR>({
           if (
             updateStartIdx(
               colIdx,
-              getColSpan(column, lastFrozenColumnIndex, { type: 'SUMMARY', row })
+              getColSpan(column, lastFrozenColumnIndex, firstEndFrozenColumnIndex, {
+                type: 'SUMMARY',
+                row
+              })
             )
           ) {
             break;
@@ -80,7 +111,10 @@ export function useViewportColumns<R, SR>({
           if (
             updateStartIdx(
               colIdx,
-              getColSpan(column, lastFrozenColumnIndex, { type: 'SUMMARY', row })
+              getColSpan(column, lastFrozenColumnIndex, firstEndFrozenColumnIndex, {
+                type: 'SUMMARY',
+                row
+              })
             )
           ) {
             break;
@@ -93,20 +127,24 @@ export function useViewportColumns<R, SR>({
   }, [
     rowOverscanStartIdx,
     rowOverscanEndIdx,
+    topPinnedRowsCount,
+    bottomPinnedRowsCount,
     rows,
     topSummaryRows,
     bottomSummaryRows,
     colOverscanStartIdx,
     lastFrozenColumnIndex,
+    firstEndFrozenColumnIndex,
     colSpanColumns
   ]);
 
   return useMemo((): readonly CalculatedColumn<R, SR>[] => {
     const viewportColumns: CalculatedColumn<R, SR>[] = [];
-    for (let colIdx = 0; colIdx <= colOverscanEndIdx; colIdx++) {
+    for (let colIdx = 0; colIdx < columns.length; colIdx++) {
       const column = columns[colIdx];
 
-      if (colIdx < startIdx && !column.frozen) continue;
+      // frozen columns are always rendered
+      if ((colIdx < startIdx || colIdx > colOverscanEndIdx) && !column.frozen) continue;
       viewportColumns.push(column);
     }
 
@@ -8,6 +8,9 @@ interface ViewportRowsArgs<R> {
   clientHeight: number;
   scrollTop: number;
   enableVirtualization: boolean;
+  /** The pinned rows are at the start and end of the rows and always rendered */
+  topPinnedRowsCount: number;
+  bottomPinnedRowsCount: number;
 }
 
 export function useViewportRows<R>({
@@ -15,7 +18,9 @@ export function useViewportRows<R>({
   rowHeight,
   clientHeight,
   scrollTop,
-  enableVirtualization
+  enableVirtualization,
+  topPinnedRowsCount,
+  bottomPinnedRowsCount
 }: ViewportRowsArgs<R>) {
   const { totalRowHeight, gridTemplateRows, getRowTop, getRowHeight, findRowIdx } = useMemo(() => {
     if (typeof rowHeight === 'number') {
@@ -72,20 +77,31 @@ export function useViewportRows<R>({
     };
   }, [rowHeight, rows]);
 
-  let rowOverscanStartIdx = 0;
-  let rowOverscanEndIdx = rows.length - 1;
+  const firstBottomPinnedRowIdx = rows.length - bottomPinnedRowsCount;
+  const topPinnedRowsHeight =
+    topPinnedRowsCount === 0
+      ? 0
+      : getRowTop(topPinnedRowsCount - 1) + getRowHeight(topPinnedRowsCount - 1);
+  const bottomPinnedRowsHeight =
+    bottomPinnedRowsCount === 0 ? 0 : totalRowHeight - getRowTop(firstBottomPinnedRowIdx);
+
+  // the overscan range only includes the scrollable rows
+  let rowOverscanStartIdx = topPinnedRowsCount;
+  let rowOverscanEndIdx = firstBottomPinnedRowIdx - 1;
 
   if (enableVirtualization) {
     const overscanThreshold = 4;
-    const rowVisibleStartIdx = findRowIdx(scrollTop);
-    const rowVisibleEndIdx = findRowIdx(scrollTop + clientHeight);
-    rowOverscanStartIdx = max(0, rowVisibleStartIdx - overscanThreshold);
-    rowOverscanEndIdx = min(rows.length - 1, rowVisibleEndIdx + overscanThreshold);
+    const rowVisibleStartIdx = findRowIdx(scrollTop + topPinnedRowsHeight);
+    const rowVisibleEndIdx = findRowIdx(scrollTop + clientHeight - bottomPinnedRowsHeight);
+    rowOverscanStartIdx = max(topPinnedRowsCount, rowVisibleStartIdx - overscanThreshold);
+    rowOverscanEndIdx = min(firstBottomPinnedRowIdx - 1, rowVisibleEndIdx + overscanThreshold);
   }
 
   return {
     rowOverscanStartIdx,
     rowOverscanEndIdx,
+    topPinnedRowsHeight,
+    bottomPinnedRowsHeight,
     totalRowHeight,
     gridTemplateRows,
     getRowTop,
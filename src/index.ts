@@ -13,15 +13,28 @@ export { default as Cell } from './Cell';
 export * from './Columns';
 export * from './cellRenderers';
 export { default as textEditor } from './editors/textEditor';
+export { default as createNumberEditor, type NumberEditorOptions } from './editors/numberEditor';
+export { default as createDateEditor, type DateEditorOptions } from './editors/dateEditor';
+export { default as createSelectEditor, type SelectEditorOptions } from './editors/selectEditor';
+export { default as checkboxEditor } from './editors/checkboxEditor';
+export { default as multilineEditor } from './editors/multilineEditor';
+export { default as jsonEditor } from './editors/jsonEditor';
 export { default as renderHeaderCell } from './renderHeaderCell';
+export { default as renderFilterCell } from './renderFilterCell';
+export { default as ColumnChooser, type ColumnChooserProps } from './ColumnChooser';
 export { renderSortIcon, renderSortPriority } from './sortStatus';
-export { useRowSelection, useHeaderRowSelection } from './hooks';
+export { useRowSelection, useHeaderRowSelection, useSortedRows } from './hooks';
+export { detectFillSeries } from './utils/fillUtils';
+export { filterRows } from './utils/filterUtils';
+export { sortRows } from './utils/sortUtils';
 export type {
   Column,
   ColumnGroup,
   ColumnOrColumnGroup,
   ColumnWidth,
   ColumnWidths,
+  ColumnAutosizeMode,
+  EditMode,
   CalculatedColumn,
   CalculatedColumnParent,
   CalculatedColumnOrColumnGroup,
@@ -30,14 +43,26 @@ export type {
   RenderGroupCellProps,
   RenderEditCellProps,
   RenderHeaderCellProps,
+  RenderFilterCellProps,
   CellRendererProps,
   RenderRowProps,
   RowsChangeData,
+  RowsChanges,
+  CellChange,
+  CellValidationError,
+  ValidationErrorEvent,
   SelectHeaderRowEvent,
   SelectRowEvent,
   FillEvent,
+  FillSeriesDetector,
+  ColumnFilter,
+  FilterValue,
+  Filters,
   SortDirection,
+  SortCycle,
   SortColumn,
+  SortRowsOptions,
+  HeaderMenuItem,
   ColSpanArgs,
   RowHeightArgs,
   RenderCheckboxProps,
@@ -51,5 +76,11 @@ export type {
   CellKeyboardEvent,
   CellCopyEvent,
   CellPasteEvent,
-  CellSelectArgs
+  CellSelectArgs,
+  CellClipboardEvent,
+  CellEvent,
+  CellsRange,
+  ClipboardOptions,
+  MultiCopyEvent,
+  MultiPasteEvent
 } from './types';
@@ -0,0 +1,180 @@
+import { css } from '@linaria/core';
+
+import type { RenderFilterCellProps } from './types';
+
+const filterRange = css`
+  @layer rdg.FilterCell {
+    display: flex;
+    gap: 4px;
+    block-size: 100%;
+    align-items: center;
+  }
+`;
+
+const filterInput = css`
+  @layer rdg.FilterCell {
+    box-sizing: border-box;
+    inline-size: 100%;
+    min-inline-size: 0;
+    padding-block: 2px;
+    padding-inline: 4px;
+    border: 1px solid var(--rdg-border-color);
+    border-radius: 2px;
+    color: var(--rdg-color);
+    background-color: var(--rdg-background-color);
+    font-family: inherit;
+    font-size: var(--rdg-font-size);
+    vertical-align: middle;
+
+    &:focus {
+      border-color: var(--rdg-selection-color);
+      outline: none;
+    }
+  }
+`;
+
+const filterInputClassname = `rdg-filter-input ${filterInput}`;
+
+// keys handled by the inputs that should not move the selected cell
+const textInputKeys = new Set(['ArrowLeft', 'ArrowRight', 'Home', 'End']);
+const arrowKeys = new Set(['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown']);
+
+/**
+ * Tab moves the focus from the start to the end input of ranges
+ * before moving to the next cell, and the other way around with Shift+Tab
+ */
+function stopNavigation(keys: ReadonlySet<string>, rangeInput?: 'start' | 'end') {
+  return (event: React.KeyboardEvent) => {
+    const isTabWithinRange =
+      event.key === 'Tab' &&
+      (rangeInput === 'start' ? !event.shiftKey : rangeInput === 'end' && event.shiftKey);
+    if (keys.has(event.key) || isTabWithinRange) {
+      event.stopPropagation();
+    }
+  };
+}
+
+const onTextInputKeyDown = stopNavigation(textInputKeys);
+const onSelectKeyDown = stopNavigation(arrowKeys);
+const onNumberRangeKeyDown = {
+  start: stopNavigation(textInputKeys, 'start'),
+  end: stopNavigation(textInputKeys, 'end')
+};
+const onDateRangeKeyDown = {
+  start: stopNavigation(arrowKeys, 'start'),
+  end: stopNavigation(arrowKeys, 'end')
+};
+
+function parseNumber(value: string) {
+  const number = Number.parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+export default function renderFilterCell<R, SR>({
+  column,
+  filter,
+  value,
+  onChange,
+  tabIndex
+}: RenderFilterCellProps<R, SR>) {
+  const label = typeof column.name === 'string' ? column.name : column.key;
+
+  if (filter.type === 'text') {
+    return (
+      <input
+        className={filterInputClassname}
+        aria-label={`Filter ${label}`}
+        tabIndex={tabIndex}
+        value={value?.type === 'text' ? value.value : ''}
+        onChange={(event) => onChange({ type: 'text', value: event.target.value })}
+        onKeyDown={onTextInputKeyDown}
+      />
+    );
+  }
+
+  if (filter.type === 'number') {
+    const { min, max } = value?.type === 'number' ? value : {};
+    return (
+      <div className={filterRange}>
+        <input
+          type="number"
+          className={filterInputClassname}
+          aria-label={`Filter ${label} minimum`}
+          placeholder="Min"
+          tabIndex={tabIndex}
+          value={min ?? ''}
+          onChange={(event) =>
+            onChange({ type: 'number', min: parseNumber(event.target.value), max })
+          }
+          onKeyDown={onNumberRangeKeyDown.start}
+        />
+        <input
+          type="number"
+          className={filterInputClassname}
+          aria-label={`Filter ${label} maximum`}
+          placeholder="Max"
+          tabIndex={tabIndex}
+          value={max ?? ''}
+          onChange={(event) =>
+            onChange({ type: 'number', min, max: parseNumber(event.target.value) })
+          }
+          onKeyDown={onNumberRangeKeyDown.end}
+        />
+      </div>
+    );
+  }
+
+  if (filter.type === 'date') {
+    const { start, end } = value?.type === 'date' ? value : {};
+    return (
+      <div className={filterRange}>
+        <input
+          type="date"
+          className={filterInputClassname}
+          aria-label={`Filter ${label} start`}
+          tabIndex={tabIndex}
+          value={start ?? ''}
+          onChange={(event) =>
+            onChange({ type: 'date', start: event.target.value || undefined, end })
+          }
+          onKeyDown={onDateRangeKeyDown.start}
+        />
+        <input
+          type="date"
+          className={filterInputClassname}
+          aria-label={`Filter ${label} end`}
+          tabIndex={tabIndex}
+          value={end ?? ''}
+          onChange={(event) =>
+            onChange({ type: 'date', start, end: event.target.value || undefined })
+          }
+          onKeyDown={onDateRangeKeyDown.end}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <select
+      className={filterInputClassname}
+      aria-label={`Filter ${label}`}
+      tabIndex={tabIndex}
+      // the built-in filter selects a single value, a custom `renderFilterCell` can select several
+      value={value?.type === 'set' ? (value.values[0] ?? '') : ''}
+      onChange={(event) =>
+        onChange({
+          type: 'set',
+          values: event.target.value === '' ? [] : [event.target.value]
+        })
+      }
+      onKeyDown={onSelectKeyDown}
+    >
+      <option value="">All</option>
+      {filter.options.map((option) => (
+        <option key={option} value={option}>
+          {option}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -31,6 +31,45 @@ export const cell = css`
 
 export const cellClassname = `rdg-cell ${cell}`;
 
+export const cellRangeSelected = css`
+  @layer rdg.Cell {
+    background-image: linear-gradient(
+      var(--rdg-range-selection-background-color),
+      var(--rdg-range-selection-background-color)
+    );
+
+    /* the range overlay draws a single border around the selected range */
+    &[aria-selected='true'] {
+      outline: none;
+    }
+  }
+`;
+
+export const cellRangeSelectedClassname = `rdg-cell-range-selected ${cellRangeSelected}`;
+
+export const cellRangeActive = css`
+  @layer rdg.Cell {
+    background-image: none;
+  }
+`;
+
+export const cellRangeActiveClassname = `rdg-cell-range-active ${cellRangeActive}`;
+
+export const cellModified = css`
+  @layer rdg.Cell {
+    &::before {
+      content: '';
+      position: absolute;
+      inset-block-start: 0;
+      inset-inline-start: 0;
+      border-block-start: 6px solid var(--rdg-modified-color);
+      border-inline-end: 6px solid transparent;
+    }
+  }
+`;
+
+export const cellModifiedClassname = `rdg-cell-modified ${cellModified}`;
+
 export const cellFrozen = css`
   @layer rdg.Cell {
     position: sticky;
@@ -45,3 +84,17 @@ export const cellFrozen = css`
 `;
 
 export const cellFrozenClassname = `rdg-cell-frozen ${cellFrozen}`;
+
+export const cellFrozenEnd = css`
+  @layer rdg.Cell {
+    position: sticky;
+    z-index: 1;
+
+    /* Add box-shadow on the first cell frozen at the end */
+    &:nth-child(1 of &) {
+      box-shadow: var(--rdg-cell-frozen-end-box-shadow);
+    }
+  }
+`;
+
+export const cellFrozenEndClassname = `rdg-cell-frozen-end ${cellFrozenEnd}`;
@@ -13,6 +13,7 @@ const lightTheme = `
   --rdg-row-hover-background-color: hsl(0deg 0% 96%);
   --rdg-row-selected-background-color: hsl(207deg 76% 92%);
   --rdg-row-selected-hover-background-color: hsl(207deg 76% 88%);
+  --rdg-row-added-background-color: hsl(120deg 60% 95%);
 
   --rdg-checkbox-focus-color: hsl(207deg 100% 69%);
 `;
@@ -27,6 +28,7 @@ const darkTheme = `
   --rdg-row-hover-background-color: hsl(0deg 0% 9%);
   --rdg-row-selected-background-color: hsl(207deg 76% 42%);
   --rdg-row-selected-hover-background-color: hsl(207deg 76% 38%);
+  --rdg-row-added-background-color: hsl(120deg 30% 18%);
 
   --rdg-checkbox-focus-color: hsl(207deg 100% 89%);
 `;
@@ -43,11 +45,16 @@ const root = css`
   @layer rdg.Root {
     ${lightTheme}
     --rdg-selection-color: #66afe9;
+    --rdg-invalid-color: hsl(0deg 72% 51%);
+    --rdg-modified-color: hsl(35deg 100% 50%);
+    --rdg-range-selection-background-color: hsl(207deg 76% 50% / 12%);
     --rdg-font-size: 14px;
     --rdg-cell-frozen-box-shadow: 2px 0 5px -2px rgba(136, 136, 136, 0.3);
+    --rdg-cell-frozen-end-box-shadow: -2px 0 5px -2px rgba(136, 136, 136, 0.3);
 
     &:dir(rtl) {
       --rdg-cell-frozen-box-shadow: -2px 0 5px -2px rgba(136, 136, 136, 0.3);
+      --rdg-cell-frozen-end-box-shadow: 2px 0 5px -2px rgba(136, 136, 136, 0.3);
     }
 
     display: grid;
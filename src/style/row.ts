@@ -1,5 +1,7 @@
 import { css } from '@linaria/core';
 
+import { cell, cellFrozen, cellFrozenEnd } from './cell';
+
 export const row = css`
   @layer rdg.Row {
     display: contents;
@@ -21,6 +23,31 @@ export const row = css`
 
 export const rowClassname = `rdg-row ${row}`;
 
+export const rowAdded = css`
+  @layer rdg.Row {
+    background-color: var(--rdg-row-added-background-color);
+  }
+`;
+
+export const rowAddedClassname = `rdg-row-added ${rowAdded}`;
+
+export const pinnedRow = css`
+  @layer rdg.Row {
+    > .${cell} {
+      position: sticky;
+      inset-block-start: var(--rdg-pinned-row-top);
+      inset-block-end: var(--rdg-pinned-row-bottom);
+      z-index: 2;
+    }
+
+    > .${cellFrozen}, > .${cellFrozenEnd} {
+      z-index: 3;
+    }
+  }
+`;
+
+export const pinnedRowClassname = `rdg-pinned-row ${pinnedRow}`;
+
 export const rowSelected = css`
   @layer rdg.FocusSink {
     outline: 2px solid var(--rdg-selection-color);
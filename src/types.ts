@@ -39,6 +39,8 @@ export interface Column<TRow, TSummaryRow = unknown> {
   readonly renderSummaryCell?: Maybe<
     (props: RenderSummaryCellProps<TSummaryRow, TRow>) => ReactNode
   >;
+  /** Render function to render the content of the filter cell, an input matching the `filter` type is rendered by default */
+  readonly renderFilterCell?: Maybe<(props: RenderFilterCellProps<TRow, TSummaryRow>) => ReactNode>;
   /** Render function to render the content of group cells */
   readonly renderGroupCell?: Maybe<(props: RenderGroupCellProps<TRow, TSummaryRow>) => ReactNode>;
   /** Render function to render the content of edit cells. When set, the column is automatically set to be editable */
@@ -46,8 +48,18 @@ export interface Column<TRow, TSummaryRow = unknown> {
   /** Enables cell editing. If set and no editor property specified, then a textinput will be used as the cell editor */
   readonly editable?: Maybe<boolean | ((row: TRow) => boolean)>;
   readonly colSpan?: Maybe<(args: ColSpanArgs<TRow, TSummaryRow>) => Maybe<number>>;
-  /** Determines whether column is frozen */
-  readonly frozen?: Maybe<boolean>;
+  /** Determines whether column is frozen, `'end'` freezes the column at the inline end of the grid */
+  readonly frozen?: Maybe<boolean | 'end'>;
+  /**
+   * Enables hiding the column with `hiddenColumnKeys`, from the header menu or the `ColumnChooser`
+   * @default true
+   */
+  readonly hideable?: Maybe<boolean>;
+  /**
+   * Enables freezing and unfreezing the column with `frozenColumnKeys`, the freeze divider or the header menu
+   * @default true
+   */
+  readonly freezable?: Maybe<boolean>;
   /** Enable resizing of the column */
   readonly resizable?: Maybe<boolean>;
   /** Enable sorting of the column */
@@ -56,6 +68,31 @@ export interface Column<TRow, TSummaryRow = unknown> {
   readonly draggable?: Maybe<boolean>;
   /** Sets the column sort order to be descending instead of ascending the first time the column is sorted */
   readonly sortDescendingFirst?: Maybe<boolean>;
+  /**
+   * Sort directions the column goes through when its header is clicked, `null` being the unsorted state.
+   * `['ASC', 'DESC']` never unsorts the column for example. Takes precedence over `sortDescendingFirst`
+   */
+  readonly sortCycle?: Maybe<SortCycle>;
+  /**
+   * Function comparing two rows in ascending order, used by `sortRows` and `useSortedRows`.
+   * The values of the column are compared by default
+   */
+  readonly comparator?: Maybe<(a: TRow, b: TRow) => number>;
+  /** Enables filtering the column from the filter row, see `enableFilterRow` */
+  readonly filter?: Maybe<ColumnFilter<TRow>>;
+  /** Function to get the value written to the clipboard when a range including this column is copied */
+  readonly copyValue?: Maybe<(row: TRow) => unknown>;
+  /** Function to convert the text pasted from the clipboard to the value stored in the row */
+  readonly parseValue?: Maybe<(value: string, row: TRow) => unknown>;
+  /** Function to get the value stored when a selected range including this column is cleared with Delete or Backspace, `null` by default */
+  readonly clearValue?: Maybe<(row: TRow) => unknown>;
+  /** Function to get the value measured when the column is autosized with `columnAutosizeMode: 'rows'`, `row[column.key]` is used by default */
+  readonly autosizeValue?: Maybe<(row: TRow) => unknown>;
+  /**
+   * Function validating the edited value before the changes of the editor are committed.
+   * It returns the error message of an invalid value, the editor stays open until the value is valid or the changes are discarded
+   */
+  readonly validate?: Maybe<(value: unknown, row: TRow) => Maybe<string> | Promise<Maybe<string>>>;
   /** Options for cell editing */
   readonly editorOptions?: Maybe<{
     /**
@@ -88,7 +125,10 @@ export interface CalculatedColumn<TRow, TSummaryRow = unknown> extends Column<TR
   readonly resizable: boolean;
   readonly sortable: boolean;
   readonly draggable: boolean;
+  /** Whether the column is frozen, at the side given by `frozenSide` */
   readonly frozen: boolean;
+  /** The side the column is frozen at, `undefined` when it is not frozen */
+  readonly frozenSide: 'start' | 'end' | undefined;
   readonly renderCell: (props: RenderCellProps<TRow, TSummaryRow>) => ReactNode;
   readonly renderHeaderCell: (props: RenderHeaderCellProps<TRow, TSummaryRow>) => ReactNode;
 }
@@ -135,6 +175,16 @@ export interface RenderSummaryCellProps<TSummaryRow, TRow = unknown> {
   tabIndex: number;
 }
 
+export interface RenderFilterCellProps<TRow, TSummaryRow = unknown> {
+  column: CalculatedColumn<TRow, TSummaryRow>;
+  filter: ColumnFilter<TRow>;
+  /** The current filter value of the column, `undefined` when the column is not filtered */
+  value: FilterValue | undefined;
+  /** Updates the filter value of the column, `undefined` removes the filter */
+  onChange: (value: FilterValue | undefined) => void;
+  tabIndex: number;
+}
+
 export interface RenderGroupCellProps<TRow, TSummaryRow = unknown> {
   groupKey: unknown;
   column: CalculatedColumn<TRow, TSummaryRow>;
@@ -151,6 +201,8 @@ export interface RenderEditCellProps<TRow, TSummaryRow = unknown> {
   rowIdx: number;
   onRowChange: (row: TRow, commitChanges?: boolean) => void;
   onClose: (commitChanges?: boolean, shouldFocusCell?: boolean) => void;
+  /** Reports text the editor cannot parse, the changes are not committed until the error is cleared with `undefined` */
+  onInputErrorChange: (error: string | undefined) => void;
 }
 
 export interface RenderHeaderCellProps<TRow, TSummaryRow = unknown> {
@@ -250,13 +302,26 @@ export interface RenderRowProps<TRow, TSummaryRow = unknown>
   extends BaseRenderRowProps<TRow, TSummaryRow> {
   row: TRow;
   lastFrozenColumnIndex: number;
-  draggedOverCellIdx: number | undefined;
+  firstEndFrozenColumnIndex: number;
+  /** Sticky offset from the top of the grid when the row is pinned at the top */
+  pinnedTop: number | undefined;
+  /** Sticky offset from the bottom of the grid when the row is pinned at the bottom */
+  pinnedBottom: number | undefined;
+  /** Keys of the columns whose values differ from the original row, see `enableChangeTracking` */
+  modifiedColumnKeys: ReadonlySet<string> | undefined;
+  /** Whether the row was added since the changes were accepted, see `enableChangeTracking` */
+  isRowAdded: boolean;
+  /** Column range of the cells dragged over with the fill handle in the row */
+  draggedOverCellsRange: { startIdx: number; endIdx: number } | undefined;
   selectedCellEditor: ReactElement<RenderEditCellProps<TRow>> | undefined;
+  /** Editors of the other editable cells of the row when the whole row is edited, by column index */
+  editCells: ReadonlyMap<number, ReactElement<RenderEditCellProps<TRow, TSummaryRow>>> | undefined;
   onRowChange: (column: CalculatedColumn<TRow, TSummaryRow>, rowIdx: number, newRow: TRow) => void;
   rowClass: Maybe<(row: TRow, rowIdx: number) => Maybe<string>>;
   setDraggedOverRowIdx: ((overRowIdx: number) => void) | undefined;
   // Multi range selection
-  selectedCellsRange: { startIdx: number; endIdx: number };
+  /** Column ranges of the selected ranges that include the row */
+  selectedCellsRanges: readonly { startIdx: number; endIdx: number }[];
   rangeSelectionMode: boolean;
   onCellMouseDown: Maybe<
     (args: CellClickArgs<NoInfer<TRow>, NoInfer<TSummaryRow>>, event: CellMouseEvent) => void
@@ -272,6 +337,35 @@ export interface RenderRowProps<TRow, TSummaryRow = unknown>
 export interface RowsChangeData<R, SR = unknown> {
   indexes: number[];
   column: CalculatedColumn<R, SR>;
+  /** All the updated columns when the change spans multiple columns, like pasting a range */
+  columns?: CalculatedColumn<R, SR>[];
+}
+
+export interface CellChange<TRow> {
+  readonly row: TRow;
+  readonly rowKey: Key;
+  readonly columnKey: string;
+  readonly originalValue: unknown;
+  readonly value: unknown;
+}
+
+export interface RowsChanges<TRow> {
+  /** Rows whose keys are not in the original rows */
+  readonly addedRows: readonly TRow[];
+  /** Original rows whose keys are not in the rows anymore */
+  readonly deletedRows: readonly TRow[];
+  readonly updatedCells: readonly CellChange<TRow>[];
+}
+
+export interface CellValidationError extends Position {
+  readonly error: string;
+}
+
+export interface ValidationErrorEvent<TRow, TSummaryRow = unknown> {
+  row: TRow;
+  rowIdx: number;
+  column: CalculatedColumn<TRow, TSummaryRow>;
+  error: string;
 }
 
 export interface SelectRowEvent<TRow> {
@@ -285,11 +379,25 @@ export interface SelectHeaderRowEvent {
 }
 
 export interface FillEvent<TRow> {
+  /** Key of the column of the filled cell */
   columnKey: string;
+  /** Row of the source range the filled cell is mapped to */
   sourceRow: TRow;
   targetRow: TRow;
+  /** Value continuing the series formed by the source values */
+  value: unknown;
+  /** The range the values are filled from */
+  sourceRange: CellsRange;
+  /** The range being filled */
+  targetRange: CellsRange;
 }
 
+/**
+ * Gets the `count` values continuing the series formed by `values`,
+ * `values` are ordered in the fill direction
+ */
+export type FillSeriesDetector = (values: readonly unknown[], count: number) => readonly unknown[];
+
 interface CellCopyPasteEvent<TRow, TSummaryRow = unknown> {
   column: CalculatedColumn<TRow, TSummaryRow>;
   row: TRow;
@@ -299,8 +407,11 @@ export type CellCopyEvent<TRow, TSummaryRow = unknown> = CellCopyPasteEvent<TRow
 export type CellPasteEvent<TRow, TSummaryRow = unknown> = CellCopyPasteEvent<TRow, TSummaryRow>;
 
 export interface MultiPasteEvent {
-  copiedRange: CellsRange;
+  /** Range copied from the grid, `null` when the clipboard data comes from another application */
+  copiedRange: CellsRange | null;
   targetRange: CellsRange;
+  /** Values parsed from the clipboard */
+  values: string[][];
 }
 
 export interface CellsRange {
@@ -311,9 +422,40 @@ export interface CellsRange {
 }
 
 export interface MultiCopyEvent<TRow> {
+  /** Active range */
   cellsRange: CellsRange;
+  /** All the selected ranges, the copied rows and columns are combined from ranges spanning the same rows or columns */
+  cellsRanges: CellsRange[];
   sourceColumnKeys: string[];
   sourceRows: TRow[];
+  /** Delimited text the grid writes to the clipboard as `text/plain` */
+  text: string;
+  /** Html table the grid writes to the clipboard as `text/html` */
+  html: string;
+}
+
+export interface ClipboardOptions {
+  /**
+   * Include the column names as the first row of the copied range
+   * @default false
+   */
+  readonly includeHeaders?: Maybe<boolean>;
+  /**
+   * Delimiter between values in the `text/plain` payload, use ',' for CSV
+   * @default '\t'
+   */
+  readonly delimiter?: Maybe<string>;
+  /**
+   * Quoting of values in the `text/plain` payload.
+   * 'auto' only quotes values containing the delimiter, a double quote or a line break
+   * @default 'auto'
+   */
+  readonly quote?: Maybe<'auto' | 'always' | 'never'>;
+  /**
+   * Text written for `null` and `undefined` values
+   * @default ''
+   */
+  readonly nullValue?: Maybe<string>;
 }
 
 export interface GroupRow<TRow> {
@@ -333,8 +475,66 @@ export interface SortColumn {
   readonly direction: SortDirection;
 }
 
+export interface HeaderMenuItem {
+  readonly key: string;
+  readonly label: ReactNode;
+  readonly disabled?: Maybe<boolean>;
+  /** Called when the item is clicked, the menu is closed afterwards */
+  readonly onSelect: () => void;
+}
+
+export type ColumnFilter<TRow> = (
+  | { readonly type: 'text' }
+  | { readonly type: 'number' }
+  | { readonly type: 'date' }
+  | {
+      readonly type: 'set';
+      /** Values that can be selected in the filter cell */
+      readonly options: readonly string[];
+    }
+) & {
+  /** Function to get the filtered value of the row, `row[column.key]` is used by default */
+  readonly getValue?: Maybe<(row: TRow) => unknown>;
+};
+
+/**
+ * - text: rows containing the value, ignoring the case
+ * - number: rows between the minimum and the maximum, both inclusive
+ * - date: rows between the start and the end ISO dates (`yyyy-mm-dd`), both inclusive
+ * - set: rows matching one of the values
+ */
+export type FilterValue =
+  | { readonly type: 'text'; readonly value: string }
+  | { readonly type: 'number'; readonly min?: Maybe<number>; readonly max?: Maybe<number> }
+  | { readonly type: 'date'; readonly start?: Maybe<string>; readonly end?: Maybe<string> }
+  | { readonly type: 'set'; readonly values: readonly string[] };
+
+/** Filter values by column key */
+export type Filters = ReadonlyMap<string, FilterValue>;
+
+export interface SortRowsOptions {
+  /**
+   * Collator used to compare strings
+   * @default new Intl.Collator(undefined, { numeric: true })
+   */
+  readonly collator?: Maybe<Intl.Collator>;
+  /**
+   * Placement of `null` and `undefined` values, regardless of the sort direction.
+   * It does not apply to columns with a `comparator`
+   * @default 'last'
+   */
+  readonly nullsPosition?: Maybe<'first' | 'last'>;
+  /**
+   * Keys of the grouped columns of a `TreeDataGrid`.
+   * The rows are sorted by the grouped columns first so groups keep a consistent order,
+   * and the rows of each group are sorted by the other sort columns
+   */
+  readonly groupBy?: Maybe<readonly string[]>;
+}
+
 export type CellNavigationMode = 'NONE' | 'CHANGE_ROW';
 export type SortDirection = 'ASC' | 'DESC';
+export type SortCycle = readonly (SortDirection | null)[];
 
 export type ColSpanArgs<TRow, TSummaryRow> =
   | { type: 'HEADER' }
@@ -382,3 +582,13 @@ export type ColumnWidths = ReadonlyMap<string, ColumnWidth>;
 export type Direction = 'ltr' | 'rtl';
 
 export type ResizedWidth = number | 'max-content';
+
+/**
+ * - viewport: the rendered cells are measured, the widths can change while scrolling
+ * - rows: the text of all the rows is measured with the font of the grid
+ */
+export type ColumnAutosizeMode = 'viewport' | 'rows';
+
+export type EditMode = 'cell' | 'row';
+
+export type ColumnDropPosition = 'before' | 'after';
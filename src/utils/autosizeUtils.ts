@@ -0,0 +1,73 @@
+import type { CalculatedColumn } from '../types';
+import { ceil, max } from '.';
+
+let canvasContext: CanvasRenderingContext2D | null | undefined;
+
+function getFont(style: CSSStyleDeclaration) {
+  return `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+}
+
+function getInlineSpacing(style: CSSStyleDeclaration) {
+  return (
+    Number.parseFloat(style.paddingInlineStart) +
+    Number.parseFloat(style.paddingInlineEnd) +
+    Number.parseFloat(style.borderInlineStartWidth) +
+    Number.parseFloat(style.borderInlineEndWidth)
+  );
+}
+
+function getAutosizeValue<R, SR>(column: CalculatedColumn<R, SR>, row: R): unknown {
+  if (column.autosizeValue != null) {
+    return column.autosizeValue(row);
+  }
+  return row[column.key as keyof R];
+}
+
+/**
+ * Measures the text of the header and of all the rows of each column with canvas text metrics,
+ * using the font and the inline padding of the rendered cells.
+ * The widths are not clamped to the min and max widths of the columns
+ */
+export function measureColumnsContentWidth<R, SR>(
+  gridElement: HTMLDivElement,
+  columns: readonly CalculatedColumn<R, SR>[],
+  rows: readonly R[]
+): Map<string, number> {
+  const widths = new Map<string, number>();
+  canvasContext ??= document.createElement('canvas').getContext('2d');
+  if (canvasContext === null) return widths;
+
+  const headerCellStyle = getComputedStyle(
+    gridElement.querySelector('[role="columnheader"]') ?? gridElement
+  );
+  const cellStyle = getComputedStyle(gridElement.querySelector('[role="gridcell"]') ?? gridElement);
+  const headerFont = getFont(headerCellStyle);
+  const cellFont = getFont(cellStyle);
+  const headerCellSpacing = getInlineSpacing(headerCellStyle);
+  const cellSpacing = getInlineSpacing(cellStyle);
+
+  for (const column of columns) {
+    let width = 0;
+
+    if (typeof column.name === 'string') {
+      canvasContext.font = headerFont;
+      width = canvasContext.measureText(column.name).width + headerCellSpacing;
+    }
+
+    canvasContext.font = cellFont;
+    // rows often repeat the same values
+    const measuredTexts = new Set<string>();
+    for (const row of rows) {
+      const value = getAutosizeValue(column, row);
+      if (value == null) continue;
+      const text = String(value);
+      if (measuredTexts.has(text)) continue;
+      measuredTexts.add(text);
+      width = max(width, canvasContext.measureText(text).width + cellSpacing);
+    }
+
+    widths.set(column.key, ceil(width));
+  }
+
+  return widths;
+}
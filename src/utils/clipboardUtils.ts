@@ -0,0 +1,169 @@
+import type { CalculatedColumn, ClipboardOptions, Maybe } from '../types';
+
+interface SerializeRangeOpts<R, SR> {
+  rows: readonly R[];
+  columns: readonly CalculatedColumn<R, SR>[];
+  options: Maybe<ClipboardOptions>;
+}
+
+export interface SerializedRange {
+  text: string;
+  html: string;
+}
+
+export function getCopyValue<R, SR>(column: CalculatedColumn<R, SR>, row: R): unknown {
+  if (column.copyValue != null) {
+    return column.copyValue(row);
+  }
+  return row[column.key as keyof R];
+}
+
+function valueToString(value: unknown, nullValue: string): string {
+  if (value == null) return nullValue;
+  if (typeof value === 'string') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function quoteValue(value: string, delimiter: string, quote: ClipboardOptions['quote']): string {
+  if (quote === 'never') return value;
+  if (
+    quote === 'always' ||
+    value.includes(delimiter) ||
+    value.includes('"') ||
+    value.includes('\n') ||
+    value.includes('\r')
+  ) {
+    return `"${value.replaceAll('"', '""')}"`;
+  }
+  return value;
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;');
+}
+
+function toHtmlRow(values: readonly string[], tagName: 'th' | 'td'): string {
+  let html = '<tr>';
+  for (const value of values) {
+    html += `<${tagName}>${escapeHtml(value)}</${tagName}>`;
+  }
+  return `${html}</tr>`;
+}
+
+function getHeaderName<R, SR>({ name, key }: CalculatedColumn<R, SR>): string {
+  return typeof name === 'string' ? name : key;
+}
+
+/**
+ * Serializes the given rows and columns to a delimited text payload and an html table,
+ * which is the format spreadsheet applications expect on the clipboard.
+ */
+export function serializeRange<R, SR>({
+  rows,
+  columns,
+  options
+}: SerializeRangeOpts<R, SR>): SerializedRange {
+  const delimiter = options?.delimiter ?? '\t';
+  const quote = options?.quote ?? 'auto';
+  const nullValue = options?.nullValue ?? '';
+  const includeHeaders = options?.includeHeaders ?? false;
+
+  const textLines: string[] = [];
+  let html = '<table>';
+
+  if (includeHeaders) {
+    const names = columns.map(getHeaderName);
+    textLines.push(names.map((name) => quoteValue(name, delimiter, quote)).join(delimiter));
+    html += `<thead>${toHtmlRow(names, 'th')}</thead>`;
+  }
+
+  html += '<tbody>';
+  for (const row of rows) {
+    const values = columns.map((column) => valueToString(getCopyValue(column, row), nullValue));
+    textLines.push(values.map((value) => quoteValue(value, delimiter, quote)).join(delimiter));
+    html += toHtmlRow(values, 'td');
+  }
+  html += '</tbody></table>';
+
+  return { text: textLines.join('\n'), html };
+}
+
+/**
+ * Parses delimited text, as written by spreadsheet applications, to a matrix of values.
+ * Quoted values can contain the delimiter, escaped double quotes and line breaks.
+ */
+export function parseDelimitedText(text: string, delimiter: string): string[][] {
+  const matrix: string[][] = [];
+  let line: string[] = [];
+  let value = '';
+  let isQuoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (isQuoted) {
+      if (char !== '"') {
+        value += char;
+      } else if (text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else {
+        isQuoted = false;
+      }
+    } else if (char === '"' && value === '') {
+      isQuoted = true;
+    } else if (text.startsWith(delimiter, i)) {
+      line.push(value);
+      value = '';
+      i += delimiter.length - 1;
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line.push(value);
+      matrix.push(line);
+      line = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  // ignore the trailing line break added by most spreadsheet applications
+  if (value !== '' || line.length > 0) {
+    line.push(value);
+    matrix.push(line);
+  }
+
+  return matrix;
+}
+
+function parseHtmlTable(html: string): string[][] {
+  const table = new DOMParser().parseFromString(html, 'text/html').querySelector('table');
+  if (table === null) return [];
+
+  return Array.from(table.rows, (row) =>
+    Array.from(row.cells, (cell) => cell.textContent?.trim() ?? '')
+  );
+}
+
+/**
+ * Reads the pasted values from the clipboard, the `text/plain` payload is preferred
+ * and the `text/html` payload is used when it is the only one containing a table.
+ */
+export function parseClipboardData(
+  clipboardData: DataTransfer,
+  options: Maybe<ClipboardOptions>
+): string[][] {
+  const text = clipboardData.getData('text/plain');
+  if (text !== '') {
+    return parseDelimitedText(text, options?.delimiter ?? '\t');
+  }
+
+  const html = clipboardData.getData('text/html');
+  return html === '' ? [] : parseHtmlTable(html);
+}
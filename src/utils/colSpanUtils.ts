@@ -3,6 +3,7 @@ import type { CalculatedColumn, ColSpanArgs } from '../types';
 export function getColSpan<R, SR>(
   column: CalculatedColumn<R, SR>,
   lastFrozenColumnIndex: number,
+  firstEndFrozenColumnIndex: number,
   args: ColSpanArgs<R, SR>
 ): number | undefined {
   const colSpan = typeof column.colSpan === 'function' ? column.colSpan(args) : 1;
@@ -10,7 +11,8 @@ export function getColSpan<R, SR>(
     Number.isInteger(colSpan) &&
     colSpan! > 1 &&
     // ignore colSpan if it spans over both frozen and regular columns
-    (!column.frozen || column.idx + colSpan! - 1 <= lastFrozenColumnIndex)
+    (column.frozenSide !== 'start' || column.idx + colSpan! - 1 <= lastFrozenColumnIndex) &&
+    (column.frozenSide === 'end' || column.idx + colSpan! - 1 < firstEndFrozenColumnIndex)
   ) {
     return colSpan!;
   }
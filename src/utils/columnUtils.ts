@@ -0,0 +1,106 @@
+import type { CalculatedColumn, Column, ColumnDropPosition, ColumnOrColumnGroup } from '../types';
+
+/** Returns the columns nested in column groups, in order */
+export function getLeafColumns<R, SR>(
+  columns: readonly ColumnOrColumnGroup<R, SR>[]
+): Column<R, SR>[] {
+  return columns.flatMap((column) =>
+    'children' in column ? getLeafColumns(column.children) : [column]
+  );
+}
+
+/**
+ * Sorts the columns by the position of their key in `columnOrder`.
+ * Column groups are sorted by their first column so their children stay together,
+ * and the columns missing from `columnOrder` are placed after the others in their original order.
+ */
+export function orderColumns<R, SR>(
+  columns: readonly ColumnOrColumnGroup<R, SR>[],
+  columnOrder: readonly string[]
+): readonly ColumnOrColumnGroup<R, SR>[] {
+  if (columnOrder.length === 0) return columns;
+  const positions = new Map(columnOrder.map((key, index) => [key, index]));
+
+  function getPosition(column: ColumnOrColumnGroup<R, SR>): number {
+    if ('children' in column) {
+      return Math.min(columnOrder.length, ...column.children.map(getPosition));
+    }
+    return positions.get(column.key) ?? columnOrder.length;
+  }
+
+  function sortColumns(
+    columns: readonly ColumnOrColumnGroup<R, SR>[]
+  ): readonly ColumnOrColumnGroup<R, SR>[] {
+    return columns
+      .map((column) =>
+        'children' in column ? { ...column, children: sortColumns(column.children) } : column
+      )
+      .toSorted((column1, column2) => getPosition(column1) - getPosition(column2));
+  }
+
+  return sortColumns(columns);
+}
+
+function getColumnPath<R, SR>(
+  columns: readonly ColumnOrColumnGroup<R, SR>[],
+  key: string
+): ColumnOrColumnGroup<R, SR>[] | undefined {
+  for (const column of columns) {
+    if ('children' in column) {
+      const path = getColumnPath(column.children, key);
+      if (path !== undefined) return [column, ...path];
+    } else if (column.key === key) {
+      return [column];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Returns the keys of all the columns after moving the source column before or after the target column,
+ * and the keys of the moved columns.
+ * When the columns are in different groups, the ancestors of the columns that share the same parent are moved instead,
+ * so column groups are never split.
+ */
+export function moveColumn<R, SR>(
+  columns: readonly ColumnOrColumnGroup<R, SR>[],
+  sourceKey: string,
+  targetKey: string,
+  position: ColumnDropPosition
+): { columnOrder: string[]; movedColumnKeys: string[] } {
+  const sourcePath = getColumnPath(columns, sourceKey)!;
+  const targetPath = getColumnPath(columns, targetKey)!;
+  let depth = 0;
+  while (depth < sourcePath.length - 1 && sourcePath[depth] === targetPath[depth]) {
+    depth++;
+  }
+
+  const sourceKeys = getLeafColumns([sourcePath[depth]]).map(({ key }) => key);
+  const targetKeys = getLeafColumns([targetPath[depth]]).map(({ key }) => key);
+  const columnOrder = getLeafColumns(columns)
+    .map(({ key }) => key)
+    .filter((key) => !sourceKeys.includes(key));
+  const targetIndex =
+    position === 'before'
+      ? columnOrder.indexOf(targetKeys[0])
+      : columnOrder.indexOf(targetKeys.at(-1)!) + 1;
+  columnOrder.splice(targetIndex, 0, ...sourceKeys);
+  return { columnOrder, movedColumnKeys: sourceKeys };
+}
+
+/**
+ * Columns can only be dropped on draggable columns,
+ * dropping a column on a column with a different frozen state freezes or unfreezes it.
+ * Columns frozen at the end can only be moved among themselves.
+ */
+export function canMoveColumn<R, SR>(
+  sourceColumn: CalculatedColumn<R, SR>,
+  targetColumn: CalculatedColumn<R, SR>
+): boolean {
+  return (
+    sourceColumn.key !== targetColumn.key &&
+    sourceColumn.draggable &&
+    targetColumn.draggable &&
+    (sourceColumn.frozenSide === 'end') === (targetColumn.frozenSide === 'end')
+  );
+}
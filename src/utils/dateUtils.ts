@@ -0,0 +1,20 @@
+const isoDateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Converts dates and ISO date strings (`yyyy-mm-dd`) to local dates */
+export function toDate(value: unknown): Date | undefined {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? undefined : value;
+  }
+  if (typeof value === 'string' && isoDateRegex.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  return undefined;
+}
+
+export function toIsoDate(date: Date) {
+  const year = String(date.getFullYear()).padStart(4, '0');
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
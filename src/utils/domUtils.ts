@@ -7,3 +7,11 @@ export function stopPropagation(event: React.SyntheticEvent) {
 export function scrollIntoView(element: Maybe<Element>) {
   element?.scrollIntoView({ inline: 'nearest', block: 'nearest' });
 }
+
+/** Whether the element handles its own text editing keys, like the inputs of the filter row */
+export function isEditableElement(element: Element) {
+  return (
+    element.matches('input, textarea, select') ||
+    (element instanceof HTMLElement && element.isContentEditable)
+  );
+}
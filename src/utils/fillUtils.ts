@@ -0,0 +1,156 @@
+import type { CellsRange } from '../types';
+import { toDate, toIsoDate } from './dateUtils';
+
+type SeriesValueGetter = (index: number) => unknown;
+
+// strings ending with a number, like `Item 1` or `A001`
+const textWithNumberRegex = /^(.*?)(\d+)$/;
+const dayInMs = 86_400_000;
+
+function getDistance(idx: number, startIdx: number, endIdx: number) {
+  if (idx < startIdx) return idx - startIdx;
+  if (idx > endIdx) return idx - endIdx;
+  return 0;
+}
+
+/**
+ * Gets the range filled when the fill handle is dragged over a cell outside of the source range.
+ * Like spreadsheet applications, the source range is extended vertically or horizontally,
+ * in the direction where the cell is the furthest from the source range.
+ */
+export function getFillTargetRange(
+  sourceRange: CellsRange,
+  overRowIdx: number,
+  overColumnIdx: number
+): CellsRange | undefined {
+  const { startRowIdx, startColumnIdx, endRowIdx, endColumnIdx } = sourceRange;
+  const rowsDistance = getDistance(overRowIdx, startRowIdx, endRowIdx);
+  const columnsDistance = getDistance(overColumnIdx, startColumnIdx, endColumnIdx);
+  if (rowsDistance === 0 && columnsDistance === 0) return;
+
+  if (Math.abs(rowsDistance) >= Math.abs(columnsDistance)) {
+    return rowsDistance > 0
+      ? { ...sourceRange, startRowIdx: endRowIdx + 1, endRowIdx: overRowIdx }
+      : { ...sourceRange, startRowIdx: overRowIdx, endRowIdx: startRowIdx - 1 };
+  }
+
+  return columnsDistance > 0
+    ? { ...sourceRange, startColumnIdx: endColumnIdx + 1, endColumnIdx: overColumnIdx }
+    : { ...sourceRange, startColumnIdx: overColumnIdx, endColumnIdx: startColumnIdx - 1 };
+}
+
+function getStep(values: readonly number[]): number | undefined {
+  const step = values[1] - values[0];
+  for (let i = 2; i < values.length; i++) {
+    // tolerate floating point errors, 0.2 - 0.1 !== 0.3 - 0.2
+    if (Math.abs(values[i] - values[i - 1] - step) > Math.abs(step) * 1e-9) return;
+  }
+  return step;
+}
+
+function getNumberSeries(values: readonly unknown[]): SeriesValueGetter | undefined {
+  // a single number is copied
+  if (values.length < 2 || !values.every((value) => typeof value === 'number')) return;
+  if (!values.every(Number.isFinite)) return;
+  const step = getStep(values);
+  if (step === undefined) return;
+
+  const last = values.at(-1)!;
+  // round to remove floating point errors, 0.1 + 0.2 === 0.30000000000000004
+  return (index) => Number((last + step * (index + 1)).toPrecision(15));
+}
+
+function addDays(date: Date, days: number) {
+  const newDate = new Date(date);
+  newDate.setDate(date.getDate() + days);
+  return newDate;
+}
+
+function addMonths(date: Date, months: number) {
+  const newDate = new Date(date);
+  newDate.setDate(1);
+  newDate.setMonth(date.getMonth() + months);
+  // clamp the day to the last day of the month, Jan 31 + 1 month is Feb 28
+  const daysInMonth = new Date(newDate.getFullYear(), newDate.getMonth() + 1, 0).getDate();
+  newDate.setDate(Math.min(date.getDate(), daysInMonth));
+  return newDate;
+}
+
+function isDateSeries(dates: readonly Date[], getDate: (index: number) => Date) {
+  return dates.every((date, index) => getDate(index).getTime() === date.getTime());
+}
+
+function getDateSeries(values: readonly unknown[]): SeriesValueGetter | undefined {
+  const isText = typeof values[0] === 'string';
+  if (!values.every((value) => (typeof value === 'string') === isText)) return;
+  const dates = values.map(toDate);
+  if (!dates.every((date) => date !== undefined)) return;
+
+  const first = dates[0];
+  const last = dates.at(-1)!;
+  const format = (date: Date) => (isText ? toIsoDate(date) : date);
+
+  // a single date is incremented by one day
+  if (dates.length === 1) {
+    return (index) => format(addDays(first, index + 1));
+  }
+
+  // month steps are checked first as any two dates form a series of days
+  const months =
+    (dates[1].getFullYear() - first.getFullYear()) * 12 + dates[1].getMonth() - first.getMonth();
+  if (isDateSeries(dates, (index) => addMonths(first, index * months))) {
+    // months are added to the first date to not accumulate the clamping of the days
+    return (index) => format(addMonths(first, months * (dates.length + index)));
+  }
+
+  const days = Math.round((dates[1].getTime() - first.getTime()) / dayInMs);
+  if (isDateSeries(dates, (index) => addDays(first, index * days))) {
+    return (index) => format(addDays(last, days * (index + 1)));
+  }
+  return undefined;
+}
+
+function getTextSeries(values: readonly unknown[]): SeriesValueGetter | undefined {
+  const matches = [];
+  for (const value of values) {
+    if (typeof value !== 'string') return;
+    const match = textWithNumberRegex.exec(value);
+    if (match === null) return;
+    matches.push(match);
+  }
+
+  const prefix = matches[0][1];
+  if (!matches.every((match) => match[1] === prefix)) return;
+  // a single value is incremented by one
+  const step = matches.length === 1 ? 1 : getStep(matches.map((match) => Number(match[2])));
+  if (step === undefined) return;
+
+  const digits = matches.at(-1)![2];
+  // keep the leading zeros, `A009` is followed by `A010`
+  const minLength = digits.startsWith('0') ? digits.length : 0;
+  const last = Number(digits);
+  return (index) =>
+    `${prefix}${String(Math.abs(last + step * (index + 1))).padStart(minLength, '0')}`;
+}
+
+/**
+ * Continues the series formed by the source values, like spreadsheet applications do:
+ * - numbers with a constant step are extended linearly, a single number is copied
+ * - dates, and ISO date strings, with a constant step in days or in months are extended,
+ *   a single date is incremented by one day
+ * - strings ending with a number, like `Item 1`, `Item 2`, have their number incremented
+ * - other values are repeated as a cycle
+ *
+ * The values are ordered in the fill direction, so when filling upwards or leftwards
+ * the first value is the one furthest from the filled cells.
+ * The first returned value is the one of the cell next to the source range.
+ */
+export function detectFillSeries(values: readonly unknown[], count: number): unknown[] {
+  const getValue =
+    getNumberSeries(values) ??
+    getDateSeries(values) ??
+    getTextSeries(values) ??
+    ((index: number) => values[index % values.length]);
+
+  return Array.from({ length: count }, (_, index) => getValue(index));
+}
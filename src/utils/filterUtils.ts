@@ -0,0 +1,60 @@
+import type { ColumnOrColumnGroup, Filters, FilterValue } from '../types';
+import { getLeafColumns } from './columnUtils';
+import { toDate, toIsoDate } from './dateUtils';
+
+/** Checks if the filter value excludes any row, an empty text filter for example does not */
+export function isFilterActive(filter: FilterValue): boolean {
+  if (filter.type === 'text') return filter.value !== '';
+  if (filter.type === 'number') return filter.min != null || filter.max != null;
+  if (filter.type === 'date') return filter.start != null || filter.end != null;
+  return filter.values.length > 0;
+}
+
+function matchesFilter(value: unknown, filter: FilterValue): boolean {
+  if (filter.type === 'text') {
+    return value != null && String(value).toLowerCase().includes(filter.value.toLowerCase());
+  }
+
+  if (filter.type === 'number') {
+    return (
+      typeof value === 'number' &&
+      (filter.min == null || value >= filter.min) &&
+      (filter.max == null || value <= filter.max)
+    );
+  }
+
+  if (filter.type === 'date') {
+    const date = toDate(value);
+    if (date === undefined) return false;
+    // ISO dates can be compared as strings
+    const isoDate = toIsoDate(date);
+    return (
+      (filter.start == null || isoDate >= filter.start) &&
+      (filter.end == null || isoDate <= filter.end)
+    );
+  }
+
+  return value != null && filter.values.includes(String(value));
+}
+
+/**
+ * Returns the rows matching all the filters.
+ * Filters of columns without a `filter` definition are ignored.
+ * The grid does not filter the rows itself, the filtered rows should be passed to the `rows` prop.
+ */
+export function filterRows<R, SR>(
+  rows: readonly R[],
+  columns: readonly ColumnOrColumnGroup<R, SR>[],
+  filters: Filters
+): readonly R[] {
+  const predicates: ((row: R) => boolean)[] = [];
+  for (const column of getLeafColumns(columns)) {
+    const filter = filters.get(column.key);
+    if (column.filter == null || filter === undefined || !isFilterActive(filter)) continue;
+    const getValue = column.filter.getValue ?? ((row: R) => row[column.key as keyof R]);
+    predicates.push((row) => matchesFilter(getValue(row), filter));
+  }
+
+  if (predicates.length === 0) return rows;
+  return rows.filter((row) => predicates.every((predicate) => predicate(row)));
+}
@@ -1,20 +1,29 @@
 import type { CalculatedColumn, CalculatedColumnOrColumnGroup, Maybe } from '../types';
 
+export * from './autosizeUtils';
+export * from './clipboardUtils';
 export * from './colSpanUtils';
+export * from './columnUtils';
+export * from './dateUtils';
 export * from './domUtils';
 export * from './eventUtils';
+export * from './fillUtils';
+export * from './filterUtils';
 export * from './keyboardUtils';
+export * from './rangeUtils';
 export * from './renderMeasuringCells';
 export * from './selectedCellUtils';
+export * from './sortUtils';
 export * from './styleUtils';
 
-export const { min, max, floor, sign, abs } = Math;
+export const { min, max, floor, ceil, sign, abs } = Math;
 
 export function assertIsValidKeyGetter<R, K extends React.Key>(
-  keyGetter: Maybe<(row: NoInfer<R>) => K>
+  keyGetter: Maybe<(row: NoInfer<R>) => K>,
+  feature = 'selection'
 ): asserts keyGetter is (row: R) => K {
   if (typeof keyGetter !== 'function') {
-    throw new Error('Please specify the rowKeyGetter prop to use selection');
+    throw new Error(`Please specify the rowKeyGetter prop to use ${feature}`);
   }
 }
 
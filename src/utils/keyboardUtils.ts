@@ -56,7 +56,10 @@ export function isCtrlKeyHeldDown(e: React.KeyboardEvent): boolean {
 
 // event.key may differ by keyboard input language, so we use event.keyCode instead
 // event.nativeEvent.code cannot be used either as it would break copy/paste for the DVORAK layout
+const aKey = 65;
 const vKey = 86;
+const yKey = 89;
+const zKey = 90;
 
 export function isDefaultCellInput(
   event: React.KeyboardEvent<HTMLDivElement>,
@@ -67,6 +70,38 @@ export function isDefaultCellInput(
   return !nonInputKeys.has(event.key);
 }
 
+/** Ctrl/Cmd+Backspace on the header cell of a sortable column clears all the sort columns */
+export function isClearSortKey(event: React.KeyboardEvent): boolean {
+  return isCtrlKeyHeldDown(event) && event.key === 'Backspace';
+}
+
+/** Delete/Backspace on a selected range clears its editable cells */
+export function isClearCellsKey(event: React.KeyboardEvent): boolean {
+  return !isCtrlKeyHeldDown(event) && (event.key === 'Delete' || event.key === 'Backspace');
+}
+
+/** Ctrl/Cmd+Enter in an editor commits its value to all the editable cells of the selected ranges */
+export function isCommitToRangeKey(event: React.KeyboardEvent): boolean {
+  return isCtrlKeyHeldDown(event) && event.key === 'Enter';
+}
+
+export function isSelectAllKey(event: React.KeyboardEvent): boolean {
+  // eslint-disable-next-line @typescript-eslint/no-deprecated
+  return isCtrlKeyHeldDown(event) && !event.shiftKey && event.keyCode === aKey;
+}
+
+export function isUndoKey(event: React.KeyboardEvent): boolean {
+  // eslint-disable-next-line @typescript-eslint/no-deprecated
+  return isCtrlKeyHeldDown(event) && !event.shiftKey && event.keyCode === zKey;
+}
+
+export function isRedoKey(event: React.KeyboardEvent): boolean {
+  if (!isCtrlKeyHeldDown(event)) return false;
+  // eslint-disable-next-line @typescript-eslint/no-deprecated
+  const { keyCode } = event;
+  return event.shiftKey ? keyCode === zKey : keyCode === yKey;
+}
+
 /**
  * By default, the following navigation keys are enabled while an editor is open, under specific conditions:
  * - Tab:
@@ -0,0 +1,117 @@
+import type { CellsRange } from '../types';
+
+export function getNormalizedRange({
+  startRowIdx,
+  startColumnIdx,
+  endRowIdx,
+  endColumnIdx
+}: CellsRange): CellsRange {
+  return {
+    startRowIdx: Math.min(startRowIdx, endRowIdx),
+    startColumnIdx: Math.min(startColumnIdx, endColumnIdx),
+    endRowIdx: Math.max(startRowIdx, endRowIdx),
+    endColumnIdx: Math.max(startColumnIdx, endColumnIdx)
+  };
+}
+
+/**
+ * Gets the range the copied values are pasted into.
+ * Like spreadsheet applications, the copied values are repeated to fill the selected range
+ * when its size is a multiple of the copied size, otherwise they are pasted once,
+ * starting at the top left cell of the selected range.
+ */
+export function getPasteRange(
+  { startRowIdx, startColumnIdx, endRowIdx, endColumnIdx }: CellsRange,
+  sourceRowsCount: number,
+  sourceColumnsCount: number
+): CellsRange {
+  const targetRowsCount = endRowIdx - startRowIdx + 1;
+  const targetColumnsCount = endColumnIdx - startColumnIdx + 1;
+  const canTile =
+    targetRowsCount % sourceRowsCount === 0 && targetColumnsCount % sourceColumnsCount === 0;
+
+  return {
+    startRowIdx,
+    startColumnIdx,
+    endRowIdx: startRowIdx + (canTile ? targetRowsCount : sourceRowsCount) - 1,
+    endColumnIdx: startColumnIdx + (canTile ? targetColumnsCount : sourceColumnsCount) - 1
+  };
+}
+
+function isSameSpan(start1: number, end1: number, start2: number, end2: number) {
+  return start1 === start2 && end1 === end2;
+}
+
+function getSpanIndexes(
+  ranges: readonly CellsRange[],
+  startKey: keyof CellsRange,
+  endKey: keyof CellsRange
+) {
+  const indexes = new Set<number>();
+  for (const range of ranges) {
+    for (let i = range[startKey]; i <= range[endKey]; i++) {
+      indexes.add(i);
+    }
+  }
+  return [...indexes].sort((a, b) => a - b);
+}
+
+/**
+ * Gets the row and column indexes copied from the selected ranges.
+ * Like spreadsheet applications, ranges spanning the same rows are combined column-wise,
+ * ranges spanning the same columns are combined row-wise,
+ * otherwise only the active, last selected, range is copied.
+ */
+export function getCopiedIndexes(selectedRanges: readonly CellsRange[]): {
+  rowIdxs: number[];
+  columnIdxs: number[];
+} {
+  const ranges = selectedRanges.map(getNormalizedRange);
+  const activeRange = ranges.at(-1)!;
+  const haveSameRows = ranges.every((range) =>
+    isSameSpan(range.startRowIdx, range.endRowIdx, activeRange.startRowIdx, activeRange.endRowIdx)
+  );
+  const haveSameColumns = ranges.every((range) =>
+    isSameSpan(
+      range.startColumnIdx,
+      range.endColumnIdx,
+      activeRange.startColumnIdx,
+      activeRange.endColumnIdx
+    )
+  );
+  const copiedRanges = haveSameRows || haveSameColumns ? ranges : [activeRange];
+
+  return {
+    rowIdxs: getSpanIndexes(copiedRanges, 'startRowIdx', 'endRowIdx'),
+    columnIdxs: getSpanIndexes(copiedRanges, 'startColumnIdx', 'endColumnIdx')
+  };
+}
+
+/**
+ * Gets the index a range edge jumps to with Ctrl+Shift+Arrow keys.
+ * Like spreadsheet applications, the edge moves to the last non-empty cell of the current data block,
+ * or to the first non-empty cell of the next data block when it is on or next to an empty cell.
+ */
+export function getDataEdgeIdx(
+  idx: number,
+  step: 1 | -1,
+  minIdx: number,
+  maxIdx: number,
+  isEmpty: (idx: number) => boolean
+): number {
+  const isWithinBounds = (i: number) => i >= minIdx && i <= maxIdx;
+  let nextIdx = idx + step;
+  if (!isWithinBounds(nextIdx)) return idx;
+
+  if (isEmpty(idx) || isEmpty(nextIdx)) {
+    while (isWithinBounds(nextIdx + step) && isEmpty(nextIdx)) {
+      nextIdx += step;
+    }
+    return nextIdx;
+  }
+
+  while (isWithinBounds(nextIdx + step) && !isEmpty(nextIdx + step)) {
+    nextIdx += step;
+  }
+  return nextIdx;
+}
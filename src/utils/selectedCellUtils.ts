@@ -46,6 +46,7 @@ interface GetNextSelectedCellPositionOpts<R, SR> {
   currentPosition: Position;
   nextPosition: Position;
   lastFrozenColumnIndex: number;
+  firstEndFrozenColumnIndex: number;
   isCellWithinBounds: (position: Position) => boolean;
 }
 
@@ -56,25 +57,28 @@ function getSelectedCellColSpan<R, SR>({
   rowIdx,
   mainHeaderRowIdx,
   lastFrozenColumnIndex,
+  firstEndFrozenColumnIndex,
   column
 }: Pick<
   GetNextSelectedCellPositionOpts<R, SR>,
-  'rows' | 'topSummaryRows' | 'bottomSummaryRows' | 'lastFrozenColumnIndex' | 'mainHeaderRowIdx'
+  | 'rows'
+  | 'topSummaryRows'
+  | 'bottomSummaryRows'
+  | 'lastFrozenColumnIndex'
+  | 'firstEndFrozenColumnIndex'
+  | 'mainHeaderRowIdx'
 > & {
   rowIdx: number;
   column: CalculatedColumn<R, SR>;
 }) {
   const topSummaryRowsCount = topSummaryRows?.length ?? 0;
-  if (rowIdx === mainHeaderRowIdx) {
-    return getColSpan(column, lastFrozenColumnIndex, { type: 'HEADER' });
+  // the filter row, between the main header row and the top summary rows, has the same layout as the header row
+  if (rowIdx >= mainHeaderRowIdx && rowIdx < -topSummaryRowsCount) {
+    return getColSpan(column, lastFrozenColumnIndex, firstEndFrozenColumnIndex, { type: 'HEADER' });
   }
 
-  if (
-    topSummaryRows &&
-    rowIdx > mainHeaderRowIdx &&
-    rowIdx <= topSummaryRowsCount + mainHeaderRowIdx
-  ) {
-    return getColSpan(column, lastFrozenColumnIndex, {
+  if (topSummaryRows && rowIdx >= -topSummaryRowsCount && rowIdx < 0) {
+    return getColSpan(column, lastFrozenColumnIndex, firstEndFrozenColumnIndex, {
       type: 'SUMMARY',
       row: topSummaryRows[rowIdx + topSummaryRowsCount]
     });
@@ -82,11 +86,14 @@ function getSelectedCellColSpan<R, SR>({
 
   if (rowIdx >= 0 && rowIdx < rows.length) {
     const row = rows[rowIdx];
-    return getColSpan(column, lastFrozenColumnIndex, { type: 'ROW', row });
+    return getColSpan(column, lastFrozenColumnIndex, firstEndFrozenColumnIndex, {
+      type: 'ROW',
+      row
+    });
   }
 
   if (bottomSummaryRows) {
-    return getColSpan(column, lastFrozenColumnIndex, {
+    return getColSpan(column, lastFrozenColumnIndex, firstEndFrozenColumnIndex, {
       type: 'SUMMARY',
       row: bottomSummaryRows[rowIdx - rows.length]
     });
@@ -110,6 +117,7 @@ export function getNextSelectedCellPosition<R, SR>({
   currentPosition: { idx: currentIdx, rowIdx: currentRowIdx },
   nextPosition,
   lastFrozenColumnIndex,
+  firstEndFrozenColumnIndex,
   isCellWithinBounds
 }: GetNextSelectedCellPositionOpts<R, SR>): Position {
   let { idx: nextIdx, rowIdx: nextRowIdx } = nextPosition;
@@ -128,6 +136,7 @@ export function getNextSelectedCellPosition<R, SR>({
         rowIdx: nextRowIdx,
         mainHeaderRowIdx,
         lastFrozenColumnIndex,
+        firstEndFrozenColumnIndex,
         column
       });
 
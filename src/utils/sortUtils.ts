@@ -0,0 +1,98 @@
+import type {
+  Column,
+  ColumnOrColumnGroup,
+  SortColumn,
+  SortDirection,
+  SortRowsOptions
+} from '../types';
+import { getLeafColumns } from './columnUtils';
+
+type Comparator<R> = (a: R, b: R) => number;
+
+const defaultCollator = new Intl.Collator(undefined, { numeric: true });
+
+function compareValues(a: unknown, b: unknown, collator: Intl.Collator): number {
+  if (typeof a === 'string' && typeof b === 'string') {
+    return collator.compare(a, b);
+  }
+
+  if (
+    (typeof a === 'number' && typeof b === 'number') ||
+    (typeof a === 'bigint' && typeof b === 'bigint') ||
+    (typeof a === 'boolean' && typeof b === 'boolean') ||
+    (a instanceof Date && b instanceof Date)
+  ) {
+    // NaN and invalid dates are considered equal to any value
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  return collator.compare(String(a), String(b));
+}
+
+function getColumnComparator<R, SR>(
+  column: Column<R, SR>,
+  direction: SortDirection,
+  { collator, nullsPosition }: SortRowsOptions
+): Comparator<R> {
+  const sign = direction === 'ASC' ? 1 : -1;
+  const { comparator } = column;
+  if (comparator != null) {
+    return (a, b) => sign * comparator(a, b);
+  }
+
+  const key = column.key as keyof R;
+  const nullsOrder = nullsPosition === 'first' ? -1 : 1;
+  return (a, b) => {
+    const aValue = a[key];
+    const bValue = b[key];
+    if (aValue == null || bValue == null) {
+      if (aValue == null && bValue == null) return 0;
+      // nulls are placed regardless of the sort direction
+      return aValue == null ? nullsOrder : -nullsOrder;
+    }
+    return sign * compareValues(aValue, bValue, collator ?? defaultCollator);
+  };
+}
+
+/**
+ * Returns the rows sorted by the sort columns, the first sort column having the highest priority.
+ * The sort is stable, rows that are equal keep their relative order.
+ * The grid does not sort the rows itself, the sorted rows should be passed to the `rows` prop.
+ */
+export function sortRows<R, SR>(
+  rows: readonly R[],
+  columns: readonly ColumnOrColumnGroup<R, SR>[],
+  sortColumns: readonly SortColumn[],
+  options: SortRowsOptions = {}
+): readonly R[] {
+  const { groupBy } = options;
+  // grouped columns are sorted first so each group stays together
+  const groupSortColumns =
+    groupBy?.map(
+      (columnKey): SortColumn =>
+        sortColumns.find((sort) => sort.columnKey === columnKey) ?? { columnKey, direction: 'ASC' }
+    ) ?? [];
+  const allSortColumns = [
+    ...groupSortColumns,
+    ...sortColumns.filter((sort) => groupBy?.includes(sort.columnKey) !== true)
+  ];
+  if (allSortColumns.length === 0) return rows;
+
+  const columnsByKey = new Map(getLeafColumns(columns).map((column) => [column.key, column]));
+  const comparators: Comparator<R>[] = [];
+  for (const { columnKey, direction } of allSortColumns) {
+    const column = columnsByKey.get(columnKey);
+    if (column === undefined) continue;
+    comparators.push(getColumnComparator(column, direction, options));
+  }
+  if (comparators.length === 0) return rows;
+
+  // Array.prototype.sort is stable
+  return [...rows].sort((a, b) => {
+    for (const comparator of comparators) {
+      const result = comparator(a, b);
+      if (result !== 0) return result;
+    }
+    return 0;
+  });
+}
@@ -2,7 +2,7 @@ import type { CSSProperties } from 'react';
 import clsx from 'clsx';
 
 import type { CalculatedColumn, CalculatedColumnOrColumnGroup } from '../types';
-import { cellClassname, cellFrozenClassname } from '../style/cell';
+import { cellClassname, cellFrozenClassname, cellFrozenEndClassname } from '../style/cell';
 
 export function getRowStyle(rowIdx: number): CSSProperties {
   return { '--rdg-grid-row-start': rowIdx } as unknown as CSSProperties;
@@ -41,7 +41,13 @@ export function getCellStyle<R, SR>(
   return {
     gridColumnStart: index,
     gridColumnEnd: index + colSpan,
-    insetInlineStart: column.frozen ? `var(--rdg-frozen-left-${column.idx})` : undefined
+    insetInlineStart:
+      column.frozenSide === 'start' ? `var(--rdg-frozen-left-${column.idx})` : undefined,
+    // cells frozen at the end are offset by the columns after the last spanned column
+    insetInlineEnd:
+      column.frozenSide === 'end'
+        ? `var(--rdg-frozen-right-${column.idx + colSpan - 1})`
+        : undefined
   };
 }
 
@@ -52,7 +58,8 @@ export function getCellClassname<R, SR>(
   return clsx(
     cellClassname,
     {
-      [cellFrozenClassname]: column.frozen
+      [cellFrozenClassname]: column.frozenSide === 'start',
+      [cellFrozenEndClassname]: column.frozenSide === 'end'
     },
     ...extraClasses
   );
@@ -1,7 +1,7 @@
-import { useState } from 'react';
+import { createRef, useState } from 'react';
 import { page, userEvent } from '@vitest/browser/context';
 
-import type { Column } from '../../src';
+import type { Column, DataGridHandle } from '../../src';
 import { SelectColumn, textEditor, TreeDataGrid } from '../../src';
 import { focusSinkClassname } from '../../src/style/core';
 import { rowSelected } from '../../src/style/row';
@@ -440,3 +440,34 @@ test('custom renderGroupCell', () => {
   expect(getCellsAtRowIndex(1)[4]).toHaveTextContent('1');
   expect(getCellsAtRowIndex(4)[4]).toHaveTextContent('3');
 });
+
+test('autosizing measures the group rows with their group key', async () => {
+  const gridRef = createRef<DataGridHandle>();
+  const autosizeColumns: readonly Column<Row>[] = [
+    { key: 'country', name: 'Country', resizable: true },
+    { key: 'id', name: 'Id', resizable: true }
+  ];
+  const rows: readonly Row[] = [
+    { id: 1, country: 'A country with a very long name', year: 2020 },
+    { id: 2, country: 'USA', year: 2021 }
+  ];
+  page.render(
+    <TreeDataGrid
+      ref={gridRef}
+      columns={autosizeColumns}
+      rows={rows}
+      rowKeyGetter={rowKeyGetter}
+      groupBy={['country']}
+      rowGrouper={rowGrouper}
+      expandedGroupIds={new Set(['A country with a very long name', 'USA'])}
+      onExpandedGroupIdsChange={() => {}}
+      columnAutosizeMode="rows"
+    />
+  );
+
+  gridRef.current!.autosizeColumns();
+  const [countryHeaderCell, idHeaderCell] = getHeaderCells();
+  await expect.poll(() => countryHeaderCell.getBoundingClientRect().width).toBeGreaterThan(150);
+  // the ids of the group rows are not measured in the id column
+  expect(idHeaderCell.getBoundingClientRect().width).toBeLessThan(100);
+});
@@ -0,0 +1,53 @@
+import type { CellsRange, Column } from '../../src';
+import { getCellsAtRowIndex, getGrid, setup } from './utils';
+
+interface Row {
+  id: number;
+}
+
+const columns: readonly Column<Row>[] = [
+  { key: 'id', name: 'ID' },
+  { key: 'name', name: 'Name' }
+];
+
+const rows: readonly Row[] = Array.from({ length: 1000 }, (_, id) => ({ id }));
+
+function mouseEvent(target: EventTarget, type: string, init?: MouseEventInit) {
+  target.dispatchEvent(new MouseEvent(type, { bubbles: true, buttons: 1, ...init }));
+}
+
+test('should auto-scroll and extend the range while dragging past the grid edge', async () => {
+  const onSelectedRangeChange = vi.fn();
+  setup({ columns, rows, enableRangeSelection: true, onSelectedRangeChange });
+  const grid = getGrid().element();
+
+  mouseEvent(getCellsAtRowIndex(0)[0], 'mousedown');
+  const { bottom, left } = grid.getBoundingClientRect();
+  mouseEvent(document, 'mousemove', { clientX: left + 20, clientY: bottom + 100 });
+
+  await expect.poll(() => grid.scrollTop).toBeGreaterThan(500);
+  mouseEvent(document, 'mouseup');
+
+  const { endRowIdx } = onSelectedRangeChange.mock.lastCall![0] as CellsRange;
+  expect(endRowIdx).toBeGreaterThan(30);
+
+  // the auto-scroll stops once the mouse button is released
+  const { scrollTop } = grid;
+  await new Promise(requestAnimationFrame);
+  await new Promise(requestAnimationFrame);
+  expect(grid.scrollTop).toBe(scrollTop);
+});
+
+test('should not auto-scroll when the pointer is away from the edges', async () => {
+  setup({ columns, rows, enableRangeSelection: true });
+  const grid = getGrid().element();
+
+  mouseEvent(getCellsAtRowIndex(0)[0], 'mousedown');
+  const { top, left } = grid.getBoundingClientRect();
+  mouseEvent(document, 'mousemove', { clientX: left + 100, clientY: top + 200 });
+
+  await new Promise(requestAnimationFrame);
+  await new Promise(requestAnimationFrame);
+  expect(grid.scrollTop).toBe(0);
+  mouseEvent(document, 'mouseup');
+});
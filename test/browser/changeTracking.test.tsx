@@ -0,0 +1,192 @@
+import { useRef, useState } from 'react';
+import { page, userEvent } from '@vitest/browser/context';
+
+import { DataGrid, textEditor } from '../../src';
+import type { Column, DataGridHandle } from '../../src';
+import { getCellsAtRowIndex, getRows } from './utils';
+
+interface Row {
+  id: number;
+  name: string;
+}
+
+const columns: readonly Column<Row>[] = [
+  { key: 'id', name: 'ID' },
+  { key: 'name', name: 'Name', renderEditCell: textEditor }
+];
+
+const initialRows: readonly Row[] = [
+  { id: 1, name: 'Alice' },
+  { id: 2, name: 'Bob' },
+  { id: 3, name: 'Carol' }
+];
+
+function rowKeyGetter(row: Row) {
+  return row.id;
+}
+
+function ChangeTrackingTest() {
+  const [rows, setRows] = useState(initialRows);
+  const gridRef = useRef<DataGridHandle>(null);
+  const [changes, setChanges] = useState('');
+  const [hiddenColumnKeys, setHiddenColumnKeys] = useState((): ReadonlySet<string> => new Set());
+
+  return (
+    <>
+      <DataGrid
+        ref={gridRef}
+        columns={columns}
+        rows={rows}
+        rowKeyGetter={rowKeyGetter}
+        onRowsChange={setRows}
+        hiddenColumnKeys={hiddenColumnKeys}
+        enableChangeTracking
+      />
+      <button
+        type="button"
+        onClick={() => {
+          setHiddenColumnKeys(new Set(['name']));
+        }}
+      >
+        Hide name
+      </button>
+      <button
+        type="button"
+        onClick={() => {
+          setRows((rows) => [...rows.slice(1), { id: 4, name: 'Dave' }]);
+        }}
+      >
+        Replace first row
+      </button>
+      <button
+        type="button"
+        onClick={() => {
+          setChanges(JSON.stringify(gridRef.current!.getChanges()));
+        }}
+      >
+        Get changes
+      </button>
+      <button
+        type="button"
+        onClick={() => {
+          gridRef.current!.revertCell(2, 'name');
+        }}
+      >
+        Revert cell
+      </button>
+      <button
+        type="button"
+        onClick={() => {
+          gridRef.current!.revertAllCells();
+        }}
+      >
+        Revert all cells
+      </button>
+      <button
+        type="button"
+        onClick={() => {
+          gridRef.current!.acceptChanges();
+        }}
+      >
+        Accept changes
+      </button>
+      <output>{changes}</output>
+    </>
+  );
+}
+
+async function editName(rowIdx: number, name: string) {
+  await userEvent.dblClick(getCellsAtRowIndex(rowIdx)[1]);
+  await userEvent.keyboard(`{Control>}a{/Control}${name}{enter}`);
+}
+
+test('edited cells are tracked and can be reverted', async () => {
+  page.render(<ChangeTrackingTest />);
+
+  await editName(1, 'Bobby');
+  await editName(2, 'Caroline');
+  expect(getCellsAtRowIndex(1)[1]).toHaveClass('rdg-cell-modified');
+  expect(getCellsAtRowIndex(1)[0]).not.toHaveClass('rdg-cell-modified');
+  expect(getCellsAtRowIndex(0)[1]).not.toHaveClass('rdg-cell-modified');
+
+  await userEvent.click(page.getByRole('button', { name: 'Get changes' }));
+  await expect.element(page.getByRole('status')).toHaveTextContent(
+    JSON.stringify({
+      addedRows: [],
+      deletedRows: [],
+      updatedCells: [
+        {
+          row: { id: 2, name: 'Bobby' },
+          rowKey: 2,
+          columnKey: 'name',
+          originalValue: 'Bob',
+          value: 'Bobby'
+        },
+        {
+          row: { id: 3, name: 'Caroline' },
+          rowKey: 3,
+          columnKey: 'name',
+          originalValue: 'Carol',
+          value: 'Caroline'
+        }
+      ]
+    })
+  );
+
+  await userEvent.click(page.getByRole('button', { name: 'Revert cell' }));
+  expect(getCellsAtRowIndex(1)[1]).toHaveTextContent('Bob');
+  expect(getCellsAtRowIndex(1)[1]).not.toHaveClass('rdg-cell-modified');
+  expect(getCellsAtRowIndex(2)[1]).toHaveClass('rdg-cell-modified');
+
+  await userEvent.click(page.getByRole('button', { name: 'Revert all cells' }));
+  expect(getCellsAtRowIndex(2)[1]).toHaveTextContent('Carol');
+  expect(getCellsAtRowIndex(2)[1]).not.toHaveClass('rdg-cell-modified');
+
+  // editing a cell back to its original value clears the change
+  await editName(0, 'Alicia');
+  expect(getCellsAtRowIndex(0)[1]).toHaveClass('rdg-cell-modified');
+  await editName(0, 'Alice');
+  expect(getCellsAtRowIndex(0)[1]).not.toHaveClass('rdg-cell-modified');
+});
+
+test('added and deleted rows are tracked until the changes are accepted', async () => {
+  page.render(<ChangeTrackingTest />);
+
+  await userEvent.click(page.getByRole('button', { name: 'Replace first row' }));
+  expect(getRows()[2]).toHaveClass('rdg-row-added');
+  expect(getRows()[0]).not.toHaveClass('rdg-row-added');
+
+  await userEvent.click(page.getByRole('button', { name: 'Get changes' }));
+  await expect.element(page.getByRole('status')).toHaveTextContent(
+    JSON.stringify({
+      addedRows: [{ id: 4, name: 'Dave' }],
+      deletedRows: [{ id: 1, name: 'Alice' }],
+      updatedCells: []
+    })
+  );
+
+  await editName(0, 'Bobby');
+  await userEvent.click(page.getByRole('button', { name: 'Accept changes' }));
+  expect(getRows()[2]).not.toHaveClass('rdg-row-added');
+  expect(getCellsAtRowIndex(0)[1]).not.toHaveClass('rdg-cell-modified');
+
+  await userEvent.click(page.getByRole('button', { name: 'Get changes' }));
+  await expect
+    .element(page.getByRole('status'))
+    .toHaveTextContent(JSON.stringify({ addedRows: [], deletedRows: [], updatedCells: [] }));
+});
+
+test('the cells of hidden columns are still tracked and reverted', async () => {
+  page.render(<ChangeTrackingTest />);
+
+  await editName(0, 'Alicia');
+  await userEvent.click(page.getByRole('button', { name: 'Hide name' }));
+  await userEvent.click(page.getByRole('button', { name: 'Get changes' }));
+  await expect.element(page.getByRole('status')).toHaveTextContent('"originalValue":"Alice"');
+
+  await userEvent.click(page.getByRole('button', { name: 'Revert all cells' }));
+  await userEvent.click(page.getByRole('button', { name: 'Get changes' }));
+  await expect
+    .element(page.getByRole('status'))
+    .toHaveTextContent(JSON.stringify({ addedRows: [], deletedRows: [], updatedCells: [] }));
+});
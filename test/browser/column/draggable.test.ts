@@ -1,7 +1,8 @@
 import { userEvent } from '@vitest/browser/context';
 
-import type { Column } from '../../../src';
-import { getHeaderCells, setup } from '../utils';
+import type { Column, ColumnOrColumnGroup } from '../../../src';
+import { cellFrozenClassname } from '../../../src/style/cell';
+import { getHeaderCells, setup, validateCellPosition } from '../utils';
 
 const columns: readonly Column<never>[] = [
   {
@@ -25,9 +26,17 @@ const columns: readonly Column<never>[] = [
   }
 ];
 
+function getHeaderCellsContent() {
+  return getHeaderCells().map((cell) => cell.textContent);
+}
+
+function getEndPosition(cell: Element) {
+  return { x: cell.clientWidth - 5, y: 5 };
+}
+
 test('draggable columns', async () => {
-  const onColumnsReorder = vi.fn();
-  setup({ columns, rows: [], onColumnsReorder });
+  const onColumnOrderChange = vi.fn();
+  setup({ columns, rows: [], onColumnOrderChange });
   const [cell1, cell2, cell3, cell4] = getHeaderCells();
 
   expect(cell1).not.toHaveAttribute('draggable');
@@ -35,17 +44,114 @@ test('draggable columns', async () => {
   expect(cell3).toHaveAttribute('draggable');
   expect(cell4).toHaveAttribute('draggable');
 
-  expect(onColumnsReorder).not.toHaveBeenCalled();
+  expect(onColumnOrderChange).not.toHaveBeenCalled();
+
+  // the column is dropped before or after the target depending on the pointer position
+  await userEvent.dragAndDrop(cell2, cell4, { targetPosition: { x: 5, y: 5 } });
+  expect(onColumnOrderChange).toHaveBeenCalledExactlyOnceWith(['col1', 'col3', 'col2', 'col4']);
+  expect(getHeaderCellsContent()).toStrictEqual(['col1', 'col3', 'col2', 'col4']);
+  onColumnOrderChange.mockClear();
 
-  await userEvent.dragAndDrop(cell2, cell4);
-  expect(onColumnsReorder).toHaveBeenCalledExactlyOnceWith('col2', 'col4');
-  onColumnsReorder.mockClear();
+  await userEvent.dragAndDrop(cell3, cell4, { targetPosition: getEndPosition(cell4) });
+  expect(onColumnOrderChange).toHaveBeenCalledExactlyOnceWith(['col1', 'col2', 'col4', 'col3']);
+  expect(getHeaderCellsContent()).toStrictEqual(['col1', 'col2', 'col4', 'col3']);
+  onColumnOrderChange.mockClear();
 
-  // should not call `onColumnsReorder` if drag and drop elements are the same
+  // should not call `onColumnOrderChange` if drag and drop elements are the same
   await userEvent.dragAndDrop(cell2, cell2);
-  expect(onColumnsReorder).not.toHaveBeenCalled();
+  expect(onColumnOrderChange).not.toHaveBeenCalled();
 
   // should not drag a column if it is not specified as draggable
   await userEvent.dragAndDrop(cell1, cell2);
-  expect(onColumnsReorder).not.toHaveBeenCalled();
+  expect(onColumnOrderChange).not.toHaveBeenCalled();
+
+  // should not drop a column on a column that is not draggable
+  await userEvent.dragAndDrop(cell2, cell1);
+  expect(onColumnOrderChange).not.toHaveBeenCalled();
+});
+
+test('columnOrder', () => {
+  setup({ columns, rows: [], columnOrder: ['col4', 'col2'] });
+  // the columns missing from columnOrder are placed last
+  expect(getHeaderCellsContent()).toStrictEqual(['col4', 'col2', 'col1', 'col3']);
+});
+
+test('should freeze and unfreeze columns dropped across the frozen columns boundary', async () => {
+  const onColumnOrderChange = vi.fn();
+  const onFrozenColumnKeysChange = vi.fn();
+  setup({
+    columns: [{ key: 'frozen', name: 'frozen', frozen: true }, ...columns],
+    rows: [],
+    defaultColumnOptions: { draggable: true },
+    onColumnOrderChange,
+    onFrozenColumnKeysChange
+  });
+  const [frozenCell, cell1] = getHeaderCells();
+
+  await userEvent.dragAndDrop(cell1, frozenCell, { targetPosition: getEndPosition(frozenCell) });
+  expect(onColumnOrderChange).toHaveBeenLastCalledWith(['frozen', 'col1', 'col2', 'col3', 'col4']);
+  expect(onFrozenColumnKeysChange).toHaveBeenLastCalledWith(new Set(['frozen', 'col1']));
+  expect(getHeaderCells()[1]).toHaveClass(cellFrozenClassname);
+
+  const [, , , , cell4] = getHeaderCells();
+  await userEvent.dragAndDrop(getHeaderCells()[0], cell4, {
+    targetPosition: getEndPosition(cell4)
+  });
+  expect(onColumnOrderChange).toHaveBeenLastCalledWith(['col1', 'col2', 'col3', 'col4', 'frozen']);
+  expect(onFrozenColumnKeysChange).toHaveBeenLastCalledWith(new Set(['col1']));
+  expect(getHeaderCellsContent()).toStrictEqual(['col1', 'col2', 'col3', 'col4', 'frozen']);
+  expect(getHeaderCells()[4]).not.toHaveClass(cellFrozenClassname);
+});
+
+test('should keep column groups together', async () => {
+  const onColumnOrderChange = vi.fn();
+  const groupedColumns: readonly ColumnOrColumnGroup<never>[] = [
+    { key: 'col1', name: 'col1' },
+    {
+      name: 'group',
+      children: [
+        { key: 'col2', name: 'col2' },
+        { key: 'col3', name: 'col3' }
+      ]
+    },
+    { key: 'col4', name: 'col4' }
+  ];
+  setup({
+    columns: groupedColumns,
+    rows: [],
+    defaultColumnOptions: { draggable: true },
+    onColumnOrderChange
+  });
+  const [, cell1, cell2, cell3, cell4] = getHeaderCells();
+
+  // columns are moved within their group
+  await userEvent.dragAndDrop(cell3, cell2, { targetPosition: { x: 5, y: 5 } });
+  expect(onColumnOrderChange).toHaveBeenLastCalledWith(['col1', 'col3', 'col2', 'col4']);
+
+  // the whole group is moved when the target is outside of the group
+  await userEvent.dragAndDrop(cell2, cell4, { targetPosition: getEndPosition(cell4) });
+  expect(onColumnOrderChange).toHaveBeenLastCalledWith(['col1', 'col4', 'col3', 'col2']);
+  expect(getHeaderCellsContent()).toStrictEqual(['group', 'col1', 'col4', 'col3', 'col2']);
+
+  await userEvent.dragAndDrop(cell1, cell2, { targetPosition: { x: 5, y: 5 } });
+  expect(onColumnOrderChange).toHaveBeenLastCalledWith(['col4', 'col1', 'col3', 'col2']);
+});
+
+test('should move columns with the keyboard', async () => {
+  const onColumnOrderChange = vi.fn();
+  setup({ columns, rows: [], onColumnOrderChange });
+
+  await userEvent.click(getHeaderCells()[1]);
+  validateCellPosition(1, 0);
+  await userEvent.keyboard('{Control>}{Shift>}{ArrowRight}{/Shift}{/Control}');
+  expect(onColumnOrderChange).toHaveBeenLastCalledWith(['col1', 'col3', 'col2', 'col4']);
+  // the selected cell follows the column
+  validateCellPosition(2, 0);
+  expect(getHeaderCellsContent()).toStrictEqual(['col1', 'col3', 'col2', 'col4']);
+
+  await userEvent.keyboard('{Control>}{Shift>}{ArrowLeft}{ArrowLeft}{/Shift}{/Control}');
+  // col1 is not draggable
+  expect(onColumnOrderChange).toHaveBeenCalledTimes(2);
+  expect(getHeaderCellsContent()).toStrictEqual(['col1', 'col2', 'col3', 'col4']);
+  validateCellPosition(1, 0);
 });
@@ -1,6 +1,19 @@
-import type { Column } from '../../../src';
-import { cellClassname, cellFrozenClassname } from '../../../src/style/cell';
-import { getHeaderCells, setup } from '../utils';
+import { commands, page, userEvent } from '@vitest/browser/context';
+
+import type { Column, RenderHeaderCellProps } from '../../../src';
+import {
+  cellClassname,
+  cellFrozenClassname,
+  cellFrozenEndClassname
+} from '../../../src/style/cell';
+import {
+  getCellsAtRowIndex,
+  getGrid,
+  getHeaderCells,
+  getSelectedCell,
+  setup,
+  validateCellPosition
+} from '../utils';
 
 test('frozen column have a specific class, and are stable-sorted before non-frozen columns', () => {
   const columns: readonly Column<never>[] = [
@@ -38,3 +51,150 @@ test('frozen column have a specific class, and are stable-sorted before non-froz
   expect(cell3).toHaveTextContent('col2');
   expect(cell4).toHaveTextContent('col4');
 });
+
+test('frozenColumnKeys should override the frozen option of the freezable columns', () => {
+  const columns: readonly Column<never>[] = [
+    { key: 'col1', name: 'col1', frozen: true, freezable: false },
+    { key: 'col2', name: 'col2', frozen: true },
+    { key: 'col3', name: 'col3' },
+    { key: 'col4', name: 'col4' }
+  ];
+
+  setup({ columns, rows: [], frozenColumnKeys: new Set(['col4']) });
+  const [cell1, cell2, cell3, cell4] = getHeaderCells();
+
+  // columns that are not freezable keep their frozen option
+  expect(cell1).toHaveClass(cellFrozenClassname);
+  expect(cell2).toHaveClass(cellFrozenClassname);
+  expect(cell3).not.toHaveClass(cellFrozenClassname);
+  expect(cell4).not.toHaveClass(cellFrozenClassname);
+
+  expect(cell1).toHaveTextContent('col1');
+  expect(cell2).toHaveTextContent('col4');
+  expect(cell3).toHaveTextContent('col2');
+  expect(cell4).toHaveTextContent('col3');
+});
+
+test('should freeze and unfreeze columns with the freeze divider', async () => {
+  const onFrozenColumnKeysChange = vi.fn();
+  const columns: readonly Column<never>[] = [
+    { key: 'col1', name: 'col1', frozen: true, freezable: false },
+    { key: 'col2', name: 'col2' },
+    { key: 'col3', name: 'col3' },
+    { key: 'col4', name: 'col4' }
+  ];
+
+  setup({ columns, rows: [], enableFreezeDivider: true, onFrozenColumnKeysChange });
+  const divider = page.getByRole('separator', { name: 'Frozen columns divider' });
+  await expect.element(divider).toHaveStyle({ gridColumnStart: '2' });
+
+  // @ts-expect-error
+  await commands.moveFreezeDivider('col3');
+  expect(onFrozenColumnKeysChange).toHaveBeenLastCalledWith(new Set(['col1', 'col2', 'col3']));
+  await expect.element(divider).toHaveStyle({ gridColumnStart: '4' });
+  expect(getHeaderCells()[2]).toHaveClass(cellFrozenClassname);
+
+  // the columns that are not freezable stay frozen
+  // @ts-expect-error
+  await commands.moveFreezeDivider('col1');
+  expect(onFrozenColumnKeysChange).toHaveBeenLastCalledWith(new Set(['col1']));
+  await expect.element(divider).toHaveStyle({ gridColumnStart: '2' });
+  expect(getHeaderCells()[1]).not.toHaveClass(cellFrozenClassname);
+});
+
+test('columns frozen at the end are sorted last and are offset by the columns after them', () => {
+  const columns: readonly Column<never>[] = [
+    { key: 'col1', name: 'col1', width: 100, frozen: 'end' },
+    { key: 'col2', name: 'col2', frozen: true },
+    { key: 'col3', name: 'col3' },
+    { key: 'col4', name: 'col4', width: 50, frozen: 'end' }
+  ];
+
+  setup({ columns, rows: [] });
+  const [cell1, cell2, cell3, cell4] = getHeaderCells();
+
+  expect(cell1).toHaveClass(`${cellClassname} ${cellFrozenClassname}`, { exact: true });
+  expect(cell2).toHaveClass(cellClassname, { exact: true });
+  expect(cell3).toHaveClass(`${cellClassname} ${cellFrozenEndClassname}`, { exact: true });
+  expect(cell4).toHaveClass(`${cellClassname} ${cellFrozenEndClassname}`, { exact: true });
+
+  expect(cell1).toHaveTextContent('col2');
+  expect(cell2).toHaveTextContent('col3');
+  expect(cell3).toHaveTextContent('col1');
+  expect(cell4).toHaveTextContent('col4');
+
+  expect(cell3).toHaveStyle({ insetInlineEnd: '50px' });
+  expect(cell4).toHaveStyle({ insetInlineEnd: '0px' });
+});
+
+test('calculated columns expose the frozen side separately from the frozen boolean', () => {
+  const renderHeaderCell = vi.fn(({ column }: RenderHeaderCellProps<never>) => column.name);
+  const columns: readonly Column<never>[] = [
+    { key: 'col1', name: 'col1', frozen: true, renderHeaderCell },
+    { key: 'col2', name: 'col2', renderHeaderCell },
+    { key: 'col3', name: 'col3', frozen: 'end', renderHeaderCell }
+  ];
+
+  setup({ columns, rows: [] });
+  const frozenStates = renderHeaderCell.mock.calls.map(([{ column }]) => [
+    column.key,
+    column.frozen,
+    column.frozenSide
+  ]);
+  expect(frozenStates).toContainEqual(['col1', true, 'start']);
+  expect(frozenStates).toContainEqual(['col2', false, undefined]);
+  expect(frozenStates).toContainEqual(['col3', true, 'end']);
+});
+
+test('colSpan should not span over both regular columns and columns frozen at the end', () => {
+  const columns: readonly Column<never>[] = [
+    { key: 'col1', name: 'col1', colSpan: () => 2 },
+    { key: 'col2', name: 'col2', frozen: 'end' },
+    { key: 'col3', name: 'col3', frozen: 'end', colSpan: () => 2 }
+  ];
+
+  setup({ columns, rows: [] });
+  expect(getHeaderCells()).toHaveLength(3);
+});
+
+function getEndFrozenColumns() {
+  return Array.from(
+    { length: 30 },
+    (_, i): Column<number> => ({
+      key: String(i),
+      name: String(i),
+      width: 100,
+      frozen: i === 29 ? 'end' : undefined
+    })
+  );
+}
+
+test('should render and navigate to the columns frozen at the end', async () => {
+  setup({ columns: getEndFrozenColumns(), rows: [0, 1] });
+  const frozenCell = getCellsAtRowIndex(0).at(-1)!;
+
+  // the column frozen at the end is rendered with the columns within the viewport
+  expect(frozenCell).toHaveAttribute('aria-colindex', '30');
+  expect(frozenCell.getBoundingClientRect().right).toBe(
+    getGrid().element().getBoundingClientRect().right
+  );
+
+  await userEvent.click(getCellsAtRowIndex(0)[0]);
+  await userEvent.keyboard('{end}');
+  validateCellPosition(29, 1);
+  await userEvent.keyboard('{arrowleft}');
+  validateCellPosition(28, 1);
+  // the selected cell is scrolled into view next to the column frozen at the end
+  await expect
+    .poll(() => getSelectedCell().element().getBoundingClientRect().right)
+    .toBe(frozenCell.getBoundingClientRect().left);
+});
+
+test('columns frozen at the end should stick to the left in rtl', () => {
+  setup({ columns: getEndFrozenColumns(), rows: [0], direction: 'rtl' });
+  const frozenCell = getCellsAtRowIndex(0).at(-1)!;
+
+  expect(frozenCell.getBoundingClientRect().left).toBe(
+    getGrid().element().getBoundingClientRect().left
+  );
+});
@@ -1,7 +1,13 @@
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { commands, page, userEvent } from '@vitest/browser/context';
 
-import { DataGrid, type Column, type ColumnWidth, type ColumnWidths } from '../../../src';
+import {
+  DataGrid,
+  type Column,
+  type ColumnWidth,
+  type ColumnWidths,
+  type DataGridHandle
+} from '../../../src';
 import { resizeHandleClassname } from '../../../src/HeaderCell';
 import { getGrid, getHeaderCells, setup } from '../utils';
 
@@ -330,3 +336,84 @@ test('should use columnWidths and onColumnWidthsChange props when provided', asy
     ])
   );
 });
+
+test('should measure all the rows on auto resize when columnAutosizeMode is rows', async () => {
+  const onColumnResize = vi.fn();
+  const rows: Row[] = Array.from({ length: 200 }, (_, col1) => ({ col1, col2: 'a' }));
+  // the row is outside the viewport
+  rows[150] = { col1: 150, col2: 'a'.repeat(50) };
+  setup<Row, unknown>({ columns, rows, onColumnResize, columnAutosizeMode: 'rows' });
+  const grid = getGrid();
+  const [, col2] = getHeaderCells();
+  await autoResize(col2);
+  // text width + inline padding + border
+  await expect.element(grid).toHaveStyle({ gridTemplateColumns: '100px 328px' });
+  expect(onColumnResize).toHaveBeenCalledExactlyOnceWith(expect.objectContaining(columns[1]), 328);
+});
+
+test('should autosize columns with the autosizeColumns method', async () => {
+  function TestGrid() {
+    const gridRef = useRef<DataGridHandle>(null);
+
+    return (
+      <>
+        <button type="button" onClick={() => gridRef.current!.autosizeColumns()}>
+          Autosize
+        </button>
+        <DataGrid
+          ref={gridRef}
+          columns={columns}
+          rows={[{ col1: 1, col2: 'a'.repeat(50) }]}
+          columnAutosizeMode="rows"
+        />
+      </>
+    );
+  }
+
+  page.render(<TestGrid />);
+  const grid = getGrid();
+  await expect.element(grid).toHaveStyle({ gridTemplateColumns: '100px 200px' });
+  await userEvent.click(page.getByRole('button', { name: 'Autosize' }));
+  // only the resizable columns are autosized
+  await expect.element(grid).toHaveStyle({ gridTemplateColumns: '100px 328px' });
+});
+
+test('should autosize columns with the autosizeColumns method from an effect', async () => {
+  const consoleErrorSpy = vi.spyOn(console, 'error');
+
+  function TestGrid() {
+    const gridRef = useRef<DataGridHandle>(null);
+
+    useEffect(() => {
+      gridRef.current!.autosizeColumns();
+    }, []);
+
+    return (
+      <DataGrid
+        ref={gridRef}
+        columns={columns}
+        rows={[{ col1: 1, col2: 'a'.repeat(50) }]}
+        columnAutosizeMode="rows"
+      />
+    );
+  }
+
+  page.render(<TestGrid />);
+  await expect.element(getGrid()).toHaveStyle({ gridTemplateColumns: '100px 328px' });
+  // flushSync is not called from the effect
+  expect(consoleErrorSpy).not.toHaveBeenCalled();
+  consoleErrorSpy.mockRestore();
+});
+
+test('should autosize the resizable columns on load when autosizeColumnsOnLoad is set', async () => {
+  const onColumnResize = vi.fn();
+  setup<Row, unknown>({
+    columns,
+    rows: [{ col1: 1, col2: 'a'.repeat(100) }],
+    onColumnResize,
+    autosizeColumnsOnLoad: true
+  });
+  // the width is clamped to maxWidth
+  await expect.element(getGrid()).toHaveStyle({ gridTemplateColumns: '100px 400px' });
+  expect(onColumnResize).not.toHaveBeenCalled();
+});
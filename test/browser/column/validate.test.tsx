@@ -0,0 +1,174 @@
+import { useRef, useState } from 'react';
+import { page, userEvent } from '@vitest/browser/context';
+
+import { DataGrid, textEditor } from '../../../src';
+import type { Column, DataGridHandle, DataGridProps } from '../../../src';
+import { getCellsAtRowIndex } from '../utils';
+
+interface Row {
+  name: string;
+}
+
+function validateName(value: unknown) {
+  return value === '' ? 'Name is required' : undefined;
+}
+
+function ValidationTest({
+  validate = validateName,
+  ...props
+}: Pick<DataGridProps<Row>, 'onValidationError' | 'direction'> & {
+  validate?: Column<Row>['validate'];
+}) {
+  const [rows, setRows] = useState((): readonly Row[] => [{ name: 'Alice' }]);
+  const gridRef = useRef<DataGridHandle>(null);
+  const [invalidCells, setInvalidCells] = useState('');
+
+  const columns: readonly Column<Row>[] = [
+    { key: 'name', name: 'Name', renderEditCell: textEditor, validate }
+  ];
+
+  return (
+    <>
+      <DataGrid ref={gridRef} columns={columns} rows={rows} onRowsChange={setRows} {...props} />
+      <button
+        type="button"
+        onClick={() => {
+          setInvalidCells(JSON.stringify(gridRef.current!.getInvalidCells()));
+        }}
+      >
+        Invalid cells
+      </button>
+      <output>{invalidCells}</output>
+    </>
+  );
+}
+
+test('invalid changes keep the editor open with an error', async () => {
+  const onValidationError = vi.fn();
+  page.render(<ValidationTest onValidationError={onValidationError} />);
+
+  await userEvent.dblClick(getCellsAtRowIndex(0)[0]);
+  await userEvent.keyboard('{Control>}a{/Control}{backspace}{enter}');
+
+  const editor = page.getByRole('textbox');
+  await expect.element(editor).toBeInTheDocument();
+  const cell = getCellsAtRowIndex(0)[0];
+  expect(cell).toHaveAttribute('aria-invalid', 'true');
+  expect(cell).toHaveClass('rdg-cell-invalid');
+  await expect.element(page.getByRole('tooltip')).toHaveTextContent('Name is required');
+  expect(cell).toHaveAccessibleDescription('Name is required');
+  expect(onValidationError).toHaveBeenCalledOnce();
+  expect(onValidationError.mock.calls[0][0]).toMatchObject({
+    rowIdx: 0,
+    row: { name: '' },
+    error: 'Name is required'
+  });
+
+  // navigating away is blocked as well
+  await userEvent.tab();
+  await expect.element(editor).toBeInTheDocument();
+
+  await userEvent.click(page.getByRole('button', { name: 'Invalid cells' }));
+  await expect
+    .element(page.getByRole('status'))
+    .toHaveTextContent('[{"idx":0,"rowIdx":0,"error":"Name is required"}]');
+
+  await userEvent.click(editor);
+  await userEvent.keyboard('Bob{enter}');
+  await expect.element(editor).not.toBeInTheDocument();
+  await expect.element(page.getByRole('tooltip')).not.toBeInTheDocument();
+  expect(getCellsAtRowIndex(0)[0]).toHaveTextContent('Bob');
+  expect(getCellsAtRowIndex(0)[0]).not.toHaveAttribute('aria-invalid', 'true');
+});
+
+test('discarding the changes clears the error', async () => {
+  page.render(<ValidationTest />);
+
+  await userEvent.dblClick(getCellsAtRowIndex(0)[0]);
+  await userEvent.keyboard('{Control>}a{/Control}{backspace}{enter}');
+  await expect.element(page.getByRole('tooltip')).toBeInTheDocument();
+  await userEvent.keyboard('{escape}');
+  await expect.element(page.getByRole('tooltip')).not.toBeInTheDocument();
+  expect(getCellsAtRowIndex(0)[0]).toHaveTextContent('Alice');
+});
+
+test('the error follows the cell when the page is scrolled', async () => {
+  page.render(
+    <div style={{ blockSize: '200vh' }}>
+      <ValidationTest />
+    </div>
+  );
+
+  await userEvent.dblClick(getCellsAtRowIndex(0)[0]);
+  await userEvent.keyboard('{Control>}a{/Control}{backspace}{enter}');
+  const tooltip = page.getByRole('tooltip');
+  await expect.element(tooltip).toBeInTheDocument();
+
+  scrollBy(0, 20);
+  const cell = getCellsAtRowIndex(0)[0];
+  await expect
+    .poll(() => tooltip.element().getBoundingClientRect().top)
+    .toBe(cell.getBoundingClientRect().bottom);
+  scrollTo(0, 0);
+});
+
+test('the error is aligned with the inline start of the cell in rtl', async () => {
+  page.render(<ValidationTest direction="rtl" />);
+
+  await userEvent.dblClick(getCellsAtRowIndex(0)[0]);
+  await userEvent.keyboard('{Control>}a{/Control}{backspace}{enter}');
+  const tooltip = page.getByRole('tooltip');
+  await expect.element(tooltip).toBeInTheDocument();
+
+  const cell = getCellsAtRowIndex(0)[0];
+  expect(tooltip.element().getBoundingClientRect().right).toBeCloseTo(
+    cell.getBoundingClientRect().right
+  );
+});
+
+test('async validation commits the changes once it succeeds', async () => {
+  let resolveValidation: (error: string | undefined) => void;
+  const validate = vi.fn(
+    () =>
+      new Promise<string | undefined>((resolve) => {
+        resolveValidation = resolve;
+      })
+  );
+  page.render(<ValidationTest validate={validate} />);
+
+  await userEvent.dblClick(getCellsAtRowIndex(0)[0]);
+  await userEvent.keyboard('{Control>}a{/Control}Bob{enter}');
+  expect(validate).toHaveBeenCalledExactlyOnceWith('Bob', { name: 'Bob' });
+  const editor = page.getByRole('textbox');
+  await expect.element(editor).toBeInTheDocument();
+  expect(getCellsAtRowIndex(0)[0]).toHaveAttribute('aria-busy', 'true');
+
+  resolveValidation!('Name is taken');
+  await expect.element(page.getByRole('tooltip')).toHaveTextContent('Name is taken');
+  expect(getCellsAtRowIndex(0)[0]).toHaveAttribute('aria-busy', 'false');
+
+  await userEvent.keyboard('by{enter}');
+  resolveValidation!(undefined);
+  await expect.element(editor).not.toBeInTheDocument();
+  expect(getCellsAtRowIndex(0)[0]).toHaveTextContent('Bobby');
+  expect(getCellsAtRowIndex(0)[0]).toHaveFocus();
+});
+
+test('a rejected async validation is shown as an error', async () => {
+  const validate = vi.fn<(value: unknown) => Promise<string | undefined>>();
+  validate.mockRejectedValue(new Error('Network error'));
+  page.render(<ValidationTest validate={validate} />);
+
+  await userEvent.dblClick(getCellsAtRowIndex(0)[0]);
+  await userEvent.keyboard('{Control>}a{/Control}Bob{enter}');
+  await expect.element(page.getByRole('tooltip')).toHaveTextContent('Network error');
+  const editor = page.getByRole('textbox');
+  await expect.element(editor).toBeInTheDocument();
+  expect(getCellsAtRowIndex(0)[0]).toHaveAttribute('aria-busy', 'false');
+
+  // the same value can be committed again once the validation succeeds
+  validate.mockResolvedValue(undefined);
+  await userEvent.keyboard('{enter}');
+  await expect.element(editor).not.toBeInTheDocument();
+  expect(getCellsAtRowIndex(0)[0]).toHaveTextContent('Bob');
+});
@@ -0,0 +1,142 @@
+import { createRef, useState } from 'react';
+import { page, userEvent } from '@vitest/browser/context';
+
+import { DataGrid, textEditor } from '../../src';
+import type { Column, DataGridHandle, DataGridProps } from '../../src';
+import { getCellsAtRowIndex } from './utils';
+
+interface Row {
+  id: number;
+  firstName: string;
+  lastName: string;
+  city: string;
+}
+
+function validateRequired(value: unknown) {
+  return value === '' ? 'Required' : undefined;
+}
+
+const columns: readonly Column<Row>[] = [
+  { key: 'id', name: 'ID' },
+  { key: 'firstName', name: 'First name', renderEditCell: textEditor, validate: validateRequired },
+  { key: 'lastName', name: 'Last name', renderEditCell: textEditor, validate: validateRequired },
+  { key: 'city', name: 'City', renderEditCell: textEditor, editable: (row) => row.id !== 2 }
+];
+
+const initialRows: readonly Row[] = [
+  { id: 1, firstName: 'Ada', lastName: 'Lovelace', city: 'London' },
+  { id: 2, firstName: 'Alan', lastName: 'Turing', city: 'Wilmslow' }
+];
+
+function EditModeTest({
+  onRowsChange,
+  ...props
+}: Pick<
+  DataGridProps<Row>,
+  'ref' | 'onRowsChange' | 'onValidationError' | 'enableRangeSelection'
+>) {
+  const [rows, setRows] = useState(initialRows);
+
+  return (
+    <DataGrid
+      columns={columns}
+      rows={rows}
+      onRowsChange={(rows, data) => {
+        setRows(rows);
+        onRowsChange?.(rows, data);
+      }}
+      editMode="row"
+      {...props}
+    />
+  );
+}
+
+test('all the editable cells of the row are edited and committed together', async () => {
+  const onRowsChange = vi.fn();
+  page.render(<EditModeTest onRowsChange={onRowsChange} />);
+
+  await userEvent.dblClick(getCellsAtRowIndex(0)[1]);
+  const editors = page.getByRole('textbox');
+  expect(editors.elements()).toHaveLength(3);
+  await expect.element(editors.nth(0)).toHaveFocus();
+  await expect.element(editors.nth(0)).toHaveValue('Ada');
+  await expect.element(editors.nth(2)).toHaveValue('London');
+
+  await userEvent.keyboard('Augusta');
+  await userEvent.tab();
+  await expect.element(editors.nth(1)).toHaveFocus();
+  await userEvent.keyboard('King{tab}');
+  // Tab wraps around the editors of the row
+  await userEvent.tab();
+  await expect.element(editors.nth(0)).toHaveFocus();
+  expect(onRowsChange).not.toHaveBeenCalled();
+
+  await userEvent.keyboard('{enter}');
+  await expect.element(editors.first()).not.toBeInTheDocument();
+  expect(onRowsChange).toHaveBeenCalledOnce();
+  const [rows, { indexes, column, columns: updatedColumns }] = onRowsChange.mock.calls[0];
+  expect(indexes).toStrictEqual([0]);
+  expect(rows[0]).toStrictEqual({ id: 1, firstName: 'Augusta', lastName: 'King', city: 'London' });
+  expect(column.key).toBe('firstName');
+  expect(updatedColumns.map(({ key }: Column<Row>) => key)).toStrictEqual([
+    'firstName',
+    'lastName'
+  ]);
+  expect(getCellsAtRowIndex(0)[1]).toHaveFocus();
+});
+
+test('the cells of a selected range render their own editors', async () => {
+  page.render(<EditModeTest enableRangeSelection />);
+
+  await userEvent.click(getCellsAtRowIndex(0)[1]);
+  await userEvent.keyboard('{Shift>}{arrowright}{arrowright}{/Shift}{F2}');
+  const editors = page.getByRole('textbox');
+  expect(editors.elements()).toHaveLength(3);
+  await expect.element(editors.nth(0)).toHaveValue('Ada');
+  await expect.element(editors.nth(1)).toHaveValue('Lovelace');
+  await expect.element(editors.nth(2)).toHaveValue('London');
+});
+
+test('Escape discards the changes of the whole row', async () => {
+  const onRowsChange = vi.fn();
+  page.render(<EditModeTest onRowsChange={onRowsChange} />);
+
+  // the city of the second row is not editable
+  await userEvent.dblClick(getCellsAtRowIndex(1)[2]);
+  const editors = page.getByRole('textbox');
+  expect(editors.elements()).toHaveLength(2);
+  await expect.element(editors.nth(1)).toHaveFocus();
+
+  await userEvent.keyboard('Smith');
+  await userEvent.click(editors.nth(0));
+  await expect.element(editors.nth(0)).toHaveFocus();
+  await userEvent.keyboard('Bob{escape}');
+  await expect.element(editors.first()).not.toBeInTheDocument();
+  expect(onRowsChange).not.toHaveBeenCalled();
+  expect(getCellsAtRowIndex(1)[1]).toHaveTextContent('Alan');
+  expect(getCellsAtRowIndex(1)[2]).toHaveTextContent('Turing');
+});
+
+test('all the invalid cells of the row are reported', async () => {
+  const gridRef = createRef<DataGridHandle>();
+  const onValidationError = vi.fn();
+  page.render(<EditModeTest ref={gridRef} onValidationError={onValidationError} />);
+
+  await userEvent.dblClick(getCellsAtRowIndex(0)[3]);
+  const editors = page.getByRole('textbox');
+  await userEvent.clear(editors.nth(0));
+  await userEvent.clear(editors.nth(1));
+  await userEvent.click(editors.nth(2));
+  await userEvent.keyboard('{enter}');
+
+  // the editor of the first invalid cell becomes the active editor
+  await expect.element(editors.nth(0)).toHaveFocus();
+  expect(getCellsAtRowIndex(0)[1]).toHaveAttribute('aria-invalid', 'true');
+  expect(getCellsAtRowIndex(0)[2]).toHaveAttribute('aria-invalid', 'true');
+  expect(getCellsAtRowIndex(0)[3]).toHaveAttribute('aria-invalid', 'false');
+  expect(onValidationError).toHaveBeenCalledTimes(2);
+  expect(gridRef.current!.getInvalidCells()).toStrictEqual([
+    { idx: 1, rowIdx: 0, error: 'Required' },
+    { idx: 2, rowIdx: 0, error: 'Required' }
+  ]);
+});
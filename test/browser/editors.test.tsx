@@ -0,0 +1,171 @@
+import { useState } from 'react';
+import { page, userEvent } from '@vitest/browser/context';
+
+import {
+  checkboxEditor,
+  createDateEditor,
+  createNumberEditor,
+  createSelectEditor,
+  DataGrid,
+  jsonEditor,
+  multilineEditor
+} from '../../src';
+import type { Column } from '../../src';
+import { getCellsAtRowIndex } from './utils';
+
+interface Row {
+  readonly amount: number | null;
+  readonly date: string | null;
+  readonly status: string;
+  readonly done: boolean;
+  readonly notes: string;
+  readonly data: unknown;
+}
+
+const initialRows: readonly Row[] = [
+  {
+    amount: 1234.5,
+    date: '2024-03-01',
+    status: 'open',
+    done: false,
+    notes: 'first line',
+    data: { a: 1 }
+  }
+];
+
+function setupGrid(columns: readonly Column<Row>[]) {
+  const onRowsChange = vi.fn();
+
+  function Test() {
+    const [rows, setRows] = useState(initialRows);
+
+    return (
+      <DataGrid
+        columns={columns}
+        rows={rows}
+        onRowsChange={(rows, data) => {
+          setRows(rows);
+          onRowsChange(rows, data);
+        }}
+      />
+    );
+  }
+
+  page.render(<Test />);
+  return onRowsChange;
+}
+
+async function openEditor() {
+  await userEvent.dblClick(getCellsAtRowIndex(0)[0]);
+}
+
+test('number editor parses the text with the locale and clamps the value', async () => {
+  const onRowsChange = setupGrid([
+    {
+      key: 'amount',
+      name: 'Amount',
+      renderEditCell: createNumberEditor({ locale: 'de-DE', min: 0, max: 10000 })
+    }
+  ]);
+
+  await openEditor();
+  const input = page.getByRole('textbox');
+  await expect.element(input).toHaveValue('1234,5');
+  await userEvent.fill(input.element(), '2.500,25');
+  await userEvent.keyboard('{enter}');
+  expect(onRowsChange.mock.lastCall?.[0][0].amount).toBe(2500.25);
+
+  await openEditor();
+  await userEvent.fill(input.element(), '99999');
+  await userEvent.keyboard('{enter}');
+  expect(onRowsChange.mock.lastCall?.[0][0].amount).toBe(10000);
+
+  // invalid numbers are not written to the row and keep the editor open
+  await openEditor();
+  await userEvent.fill(input.element(), '12abc');
+  await expect.element(input).toHaveAttribute('aria-invalid', 'true');
+  await userEvent.keyboard('{enter}');
+  await expect.element(page.getByRole('tooltip')).toHaveTextContent('Invalid number');
+  await expect.element(input).toBeInTheDocument();
+  await userEvent.click(document.body);
+  await expect.element(input).toBeInTheDocument();
+  expect(onRowsChange).toHaveBeenCalledTimes(2);
+  await userEvent.fill(input.element(), '12');
+  await userEvent.keyboard('{enter}');
+  await expect.element(input).not.toBeInTheDocument();
+  expect(onRowsChange.mock.lastCall?.[0][0].amount).toBe(12);
+});
+
+test('date editor stores ISO date strings', async () => {
+  const onRowsChange = setupGrid([
+    { key: 'date', name: 'Date', renderEditCell: createDateEditor() }
+  ]);
+
+  await openEditor();
+  const input = getCellsAtRowIndex(0)[0].querySelector('input')!;
+  expect(input).toHaveAttribute('type', 'date');
+  expect(input).toHaveValue('2024-03-01');
+  await userEvent.fill(input, '2025-12-31');
+  await userEvent.keyboard('{enter}');
+  expect(onRowsChange.mock.lastCall?.[0][0].date).toBe('2025-12-31');
+});
+
+test('select editor loads the options asynchronously', async () => {
+  const onRowsChange = setupGrid([
+    {
+      key: 'status',
+      name: 'Status',
+      renderEditCell: createSelectEditor({
+        options: () => Promise.resolve(['open', 'closed'])
+      })
+    }
+  ]);
+
+  await openEditor();
+  const select = page.getByRole('combobox');
+  await expect.element(page.getByRole('option', { name: 'closed' })).toBeInTheDocument();
+  await userEvent.selectOptions(select.element(), 'closed');
+  await userEvent.keyboard('{enter}');
+  expect(onRowsChange.mock.lastCall?.[0][0].status).toBe('closed');
+});
+
+test('checkbox editor toggles the value', async () => {
+  const onRowsChange = setupGrid([{ key: 'done', name: 'Done', renderEditCell: checkboxEditor }]);
+
+  await openEditor();
+  const checkbox = page.getByRole('checkbox');
+  await expect.element(checkbox).toHaveFocus();
+  await expect.element(checkbox).not.toBeChecked();
+  await userEvent.keyboard(' {enter}');
+  expect(onRowsChange.mock.lastCall?.[0][0].done).toBe(true);
+});
+
+test('multiline editor inserts a new line with Shift+Enter', async () => {
+  const onRowsChange = setupGrid([
+    { key: 'notes', name: 'Notes', renderEditCell: multilineEditor }
+  ]);
+
+  await openEditor();
+  await expect.element(page.getByRole('textbox')).toHaveFocus();
+  await userEvent.keyboard('{End}{Shift>}{enter}{/Shift}second line');
+  await expect.element(page.getByRole('textbox')).toBeInTheDocument();
+  await userEvent.keyboard('{enter}');
+  expect(onRowsChange.mock.lastCall?.[0][0].notes).toBe('first line\nsecond line');
+});
+
+test('json editor stores the parsed value', async () => {
+  const onRowsChange = setupGrid([{ key: 'data', name: 'Data', renderEditCell: jsonEditor }]);
+
+  await openEditor();
+  const textarea = page.getByRole('textbox');
+  await expect.element(textarea).toHaveValue('{\n  "a": 1\n}');
+  await userEvent.fill(textarea.element(), '{"a": ');
+  await expect.element(textarea).toHaveAttribute('aria-invalid', 'true');
+  await userEvent.keyboard('{enter}');
+  await expect.element(page.getByRole('tooltip')).toHaveTextContent('Invalid JSON');
+  expect(onRowsChange).not.toHaveBeenCalled();
+  await userEvent.fill(textarea.element(), '[1, 2]');
+  await expect.element(textarea).toHaveAttribute('aria-invalid', 'false');
+  await userEvent.keyboard('{enter}');
+  expect(onRowsChange.mock.lastCall?.[0][0].data).toStrictEqual([1, 2]);
+});
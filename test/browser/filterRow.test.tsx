@@ -0,0 +1,152 @@
+import { useState } from 'react';
+import { page, userEvent } from '@vitest/browser/context';
+
+import { DataGrid, filterRows } from '../../src';
+import type { Column, DataGridProps, Filters } from '../../src';
+import { getSelectedCell, validateCellPosition } from './utils';
+
+interface Row {
+  id: number;
+  name: string;
+  country: string;
+  birthDate: string;
+}
+
+const columns: readonly Column<Row>[] = [
+  { key: 'id', name: 'ID', filter: { type: 'number' } },
+  { key: 'name', name: 'Name', filter: { type: 'text' } },
+  { key: 'country', name: 'Country', filter: { type: 'set', options: ['France', 'Spain'] } },
+  { key: 'birthDate', name: 'Birth Date', filter: { type: 'date' } },
+  { key: 'notes', name: 'Notes' }
+];
+
+const rows: readonly Row[] = [
+  { id: 1, name: 'Alice', country: 'France', birthDate: '1990-05-01' },
+  { id: 2, name: 'Bob', country: 'Spain', birthDate: '1985-10-12' },
+  { id: 3, name: 'Charlie', country: 'France', birthDate: '2001-01-30' },
+  { id: 4, name: 'Alicia', country: 'Spain', birthDate: '1999-07-21' }
+];
+
+function FilterTest(props: Partial<DataGridProps<Row>>) {
+  const [filters, setFilters] = useState((): Filters => new Map());
+
+  return (
+    <DataGrid
+      columns={columns}
+      rows={filterRows(rows, columns, filters)}
+      enableFilterRow
+      filters={filters}
+      onFiltersChange={setFilters}
+      {...props}
+    />
+  );
+}
+
+function getNames() {
+  return Array.from(document.querySelectorAll('.rdg-row > [aria-colindex="2"]'), (cell) => {
+    return cell.textContent;
+  });
+}
+
+test('should render a filter row below the header row', () => {
+  page.render(<FilterTest />);
+
+  const filterRow = document.querySelector('.rdg-filter-row')!;
+  expect(filterRow).toHaveAttribute('aria-rowindex', '2');
+  expect(filterRow.querySelectorAll('.rdg-cell')).toHaveLength(5);
+  // columns without a filter definition have an empty filter cell
+  expect(filterRow.querySelectorAll('input, select')).toHaveLength(6);
+  expect(getNames()).toStrictEqual(['Alice', 'Bob', 'Charlie', 'Alicia']);
+});
+
+test('should not render the filter row by default', () => {
+  page.render(<FilterTest enableFilterRow={undefined} />);
+  expect(document.querySelector('.rdg-filter-row')).not.toBeInTheDocument();
+});
+
+test('should filter the rows', async () => {
+  const onFiltersChange = vi.fn();
+  page.render(<FilterTest />);
+
+  await userEvent.type(page.getByRole('textbox', { name: 'Filter Name' }), 'ali');
+  await expect.poll(getNames).toStrictEqual(['Alice', 'Alicia']);
+
+  await page.getByRole('combobox', { name: 'Filter Country' }).selectOptions('Spain');
+  await expect.poll(getNames).toStrictEqual(['Alicia']);
+
+  await userEvent.clear(page.getByRole('textbox', { name: 'Filter Name' }));
+  await userEvent.type(page.getByRole('spinbutton', { name: 'Filter ID maximum' }), '2');
+  await expect.poll(getNames).toStrictEqual(['Bob']);
+
+  page.render(<FilterTest onFiltersChange={onFiltersChange} />);
+  await userEvent.fill(page.getByLabelText('Filter Birth Date start'), '1990-01-01');
+  expect(onFiltersChange).toHaveBeenCalledExactlyOnceWith(
+    new Map([['birthDate', { type: 'date', start: '1990-01-01', end: undefined }]])
+  );
+});
+
+test('should navigate to the filter cells with the keyboard', async () => {
+  page.render(<FilterTest />);
+
+  await userEvent.tab();
+  validateCellPosition(0, 0);
+  await userEvent.keyboard('{arrowdown}');
+  validateCellPosition(0, 1);
+  // the filter input is focused when the filter cell is selected
+  await expect.element(page.getByRole('spinbutton', { name: 'Filter ID minimum' })).toHaveFocus();
+
+  // tab moves to the end input of the range before moving to the next cell
+  await userEvent.tab();
+  await expect.element(page.getByRole('spinbutton', { name: 'Filter ID maximum' })).toHaveFocus();
+  await userEvent.tab();
+  validateCellPosition(1, 1);
+  const nameInput = page.getByRole('textbox', { name: 'Filter Name' });
+  await expect.element(nameInput).toHaveFocus();
+
+  // the arrow keys move the caret of the input instead of the selected cell
+  await userEvent.keyboard('Bob{arrowleft}{arrowright}');
+  validateCellPosition(1, 1);
+  await expect.poll(getNames).toStrictEqual(['Bob']);
+
+  await userEvent.keyboard('{arrowdown}');
+  validateCellPosition(1, 2);
+  await expect.element(getSelectedCell()).toHaveTextContent('Bob');
+  await userEvent.keyboard('{arrowup}{arrowup}');
+  validateCellPosition(1, 0);
+});
+
+test('should keep the focus on the clicked input of a filter range', async () => {
+  page.render(<FilterTest />);
+  const maxInput = page.getByRole('spinbutton', { name: 'Filter ID maximum' });
+
+  await userEvent.click(maxInput);
+  validateCellPosition(0, 1);
+  await expect.element(maxInput).toHaveFocus();
+});
+
+test('filterRows should ignore empty filters and columns without a filter', () => {
+  const columnGroups = [{ name: 'Group', children: columns }];
+
+  expect(
+    filterRows(
+      rows,
+      columnGroups,
+      new Map([
+        ['name', { type: 'text', value: '' }],
+        ['country', { type: 'set', values: [] }],
+        ['notes', { type: 'text', value: 'ignored' }]
+      ])
+    )
+  ).toBe(rows);
+
+  expect(
+    filterRows(
+      rows,
+      columnGroups,
+      new Map([
+        ['id', { type: 'number', min: 2 }],
+        ['birthDate', { type: 'date', end: '1999-12-31' }]
+      ])
+    )
+  ).toStrictEqual([rows[1], rows[3]]);
+});
@@ -0,0 +1,206 @@
+import { useState } from 'react';
+import { page, userEvent } from '@vitest/browser/context';
+
+import { DataGrid, SelectColumn } from '../../src';
+import type { Column, DataGridProps, SortColumn } from '../../src';
+import { getHeaderCells, validateCellPosition } from './utils';
+
+interface Row {
+  id: number;
+  name: string;
+}
+
+const columns: readonly Column<Row>[] = [
+  SelectColumn,
+  { key: 'id', name: 'ID', sortable: true, resizable: true, width: 50 },
+  { key: 'name', name: 'Name', resizable: true, draggable: true, width: 50 }
+];
+
+const rows: readonly Row[] = [
+  { id: 1, name: 'A very long name that does not fit' },
+  { id: 2, name: 'Short' }
+];
+
+function HeaderMenuTest(props: Partial<DataGridProps<Row>>) {
+  const [sortColumns, setSortColumns] = useState<readonly SortColumn[]>([]);
+
+  return (
+    <DataGrid
+      columns={columns}
+      rows={rows}
+      rowKeyGetter={(row) => row.id}
+      sortColumns={sortColumns}
+      onSortColumnsChange={setSortColumns}
+      enableHeaderMenu
+      {...props}
+    />
+  );
+}
+
+function getMenuItems() {
+  return page
+    .getByRole('menuitem')
+    .elements()
+    .map((item) => item.textContent);
+}
+
+test('should render a menu button in the header cells', async () => {
+  page.render(<HeaderMenuTest />);
+  const [selectHeaderCell, idHeaderCell] = getHeaderCells();
+
+  expect(selectHeaderCell.querySelector('button')).not.toBeInTheDocument();
+  const menuButton = page.getByRole('button', { name: 'ID column menu' });
+  expect(idHeaderCell).toContainElement(menuButton.element() as HTMLElement);
+  await expect.element(menuButton).toHaveAttribute('aria-expanded', 'false');
+
+  await userEvent.click(menuButton);
+  await expect.element(menuButton).toHaveAttribute('aria-expanded', 'true');
+  await expect.element(page.getByRole('menu', { name: 'ID column menu' })).toBeVisible();
+  // clicking on the menu button does not sort the column
+  expect(idHeaderCell).not.toHaveAttribute('aria-sort');
+  validateCellPosition(1, 0);
+  // freezing does not require the column to be draggable
+  expect(getMenuItems()).toStrictEqual([
+    'Sort ascending',
+    'Sort descending',
+    'Freeze column',
+    'Hide column',
+    'Autosize column',
+    'Autosize all columns'
+  ]);
+
+  await userEvent.click(menuButton);
+  await expect.element(page.getByRole('menu')).not.toBeInTheDocument();
+});
+
+test('should not render the menu button by default', () => {
+  page.render(<HeaderMenuTest enableHeaderMenu={undefined} />);
+  expect(page.getByRole('button', { name: 'ID column menu' }).query()).not.toBeInTheDocument();
+});
+
+test('should open the menu and sort with the keyboard', async () => {
+  page.render(<HeaderMenuTest />);
+  const idHeaderCell = getHeaderCells()[1];
+
+  await userEvent.click(idHeaderCell);
+  expect(idHeaderCell).toHaveAttribute('aria-sort', 'ascending');
+  await userEvent.keyboard('{Alt>}{arrowdown}{/Alt}');
+  // the current sort direction is disabled
+  await expect.element(page.getByRole('menuitem', { name: 'Sort ascending' })).toBeDisabled();
+  await expect.element(page.getByRole('menuitem', { name: 'Sort descending' })).toHaveFocus();
+
+  await userEvent.keyboard('{arrowdown}');
+  await expect.element(page.getByRole('menuitem', { name: 'Clear sort' })).toHaveFocus();
+  await userEvent.keyboard('{arrowup}{enter}');
+  await expect.element(idHeaderCell).toHaveAttribute('aria-sort', 'descending');
+  await expect.element(page.getByRole('menu')).not.toBeInTheDocument();
+  await expect.element(page.getByRole('button', { name: 'ID column menu' })).toHaveFocus();
+
+  // escape closes the menu and the arrow keys navigate the grid again
+  await userEvent.keyboard('{Alt>}{arrowdown}{/Alt}');
+  await expect.element(page.getByRole('menu')).toBeVisible();
+  await userEvent.keyboard('{escape}');
+  await expect.element(page.getByRole('menu')).not.toBeInTheDocument();
+  await userEvent.keyboard('{arrowright}');
+  validateCellPosition(2, 0);
+});
+
+test('should add the column to the sort columns up to maxSortColumns', async () => {
+  const onSortColumnsChange = vi.fn();
+  const sortableColumns = columns.map((column) => ({ ...column, sortable: true }));
+  const sortColumns: readonly SortColumn[] = [{ columnKey: 'id', direction: 'ASC' }];
+  const { rerender } = page.render(
+    <HeaderMenuTest
+      columns={sortableColumns}
+      sortColumns={sortColumns}
+      onSortColumnsChange={onSortColumnsChange}
+    />
+  );
+
+  await userEvent.click(page.getByRole('button', { name: 'Name column menu' }));
+  await userEvent.click(page.getByRole('menuitem', { name: 'Sort descending' }));
+  expect(onSortColumnsChange).toHaveBeenLastCalledWith([
+    { columnKey: 'id', direction: 'ASC' },
+    { columnKey: 'name', direction: 'DESC' }
+  ]);
+
+  rerender(
+    <HeaderMenuTest
+      columns={sortableColumns}
+      sortColumns={sortColumns}
+      onSortColumnsChange={onSortColumnsChange}
+      maxSortColumns={1}
+    />
+  );
+  await userEvent.click(page.getByRole('button', { name: 'Name column menu' }));
+  await userEvent.click(page.getByRole('menuitem', { name: 'Sort ascending' }));
+  expect(onSortColumnsChange).toHaveBeenLastCalledWith([{ columnKey: 'name', direction: 'ASC' }]);
+});
+
+test('should close the menu when clicking outside', async () => {
+  page.render(<HeaderMenuTest />);
+  await userEvent.click(page.getByRole('button', { name: 'Name column menu' }));
+  await expect.element(page.getByRole('menu')).toBeVisible();
+  await userEvent.click(page.getByRole('gridcell', { name: 'Short' }));
+  await expect.element(page.getByRole('menu')).not.toBeInTheDocument();
+});
+
+test('should freeze and hide the column and render custom items', async () => {
+  const onFrozenColumnKeysChange = vi.fn();
+  const onHiddenColumnKeysChange = vi.fn();
+  const onSelect = vi.fn();
+  page.render(
+    <HeaderMenuTest
+      onFrozenColumnKeysChange={onFrozenColumnKeysChange}
+      onHiddenColumnKeysChange={onHiddenColumnKeysChange}
+      headerMenuItems={(column) => [
+        { key: 'custom', label: `Copy ${column.key}`, onSelect },
+        { key: 'disabled', label: 'Disabled', disabled: true, onSelect }
+      ]}
+    />
+  );
+  const menuButton = page.getByRole('button', { name: 'Name column menu' });
+
+  await userEvent.click(menuButton);
+  expect(getMenuItems()).toStrictEqual([
+    'Freeze column',
+    'Hide column',
+    'Autosize column',
+    'Autosize all columns',
+    'Copy name',
+    'Disabled'
+  ]);
+  expect(page.getByRole('separator').elements()).toHaveLength(2);
+
+  await userEvent.click(page.getByRole('menuitem', { name: 'Freeze column' }));
+  expect(onFrozenColumnKeysChange).toHaveBeenCalledExactlyOnceWith(
+    new Set([SelectColumn.key, 'name'])
+  );
+  expect(getHeaderCells().map((cell) => cell.textContent)).toStrictEqual(['', 'Name', 'ID']);
+
+  await userEvent.click(menuButton);
+  await userEvent.click(page.getByRole('menuitem', { name: 'Hide column' }));
+  expect(onHiddenColumnKeysChange).toHaveBeenCalledExactlyOnceWith(new Set(['name']));
+  await expect.element(page.getByRole('columnheader', { name: 'Name' })).not.toBeInTheDocument();
+
+  await userEvent.click(menuButton);
+  // End skips the disabled item
+  await userEvent.keyboard('{end}');
+  await expect.element(page.getByRole('menuitem', { name: 'Copy name' })).toHaveFocus();
+  await userEvent.keyboard('{enter}');
+  expect(onSelect).toHaveBeenCalledOnce();
+});
+
+test('should autosize the columns', async () => {
+  page.render(<HeaderMenuTest />);
+  const [, idHeaderCell, nameHeaderCell] = getHeaderCells();
+
+  await userEvent.click(page.getByRole('button', { name: 'Name column menu' }));
+  await userEvent.click(page.getByRole('menuitem', { name: 'Autosize column' }));
+  await expect.poll(() => nameHeaderCell.getBoundingClientRect().width).toBeGreaterThan(100);
+  expect(idHeaderCell.getBoundingClientRect().width).toBe(50);
+
+  await userEvent.click(page.getByRole('button', { name: 'ID column menu' }));
+  await userEvent.click(page.getByRole('menuitem', { name: 'Autosize all columns' }));
+  await expect.poll(() => idHeaderCell.getBoundingClientRect().width).not.toBe(50);
+});
@@ -0,0 +1,98 @@
+import { page, userEvent } from '@vitest/browser/context';
+
+import { DataGrid, RowNumberColumn } from '../../src';
+import type { CellsRange, Column } from '../../src';
+import { getCellsAtRowIndex, getHeaderCells } from './utils';
+
+interface Row {
+  id: number;
+  name: string;
+  country: string;
+}
+
+const columns: readonly Column<Row>[] = [
+  RowNumberColumn,
+  { key: 'id', name: 'ID' },
+  { key: 'name', name: 'Name' },
+  { key: 'country', name: 'Country' }
+];
+
+const rows: readonly Row[] = [
+  { id: 1, name: 'Alpha', country: 'France' },
+  { id: 2, name: 'Beta', country: 'Spain' },
+  { id: 3, name: 'Gamma', country: 'Italy' }
+];
+
+function setup(onSelectedRangeChange?: (selectedRange: CellsRange) => void) {
+  page.render(
+    <DataGrid
+      columns={columns}
+      rows={rows}
+      enableRangeSelection
+      onSelectedRangeChange={onSelectedRangeChange}
+    />
+  );
+}
+
+function copy() {
+  const clipboardData = new DataTransfer();
+  document.activeElement!.dispatchEvent(
+    new ClipboardEvent('copy', { clipboardData, bubbles: true, cancelable: true })
+  );
+  return clipboardData.getData('text/plain');
+}
+
+test('should select the whole column on header click', async () => {
+  const onSelectedRangeChange = vi.fn();
+  setup(onSelectedRangeChange);
+  await userEvent.click(getHeaderCells()[2]);
+
+  expect(onSelectedRangeChange).toHaveBeenLastCalledWith({
+    startRowIdx: 0,
+    startColumnIdx: 2,
+    endRowIdx: 2,
+    endColumnIdx: 2
+  });
+  expect(getCellsAtRowIndex(2)[2]).toHaveAttribute('aria-selected', 'true');
+  expect(copy()).toBe('Alpha\nBeta\nGamma');
+});
+
+test('should select the columns in between on header shift+click', async () => {
+  setup();
+  await userEvent.click(getHeaderCells()[1]);
+  await userEvent.keyboard('{Shift>}');
+  await userEvent.click(getHeaderCells()[3]);
+  await userEvent.keyboard('{/Shift}');
+
+  expect(copy()).toBe('1\tAlpha\tFrance\n2\tBeta\tSpain\n3\tGamma\tItaly');
+});
+
+test('should select whole rows from the row numbers', async () => {
+  setup();
+  expect(getCellsAtRowIndex(1)[0]).toHaveTextContent('2');
+
+  await userEvent.click(getCellsAtRowIndex(1)[0]);
+  expect(getCellsAtRowIndex(1)[3]).toHaveAttribute('aria-selected', 'true');
+  expect(getCellsAtRowIndex(2)[3]).toHaveAttribute('aria-selected', 'false');
+  expect(copy()).toBe('2\tBeta\tSpain');
+
+  await userEvent.keyboard('{Shift>}');
+  await userEvent.click(getCellsAtRowIndex(2)[0]);
+  await userEvent.keyboard('{/Shift}');
+  expect(copy()).toBe('2\tBeta\tSpain\n3\tGamma\tItaly');
+});
+
+test('should select all the cells on ctrl+a and row numbers header click', async () => {
+  const onSelectedRangeChange = vi.fn();
+  setup(onSelectedRangeChange);
+  const allCells = { startRowIdx: 0, startColumnIdx: 1, endRowIdx: 2, endColumnIdx: 3 };
+
+  await userEvent.click(getCellsAtRowIndex(0)[2]);
+  await userEvent.keyboard('{Control>}a{/Control}');
+  expect(onSelectedRangeChange).toHaveBeenLastCalledWith(allCells);
+  expect(copy()).toBe('1\tAlpha\tFrance\n2\tBeta\tSpain\n3\tGamma\tItaly');
+
+  await userEvent.click(getCellsAtRowIndex(0)[2]);
+  await userEvent.click(getHeaderCells()[0]);
+  expect(onSelectedRangeChange).toHaveBeenLastCalledWith(allCells);
+});
@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { page, userEvent } from '@vitest/browser/context';
+
+import { ColumnChooser, DataGrid, SelectColumn, TreeDataGrid } from '../../src';
+import type { ColumnOrColumnGroup } from '../../src';
+import { getHeaderCells } from './utils';
+
+interface Row {
+  id: number;
+  name: string;
+  country: string;
+  city: string;
+}
+
+const columns: readonly ColumnOrColumnGroup<Row>[] = [
+  SelectColumn,
+  { key: 'id', name: 'ID', frozen: true },
+  {
+    name: 'Address',
+    children: [
+      { key: 'country', name: 'Country' },
+      { key: 'city', name: 'City' }
+    ]
+  },
+  { key: 'name', name: 'Name' }
+];
+
+const rows: readonly Row[] = [{ id: 1, name: 'Alice', country: 'France', city: 'Paris' }];
+
+function ChooserTest() {
+  const [hiddenColumnKeys, setHiddenColumnKeys] = useState((): ReadonlySet<string> => new Set());
+
+  return (
+    <>
+      <ColumnChooser
+        columns={columns}
+        hiddenColumnKeys={hiddenColumnKeys}
+        onHiddenColumnKeysChange={setHiddenColumnKeys}
+      />
+      <DataGrid
+        columns={columns}
+        rows={rows}
+        hiddenColumnKeys={hiddenColumnKeys}
+        onHiddenColumnKeysChange={setHiddenColumnKeys}
+      />
+    </>
+  );
+}
+
+function getHeaderCellsContent() {
+  return getHeaderCells().map((cell) => cell.textContent);
+}
+
+test('should not render the hidden columns', async () => {
+  page.render(
+    <DataGrid
+      columns={columns}
+      rows={rows}
+      hiddenColumnKeys={new Set([SelectColumn.key, 'id', 'country'])}
+    />
+  );
+
+  // the select column cannot be hidden
+  expect(getHeaderCellsContent()).toStrictEqual(['Address', '', 'City', 'Name']);
+  await expect
+    .element(page.getByRole('columnheader', { name: 'City' }))
+    .toHaveAttribute('aria-colindex', '2');
+  await expect
+    .element(page.getByRole('columnheader', { name: 'Address' }))
+    .toHaveAttribute('aria-colspan', '1');
+  await expect
+    .element(page.getByRole('gridcell', { name: 'Alice' }))
+    .toHaveAttribute('aria-colindex', '3');
+});
+
+test('should not render a column group when all its columns are hidden', async () => {
+  page.render(
+    <DataGrid columns={columns} rows={rows} hiddenColumnKeys={new Set(['country', 'city'])} />
+  );
+
+  await expect.element(page.getByRole('columnheader', { name: 'Address' })).not.toBeInTheDocument();
+  await expect
+    .element(page.getByRole('gridcell', { name: 'Alice' }))
+    .toHaveAttribute('aria-colindex', '3');
+});
+
+test('should show and hide the columns with the column chooser', async () => {
+  page.render(<ChooserTest />);
+  const columnChooser = page.getByRole('list', { name: 'Columns' });
+  const addressCheckbox = columnChooser.getByRole('checkbox', { name: 'Address' });
+  const cityCheckbox = columnChooser.getByRole('checkbox', { name: 'City' });
+
+  // the select column is not hideable
+  expect(columnChooser.getByRole('checkbox').elements()).toHaveLength(5);
+  await expect.element(addressCheckbox).toBeChecked();
+
+  await userEvent.click(cityCheckbox);
+  await expect.element(page.getByRole('columnheader', { name: 'City' })).not.toBeInTheDocument();
+  await expect.element(cityCheckbox).not.toBeChecked();
+  await expect.element(addressCheckbox).toBePartiallyChecked();
+
+  await userEvent.click(addressCheckbox);
+  await expect.element(page.getByRole('columnheader', { name: 'City' })).toBeVisible();
+  await expect.element(addressCheckbox).toBeChecked();
+
+  await userEvent.click(addressCheckbox);
+  expect(getHeaderCellsContent()).toStrictEqual(['', 'ID', 'Name']);
+
+  await userEvent.click(columnChooser.getByRole('checkbox', { name: 'ID' }));
+  // the last visible column cannot be hidden
+  await expect.element(columnChooser.getByRole('checkbox', { name: 'Name' })).toBeDisabled();
+  expect(getHeaderCellsContent()).toStrictEqual(['', 'Name']);
+});
+
+test('should not hide the grouped columns of the tree grid', () => {
+  page.render(
+    <TreeDataGrid
+      columns={[
+        SelectColumn,
+        { key: 'id', name: 'ID' },
+        { key: 'country', name: 'Country' },
+        { key: 'city', name: 'City' }
+      ]}
+      rows={rows}
+      groupBy={['country']}
+      rowGrouper={(rows, columnKey) => ({ [columnKey]: rows })}
+      expandedGroupIds={new Set()}
+      onExpandedGroupIdsChange={() => {}}
+      hiddenColumnKeys={new Set(['country', 'city'])}
+    />
+  );
+
+  expect(getHeaderCellsContent()).toStrictEqual(['', 'Country', 'ID']);
+});
@@ -0,0 +1,110 @@
+import { page, userEvent } from '@vitest/browser/context';
+
+import { DataGrid } from '../../src';
+import type { CellsRange, Column } from '../../src';
+import { getCellsAtRowIndex } from './utils';
+
+interface Row {
+  id: number;
+  name: string;
+  country: string;
+}
+
+const columns: readonly Column<Row>[] = [
+  { key: 'id', name: 'ID' },
+  { key: 'name', name: 'Name' },
+  { key: 'country', name: 'Country' }
+];
+
+const rows: readonly Row[] = [
+  { id: 1, name: 'Alpha', country: 'France' },
+  { id: 2, name: 'Beta', country: 'Spain' },
+  { id: 3, name: 'Gamma', country: 'Italy' }
+];
+
+function setup(onSelectedRangesChange?: (selectedRanges: CellsRange[]) => void) {
+  page.render(
+    <DataGrid
+      columns={columns}
+      rows={rows}
+      enableRangeSelection
+      onSelectedRangesChange={onSelectedRangesChange}
+    />
+  );
+}
+
+function copy() {
+  const clipboardData = new DataTransfer();
+  document.activeElement!.dispatchEvent(
+    new ClipboardEvent('copy', { clipboardData, bubbles: true, cancelable: true })
+  );
+  return clipboardData.getData('text/plain');
+}
+
+async function selectColumnRange(columnIdx: number) {
+  await userEvent.click(getCellsAtRowIndex(0)[columnIdx]);
+  await userEvent.keyboard('{Shift>}{arrowdown}{arrowdown}{/Shift}');
+}
+
+test('should add a range on ctrl+click', async () => {
+  const onSelectedRangesChange = vi.fn();
+  setup(onSelectedRangesChange);
+  await selectColumnRange(0);
+  await userEvent.keyboard('{Control>}');
+  await userEvent.click(getCellsAtRowIndex(1)[2]);
+  await userEvent.keyboard('{/Control}');
+
+  expect(onSelectedRangesChange).toHaveBeenLastCalledWith([
+    { startRowIdx: 0, startColumnIdx: 0, endRowIdx: 2, endColumnIdx: 0 },
+    { startRowIdx: 1, startColumnIdx: 2, endRowIdx: 1, endColumnIdx: 2 }
+  ]);
+  expect(getCellsAtRowIndex(2)[0]).toHaveAttribute('aria-selected', 'true');
+  expect(getCellsAtRowIndex(1)[2]).toHaveAttribute('aria-selected', 'true');
+  expect(getCellsAtRowIndex(1)[1]).toHaveAttribute('aria-selected', 'false');
+
+  // a click without ctrl replaces the selected ranges
+  await userEvent.click(getCellsAtRowIndex(2)[1]);
+  expect(onSelectedRangesChange).toHaveBeenLastCalledWith([
+    { startRowIdx: 2, startColumnIdx: 1, endRowIdx: 2, endColumnIdx: 1 }
+  ]);
+  expect(getCellsAtRowIndex(2)[0]).toHaveAttribute('aria-selected', 'false');
+});
+
+test('should combine the columns of ranges spanning the same rows on copy', async () => {
+  setup();
+  await selectColumnRange(2);
+  await userEvent.keyboard('{Control>}');
+  await userEvent.click(getCellsAtRowIndex(0)[0]);
+  await userEvent.keyboard('{/Control}');
+  await userEvent.keyboard('{Shift>}{arrowdown}{arrowdown}{/Shift}');
+
+  expect(copy()).toBe('1\tFrance\n2\tSpain\n3\tItaly');
+});
+
+test('should only copy the active range when the ranges cannot be combined', async () => {
+  setup();
+  await selectColumnRange(2);
+  await userEvent.keyboard('{Control>}');
+  await userEvent.click(getCellsAtRowIndex(1)[0]);
+  await userEvent.keyboard('{/Control}');
+
+  expect(copy()).toBe('2');
+});
+
+test('should render the controlled selected ranges', () => {
+  page.render(
+    <DataGrid
+      columns={columns}
+      rows={rows}
+      enableRangeSelection
+      selectedRanges={[
+        { startRowIdx: 0, startColumnIdx: 0, endRowIdx: 0, endColumnIdx: 0 },
+        { startRowIdx: 2, startColumnIdx: 1, endRowIdx: 2, endColumnIdx: 2 }
+      ]}
+    />
+  );
+
+  expect(getCellsAtRowIndex(0)[0]).toHaveAttribute('aria-selected', 'true');
+  expect(getCellsAtRowIndex(1)[0]).toHaveAttribute('aria-selected', 'false');
+  expect(getCellsAtRowIndex(2)[2]).toHaveAttribute('aria-selected', 'true');
+});
@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { page, userEvent } from '@vitest/browser/context';
+
+import { DataGrid, textEditor } from '../../src';
+import type { Column, DataGridProps } from '../../src';
+import { getCellsAtRowIndex, getGrid, getRows, scrollGrid, setup } from './utils';
+
+interface Row {
+  id: number;
+  name: string;
+}
+
+const columns: readonly Column<Row>[] = [
+  { key: 'id', name: 'ID' },
+  { key: 'name', name: 'Name', renderEditCell: textEditor }
+];
+
+const rows: readonly Row[] = Array.from({ length: 1000 }, (_, id) => ({ id, name: `Row ${id}` }));
+
+function rowKeyGetter(row: Row) {
+  return row.id;
+}
+
+function setupGrid(props?: Partial<DataGridProps<Row, unknown, number>>) {
+  setup<Row, unknown, number>({
+    columns,
+    rows,
+    rowKeyGetter,
+    topPinnedRowKeys: new Set([5, 2]),
+    bottomPinnedRowKeys: new Set([10]),
+    ...props
+  });
+}
+
+test('pinned rows are rendered at the start and end of the rows', () => {
+  setupGrid({ enableVirtualization: false });
+
+  const renderedRows = getRows();
+  expect(renderedRows[0]).toHaveTextContent('2Row 2');
+  expect(renderedRows[1]).toHaveTextContent('5Row 5');
+  expect(renderedRows[2]).toHaveTextContent('0Row 0');
+  expect(renderedRows.at(-1)).toHaveTextContent('10Row 10');
+  expect(renderedRows[0]).toHaveClass('rdg-pinned-row');
+  expect(renderedRows[2]).not.toHaveClass('rdg-pinned-row');
+  expect(renderedRows.at(-1)).toHaveClass('rdg-pinned-row');
+});
+
+test('pinned rows stay visible while scrolling', async () => {
+  setupGrid();
+
+  await scrollGrid({ scrollTop: 10000 });
+  const gridRect = getGrid().element().getBoundingClientRect();
+
+  // pinned rows are excluded from virtualization
+  const topPinnedCell = getCellsAtRowIndex(0)[0];
+  expect(topPinnedCell).toHaveTextContent('2');
+  expect(topPinnedCell.getBoundingClientRect().top).toBe(gridRect.top + 35);
+  expect(getCellsAtRowIndex(1)[0].getBoundingClientRect().top).toBe(gridRect.top + 70);
+
+  const bottomPinnedCell = getCellsAtRowIndex(999)[0];
+  expect(bottomPinnedCell).toHaveTextContent('10');
+  expect(bottomPinnedCell.getBoundingClientRect().bottom).toBe(gridRect.bottom);
+
+  // the scrollable rows are virtualized
+  expect(getCellsAtRowIndex(100)).toHaveLength(0);
+});
+
+test('editing a pinned row maps the changes to the original row indexes', async () => {
+  const onRowsChange = vi.fn();
+  setupGrid({ onRowsChange });
+
+  await userEvent.dblClick(getCellsAtRowIndex(1)[1]);
+  await userEvent.keyboard('{Control>}a{/Control}Pinned{enter}');
+
+  expect(onRowsChange).toHaveBeenCalledOnce();
+  const [updatedRows, { indexes }] = onRowsChange.mock.calls[0];
+  expect(indexes).toStrictEqual([5]);
+  expect(updatedRows[5]).toStrictEqual({ id: 5, name: 'Pinned' });
+  expect(updatedRows[0]).toBe(rows[0]);
+});
+
+function PinnedRowsUndoTest() {
+  const [rows, setRows] = useState((): readonly Row[] => [
+    { id: 0, name: 'Row 0' },
+    { id: 1, name: 'Row 1' },
+    { id: 2, name: 'Row 2' }
+  ]);
+  const [pinnedRowKeys, setPinnedRowKeys] = useState((): ReadonlySet<number> => new Set([2]));
+
+  return (
+    <>
+      <button type="button" onClick={() => setPinnedRowKeys(new Set([1]))}>
+        Pin row 1
+      </button>
+      <DataGrid
+        columns={columns}
+        rows={rows}
+        rowKeyGetter={rowKeyGetter}
+        topPinnedRowKeys={pinnedRowKeys}
+        onRowsChange={setRows}
+        enableUndoRedo
+      />
+    </>
+  );
+}
+
+test('undo restores the edited row after the pinned rows change', async () => {
+  page.render(<PinnedRowsUndoTest />);
+
+  await userEvent.dblClick(getCellsAtRowIndex(0)[1]);
+  await userEvent.keyboard('{Control>}a{/Control}Pinned{enter}');
+  expect(getCellsAtRowIndex(0)[1]).toHaveTextContent('Pinned');
+
+  await userEvent.click(page.getByRole('button', { name: 'Pin row 1' }));
+  // the edited row is now displayed last
+  expect(getCellsAtRowIndex(2)[1]).toHaveTextContent('Pinned');
+  await userEvent.click(getCellsAtRowIndex(1)[0]);
+  await userEvent.keyboard('{Control>}z{/Control}');
+  await expect.element(getCellsAtRowIndex(2)[1]).toHaveTextContent('Row 2');
+  expect(getCellsAtRowIndex(0)[1]).toHaveTextContent('Row 1');
+  expect(getCellsAtRowIndex(1)[1]).toHaveTextContent('Row 0');
+});
@@ -0,0 +1,247 @@
+import { useState } from 'react';
+import { page, userEvent } from '@vitest/browser/context';
+
+import { DataGrid, textEditor } from '../../src';
+import type {
+  ClipboardOptions,
+  Column,
+  MultiCopyEvent,
+  RowsChangeData,
+  ValidationErrorEvent
+} from '../../src';
+import { getCellsAtRowIndex } from './utils';
+
+interface Row {
+  id: number;
+  name: string | null;
+  note: string;
+}
+
+const columns: readonly Column<Row>[] = [
+  { key: 'id', name: 'ID', copyValue: (row) => `#${row.id}` },
+  { key: 'name', name: 'Name' },
+  { key: 'note', name: 'Note' }
+];
+
+const rows: readonly Row[] = [
+  { id: 1, name: 'Alpha', note: 'a\tb' },
+  { id: 2, name: null, note: 'say "hi"' },
+  { id: 3, name: 'Gamma', note: '<b>' }
+];
+
+function setup(
+  clipboardOptions?: ClipboardOptions,
+  onMultiCopy?: (args: MultiCopyEvent<Row>, event: { preventGridDefault: () => void }) => void
+) {
+  page.render(
+    <DataGrid
+      columns={columns}
+      rows={rows}
+      enableRangeSelection
+      clipboardOptions={clipboardOptions}
+      onMultiCopy={onMultiCopy}
+    />
+  );
+}
+
+async function selectRange() {
+  await userEvent.click(getCellsAtRowIndex(0)[0]);
+  await userEvent.keyboard('{Shift>}{arrowright}{arrowright}{arrowdown}{arrowdown}{/Shift}');
+}
+
+function copy() {
+  const clipboardData = new DataTransfer();
+  document.activeElement!.dispatchEvent(
+    new ClipboardEvent('copy', { clipboardData, bubbles: true, cancelable: true })
+  );
+  return clipboardData;
+}
+
+test('should write the selected range as tsv and html', async () => {
+  setup();
+  await selectRange();
+  const clipboardData = copy();
+  expect(clipboardData.getData('text/plain')).toBe(
+    '#1\tAlpha\t"a\tb"\n#2\t\t"say ""hi"""\n#3\tGamma\t<b>'
+  );
+  expect(clipboardData.getData('text/html')).toBe(
+    '<table><tbody><tr><td>#1</td><td>Alpha</td><td>a\tb</td></tr><tr><td>#2</td><td></td><td>say &quot;hi&quot;</td></tr><tr><td>#3</td><td>Gamma</td><td>&lt;b&gt;</td></tr></tbody></table>'
+  );
+});
+
+test('should serialize the range using the clipboard options', async () => {
+  setup({ includeHeaders: true, delimiter: ',', quote: 'always', nullValue: 'NULL' });
+  await userEvent.click(getCellsAtRowIndex(1)[0]);
+  await userEvent.keyboard('{Shift>}{arrowright}{/Shift}');
+  const clipboardData = copy();
+  expect(clipboardData.getData('text/plain')).toBe('"ID","Name"\n"#2","NULL"');
+  expect(clipboardData.getData('text/html')).toBe(
+    '<table><thead><tr><th>ID</th><th>Name</th></tr></thead><tbody><tr><td>#2</td><td>NULL</td></tr></tbody></table>'
+  );
+});
+
+test('should not write to the clipboard when onMultiCopy prevents the grid default', async () => {
+  const onMultiCopy = vi.fn(
+    (_args: MultiCopyEvent<Row>, event: { preventGridDefault: () => void }) => {
+      event.preventGridDefault();
+    }
+  );
+  setup(undefined, onMultiCopy);
+  await userEvent.click(getCellsAtRowIndex(0)[1]);
+  const clipboardData = copy();
+  expect(onMultiCopy).toHaveBeenCalledExactlyOnceWith(
+    {
+      cellsRange: { startRowIdx: 0, startColumnIdx: 1, endRowIdx: 0, endColumnIdx: 1 },
+      cellsRanges: [{ startRowIdx: 0, startColumnIdx: 1, endRowIdx: 0, endColumnIdx: 1 }],
+      sourceRows: [rows[0]],
+      sourceColumnKeys: ['name'],
+      text: 'Alpha',
+      html: '<table><tbody><tr><td>Alpha</td></tr></tbody></table>'
+    },
+    expect.anything()
+  );
+  expect(clipboardData.getData('text/plain')).toBe('');
+});
+
+const pasteColumns: readonly Column<Row>[] = [
+  {
+    key: 'id',
+    name: 'ID',
+    renderEditCell: textEditor,
+    parseValue: (value) => Number(value),
+    validate: (value) => (Number.isNaN(value) ? 'ID must be a number' : undefined)
+  },
+  { key: 'name', name: 'Name', renderEditCell: textEditor },
+  { key: 'note', name: 'Note' }
+];
+
+function PasteTest({
+  onRowsChange,
+  onValidationError
+}: {
+  onRowsChange: (rows: Row[], data: RowsChangeData<Row>) => void;
+  onValidationError?: (event: ValidationErrorEvent<Row>) => void;
+}) {
+  const [pasteRows, setPasteRows] = useState(rows);
+
+  return (
+    <DataGrid
+      columns={pasteColumns}
+      rows={pasteRows}
+      enableRangeSelection
+      onRowsChange={(rows, data) => {
+        setPasteRows(rows);
+        onRowsChange(rows, data);
+      }}
+      onValidationError={onValidationError}
+    />
+  );
+}
+
+function paste(data: Record<string, string>) {
+  const clipboardData = new DataTransfer();
+  for (const [format, value] of Object.entries(data)) {
+    clipboardData.setData(format, value);
+  }
+  document.activeElement!.dispatchEvent(
+    new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true })
+  );
+}
+
+test('should paste tsv from another application', async () => {
+  const onRowsChange = vi.fn();
+  page.render(<PasteTest onRowsChange={onRowsChange} />);
+  await userEvent.click(getCellsAtRowIndex(0)[0]);
+  paste({ 'text/plain': '10\t"multi\nline"\r\n20\tBeta\r\n' });
+  await expect.element(getCellsAtRowIndex(0)[1]).toHaveTextContent('multi line');
+  expect(onRowsChange).toHaveBeenCalledExactlyOnceWith(
+    [
+      { id: 10, name: 'multi\nline', note: 'a\tb' },
+      { id: 20, name: 'Beta', note: 'say "hi"' },
+      rows[2]
+    ],
+    expect.objectContaining({ indexes: [0, 1] })
+  );
+});
+
+test('should paste an html table and skip readonly cells', async () => {
+  const onRowsChange = vi.fn();
+  page.render(<PasteTest onRowsChange={onRowsChange} />);
+  await userEvent.click(getCellsAtRowIndex(1)[1]);
+  paste({
+    'text/html': '<table><tr><td>One</td><td>x</td></tr><tr><td>Two</td><td>y</td></tr></table>'
+  });
+  await expect.element(getCellsAtRowIndex(2)[1]).toHaveTextContent('Two');
+  expect(onRowsChange).toHaveBeenCalledExactlyOnceWith(
+    [rows[0], { ...rows[1], name: 'One' }, { ...rows[2], name: 'Two' }],
+    expect.objectContaining({ indexes: [1, 2] })
+  );
+});
+
+test('should leave out the pasted values that fail the validation', async () => {
+  const onRowsChange = vi.fn();
+  const onValidationError = vi.fn();
+  page.render(<PasteTest onRowsChange={onRowsChange} onValidationError={onValidationError} />);
+  await userEvent.click(getCellsAtRowIndex(0)[0]);
+  paste({ 'text/plain': 'x\tOne\n20\tTwo' });
+  await expect.element(getCellsAtRowIndex(1)[1]).toHaveTextContent('Two');
+  expect(onRowsChange).toHaveBeenCalledExactlyOnceWith(
+    [{ ...rows[0], name: 'One' }, { ...rows[1], id: 20, name: 'Two' }, rows[2]],
+    expect.objectContaining({ indexes: [0, 1] })
+  );
+  expect(onValidationError).toHaveBeenCalledExactlyOnceWith(
+    expect.objectContaining({ rowIdx: 0, error: 'ID must be a number' })
+  );
+});
+
+test('should repeat the copied values over a larger selected range', async () => {
+  const onRowsChange = vi.fn();
+  page.render(<PasteTest onRowsChange={onRowsChange} />);
+  await userEvent.click(getCellsAtRowIndex(0)[0]);
+  await userEvent.keyboard('{Shift>}{arrowright}{arrowdown}{arrowdown}{/Shift}');
+  paste({ 'text/plain': '7' });
+  await expect.element(getCellsAtRowIndex(2)[1]).toHaveTextContent('7');
+  expect(onRowsChange).toHaveBeenCalledExactlyOnceWith(
+    [
+      { ...rows[0], id: 7, name: '7' },
+      { ...rows[1], id: 7, name: '7' },
+      { ...rows[2], id: 7, name: '7' }
+    ],
+    expect.objectContaining({ indexes: [0, 1, 2] })
+  );
+});
+
+test('should report the readonly cells skipped when pasting', async () => {
+  const onPasteSkippedCells = vi.fn();
+  page.render(
+    <DataGrid
+      columns={pasteColumns}
+      rows={rows}
+      enableRangeSelection
+      onRowsChange={() => {}}
+      onPasteSkippedCells={onPasteSkippedCells}
+    />
+  );
+  await userEvent.click(getCellsAtRowIndex(0)[1]);
+  paste({ 'text/plain': 'a\tb\nc\td' });
+  expect(onPasteSkippedCells).toHaveBeenCalledExactlyOnceWith([
+    { rowIdx: 0, idx: 2 },
+    { rowIdx: 1, idx: 2 }
+  ]);
+});
+
+test('should paste the original values when copied from the grid', async () => {
+  const onRowsChange = vi.fn();
+  page.render(<PasteTest onRowsChange={onRowsChange} />);
+  await userEvent.click(getCellsAtRowIndex(1)[1]);
+  const clipboardData = copy();
+  await userEvent.keyboard('{arrowup}');
+  paste({
+    'text/plain': clipboardData.getData('text/plain'),
+    'text/html': clipboardData.getData('text/html')
+  });
+  expect(onRowsChange).toHaveBeenCalledExactlyOnceWith(
+    [{ ...rows[0], name: null }, rows[1], rows[2]],
+    expect.objectContaining({ indexes: [0] })
+  );
+});
@@ -0,0 +1,171 @@
+import { useState } from 'react';
+import { page, userEvent } from '@vitest/browser/context';
+
+import { DataGrid, textEditor } from '../../src';
+import type { CellsRange, Column, DataGridProps, FillEvent } from '../../src';
+import { getCellsAtRowIndex } from './utils';
+
+interface Row {
+  id: number;
+  name: string;
+  code: string;
+}
+
+const columns: readonly Column<Row>[] = [
+  { key: 'id', name: 'ID', renderEditCell: textEditor },
+  { key: 'name', name: 'Name', renderEditCell: textEditor },
+  { key: 'code', name: 'Code', renderEditCell: textEditor }
+];
+
+const initialRows: readonly Row[] = [
+  { id: 1, name: 'Item 1', code: 'a' },
+  { id: 3, name: 'Item 2', code: 'b' },
+  { id: 0, name: '', code: '' },
+  { id: 0, name: '', code: '' },
+  { id: 0, name: '', code: '' }
+];
+
+function onFill({ columnKey, targetRow, value }: FillEvent<Row>): Row {
+  return { ...targetRow, [columnKey]: value };
+}
+
+function DragFillTest({
+  initialRows: defaultRows = initialRows,
+  ...props
+}: Partial<DataGridProps<Row>> & { initialRows?: readonly Row[] }) {
+  const [rows, setRows] = useState(defaultRows);
+
+  return (
+    <DataGrid
+      columns={columns}
+      rows={rows}
+      onRowsChange={setRows}
+      onFill={onFill}
+      enableRangeSelection
+      {...props}
+    />
+  );
+}
+
+function mouseEvent(target: EventTarget, type: string) {
+  target.dispatchEvent(new MouseEvent(type, { bubbles: true, buttons: 1 }));
+}
+
+async function dragFillTo(rowIdx: number, idx: number) {
+  mouseEvent(document.querySelector('.rdg-cell-drag-handle')!, 'mousedown');
+  await new Promise(requestAnimationFrame);
+  const cell = getCellsAtRowIndex(rowIdx)[idx];
+  mouseEvent(cell, 'mouseover');
+  await expect.element(cell).toHaveClass('rdg-cell-dragged-over');
+  mouseEvent(cell, 'mouseup');
+}
+
+function getColumnValues(idx: number) {
+  return initialRows.map((_, rowIdx) => getCellsAtRowIndex(rowIdx)[idx].textContent);
+}
+
+test('should fill the series of a range downwards', async () => {
+  const onSelectedRangeChange = vi.fn();
+  page.render(<DragFillTest onSelectedRangeChange={onSelectedRangeChange} />);
+  await userEvent.click(getCellsAtRowIndex(0)[0]);
+  await userEvent.keyboard('{Shift>}{arrowdown}{arrowright}{/Shift}');
+
+  await dragFillTo(4, 1);
+  await expect.poll(() => getColumnValues(0)).toStrictEqual(['1', '3', '5', '7', '9']);
+  expect(getColumnValues(1)).toStrictEqual(['Item 1', 'Item 2', 'Item 3', 'Item 4', 'Item 5']);
+  // the filled cells are added to the selected range
+  expect(onSelectedRangeChange).toHaveBeenLastCalledWith({
+    startRowIdx: 0,
+    startColumnIdx: 0,
+    endRowIdx: 4,
+    endColumnIdx: 1
+  });
+});
+
+test('should fill horizontally and repeat values without series', async () => {
+  page.render(<DragFillTest />);
+  await userEvent.click(getCellsAtRowIndex(0)[1]);
+
+  await dragFillTo(0, 2);
+  await expect.element(getCellsAtRowIndex(0)[2]).toHaveTextContent('Item 2');
+
+  await userEvent.click(getCellsAtRowIndex(1)[2]);
+  await userEvent.keyboard('{Shift>}{arrowup}{/Shift}');
+  await dragFillTo(4, 2);
+  await expect
+    .poll(() => getColumnValues(2))
+    .toStrictEqual(['Item 2', 'b', 'Item 2', 'b', 'Item 2']);
+});
+
+test('should fill upwards in the reverse order', async () => {
+  const rows = [0, 0, 0, 10, 20].map((id) => ({ id, name: '', code: '' }));
+  page.render(<DragFillTest initialRows={rows} />);
+  await userEvent.click(getCellsAtRowIndex(3)[0]);
+  await userEvent.keyboard('{Shift>}{arrowdown}{/Shift}');
+
+  await dragFillTo(0, 0);
+  await expect.poll(() => getColumnValues(0)).toStrictEqual(['-20', '-10', '0', '10', '20']);
+});
+
+test('should leave out the filled values that fail the validation', async () => {
+  const onValidationError = vi.fn();
+  page.render(
+    <DragFillTest
+      columns={[
+        columns[0],
+        {
+          ...columns[1],
+          validate: (value) => (value === 'Item 4' ? 'Item 4 is taken' : undefined)
+        },
+        columns[2]
+      ]}
+      onValidationError={onValidationError}
+    />
+  );
+  await userEvent.click(getCellsAtRowIndex(0)[1]);
+  await userEvent.keyboard('{Shift>}{arrowdown}{/Shift}');
+
+  await dragFillTo(4, 1);
+  await expect
+    .poll(() => getColumnValues(1))
+    .toStrictEqual(['Item 1', 'Item 2', 'Item 3', '', 'Item 5']);
+  expect(onValidationError).toHaveBeenCalledExactlyOnceWith(
+    expect.objectContaining({ rowIdx: 3, error: 'Item 4 is taken' })
+  );
+});
+
+test('should call onFill with the source and target ranges', async () => {
+  const onFillSpy = vi.fn(onFill);
+  page.render(<DragFillTest onFill={onFillSpy} />);
+  await userEvent.click(getCellsAtRowIndex(0)[0]);
+  await userEvent.keyboard('{Shift>}{arrowdown}{/Shift}');
+  await dragFillTo(2, 0);
+
+  const sourceRange: CellsRange = {
+    startRowIdx: 0,
+    startColumnIdx: 0,
+    endRowIdx: 1,
+    endColumnIdx: 0
+  };
+  expect(onFillSpy).toHaveBeenCalledExactlyOnceWith({
+    columnKey: 'id',
+    sourceRow: initialRows[0],
+    targetRow: initialRows[2],
+    value: 5,
+    sourceRange,
+    targetRange: { ...sourceRange, startRowIdx: 2, endRowIdx: 2 }
+  });
+});
+
+test('should use a custom series detector', async () => {
+  page.render(
+    <DragFillTest
+      fillSeriesDetector={(values, count) => Array.from({ length: count }, () => values.length)}
+    />
+  );
+  await userEvent.click(getCellsAtRowIndex(0)[1]);
+  await userEvent.keyboard('{Shift>}{arrowdown}{/Shift}');
+  await userEvent.dblClick(document.querySelector('.rdg-cell-drag-handle')!);
+
+  await expect.poll(() => getColumnValues(1)).toStrictEqual(['Item 1', 'Item 2', '2', '2', '2']);
+});
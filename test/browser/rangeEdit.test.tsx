@@ -0,0 +1,146 @@
+import { createRef, useState } from 'react';
+import { page, userEvent } from '@vitest/browser/context';
+
+import { DataGrid, textEditor } from '../../src';
+import type { Column, DataGridHandle, DataGridProps } from '../../src';
+import { getCellsAtRowIndex } from './utils';
+
+interface Row {
+  id: number;
+  name: string | null;
+  city: string;
+}
+
+const columns: readonly Column<Row>[] = [
+  { key: 'id', name: 'ID' },
+  { key: 'name', name: 'Name', renderEditCell: textEditor, filter: { type: 'text' } },
+  {
+    key: 'city',
+    name: 'City',
+    renderEditCell: textEditor,
+    editable: (row) => row.id !== 2,
+    clearValue: () => '',
+    validate: (value) => (value === '' ? 'City is required' : undefined)
+  }
+];
+
+const initialRows: readonly Row[] = [
+  { id: 1, name: 'Ada', city: 'London' },
+  { id: 2, name: 'Alan', city: 'Wilmslow' },
+  { id: 3, name: 'Grace', city: 'New York' }
+];
+
+function RangeEditTest({
+  onRowsChange,
+  ...props
+}: Pick<DataGridProps<Row>, 'ref' | 'onRowsChange' | 'onValidationError' | 'enableFilterRow'>) {
+  const [rows, setRows] = useState(initialRows);
+
+  return (
+    <DataGrid
+      columns={columns}
+      rows={rows}
+      onRowsChange={(rows, data) => {
+        setRows(rows);
+        onRowsChange?.(rows, data);
+      }}
+      enableRangeSelection
+      {...props}
+    />
+  );
+}
+
+async function selectRange() {
+  await userEvent.click(getCellsAtRowIndex(0)[1]);
+  await userEvent.keyboard('{Shift>}{arrowdown}{arrowdown}{arrowright}{/Shift}');
+}
+
+test('ctrl+enter commits the edited value to the editable cells of the edited column in the range', async () => {
+  const onRowsChange = vi.fn();
+  page.render(<RangeEditTest onRowsChange={onRowsChange} />);
+
+  await selectRange();
+  // typing or F2 only edits the active cell
+  await userEvent.keyboard('{F2}{Control>}a{/Control}Paris');
+  const editor = page.getByRole('textbox');
+  expect(editor.elements()).toHaveLength(1);
+  await userEvent.keyboard('{Control>}{enter}{/Control}');
+  await expect.element(editor).not.toBeInTheDocument();
+
+  expect(onRowsChange).toHaveBeenCalledOnce();
+  const [rows, { indexes, column, columns: updatedColumns }] = onRowsChange.mock.calls[0];
+  expect(indexes).toStrictEqual([0, 1, 2]);
+  expect(rows).toStrictEqual([
+    { id: 1, name: 'Paris', city: 'London' },
+    { id: 2, name: 'Paris', city: 'Wilmslow' },
+    { id: 3, name: 'Paris', city: 'New York' }
+  ]);
+  expect(column.key).toBe('name');
+  expect(updatedColumns.map(({ key }: Column<Row>) => key)).toStrictEqual(['name']);
+  expect(getCellsAtRowIndex(0)[1]).toHaveFocus();
+});
+
+test('delete clears the editable cells of the range that pass the validation', async () => {
+  const onRowsChange = vi.fn();
+  const onValidationError = vi.fn();
+  page.render(<RangeEditTest onRowsChange={onRowsChange} onValidationError={onValidationError} />);
+
+  await selectRange();
+  await userEvent.keyboard('{Delete}');
+  await expect.element(page.getByRole('textbox')).not.toBeInTheDocument();
+
+  expect(onRowsChange).toHaveBeenCalledOnce();
+  const [rows, { indexes, columns: updatedColumns }] = onRowsChange.mock.calls[0];
+  expect(indexes).toStrictEqual([0, 1, 2]);
+  expect(rows).toStrictEqual([
+    { id: 1, name: null, city: 'London' },
+    { id: 2, name: null, city: 'Wilmslow' },
+    { id: 3, name: null, city: 'New York' }
+  ]);
+  expect(updatedColumns.map(({ key }: Column<Row>) => key)).toStrictEqual(['name']);
+  // the city of the second row is not editable
+  expect(onValidationError).toHaveBeenCalledTimes(2);
+  expect(onValidationError.mock.calls[1][0]).toMatchObject({
+    rowIdx: 2,
+    row: { id: 3, name: null, city: '' },
+    error: 'City is required'
+  });
+
+  // a single selected cell opens its editor instead
+  await userEvent.click(getCellsAtRowIndex(0)[1]);
+  await userEvent.keyboard('{Backspace}');
+  await expect.element(page.getByRole('textbox')).toBeInTheDocument();
+  expect(onRowsChange).toHaveBeenCalledOnce();
+});
+
+test('the values left out of a range are listed as invalid cells until a valid value is committed', async () => {
+  const gridRef = createRef<DataGridHandle>();
+  page.render(<RangeEditTest ref={gridRef} />);
+
+  await selectRange();
+  await userEvent.keyboard('{Delete}');
+  await expect.element(getCellsAtRowIndex(0)[1]).toHaveTextContent('');
+  expect(gridRef.current!.getInvalidCells()).toStrictEqual([
+    { idx: 2, rowIdx: 0, error: 'City is required' },
+    { idx: 2, rowIdx: 2, error: 'City is required' }
+  ]);
+
+  await userEvent.dblClick(getCellsAtRowIndex(0)[2]);
+  await userEvent.keyboard('{Control>}a{/Control}Paris{enter}');
+  await expect.element(getCellsAtRowIndex(0)[2]).toHaveTextContent('Paris');
+  expect(gridRef.current!.getInvalidCells()).toStrictEqual([
+    { idx: 2, rowIdx: 2, error: 'City is required' }
+  ]);
+});
+
+test('ctrl+a and backspace in a filter input do not clear the cells', async () => {
+  const onRowsChange = vi.fn();
+  page.render(<RangeEditTest onRowsChange={onRowsChange} enableFilterRow />);
+
+  const filterInput = page.getByRole('textbox', { name: 'Filter Name' });
+  await userEvent.type(filterInput, 'Ada');
+  await userEvent.keyboard('{Control>}a{/Control}{Backspace}');
+  await expect.element(filterInput).toHaveValue('');
+  expect(onRowsChange).not.toHaveBeenCalled();
+  expect(getCellsAtRowIndex(0)[1]).toHaveTextContent('Ada');
+});
@@ -0,0 +1,88 @@
+import { userEvent } from '@vitest/browser/context';
+
+import type { CellsRange, Column } from '../../src';
+import { getCellsAtRowIndex, getGrid, setup } from './utils';
+
+interface Row {
+  id: number;
+  name: string | null;
+  country: string;
+}
+
+const columns: readonly Column<Row>[] = [
+  { key: 'id', name: 'ID' },
+  { key: 'name', name: 'Name' },
+  { key: 'country', name: 'Country' }
+];
+
+const rows: readonly Row[] = Array.from({ length: 100 }, (_, id) => ({
+  id,
+  name: id >= 3 && id < 6 ? null : `Name ${id}`,
+  country: 'France'
+}));
+
+function setupGrid(onSelectedRangeChange: (selectedRange: CellsRange) => void) {
+  setup({ columns, rows, enableRangeSelection: true, onSelectedRangeChange });
+}
+
+function range(
+  startRowIdx: number,
+  startColumnIdx: number,
+  endRowIdx: number,
+  endColumnIdx: number
+) {
+  return { startRowIdx, startColumnIdx, endRowIdx, endColumnIdx };
+}
+
+test('should extend the range to the data edges with ctrl+shift+arrow', async () => {
+  const onSelectedRangeChange = vi.fn();
+  setupGrid(onSelectedRangeChange);
+  await userEvent.click(getCellsAtRowIndex(0)[1]);
+
+  await userEvent.keyboard('{Control>}{Shift>}{arrowdown}{/Shift}{/Control}');
+  expect(onSelectedRangeChange).toHaveBeenLastCalledWith(range(0, 1, 2, 1));
+
+  await userEvent.keyboard('{Control>}{Shift>}{arrowdown}{/Shift}{/Control}');
+  expect(onSelectedRangeChange).toHaveBeenLastCalledWith(range(0, 1, 6, 1));
+
+  await userEvent.keyboard('{Control>}{Shift>}{arrowright}{/Shift}{/Control}');
+  expect(onSelectedRangeChange).toHaveBeenLastCalledWith(range(0, 1, 6, 2));
+
+  await userEvent.keyboard('{Control>}{Shift>}{arrowup}{/Shift}{/Control}');
+  expect(onSelectedRangeChange).toHaveBeenLastCalledWith(range(0, 1, 0, 2));
+});
+
+test('should extend the range to the row ends with shift+home/end', async () => {
+  const onSelectedRangeChange = vi.fn();
+  setupGrid(onSelectedRangeChange);
+  await userEvent.click(getCellsAtRowIndex(1)[1]);
+
+  await userEvent.keyboard('{Shift>}{end}{/Shift}');
+  expect(onSelectedRangeChange).toHaveBeenLastCalledWith(range(1, 1, 1, 2));
+
+  await userEvent.keyboard('{Shift>}{home}{/Shift}');
+  expect(onSelectedRangeChange).toHaveBeenLastCalledWith(range(1, 1, 1, 0));
+
+  await userEvent.keyboard('{Control>}{Shift>}{end}{/Shift}{/Control}');
+  expect(onSelectedRangeChange).toHaveBeenLastCalledWith(range(1, 1, 99, 2));
+  await expect.poll(() => getGrid().element().scrollTop).toBeGreaterThan(0);
+});
+
+test('should extend the range page-wise with shift+pageup/pagedown', async () => {
+  const onSelectedRangeChange = vi.fn();
+  setupGrid(onSelectedRangeChange);
+  await userEvent.click(getCellsAtRowIndex(0)[0]);
+
+  await userEvent.keyboard('{Shift>}{PageDown}{/Shift}');
+  const { endRowIdx } = onSelectedRangeChange.mock.lastCall![0] as CellsRange;
+  expect(endRowIdx).toBeGreaterThan(20);
+
+  await userEvent.keyboard('{Shift>}{PageDown}{/Shift}');
+  expect(onSelectedRangeChange).toHaveBeenLastCalledWith(
+    expect.objectContaining({ endRowIdx: expect.toSatisfy((rowIdx) => rowIdx > endRowIdx) })
+  );
+  await expect.poll(() => getGrid().element().scrollTop).toBeGreaterThan(0);
+
+  await userEvent.keyboard('{Shift>}{PageUp}{PageUp}{PageUp}{/Shift}');
+  expect(onSelectedRangeChange).toHaveBeenLastCalledWith(range(0, 0, 0, 0));
+});
@@ -0,0 +1,112 @@
+import { userEvent } from '@vitest/browser/context';
+
+import { textEditor } from '../../src';
+import type { Column } from '../../src';
+import { getCellsAtRowIndex, setup } from './utils';
+
+interface Row {
+  id: number;
+  name: string;
+  country: string;
+}
+
+const columns: readonly Column<Row>[] = [
+  { key: 'id', name: 'ID', frozen: true },
+  { key: 'name', name: 'Name', renderEditCell: textEditor },
+  { key: 'country', name: 'Country' }
+];
+
+const rows: readonly Row[] = Array.from({ length: 1000 }, (_, id) => ({
+  id,
+  name: `Name ${id}`,
+  country: 'France'
+}));
+
+function setupGrid() {
+  setup({ columns, rows, enableRangeSelection: true, onFill: ({ targetRow }) => targetRow });
+}
+
+function getOverlays(className = 'rdg-range-overlay') {
+  return Array.from(document.querySelectorAll<HTMLDivElement>(`.${className}`));
+}
+
+function copy() {
+  document.activeElement!.dispatchEvent(
+    new ClipboardEvent('copy', {
+      clipboardData: new DataTransfer(),
+      bubbles: true,
+      cancelable: true
+    })
+  );
+}
+
+test('should draw a single border around the selected range', async () => {
+  setupGrid();
+  await userEvent.click(getCellsAtRowIndex(0)[1]);
+  await userEvent.keyboard('{Shift>}{arrowdown}{arrowdown}{arrowright}{/Shift}');
+
+  const overlays = getOverlays();
+  expect(overlays).toHaveLength(1);
+  // the first grid row is the header row
+  expect(overlays[0]).toHaveStyle({ gridArea: '2 / 2 / 5 / 4' });
+
+  const cells = getCellsAtRowIndex(1);
+  expect(cells[0]).not.toHaveClass('rdg-cell-range-selected');
+  expect(cells[1]).toHaveClass('rdg-cell-range-selected');
+  expect(getCellsAtRowIndex(0)[1]).toHaveClass('rdg-cell-range-active');
+});
+
+test('should split the border of a range spanning frozen columns', async () => {
+  setupGrid();
+  await userEvent.click(getCellsAtRowIndex(0)[0]);
+  await userEvent.keyboard('{Shift>}{arrowright}{/Shift}');
+
+  const [frozenOverlay, overlay] = getOverlays();
+  expect(frozenOverlay).toHaveStyle({ gridColumn: '1 / 2', position: 'sticky' });
+  expect(overlay).toHaveStyle({ gridColumn: '2 / 3' });
+  expect(frozenOverlay).toHaveStyle({ borderInlineEndWidth: '0px' });
+  expect(overlay).toHaveStyle({ borderInlineStartWidth: '0px' });
+});
+
+test('should draw the border of rows that are not rendered', async () => {
+  setupGrid();
+  await userEvent.click(getCellsAtRowIndex(0)[1]);
+  await userEvent.keyboard('{Control>}{Shift>}{arrowdown}{/Shift}{/Control}');
+
+  expect(getOverlays()[0]).toHaveStyle({ gridRow: '2 / 1002' });
+  // the first rows are no longer rendered after scrolling to the end of the range
+  await expect.poll(() => getCellsAtRowIndex(0)).toHaveLength(0);
+  expect(getOverlays()[0]).toHaveStyle({ gridRow: '2 / 1002' });
+});
+
+test('should outline the copied range until escape is pressed', async () => {
+  setupGrid();
+  await userEvent.click(getCellsAtRowIndex(0)[1]);
+  await userEvent.keyboard('{Shift>}{arrowdown}{/Shift}');
+  expect(getOverlays('rdg-range-overlay-copied')).toHaveLength(0);
+
+  copy();
+  await expect.poll(() => getOverlays('rdg-range-overlay-copied')).toHaveLength(1);
+  expect(getOverlays('rdg-range-overlay-copied')[0]).toHaveStyle({ gridArea: '2 / 2 / 4 / 3' });
+
+  // the copied range stays outlined when another range is selected
+  await userEvent.click(getCellsAtRowIndex(3)[2]);
+  expect(getOverlays('rdg-range-overlay-copied')).toHaveLength(1);
+
+  await userEvent.keyboard('{escape}');
+  expect(getOverlays('rdg-range-overlay-copied')).toHaveLength(0);
+});
+
+test('should anchor the drag handle at the corner of the range', async () => {
+  setupGrid();
+  const getDragHandle = () => document.querySelector('.rdg-cell-drag-handle');
+  await userEvent.click(getCellsAtRowIndex(0)[1]);
+  expect(getDragHandle()).toHaveStyle({ gridRowStart: '2' });
+
+  await userEvent.keyboard('{Shift>}{arrowdown}{arrowdown}{/Shift}');
+  expect(getDragHandle()).toHaveStyle({ gridRowStart: '4', gridColumnStart: '2' });
+
+  // the handle is not rendered when the corner cell is not editable
+  await userEvent.keyboard('{Shift>}{arrowright}{/Shift}');
+  expect(getDragHandle()).not.toBeInTheDocument();
+});
@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { page, userEvent } from '@vitest/browser/context';
+
+import { DataGrid, sortRows, useSortedRows } from '../../src';
+import type { Column, SortColumn } from '../../src';
+
+interface Row {
+  id: number;
+  name: string;
+  country: string | null;
+  priority: 'low' | 'medium' | 'high';
+}
+
+const priorities = ['low', 'medium', 'high'];
+
+const columns: readonly Column<Row>[] = [
+  { key: 'id', name: 'ID' },
+  { key: 'name', name: 'Name' },
+  { key: 'country', name: 'Country' },
+  {
+    key: 'priority',
+    name: 'Priority',
+    comparator: (a, b) => priorities.indexOf(a.priority) - priorities.indexOf(b.priority)
+  }
+];
+
+const rows: readonly Row[] = [
+  { id: 1, name: 'item 10', country: 'France', priority: 'medium' },
+  { id: 2, name: 'Item 2', country: null, priority: 'high' },
+  { id: 3, name: 'item 1', country: 'Spain', priority: 'low' },
+  { id: 4, name: 'Item 2', country: 'Spain', priority: 'medium' }
+];
+
+function getIds(sortedRows: readonly Row[]) {
+  return sortedRows.map((row) => row.id);
+}
+
+function SortTest() {
+  const [sortColumns, setSortColumns] = useState<readonly SortColumn[]>([]);
+  const sortedRows = useSortedRows({ rows, columns, sortColumns });
+
+  return (
+    <DataGrid
+      columns={columns}
+      rows={sortedRows}
+      defaultColumnOptions={{ sortable: true }}
+      sortColumns={sortColumns}
+      onSortColumnsChange={setSortColumns}
+    />
+  );
+}
+
+function getRenderedIds() {
+  return Array.from(document.querySelectorAll('.rdg-row > [aria-colindex="1"]'), (cell) => {
+    return cell.textContent;
+  });
+}
+
+test('useSortedRows should sort the rows when a header is clicked', async () => {
+  page.render(<SortTest />);
+  const nameHeader = page.getByRole('columnheader', { name: 'Name' });
+  expect(getRenderedIds()).toStrictEqual(['1', '2', '3', '4']);
+
+  await userEvent.click(nameHeader);
+  await expect.poll(getRenderedIds).toStrictEqual(['3', '2', '4', '1']);
+
+  await userEvent.click(nameHeader);
+  await expect.poll(getRenderedIds).toStrictEqual(['1', '2', '4', '3']);
+
+  await userEvent.click(nameHeader);
+  await expect.poll(getRenderedIds).toStrictEqual(['1', '2', '3', '4']);
+});
+
+test('sortRows should sort on multiple columns with stable ordering', () => {
+  expect(sortRows(rows, columns, [])).toBe(rows);
+  // numbers in strings are compared numerically and the case is ignored
+  expect(getIds(sortRows(rows, columns, [{ columnKey: 'name', direction: 'ASC' }]))).toStrictEqual([
+    3, 2, 4, 1
+  ]);
+  expect(
+    getIds(
+      sortRows(rows, columns, [
+        { columnKey: 'name', direction: 'ASC' },
+        { columnKey: 'id', direction: 'DESC' }
+      ])
+    )
+  ).toStrictEqual([3, 4, 2, 1]);
+  expect(
+    getIds(
+      sortRows(rows, columns, [
+        { columnKey: 'priority', direction: 'DESC' },
+        { columnKey: 'unknown', direction: 'ASC' }
+      ])
+    )
+  ).toStrictEqual([2, 1, 4, 3]);
+});
+
+test('sortRows should place the null values', () => {
+  const sortColumns: readonly SortColumn[] = [{ columnKey: 'country', direction: 'DESC' }];
+  expect(getIds(sortRows(rows, columns, sortColumns))).toStrictEqual([3, 4, 1, 2]);
+  expect(getIds(sortRows(rows, columns, sortColumns, { nullsPosition: 'first' }))).toStrictEqual([
+    2, 3, 4, 1
+  ]);
+});
+
+test('sortRows should use the collator', () => {
+  const collator = new Intl.Collator('en', { caseFirst: 'upper' });
+  expect(
+    getIds(sortRows(rows, columns, [{ columnKey: 'name', direction: 'ASC' }], { collator }))
+  ).toStrictEqual([3, 1, 2, 4]);
+});
+
+test('sortRows should sort the grouped columns first', () => {
+  const sortColumns: readonly SortColumn[] = [{ columnKey: 'id', direction: 'DESC' }];
+  const groupBy = ['country'];
+  // the grouped columns are sorted in ascending order unless they are sorted
+  expect(getIds(sortRows(rows, columns, sortColumns, { groupBy }))).toStrictEqual([1, 4, 3, 2]);
+  expect(
+    getIds(
+      sortRows(rows, columns, [...sortColumns, { columnKey: 'country', direction: 'DESC' }], {
+        groupBy
+      })
+    )
+  ).toStrictEqual([4, 3, 1, 2]);
+});
@@ -2,6 +2,7 @@ import { useState } from 'react';
 import { page, userEvent } from '@vitest/browser/context';
 
 import { DataGrid } from '../../src';
+import type { DataGridProps } from '../../src';
 import type { Column, SortColumn } from '../../src/types';
 import { getHeaderCells } from './utils';
 
@@ -9,10 +10,12 @@ const columns: readonly Column<never>[] = [
   { key: 'colA', name: 'colA' },
   { key: 'colB', name: 'colB', sortDescendingFirst: true },
   { key: 'colC', name: 'colC' },
-  { key: 'colD', name: 'colD', sortable: false }
+  { key: 'colD', name: 'colD', sortable: false },
+  { key: 'colE', name: 'colE', sortCycle: ['ASC', 'DESC'] },
+  { key: 'colF', name: 'colF', sortCycle: ['DESC', null] }
 ];
 
-function TestGrid() {
+function TestGrid(props: Partial<DataGridProps<never>>) {
   const [sortColumns, setSortColumns] = useState<readonly SortColumn[]>([]);
 
   return (
@@ -23,14 +26,15 @@ function TestGrid() {
         defaultColumnOptions={{ sortable: true }}
         sortColumns={sortColumns}
         onSortColumnsChange={setSortColumns}
+        {...props}
       />
       <div data-testid="sortColumnsValue">{JSON.stringify(sortColumns)}</div>
     </>
   );
 }
 
-function setup() {
-  page.render(<TestGrid />);
+function setup(props?: Partial<DataGridProps<never>>) {
+  page.render(<TestGrid {...props} />);
 }
 
 function testSortColumns(expectedValue: readonly SortColumn[]) {
@@ -127,3 +131,85 @@ test('multi column sort with keyboard', async () => {
     { columnKey: 'colB', direction: 'DESC' }
   ]);
 });
+
+test('should follow the sort cycle of the column', async () => {
+  setup();
+  const headerCells = getHeaderCells();
+  const headerCell5 = headerCells[4];
+  const headerCell6 = headerCells[5];
+
+  await userEvent.click(headerCell5);
+  await testSortColumns([{ columnKey: 'colE', direction: 'ASC' }]);
+  await userEvent.click(headerCell5);
+  await testSortColumns([{ columnKey: 'colE', direction: 'DESC' }]);
+  // the column is never unsorted
+  await userEvent.click(headerCell5);
+  await testSortColumns([{ columnKey: 'colE', direction: 'ASC' }]);
+
+  await userEvent.click(headerCell6);
+  await testSortColumns([{ columnKey: 'colF', direction: 'DESC' }]);
+  await userEvent.click(headerCell6);
+  await testSortColumns([]);
+});
+
+test('should apply the sort cycle from defaultColumnOptions', async () => {
+  setup({ defaultColumnOptions: { sortable: true, sortCycle: ['DESC', 'ASC'] } });
+  const headerCell = getHeaderCells()[0];
+  await userEvent.click(headerCell);
+  await testSortColumns([{ columnKey: 'colA', direction: 'DESC' }]);
+  await userEvent.click(headerCell);
+  await userEvent.click(headerCell);
+  await testSortColumns([{ columnKey: 'colA', direction: 'DESC' }]);
+});
+
+test('should limit the number of sort columns', async () => {
+  setup({ maxSortColumns: 2 });
+  const [headerCell1, headerCell2, headerCell3] = getHeaderCells();
+  await userEvent.click(headerCell1);
+  await userEvent.keyboard('{Control>}');
+  await userEvent.click(headerCell2);
+  await userEvent.click(headerCell3);
+  // the oldest sort column is removed
+  await testSortColumns([
+    { columnKey: 'colB', direction: 'DESC' },
+    { columnKey: 'colC', direction: 'ASC' }
+  ]);
+});
+
+test('multi column sort with shift', async () => {
+  setup({ multiSortKey: 'shift' });
+  const [headerCell1, headerCell2] = getHeaderCells();
+  await userEvent.click(headerCell1);
+  await userEvent.keyboard('{Control>}');
+  await userEvent.click(headerCell2);
+  await testSortColumns([{ columnKey: 'colB', direction: 'DESC' }]);
+
+  await userEvent.keyboard('{/Control}{Shift>}');
+  await userEvent.click(headerCell1);
+  await testSortColumns([
+    { columnKey: 'colB', direction: 'DESC' },
+    { columnKey: 'colA', direction: 'ASC' }
+  ]);
+});
+
+test('should clear the sort columns with the keyboard', async () => {
+  setup();
+  const [headerCell1, headerCell2] = getHeaderCells();
+  await userEvent.click(headerCell1);
+  await userEvent.keyboard('{Control>}');
+  await userEvent.click(headerCell2);
+  await testSortColumns([
+    { columnKey: 'colA', direction: 'ASC' },
+    { columnKey: 'colB', direction: 'DESC' }
+  ]);
+
+  await userEvent.keyboard('{Backspace}');
+  await testSortColumns([]);
+
+  // the header cells of the columns that are not sortable do not clear the sort columns
+  await userEvent.click(headerCell1);
+  await testSortColumns([{ columnKey: 'colA', direction: 'ASC' }]);
+  await userEvent.click(getHeaderCells()[3]);
+  await userEvent.keyboard('{Backspace}{/Control}');
+  await testSortColumns([{ columnKey: 'colA', direction: 'ASC' }]);
+});
@@ -0,0 +1,119 @@
+import { useRef, useState } from 'react';
+import { page, userEvent } from '@vitest/browser/context';
+
+import { DataGrid, textEditor } from '../../src';
+import type { Column, DataGridHandle } from '../../src';
+import { getCellsAtRowIndex } from './utils';
+
+interface Row {
+  id: number;
+  name: string;
+}
+
+const columns: readonly Column<Row>[] = [
+  { key: 'id', name: 'ID' },
+  { key: 'name', name: 'Name', renderEditCell: textEditor }
+];
+
+const initialRows: readonly Row[] = [
+  { id: 1, name: 'Alpha' },
+  { id: 2, name: 'Beta' },
+  { id: 3, name: 'Gamma' }
+];
+
+function Test({
+  enableUndoRedo = true,
+  cloneRows = false
+}: {
+  enableUndoRedo?: boolean;
+  cloneRows?: boolean;
+}) {
+  const [rows, setRows] = useState(initialRows);
+  const gridRef = useRef<DataGridHandle>(null);
+
+  return (
+    <>
+      <button type="button" onClick={() => gridRef.current!.undo()}>
+        Undo
+      </button>
+      <DataGrid
+        ref={gridRef}
+        columns={columns}
+        rows={rows}
+        rowKeyGetter={cloneRows ? (row) => row.id : undefined}
+        onRowsChange={(rows) => {
+          setRows(cloneRows ? rows.map((row) => ({ ...row })) : rows);
+        }}
+        enableRangeSelection
+        enableUndoRedo={enableUndoRedo}
+      />
+    </>
+  );
+}
+
+function paste(text: string) {
+  const clipboardData = new DataTransfer();
+  clipboardData.setData('text/plain', text);
+  document.activeElement!.dispatchEvent(
+    new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true })
+  );
+}
+
+async function editName(rowIdx: number, value: string) {
+  await userEvent.dblClick(getCellsAtRowIndex(rowIdx)[1]);
+  await userEvent.keyboard(`{Control>}a{/Control}${value}{enter}`);
+}
+
+test('should undo and redo an edit with the keyboard', async () => {
+  page.render(<Test />);
+  await editName(0, 'Delta');
+  await expect.element(getCellsAtRowIndex(0)[1]).toHaveTextContent('Delta');
+
+  await userEvent.keyboard('{Control>}z{/Control}');
+  await expect.element(getCellsAtRowIndex(0)[1]).toHaveTextContent('Alpha');
+
+  await userEvent.keyboard('{Control>}{Shift>}z{/Shift}{/Control}');
+  await expect.element(getCellsAtRowIndex(0)[1]).toHaveTextContent('Delta');
+
+  await userEvent.keyboard('{Control>}z{/Control}');
+  await userEvent.keyboard('{Control>}y{/Control}');
+  await expect.element(getCellsAtRowIndex(0)[1]).toHaveTextContent('Delta');
+});
+
+test('should undo a multi-cell paste in a single step', async () => {
+  page.render(<Test />);
+  await editName(2, 'Delta');
+  await userEvent.click(getCellsAtRowIndex(0)[1]);
+  paste('One\nTwo');
+  await expect.element(getCellsAtRowIndex(1)[1]).toHaveTextContent('Two');
+
+  await userEvent.keyboard('{Control>}z{/Control}');
+  await expect.element(getCellsAtRowIndex(0)[1]).toHaveTextContent('Alpha');
+  await expect.element(getCellsAtRowIndex(1)[1]).toHaveTextContent('Beta');
+  await expect.element(getCellsAtRowIndex(2)[1]).toHaveTextContent('Delta');
+});
+
+test('should undo with the grid handle', async () => {
+  page.render(<Test />);
+  await editName(1, 'Delta');
+  await userEvent.click(page.getByRole('button', { name: 'Undo' }));
+  await expect.element(getCellsAtRowIndex(1)[1]).toHaveTextContent('Beta');
+});
+
+test('should not undo when enableUndoRedo is not set', async () => {
+  page.render(<Test enableUndoRedo={false} />);
+  await editName(0, 'Delta');
+  await userEvent.keyboard('{Control>}z{/Control}');
+  await expect.element(getCellsAtRowIndex(0)[1]).toHaveTextContent('Delta');
+});
+
+test('should undo the changes of cloned rows by row key', async () => {
+  page.render(<Test cloneRows />);
+  await editName(0, 'Delta');
+  await expect.element(getCellsAtRowIndex(0)[1]).toHaveTextContent('Delta');
+
+  await userEvent.keyboard('{Control>}z{/Control}');
+  await expect.element(getCellsAtRowIndex(0)[1]).toHaveTextContent('Alpha');
+  await userEvent.keyboard('{Control>}y{/Control}');
+  await expect.element(getCellsAtRowIndex(0)[1]).toHaveTextContent('Delta');
+});
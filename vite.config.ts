@@ -42,6 +42,19 @@ const dragFill: BrowserCommand<[from: string, to: string]> = async (context, fro
   await page.mouse.up();
 };
 
+// TODO: remove when `userEvent.pointer` is supported
+const moveFreezeDivider: BrowserCommand<[to: string]> = async (context, to) => {
+  const page = context.page;
+  const frame = await context.frame();
+  await frame.locator('.rdg-freeze-divider').hover();
+  await page.mouse.down();
+  const toHeaderCell = frame.getByRole('columnheader', { name: to, exact: true });
+  const { x, y, width, height } = (await toHeaderCell.boundingBox())!;
+  // move the divider after the column
+  await page.mouse.move(x + width - 5, y + height / 2, { steps: 5 });
+  await page.mouse.up();
+};
+
 export default defineConfig(({ command }) => ({
   base: '/react-data-grid/',
   cacheDir: '.cache/vite',
@@ -101,7 +114,7 @@ export default defineConfig(({ command }) => ({
                 browser: 'chromium'
               }
             ],
-            commands: { resizeColumn, dragFill },
+            commands: { resizeColumn, dragFill, moveFreezeDivider },
             viewport: { width: 1920, height: 1080 },
             headless: true,
             screenshotFailures: process.env.CI !== 'true'
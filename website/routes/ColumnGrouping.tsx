@@ -1,6 +1,8 @@
+import { useState } from 'react';
 import { createFileRoute } from '@tanstack/react-router';
+import { css } from '@linaria/core';
 
-import { DataGrid } from '../../src';
+import { ColumnChooser, DataGrid } from '../../src';
 import type { ColumnOrColumnGroup } from '../../src';
 import { renderCoordinates } from '../renderers';
 import { useDirection } from '../directionContext';
@@ -93,23 +95,40 @@ const columns: readonly ColumnOrColumnGroup<number, number>[] = [
   }
 ];
 
+const columnChooserClassname = css`
+  margin-block-end: 8px;
+`;
+
 const rows: readonly number[] = Array.from({ length: 100 }, (_, i) => i);
 
 function ColumnGrouping() {
   const direction = useDirection();
+  const [hiddenColumnKeys, setHiddenColumnKeys] = useState((): ReadonlySet<string> => new Set());
 
   return (
-    <DataGrid
-      columns={columns}
-      rows={rows}
-      topSummaryRows={[0]}
-      bottomSummaryRows={[6]}
-      className="fill-grid"
-      direction={direction}
-      defaultColumnOptions={{
-        resizable: true,
-        renderCell: renderCoordinates
-      }}
-    />
+    <>
+      <details className={columnChooserClassname}>
+        <summary>Columns</summary>
+        <ColumnChooser
+          columns={columns}
+          hiddenColumnKeys={hiddenColumnKeys}
+          onHiddenColumnKeysChange={setHiddenColumnKeys}
+        />
+      </details>
+      <DataGrid
+        columns={columns}
+        rows={rows}
+        topSummaryRows={[0]}
+        bottomSummaryRows={[6]}
+        className="fill-grid"
+        direction={direction}
+        hiddenColumnKeys={hiddenColumnKeys}
+        onHiddenColumnKeysChange={setHiddenColumnKeys}
+        defaultColumnOptions={{
+          resizable: true,
+          renderCell: renderCoordinates
+        }}
+      />
+    </>
   );
 }
@@ -69,22 +69,17 @@ const columns: Column<Row>[] = [
   }
 ];
 
-const initialColumnsOrder: readonly number[] = columns.map((_, index) => index);
-
 function ColumnsReordering() {
   const direction = useDirection();
   const [rows] = useState(createRows);
-  const [columnsOrder, setColumnsOrder] = useState(initialColumnsOrder);
+  const [columnOrder, setColumnOrder] = useState((): readonly string[] => []);
+  const [frozenColumnKeys, setFrozenColumnKeys] = useState((): ReadonlySet<string> => new Set());
   const [sortColumns, setSortColumns] = useState<readonly SortColumn[]>([]);
   const onSortColumnsChange = useCallback((sortColumns: SortColumn[]) => {
     setSortColumns(sortColumns.slice(-1));
   }, []);
   const [columnWidths, setColumnWidths] = useState((): ColumnWidths => new Map());
 
-  const reorderedColumns = useMemo(() => {
-    return columnsOrder.map((index) => columns[index]);
-  }, [columnsOrder]);
-
   const sortedRows = useMemo((): readonly Row[] => {
     if (sortColumns.length === 0) return rows;
     const { columnKey, direction } = sortColumns[0];
@@ -105,23 +100,9 @@ function ColumnsReordering() {
     return direction === 'DESC' ? sortedRows.reverse() : sortedRows;
   }, [rows, sortColumns]);
 
-  function onColumnsReorder(sourceKey: string, targetKey: string) {
-    setColumnsOrder((columnsOrder) => {
-      const sourceColumnOrderIndex = columnsOrder.findIndex(
-        (index) => columns[index].key === sourceKey
-      );
-      const targetColumnOrderIndex = columnsOrder.findIndex(
-        (index) => columns[index].key === targetKey
-      );
-      const sourceColumnOrder = columnsOrder[sourceColumnOrderIndex];
-      const newColumnsOrder = columnsOrder.toSpliced(sourceColumnOrderIndex, 1);
-      newColumnsOrder.splice(targetColumnOrderIndex, 0, sourceColumnOrder);
-      return newColumnsOrder;
-    });
-  }
-
   function resetOrderAndWidths() {
-    setColumnsOrder(initialColumnsOrder);
+    setColumnOrder([]);
+    setFrozenColumnKeys(new Set());
     setColumnWidths(new Map());
   }
 
@@ -138,13 +119,17 @@ function ColumnsReordering() {
         Reset Columns
       </button>
       <DataGrid
-        columns={reorderedColumns}
+        columns={columns}
         rows={sortedRows}
         sortColumns={sortColumns}
         onSortColumnsChange={onSortColumnsChange}
         direction={direction}
         defaultColumnOptions={{ width: '1fr' }}
-        onColumnsReorder={onColumnsReorder}
+        columnOrder={columnOrder}
+        onColumnOrderChange={setColumnOrder}
+        frozenColumnKeys={frozenColumnKeys}
+        onFrozenColumnKeysChange={setFrozenColumnKeys}
+        enableFreezeDivider
         columnWidths={columnWidths}
         onColumnWidthsChange={setColumnWidths}
       />
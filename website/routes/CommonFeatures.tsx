@@ -9,6 +9,7 @@ import {
   SelectCellFormatter,
   SelectColumn,
   textEditor,
+  useSortedRows,
   type Column,
   type DataGridHandle,
   type SortColumn
@@ -225,6 +226,7 @@ function getColumns(
     {
       key: 'available',
       name: 'Available',
+      frozen: 'end',
       renderCell({ row, onRowChange, tabIndex }) {
         return (
           <SelectCellFormatter
@@ -282,39 +284,6 @@ function createRows(): readonly Row[] {
   return rows;
 }
 
-type Comparator = (a: Row, b: Row) => number;
-
-function getComparator(sortColumn: string): Comparator {
-  switch (sortColumn) {
-    case 'assignee':
-    case 'title':
-    case 'client':
-    case 'area':
-    case 'country':
-    case 'contact':
-    case 'transaction':
-    case 'account':
-    case 'version':
-      return (a, b) => {
-        return a[sortColumn].localeCompare(b[sortColumn]);
-      };
-    case 'available':
-      return (a, b) => {
-        return a[sortColumn] === b[sortColumn] ? 0 : a[sortColumn] ? 1 : -1;
-      };
-    case 'id':
-    case 'progress':
-    case 'startTimestamp':
-    case 'endTimestamp':
-    case 'budget':
-      return (a, b) => {
-        return a[sortColumn] - b[sortColumn];
-      };
-    default:
-      throw new Error(`unsupported sortColumn: "${sortColumn}"`);
-  }
-}
-
 function CommonFeatures() {
   const direction = useDirection();
   const [rows, setRows] = useState(createRows);
@@ -334,20 +303,7 @@ function CommonFeatures() {
     ];
   }, [rows]);
 
-  const sortedRows = useMemo((): readonly Row[] => {
-    if (sortColumns.length === 0) return rows;
-
-    return [...rows].sort((a, b) => {
-      for (const sort of sortColumns) {
-        const comparator = getComparator(sort.columnKey);
-        const compResult = comparator(a, b);
-        if (compResult !== 0) {
-          return sort.direction === 'ASC' ? compResult : -compResult;
-        }
-      }
-      return 0;
-    });
-  }, [rows, sortColumns]);
+  const sortedRows = useSortedRows({ rows, columns, sortColumns });
 
   function handleExportToCsv() {
     flushSync(() => {
@@ -402,6 +358,7 @@ function CommonFeatures() {
         className="fill-grid"
         direction={direction}
         enableVirtualization={!isExporting}
+        enableHeaderMenu
       />
     </>
   );
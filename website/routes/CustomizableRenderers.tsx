@@ -1,8 +1,8 @@
-import { useMemo, useState } from 'react';
+import { useState } from 'react';
 import { createFileRoute } from '@tanstack/react-router';
 import { css } from '@linaria/core';
 
-import { DataGrid, SelectColumn, textEditor } from '../../src';
+import { DataGrid, SelectColumn, textEditor, useSortedRows } from '../../src';
 import type { Column, RenderCheckboxProps, RenderSortStatusProps, SortColumn } from '../../src';
 import { useDirection } from '../directionContext';
 
@@ -89,20 +89,7 @@ function CustomizableRenderers() {
   const [sortColumns, setSortColumns] = useState<readonly SortColumn[]>([]);
   const [selectedRows, setSelectedRows] = useState((): ReadonlySet<number> => new Set());
 
-  const sortedRows = useMemo((): readonly Row[] => {
-    if (sortColumns.length === 0) return rows;
-
-    return [...rows].sort((a, b) => {
-      for (const sort of sortColumns) {
-        const comparator = getComparator(sort.columnKey);
-        const compResult = comparator(a, b);
-        if (compResult !== 0) {
-          return sort.direction === 'ASC' ? compResult : -compResult;
-        }
-      }
-      return 0;
-    });
-  }, [rows, sortColumns]);
+  const sortedRows = useSortedRows({ rows, columns, sortColumns });
 
   return (
     <DataGrid
@@ -152,22 +139,3 @@ function renderSortStatus({ sortDirection, priority }: RenderSortStatusProps) {
 function rowKeyGetter(row: Row) {
   return row.id;
 }
-
-type Comparator = (a: Row, b: Row) => number;
-
-function getComparator(sortColumn: string): Comparator {
-  switch (sortColumn) {
-    case 'task':
-    case 'priority':
-    case 'issueType':
-      return (a, b) => {
-        return a[sortColumn].localeCompare(b[sortColumn]);
-      };
-    case 'complete':
-      return (a, b) => {
-        return a[sortColumn] - b[sortColumn];
-      };
-    default:
-      throw new Error(`unsupported sortColumn: "${sortColumn}"`);
-  }
-}
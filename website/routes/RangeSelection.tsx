@@ -6,15 +6,18 @@ import { css } from '@linaria/core';
 
 import {
   DataGrid,
+  RowNumberColumn,
   SelectCellFormatter,
   SelectColumn,
   textEditor,
+  useSortedRows,
   type Column,
   type DataGridHandle,
+  type FillEvent,
   type SortColumn
 } from '../../src';
 import { textEditorClassname } from '../../src/editors/textEditor';
-import type { Direction, MultiCopyEvent, MultiPasteEvent } from '../../src/types';
+import type { Direction } from '../../src/types';
 import { useDirection } from '../directionContext';
 import { exportToCsv, exportToPdf } from '../exportUtils';
 
@@ -88,6 +91,7 @@ function getColumns(
 ): readonly Column<Row, SummaryRow>[] {
   return [
     SelectColumn,
+    RowNumberColumn,
     {
       key: 'id',
       name: 'ID',
@@ -147,6 +151,10 @@ function getColumns(
     {
       key: 'progress',
       name: 'Completion',
+      parseValue(value, row) {
+        const progress = Number.parseFloat(value);
+        return Number.isNaN(progress) ? row.progress : Math.min(100, Math.max(0, progress));
+      },
       renderCell(props) {
         const value = props.row.progress;
         return (
@@ -197,6 +205,9 @@ function getColumns(
       name: 'Start date',
       renderCell(props) {
         return dateFormatter.format(props.row.startTimestamp);
+      },
+      copyValue(row) {
+        return dateFormatter.format(row.startTimestamp);
       }
     },
     {
@@ -204,6 +215,9 @@ function getColumns(
       name: 'Deadline',
       renderCell(props) {
         return dateFormatter.format(props.row.endTimestamp);
+      },
+      copyValue(row) {
+        return dateFormatter.format(row.endTimestamp);
       }
     },
     {
@@ -286,39 +300,6 @@ function createRows(): readonly Row[] {
   return rows;
 }
 
-type Comparator = (a: Row, b: Row) => number;
-
-function getComparator(sortColumn: string): Comparator {
-  switch (sortColumn) {
-    case 'assignee':
-    case 'title':
-    case 'client':
-    case 'area':
-    case 'country':
-    case 'contact':
-    case 'transaction':
-    case 'account':
-    case 'version':
-      return (a, b) => {
-        return a[sortColumn].localeCompare(b[sortColumn]);
-      };
-    case 'available':
-      return (a, b) => {
-        return a[sortColumn] === b[sortColumn] ? 0 : a[sortColumn] ? 1 : -1;
-      };
-    case 'id':
-    case 'progress':
-    case 'startTimestamp':
-    case 'endTimestamp':
-    case 'budget':
-      return (a, b) => {
-        return a[sortColumn] - b[sortColumn];
-      };
-    default:
-      throw new Error(`unsupported sortColumn: "${sortColumn}"`);
-  }
-}
-
 function RangeSelection() {
   const direction = useDirection();
   const [rows, setRows] = useState(createRows);
@@ -338,20 +319,7 @@ function RangeSelection() {
     ];
   }, [rows]);
 
-  const sortedRows = useMemo((): readonly Row[] => {
-    if (sortColumns.length === 0) return rows;
-
-    return [...rows].sort((a, b) => {
-      for (const sort of sortColumns) {
-        const comparator = getComparator(sort.columnKey);
-        const compResult = comparator(a, b);
-        if (compResult !== 0) {
-          return sort.direction === 'ASC' ? compResult : -compResult;
-        }
-      }
-      return 0;
-    });
-  }, [rows, sortColumns]);
+  const sortedRows = useSortedRows({ rows, columns, sortColumns });
 
   function handleExportToCsv() {
     flushSync(() => {
@@ -365,6 +333,10 @@ function RangeSelection() {
     });
   }
 
+  function handleFill({ columnKey, targetRow, value }: FillEvent<Row>): Row {
+    return { ...targetRow, [columnKey]: value };
+  }
+
   async function handleExportToPdf() {
     flushSync(() => {
       setIsExporting(true);
@@ -377,58 +349,6 @@ function RangeSelection() {
     });
   }
 
-  function getRangeSize(start: number, end: number) {
-    return Math.abs(start - end);
-  }
-
-  function handleMultiCopy({ sourceRows, sourceColumnKeys }: MultiCopyEvent<Row>): void {
-    if (window.isSecureContext) {
-      const rows: any[] = [];
-      for (const row of sourceRows) {
-        rows.push(sourceColumnKeys.map((c) => (row as any)[c]).join('\t'));
-      }
-      navigator.clipboard.writeText(rows.join('\n'));
-    }
-  }
-
-  function handleMultiPaste(pasteEvent: MultiPasteEvent) {
-    const sourceRange = pasteEvent.copiedRange;
-    const destinationRange = pasteEvent.targetRange;
-    if (
-      getRangeSize(sourceRange.endRowIdx, sourceRange.startRowIdx) !==
-        getRangeSize(destinationRange.endRowIdx, destinationRange.startRowIdx) ||
-      getRangeSize(sourceRange.startColumnIdx, sourceRange.endColumnIdx) !==
-        getRangeSize(destinationRange.startColumnIdx, destinationRange.endColumnIdx)
-    ) {
-      return;
-    }
-
-    const newRows = [...rows] as any[];
-    const sourceStartRow = Math.min(sourceRange.startRowIdx, sourceRange.endRowIdx);
-    const sourceStartCol = Math.min(sourceRange.startColumnIdx, sourceRange.endColumnIdx);
-    const destinationStartRow = Math.min(destinationRange.startRowIdx, destinationRange.endRowIdx);
-    const destinationStartCol = Math.min(
-      destinationRange.startColumnIdx,
-      destinationRange.endColumnIdx
-    );
-
-    for (let i = 0; i <= getRangeSize(sourceRange.startRowIdx, sourceRange.endRowIdx); i++) {
-      for (
-        let j = 0;
-        j <= getRangeSize(sourceRange.startColumnIdx, sourceRange.endColumnIdx);
-        j++
-      ) {
-        const sourceColumnKey = columns[sourceStartCol + j].key;
-        const destinationColumnKey = columns[destinationStartCol + j].key;
-        // @ts-ignore
-        newRows[destinationStartRow + i][destinationColumnKey] =
-          newRows[sourceStartRow + i][sourceColumnKey];
-      }
-    }
-
-    setRows(newRows);
-  }
-
   return (
     <>
       <div className={toolbarClassname}>
@@ -451,6 +371,7 @@ function RangeSelection() {
         selectedRows={selectedRows}
         onSelectedRowsChange={setSelectedRows}
         onRowsChange={setRows}
+        onFill={handleFill}
         sortColumns={sortColumns}
         onSortColumnsChange={setSortColumns}
         topSummaryRows={summaryRows}
@@ -459,8 +380,7 @@ function RangeSelection() {
         direction={direction}
         enableVirtualization={!isExporting}
         enableRangeSelection
-        onMultiCopy={handleMultiCopy}
-        onMultiPaste={handleMultiPaste}
+        enableUndoRedo
       />
     </>
   );
@@ -3,8 +3,8 @@ import { faker } from '@faker-js/faker';
 import { createFileRoute } from '@tanstack/react-router';
 import { css } from '@linaria/core';
 
-import { SelectColumn, TreeDataGrid } from '../../src';
-import type { Column } from '../../src';
+import { SelectColumn, TreeDataGrid, useSortedRows } from '../../src';
+import type { Column, SortColumn } from '../../src';
 import { useDirection } from '../directionContext';
 
 export const Route = createFileRoute('/RowGrouping')({
@@ -115,6 +115,9 @@ const columns: readonly Column<Row>[] = [
     renderCell({ row }) {
       return row.gold + row.silver + row.bronze;
     },
+    comparator(a, b) {
+      return a.gold + a.silver + a.bronze - (b.gold + b.silver + b.bronze);
+    },
     renderGroupCell({ childRows }) {
       return childRows.reduce((prev, row) => prev + row.gold + row.silver + row.bronze, 0);
     }
@@ -140,7 +143,7 @@ function createRows(): readonly Row[] {
     });
   }
 
-  return rows.sort((r1, r2) => r2.country.localeCompare(r1.country));
+  return rows;
 }
 
 const options = ['country', 'year', 'sport', 'athlete'] as const;
@@ -153,6 +156,9 @@ function RowGrouping() {
     options[0],
     options[1]
   ]);
+  const [sortColumns, setSortColumns] = useState<readonly SortColumn[]>([]);
+  // the groups are sorted by the grouped columns, and the rows within each group by the sorted columns
+  const sortedRows = useSortedRows({ rows, columns, sortColumns, groupBy: selectedOptions });
   const [expandedGroupIds, setExpandedGroupIds] = useState(
     (): ReadonlySet<unknown> =>
       new Set<unknown>(['United States of America', 'United States of America__2015'])
@@ -192,7 +198,7 @@ function RowGrouping() {
 
       <TreeDataGrid
         columns={columns}
-        rows={rows}
+        rows={sortedRows}
         rowKeyGetter={rowKeyGetter}
         selectedRows={selectedRows}
         onSelectedRowsChange={setSelectedRows}
@@ -200,7 +206,9 @@ function RowGrouping() {
         rowGrouper={rowGrouper}
         expandedGroupIds={expandedGroupIds}
         onExpandedGroupIdsChange={setExpandedGroupIds}
-        defaultColumnOptions={{ resizable: true }}
+        sortColumns={sortColumns}
+        onSortColumnsChange={setSortColumns}
+        defaultColumnOptions={{ resizable: true, sortable: true }}
         direction={direction}
       />
     </div>